@@ -0,0 +1,594 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+const CHANNEL_TYPES = ['webhook', 'email', 'slack', 'discord', 'telegram'];
+const RULE_TYPES = ['health', 'staleSegments', 'streamDown', 'diskLow'];
+
+// Health levels from best to worst; a health rule fires at its level or worse
+const HEALTH_LEVELS = ['good', 'degraded', 'poor', 'failed'];
+
+// How often duration-based rules (stale segments, stream down, disk) are evaluated
+const CHECK_INTERVAL = 15000;
+
+// Least time between two alerts of a rule for the same stream. A condition that flaps
+// (e.g. health around a rule's level) alerts again only if it still holds after this long.
+const ALERT_COOLDOWN = 5 * 60 * 1000;
+
+// Shown instead of stored secrets when channels are sent to the UI
+const SECRET_PLACEHOLDER = '********';
+
+// POST a JSON body, resolving with the response status. Anything but 2xx is an error.
+const postJson = (url, body) => {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const protocol = url.startsWith('https') ? https : http;
+
+    const request = protocol.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'RestreamStream-Alerts'
+      }
+    }, (res) => {
+      res.resume();
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        reject(new Error(`Request failed with status code ${res.statusCode}`));
+        return;
+      }
+      resolve(res.statusCode);
+    });
+
+    request.on('error', reject);
+    request.setTimeout(10000, () => {
+      request.destroy(new Error('Request timed out'));
+    });
+    request.end(payload);
+  });
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 120) return `${Math.round(seconds)}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} minutes`;
+  return `${Math.round(seconds / 3600)} hours`;
+};
+
+class AlertManager {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.configPath = path.join(process.cwd(), 'data', 'alerts.json');
+    this.dataDir = path.join(process.cwd(), 'data');
+
+    this.rules = {};
+    this.channels = {};
+    // Condition state per rule and subject ("<ruleId>:<streamId>" or "<ruleId>:system"):
+    // { since, firing, firedAt, message }
+    this.states = {};
+    this.lastAlerts = {}; // When each rule last alerted for each subject, same keys as states
+
+    this.loadConfig();
+
+    // Health changes alert straight away; everything else is picked up by the interval
+    this.streamManager.on('health', () => this.evaluate());
+    this.streamManager.on('status', () => this.evaluate());
+    this.streamManager.on('deleted', ({ id }) => this._forgetStream(id));
+
+    this.checkIntervalId = setInterval(() => this.evaluate(), CHECK_INTERVAL);
+
+    this.log('info', 'Alert Manager initialized');
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configPath)) {
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.rules = config.rules || {};
+        this.channels = config.channels || {};
+        this.log('info', `Loaded ${Object.keys(this.rules).length} alert rules and ${Object.keys(this.channels).length} notification channels`);
+      }
+    } catch (error) {
+      this.log('error', `Failed to load alert configuration: ${error.message}`);
+      this.rules = {};
+      this.channels = {};
+    }
+  }
+
+  saveConfig() {
+    try {
+      if (!fs.existsSync(this.dataDir)) {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+      }
+
+      const config = {
+        rules: this.rules,
+        channels: this.channels,
+        updatedAt: new Date().toISOString()
+      };
+      // Channels hold SMTP passwords and bot tokens
+      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), { encoding: 'utf8', mode: 0o600 });
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save alert configuration: ${error.message}`);
+      return false;
+    }
+  }
+
+  shutdown() {
+    clearInterval(this.checkIntervalId);
+  }
+
+  // Notification channels
+
+  getChannels() {
+    return Object.values(this.channels).map(channel => this.toPublicChannel(channel));
+  }
+
+  toPublicChannel(channel) {
+    const config = { ...channel.config };
+    if (config.password) config.password = SECRET_PLACEHOLDER;
+    if (config.botToken) config.botToken = SECRET_PLACEHOLDER;
+    return { ...channel, config };
+  }
+
+  // Check a channel's settings. Secrets left as the placeholder keep their stored value.
+  validateChannel({ name, type, config = {} }, existing = null) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Channel name is required');
+    }
+    if (!CHANNEL_TYPES.includes(type)) {
+      throw new Error(`Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+    }
+
+    const previous = existing && existing.type === type ? existing.config : {};
+    const keepSecret = (key) => (config[key] === SECRET_PLACEHOLDER || config[key] === undefined ? previous[key] : config[key]);
+
+    switch (type) {
+      case 'email': {
+        const port = parseInt(config.port) || 587;
+        if (!config.host) throw new Error('SMTP host is required');
+        if (port < 1 || port > 65535) throw new Error('SMTP port must be between 1 and 65535');
+        if (!config.from) throw new Error('Sender address is required');
+        if (!config.to) throw new Error('Recipient address is required');
+        return {
+          host: String(config.host).trim(),
+          port,
+          secure: !!config.secure,
+          username: config.username ? String(config.username).trim() : '',
+          password: keepSecret('password') || '',
+          from: String(config.from).trim(),
+          to: String(config.to).trim()
+        };
+      }
+      case 'telegram': {
+        const botToken = keepSecret('botToken');
+        if (!botToken) throw new Error('Telegram bot token is required');
+        if (!config.chatId) throw new Error('Telegram chat ID is required');
+        return { botToken, chatId: String(config.chatId).trim() };
+      }
+      default:
+        if (!isHttpUrl(config.url)) {
+          throw new Error('Webhook URL must be an http or https URL');
+        }
+        return { url: config.url.trim() };
+    }
+  }
+
+  createChannel(data) {
+    const id = uuidv4();
+    this.channels[id] = {
+      id,
+      name: String(data.name || '').trim(),
+      type: data.type,
+      config: this.validateChannel(data),
+      enabled: data.enabled !== false,
+      lastSentAt: null,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+    this.saveConfig();
+    return this.toPublicChannel(this.channels[id]);
+  }
+
+  updateChannel(id, data) {
+    const channel = this.channels[id];
+    if (!channel) return null;
+
+    const merged = { name: channel.name, type: channel.type, config: channel.config, ...data };
+    channel.config = this.validateChannel(merged, channel);
+    channel.name = String(merged.name).trim();
+    channel.type = merged.type;
+    if (data.enabled !== undefined) {
+      channel.enabled = !!data.enabled;
+    }
+    channel.updatedAt = new Date().toISOString();
+
+    this.saveConfig();
+    return this.toPublicChannel(channel);
+  }
+
+  deleteChannel(id) {
+    if (!this.channels[id]) return false;
+
+    delete this.channels[id];
+    // Rules that only notified this channel fall back to all channels
+    for (const rule of Object.values(this.rules)) {
+      if (rule.channelIds) {
+        rule.channelIds = rule.channelIds.filter(channelId => channelId !== id);
+        if (rule.channelIds.length === 0) rule.channelIds = null;
+      }
+    }
+    this.saveConfig();
+    return true;
+  }
+
+  // Send a test notification through one channel; rejects with the delivery error
+  async testChannel(id) {
+    const channel = this.channels[id];
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+
+    await this._send(channel, {
+      event: 'test',
+      title: 'Test notification',
+      message: `This is a test notification for the "${channel.name}" channel.`,
+      rule: null,
+      stream: null
+    });
+    return true;
+  }
+
+  // Alert rules
+
+  getRules() {
+    return Object.values(this.rules);
+  }
+
+  validateRule({ name, type, health, threshold, streamIds, channelIds }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Rule name is required');
+    }
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    const rule = { name: String(name).trim(), type, health: null, threshold: null };
+
+    if (type === 'health') {
+      if (!HEALTH_LEVELS.slice(1).includes(health)) {
+        throw new Error('Health level must be degraded, poor or failed');
+      }
+      rule.health = health;
+    } else {
+      const limits = {
+        staleSegments: [10, 86400, 'Stale segment threshold must be between 10 and 86400 seconds'],
+        streamDown: [1, 1440, 'Down time must be between 1 and 1440 minutes'],
+        diskLow: [1, 99, 'Free disk space threshold must be between 1 and 99 percent']
+      };
+      const [min, max, message] = limits[type];
+      const value = Number(threshold);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(message);
+      }
+      rule.threshold = value;
+    }
+
+    // Disk space is not about a particular stream
+    if (type !== 'diskLow' && streamIds !== undefined && streamIds !== null) {
+      if (!Array.isArray(streamIds)) throw new Error('Streams must be a list of stream IDs');
+      const unknown = streamIds.filter(id => !this.streamManager.getStream(id));
+      if (unknown.length > 0) throw new Error(`Unknown streams: ${unknown.join(', ')}`);
+    }
+    rule.streamIds = type !== 'diskLow' && streamIds && streamIds.length > 0 ? streamIds : null;
+
+    if (channelIds !== undefined && channelIds !== null) {
+      if (!Array.isArray(channelIds)) throw new Error('Channels must be a list of channel IDs');
+      const unknown = channelIds.filter(id => !this.channels[id]);
+      if (unknown.length > 0) throw new Error(`Unknown channels: ${unknown.join(', ')}`);
+    }
+    rule.channelIds = channelIds && channelIds.length > 0 ? channelIds : null;
+
+    return rule;
+  }
+
+  createRule(data) {
+    const id = uuidv4();
+    this.rules[id] = {
+      id,
+      ...this.validateRule(data),
+      enabled: data.enabled !== false,
+      createdAt: new Date().toISOString()
+    };
+    this.saveConfig();
+    this.evaluate();
+    return this.rules[id];
+  }
+
+  updateRule(id, data) {
+    const rule = this.rules[id];
+    if (!rule) return null;
+
+    Object.assign(rule, this.validateRule({ ...rule, ...data }));
+    if (data.enabled !== undefined) {
+      rule.enabled = !!data.enabled;
+    }
+    rule.updatedAt = new Date().toISOString();
+
+    // Start the rule from a clean slate so a changed threshold is applied fairly
+    this._clearRuleState(id);
+    this.saveConfig();
+    this.evaluate();
+    return rule;
+  }
+
+  deleteRule(id) {
+    if (!this.rules[id]) return false;
+
+    delete this.rules[id];
+    this._clearRuleState(id);
+    this.saveConfig();
+    return true;
+  }
+
+  // Alerts currently firing
+  getActiveAlerts() {
+    return Object.entries(this.states)
+      .filter(([, state]) => state.firing)
+      .map(([key, state]) => {
+        const [ruleId, subject] = key.split(':');
+        return {
+          ruleId,
+          ruleName: this.rules[ruleId] ? this.rules[ruleId].name : null,
+          streamId: subject === 'system' ? null : subject,
+          message: state.message,
+          since: new Date(state.since).toISOString(),
+          firedAt: new Date(state.firedAt).toISOString()
+        };
+      });
+  }
+
+  _clearRuleState(ruleId) {
+    for (const key of Object.keys(this.states)) {
+      if (key.startsWith(`${ruleId}:`)) delete this.states[key];
+    }
+    for (const key of Object.keys(this.lastAlerts)) {
+      if (key.startsWith(`${ruleId}:`)) delete this.lastAlerts[key];
+    }
+  }
+
+  _forgetStream(streamId) {
+    for (const key of Object.keys(this.states)) {
+      if (key.endsWith(`:${streamId}`)) delete this.states[key];
+    }
+    for (const key of Object.keys(this.lastAlerts)) {
+      if (key.endsWith(`:${streamId}`)) delete this.lastAlerts[key];
+    }
+  }
+
+  // Evaluation
+
+  evaluate() {
+    const now = Date.now();
+
+    for (const rule of Object.values(this.rules)) {
+      if (!rule.enabled) continue;
+
+      if (rule.type === 'diskLow') {
+        this._updateState(rule, null, this._checkDisk(rule), now);
+        continue;
+      }
+
+      const streams = this.streamManager.getStreams()
+        .filter(stream => !rule.streamIds || rule.streamIds.includes(stream.id));
+      for (const stream of streams) {
+        this._updateState(rule, stream, this._checkStream(rule, stream, now), now);
+      }
+    }
+  }
+
+  // Returns { active, message, recovery, delay } for a stream: whether the condition holds,
+  // the texts to send, and how long (ms) it must hold before the alert fires
+  _checkStream(rule, stream, now) {
+    switch (rule.type) {
+      case 'health': {
+        const level = HEALTH_LEVELS.indexOf(stream.health);
+        return {
+          active: level >= HEALTH_LEVELS.indexOf(rule.health),
+          message: `${stream.name}: health is ${stream.health}${this._describeError(stream)}`,
+          recovery: stream.status === 'stopped'
+            ? `${stream.name}: stream was stopped`
+            : `${stream.name}: health is back to ${stream.health}`,
+          delay: 0
+        };
+      }
+      case 'staleSegments': {
+        const age = this._getSegmentAge(stream, now);
+        return {
+          active: stream.status === 'running' && age !== null && age >= rule.threshold,
+          message: `${stream.name}: no new HLS segment for ${formatDuration(age || 0)}`,
+          recovery: `${stream.name}: new segments are being written again`,
+          delay: 0
+        };
+      }
+      case 'streamDown':
+        // Stopped streams were stopped on purpose; error and starting mean it is failing
+        return {
+          active: stream.status === 'error' || stream.status === 'starting',
+          message: `${stream.name}: down for over ${formatDuration(rule.threshold * 60)} (${stream.status})${this._describeError(stream)}`,
+          recovery: `${stream.name}: ${stream.status === 'running' ? 'running again' : `no longer failing (${stream.status})`}`,
+          delay: rule.threshold * 60 * 1000
+        };
+      default:
+        return { active: false };
+    }
+  }
+
+  _checkDisk(rule) {
+    try {
+      const stats = fs.statfsSync(this.dataDir);
+      const freePercent = (stats.bavail / stats.blocks) * 100;
+      const freeGb = (stats.bavail * stats.bsize / (1024 ** 3)).toFixed(1);
+      return {
+        active: freePercent < rule.threshold,
+        message: `Disk space low: ${freePercent.toFixed(1)}% free (${freeGb} GB)`,
+        recovery: `Disk space recovered: ${freePercent.toFixed(1)}% free (${freeGb} GB)`,
+        delay: 0
+      };
+    } catch (error) {
+      this.log('error', `Failed to check disk space: ${error.message}`);
+      return { active: false };
+    }
+  }
+
+  // Seconds since the newest segment was written, as of now. The segment health check only
+  // runs every few seconds, so its last measurement is aged by the time since that check.
+  _getSegmentAge(stream, now) {
+    const diagnostics = stream.diagnostics || {};
+    const startedAt = stream.stats && stream.stats.lastRestart ? new Date(stream.stats.lastRestart).getTime() : null;
+
+    let newestSegment = null;
+    if (diagnostics.lastHealthCheck && diagnostics.latestSegmentAge !== undefined) {
+      newestSegment = new Date(diagnostics.lastHealthCheck).getTime() - diagnostics.latestSegmentAge * 1000;
+    }
+
+    // Segments from before the last (re)start don't count
+    const reference = Math.max(newestSegment || 0, startedAt || 0);
+    return reference ? (now - reference) / 1000 : null;
+  }
+
+  _describeError(stream) {
+    return stream.stats && stream.stats.lastError ? ` - last error: ${stream.stats.lastError}` : '';
+  }
+
+  _updateState(rule, stream, result, now) {
+    const key = `${rule.id}:${stream ? stream.id : 'system'}`;
+    let state = this.states[key];
+
+    if (result.active) {
+      if (!state) {
+        state = { since: now, firing: false };
+        this.states[key] = state;
+      }
+
+      // Already notified for this episode
+      if (state.firing || now - state.since < result.delay) {
+        return;
+      }
+
+      // Alerted a moment ago for an episode that has since cleared: wait out the cooldown.
+      // Episodes that never alert send no recovery either.
+      if (this.lastAlerts[key] !== undefined && now - this.lastAlerts[key] < ALERT_COOLDOWN) {
+        return;
+      }
+
+      state.firing = true;
+      state.firedAt = now;
+      this.lastAlerts[key] = now;
+      state.message = result.message;
+      this._notify(rule, stream, 'alert', result.message);
+      return;
+    }
+
+    if (state) {
+      delete this.states[key];
+      if (state.firing) {
+        this._notify(rule, stream, 'recovery', result.recovery);
+      }
+    }
+  }
+
+  // Delivery
+
+  _notify(rule, stream, event, message) {
+    this.log(event === 'alert' ? 'warn' : 'info', `[${rule.name}] ${message}`);
+
+    const channels = Object.values(this.channels)
+      .filter(channel => channel.enabled && (!rule.channelIds || rule.channelIds.includes(channel.id)));
+
+    const notification = {
+      event,
+      title: event === 'alert' ? `Alert: ${rule.name}` : `Resolved: ${rule.name}`,
+      message,
+      rule: { id: rule.id, name: rule.name, type: rule.type },
+      stream: stream ? { id: stream.id, name: stream.name, group: stream.group || null } : null
+    };
+
+    for (const channel of channels) {
+      this._send(channel, notification).catch(() => {
+        // Already logged and recorded on the channel
+      });
+    }
+  }
+
+  async _send(channel, notification) {
+    const text = `${notification.title}\n${notification.message}`;
+
+    try {
+      switch (channel.type) {
+        case 'email':
+          await this._sendEmail(channel.config, notification);
+          break;
+        case 'slack':
+          await postJson(channel.config.url, { text });
+          break;
+        case 'discord':
+          await postJson(channel.config.url, { content: text });
+          break;
+        case 'telegram':
+          await postJson(`https://api.telegram.org/bot${channel.config.botToken}/sendMessage`, {
+            chat_id: channel.config.chatId,
+            text
+          });
+          break;
+        default:
+          await postJson(channel.config.url, { ...notification, timestamp: new Date().toISOString() });
+      }
+
+      channel.lastSentAt = new Date().toISOString();
+      channel.lastError = null;
+    } catch (error) {
+      this.log('error', `Failed to send notification through ${channel.name}: ${error.message}`);
+      channel.lastError = error.message;
+      throw error;
+    } finally {
+      this.saveConfig();
+    }
+  }
+
+  _sendEmail(config, notification) {
+    const transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.username ? { user: config.username, pass: config.password } : undefined
+    });
+
+    return transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: `[RestreamStream] ${notification.title}`,
+      text: notification.message
+    });
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [AlertManager] ${message}`);
+  }
+}
+
+module.exports = AlertManager;
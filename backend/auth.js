@@ -0,0 +1,74 @@
+// Session handling for the web UI and API. The browser gets an HttpOnly cookie; scripts
+// can send the same token as "Authorization: Bearer <token>".
+
+const SESSION_COOKIE = 'restream_session';
+
+// Read a single cookie from the Cookie header
+const getCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > -1 && part.substring(0, index).trim() === name) {
+      return decodeURIComponent(part.substring(index + 1).trim());
+    }
+  }
+  return null;
+};
+
+const getSessionToken = (req) => {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.substring(7).trim();
+  }
+  return getCookie(req, SESSION_COOKIE);
+};
+
+const isSecureRequest = (req) => req.secure || req.headers['x-forwarded-proto'] === 'https';
+
+const setSessionCookie = (req, res, token, maxAge) => {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAge / 1000)}`
+  ];
+  if (isSecureRequest(req)) {
+    parts.push('Secure');
+  }
+  res.setHeader('Set-Cookie', parts.join('; '));
+};
+
+const clearSessionCookie = (req, res) => {
+  setSessionCookie(req, res, '', 0);
+};
+
+// Express middleware: attach req.user or answer 401
+const createAuthMiddleware = (userManager) => (req, res, next) => {
+  const user = userManager.getSessionUser(getSessionToken(req));
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Express middleware factory: only let through users with at least the given role.
+// Must run after the auth middleware has set req.user.
+const createRoleMiddleware = (userManager) => (role) => (req, res, next) => {
+  if (!userManager.hasRole(req.user, role)) {
+    return res.status(403).json({ error: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+module.exports = {
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  createAuthMiddleware,
+  createRoleMiddleware
+};
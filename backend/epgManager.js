@@ -0,0 +1,514 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+
+// Decode the handful of entities XMLTV files use in text content
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+  .replace(/&amp;/g, '&');
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+const getElementText = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]).trim() : null;
+};
+
+// Parse an XMLTV timestamp such as "20240131203000 +0100" into a Date
+const parseXmltvTime = (value) => {
+  if (!value) return null;
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '00', offset] = match;
+  let time = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  if (offset) {
+    const sign = offset[0] === '-' ? -1 : 1;
+    const offsetMinutes = parseInt(offset.substring(1, 3)) * 60 + parseInt(offset.substring(3, 5));
+    time -= sign * offsetMinutes * 60 * 1000;
+  }
+
+  return new Date(time);
+};
+
+// Fetch a URL into a buffer, following redirects
+const fetchBuffer = (url, maxRedirects = 5) => {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+
+    const request = protocol.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (maxRedirects <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        const redirectUrl = new URL(res.headers.location, url).toString();
+        fetchBuffer(redirectUrl, maxRedirects - 1).then(resolve).catch(reject);
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Request failed with status code ${res.statusCode}`));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.setTimeout(60000, () => {
+      request.destroy(new Error('Request timed out'));
+    });
+  });
+};
+
+// Many providers serve guides as .xml.gz
+const decodeGuide = (buffer) => {
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+  return buffer.toString('utf8');
+};
+
+class EpgManager {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.epgDir = path.join(process.cwd(), 'data', 'epg');
+    this.configPath = path.join(process.cwd(), 'data', 'epg.json');
+    this.refreshInterval = parseInt(process.env.EPG_REFRESH_INTERVAL || '12') * 60 * 60 * 1000; // Default: 12 hours
+    // Programmes that ended longer ago than this are dropped when parsing
+    this.pastRetention = parseInt(process.env.EPG_PAST_HOURS || '6') * 60 * 60 * 1000;
+
+    if (!fs.existsSync(this.epgDir)) {
+      fs.mkdirSync(this.epgDir, { recursive: true });
+    }
+
+    this.sources = {};
+    // Parsed guide data per source: { channels: { id: channel }, programmes: { channelId: [programme] } }
+    this.guides = {};
+
+    this.loadConfig();
+    this.loadCachedGuides();
+    this.startRefreshInterval();
+
+    // Fetch guides that are missing or went stale while we were not running
+    setTimeout(() => this.refreshStale(), 5000);
+
+    this.log('info', 'EPG Manager initialized');
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configPath)) {
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.sources = config.sources || {};
+        this.log('info', `Loaded ${Object.keys(this.sources).length} EPG sources from configuration`);
+      }
+    } catch (error) {
+      this.log('error', `Failed to load EPG configuration: ${error.message}`);
+      this.sources = {};
+    }
+  }
+
+  saveConfig() {
+    try {
+      const config = {
+        sources: this.sources,
+        updatedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), 'utf8');
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save EPG configuration: ${error.message}`);
+      return false;
+    }
+  }
+
+  _getCachePath(id) {
+    return path.join(this.epgDir, `${id}.xml`);
+  }
+
+  loadCachedGuides() {
+    for (const id in this.sources) {
+      const cachePath = this._getCachePath(id);
+      if (!fs.existsSync(cachePath)) {
+        continue;
+      }
+
+      try {
+        this.guides[id] = this.parseXmltv(fs.readFileSync(cachePath, 'utf8'));
+      } catch (error) {
+        this.log('error', `Failed to load cached guide for EPG source ${id}: ${error.message}`);
+      }
+    }
+  }
+
+  startRefreshInterval() {
+    this.refreshIntervalId = setInterval(() => {
+      this.refreshAll();
+    }, this.refreshInterval);
+  }
+
+  shutdown() {
+    if (this.refreshIntervalId) {
+      clearInterval(this.refreshIntervalId);
+    }
+  }
+
+  // Parse XMLTV content into channels and programmes keyed by channel id
+  parseXmltv(content) {
+    const channels = {};
+    const programmes = {};
+    const cutoff = Date.now() - this.pastRetention;
+
+    const channelPattern = /<channel\s[^>]*>[\s\S]*?<\/channel>/g;
+    let match;
+    while ((match = channelPattern.exec(content)) !== null) {
+      const xml = match[0];
+      const openTag = xml.substring(0, xml.indexOf('>') + 1);
+      const id = getAttribute(openTag, 'id');
+      if (!id) continue;
+
+      const iconMatch = xml.match(/<icon\s[^>]*src\s*=\s*"([^"]*)"/);
+      channels[id] = {
+        id,
+        displayName: getElementText(xml, 'display-name') || id,
+        icon: iconMatch ? decodeXml(iconMatch[1]) : null
+      };
+    }
+
+    const programmePattern = /<programme\s[^>]*>[\s\S]*?<\/programme>/g;
+    while ((match = programmePattern.exec(content)) !== null) {
+      const xml = match[0];
+      const openTag = xml.substring(0, xml.indexOf('>') + 1);
+      const channelId = getAttribute(openTag, 'channel');
+      const start = parseXmltvTime(getAttribute(openTag, 'start'));
+      const stop = parseXmltvTime(getAttribute(openTag, 'stop'));
+      if (!channelId || !start) continue;
+
+      // Skip programmes that are long over to keep memory in check
+      if (stop && stop.getTime() < cutoff) continue;
+
+      if (!programmes[channelId]) {
+        programmes[channelId] = [];
+      }
+      programmes[channelId].push({
+        start: start.toISOString(),
+        stop: stop ? stop.toISOString() : null,
+        title: getElementText(xml, 'title'),
+        subTitle: getElementText(xml, 'sub-title'),
+        description: getElementText(xml, 'desc'),
+        category: getElementText(xml, 'category'),
+        // Keep the original element so it can be re-published unchanged
+        xml
+      });
+    }
+
+    for (const channelId in programmes) {
+      programmes[channelId].sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    return { channels, programmes };
+  }
+
+  getSources() {
+    return Object.values(this.sources);
+  }
+
+  // Fetch and parse the guide before the source is added, so one that can't be read
+  // leaves nothing behind
+  async addSource({ name, url, content }) {
+    if (!url && !content) {
+      throw new Error('An XMLTV URL or file content is required');
+    }
+
+    if (url) {
+      this.log('info', `Fetching guide from ${url}`);
+      content = decodeGuide(await fetchBuffer(url));
+    }
+
+    const id = uuidv4();
+    this.sources[id] = {
+      id,
+      name: name || url || 'Uploaded guide',
+      type: url ? 'url' : 'file',
+      url: url || null,
+      channelCount: 0,
+      programmeCount: 0,
+      lastUpdated: null,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      this._storeGuide(id, content);
+    } catch (error) {
+      delete this.sources[id];
+      throw error;
+    }
+
+    this.saveConfig();
+    return this.sources[id];
+  }
+
+  removeSource(id) {
+    if (!this.sources[id]) {
+      return false;
+    }
+
+    delete this.sources[id];
+    delete this.guides[id];
+
+    const cachePath = this._getCachePath(id);
+    if (fs.existsSync(cachePath)) {
+      try {
+        fs.unlinkSync(cachePath);
+      } catch (error) {
+        this.log('error', `Error deleting cached guide for EPG source ${id}: ${error.message}`);
+      }
+    }
+
+    this.saveConfig();
+    return true;
+  }
+
+  // Parse guide content, cache it on disk and update the source statistics
+  _storeGuide(id, content) {
+    const source = this.sources[id];
+    const guide = this.parseXmltv(content);
+
+    if (Object.keys(guide.channels).length === 0 && Object.keys(guide.programmes).length === 0) {
+      throw new Error('No channels or programmes found in XMLTV data');
+    }
+
+    fs.writeFileSync(this._getCachePath(id), content, 'utf8');
+    this.guides[id] = guide;
+
+    source.channelCount = Object.keys(guide.channels).length;
+    source.programmeCount = Object.values(guide.programmes).reduce((sum, list) => sum + list.length, 0);
+    source.lastUpdated = new Date().toISOString();
+    source.lastError = null;
+
+    this.log('info', `[${source.name}] Loaded ${source.channelCount} channels and ${source.programmeCount} programmes`);
+  }
+
+  async refreshSource(id) {
+    const source = this.sources[id];
+    if (!source) {
+      return false;
+    }
+
+    // Uploaded files can only be replaced by uploading again
+    if (source.type !== 'url') {
+      return true;
+    }
+
+    try {
+      this.log('info', `[${source.name}] Fetching guide from ${source.url}`);
+      const buffer = await fetchBuffer(source.url);
+
+      // The source may have been removed while we were downloading
+      if (!this.sources[id]) {
+        return false;
+      }
+
+      this._storeGuide(id, decodeGuide(buffer));
+      this.saveConfig();
+      return true;
+    } catch (error) {
+      this.log('error', `[${source.name}] Failed to refresh guide: ${error.message}`);
+      if (this.sources[id]) {
+        this.sources[id].lastError = error.message;
+        this.saveConfig();
+      }
+      return false;
+    }
+  }
+
+  async refreshStale() {
+    const now = Date.now();
+
+    for (const id of Object.keys(this.sources)) {
+      const source = this.sources[id];
+      if (source.type !== 'url') continue;
+
+      const lastUpdated = source.lastUpdated ? new Date(source.lastUpdated).getTime() : 0;
+      if (!this.guides[id] || now - lastUpdated >= this.refreshInterval) {
+        await this.refreshSource(id);
+      }
+    }
+  }
+
+  async refreshAll() {
+    for (const id of Object.keys(this.sources)) {
+      await this.refreshSource(id);
+    }
+  }
+
+  // All channels known across sources; the first source listing a channel wins
+  getChannels() {
+    const channels = {};
+
+    for (const id in this.sources) {
+      const guide = this.guides[id];
+      if (!guide) continue;
+
+      for (const channelId in guide.channels) {
+        if (!channels[channelId]) {
+          channels[channelId] = { ...guide.channels[channelId], sourceId: id };
+        }
+      }
+    }
+
+    return Object.values(channels).sort((a, b) => a.displayName.localeCompare(b.displayName));
+  }
+
+  // Merged programmes for a channel across sources. Earlier sources take precedence
+  // when programmes overlap.
+  getProgrammes(channelId) {
+    const merged = [];
+
+    for (const id in this.sources) {
+      const programmes = this.guides[id]?.programmes[channelId];
+      if (!programmes) continue;
+
+      for (const programme of programmes) {
+        const start = new Date(programme.start).getTime();
+        const overlaps = merged.some(existing => {
+          const existingStart = new Date(existing.start).getTime();
+          const existingStop = existing.stop ? new Date(existing.stop).getTime() : existingStart;
+          return start >= existingStart && start < Math.max(existingStop, existingStart + 1);
+        });
+
+        if (!overlaps) {
+          merged.push(programme);
+        }
+      }
+    }
+
+    return merged.sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  // Current and next programme for a channel
+  getNowNext(channelId) {
+    if (!channelId) {
+      return { now: null, next: null };
+    }
+
+    const now = Date.now();
+    const programmes = this.getProgrammes(channelId);
+    const currentIndex = programmes.findIndex(programme =>
+      new Date(programme.start).getTime() <= now &&
+      (!programme.stop || new Date(programme.stop).getTime() > now));
+
+    const strip = (programme) => {
+      if (!programme) return null;
+      const { xml, ...details } = programme;
+      return details;
+    };
+
+    const nextProgramme = currentIndex >= 0
+      ? programmes[currentIndex + 1]
+      : programmes.find(programme => new Date(programme.start).getTime() > now);
+
+    return {
+      now: strip(currentIndex >= 0 ? programmes[currentIndex] : null),
+      next: strip(nextProgramme)
+    };
+  }
+
+  // Map streams without an EPG channel onto guide channels with the same name
+  autoMapStreams() {
+    const channelsByName = {};
+    for (const channel of this.getChannels()) {
+      const key = channel.displayName.toLowerCase();
+      if (!channelsByName[key]) {
+        channelsByName[key] = channel.id;
+      }
+    }
+
+    let mapped = 0;
+    for (const stream of this.streamManager.getStreams()) {
+      if (stream.tvgId) continue;
+
+      const channelId = channelsByName[(stream.tvgName || stream.name || '').toLowerCase()];
+      if (channelId) {
+        this.streamManager.setEpgChannel(stream.id, channelId, false);
+        mapped++;
+      }
+    }
+
+    if (mapped > 0) {
+      this.streamManager.saveStreams();
+    }
+
+    return mapped;
+  }
+
+  // Build a combined XMLTV document restricted to the channels we re-stream (or the given streams)
+  generateXmltv(streams = this.streamManager.getStreams()) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+      '<tv generator-info-name="RestreamStream">'
+    ];
+    const channelIds = [];
+
+    for (const stream of streams) {
+      if (!stream.tvgId || channelIds.includes(stream.tvgId)) continue;
+      channelIds.push(stream.tvgId);
+
+      lines.push(`  <channel id="${escapeXml(stream.tvgId)}">`);
+      lines.push(`    <display-name>${escapeXml(stream.name)}</display-name>`);
+      if (stream.logo) {
+        lines.push(`    <icon src="${escapeXml(stream.logo)}" />`);
+      }
+      lines.push('  </channel>');
+    }
+
+    for (const channelId of channelIds) {
+      for (const programme of this.getProgrammes(channelId)) {
+        lines.push(`  ${programme.xml}`);
+      }
+    }
+
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [EpgManager] ${message}`);
+  }
+}
+
+module.exports = EpgManager;
@@ -0,0 +1,70 @@
+// Server-Sent Events feed for the web UI. Stream manager events are pushed to every
+// connected browser as they happen, so pages don't have to poll for status changes.
+
+const { getSessionToken } = require('./auth');
+
+const STREAM_EVENTS = ['status', 'health', 'streamError', 'reconnect', 'screenshot', 'diagnostics', 'queue', 'added', 'updated', 'deleted'];
+
+// Viewer manager events, forwarded the same way
+const VIEWER_EVENTS = ['viewers'];
+
+// Comment lines keep idle connections from being closed by proxies
+const KEEPALIVE_INTERVAL = 25000;
+
+// Returns an Express handler for the event feed. Call handler.close() on shutdown.
+const createEventStream = (streamManager, userManager, viewerManager) => {
+  // Connected responses, with the session each one was opened with
+  const clients = new Map();
+
+  const send = (event, data) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients.keys()) {
+      res.write(message);
+    }
+  };
+
+  STREAM_EVENTS.forEach(event => streamManager.on(event, data => send(event, data)));
+  VIEWER_EVENTS.forEach(event => viewerManager.on(event, data => send(event, data)));
+
+  const keepAliveId = setInterval(() => {
+    for (const [res, token] of clients) {
+      // Drop browsers whose session has ended (logout, expiry or a password reset)
+      if (!userManager.getSessionUser(token)) {
+        clients.delete(res);
+        res.end();
+        continue;
+      }
+      res.write(': keep-alive\n\n');
+    }
+  }, KEEPALIVE_INTERVAL);
+
+  const handler = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx from buffering the feed
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    clients.set(res, getSessionToken(req));
+    req.on('close', () => clients.delete(res));
+  };
+
+  handler.close = () => {
+    clearInterval(keepAliveId);
+    for (const res of clients.keys()) {
+      res.end();
+    }
+    clients.clear();
+  };
+
+  return handler;
+};
+
+module.exports = {
+  STREAM_EVENTS,
+  VIEWER_EVENTS,
+  createEventStream
+};
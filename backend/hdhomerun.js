@@ -0,0 +1,73 @@
+// Responses that let the streaming server pose as an HDHomeRun network tuner,
+// so Plex, Jellyfin and Emby can add it as a DVR without any M3U plugin.
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// URL of the per-stream output a lineup entry points at
+const getChannelUrl = (baseUrl, streamId, output) => {
+  return output === 'ts'
+    ? `${baseUrl}/${streamId}`
+    : `${baseUrl}/hls/${streamId}/playlist.m3u8`;
+};
+
+// discover.json: device identity and where to find the lineup
+const buildDiscover = (settings, baseUrl) => ({
+  FriendlyName: settings.friendlyName,
+  Manufacturer: 'Silicondust',
+  ModelNumber: 'HDTC-2US',
+  FirmwareName: 'hdhomeruntc_atsc',
+  FirmwareVersion: '20150826',
+  DeviceID: settings.deviceId,
+  DeviceAuth: 'restreamstream',
+  TunerCount: settings.tunerCount,
+  BaseURL: baseUrl,
+  LineupURL: `${baseUrl}/lineup.json`
+});
+
+// lineup.json: one entry per channel from the stream manager's channel lineup
+const buildLineup = (settings, lineup, baseUrl) => lineup.map(({ stream, channelNumber }) => ({
+  GuideNumber: String(channelNumber),
+  GuideName: stream.name,
+  URL: getChannelUrl(baseUrl, stream.id, settings.output)
+}));
+
+// lineup_status.json: we never scan, the lineup is always ready
+const buildLineupStatus = () => ({
+  ScanInProgress: 0,
+  ScanPossible: 1,
+  Source: 'Cable',
+  SourceList: ['Cable']
+});
+
+// device.xml: UPnP device description used during SSDP style discovery
+const buildDeviceXml = (settings, baseUrl) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<root xmlns="urn:schemas-upnp-org:device-1-0">',
+  '  <specVersion>',
+  '    <major>1</major>',
+  '    <minor>0</minor>',
+  '  </specVersion>',
+  `  <URLBase>${escapeXml(baseUrl)}</URLBase>`,
+  '  <device>',
+  '    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>',
+  `    <friendlyName>${escapeXml(settings.friendlyName)}</friendlyName>`,
+  '    <manufacturer>Silicondust</manufacturer>',
+  '    <modelName>HDTC-2US</modelName>',
+  '    <modelNumber>HDTC-2US</modelNumber>',
+  '    <serialNumber></serialNumber>',
+  `    <UDN>uuid:${escapeXml(settings.deviceId)}</UDN>`,
+  '  </device>',
+  '</root>',
+  ''
+].join('\n');
+
+module.exports = {
+  buildDiscover,
+  buildLineup,
+  buildLineupStatus,
+  buildDeviceXml
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Time ranges the history API serves, and the bucket size each is charted at
+const RANGES = {
+  '24h': { duration: 24 * 3600000, bucket: 15 * 60000 },
+  '7d': { duration: 7 * 24 * 3600000, bucket: 2 * 3600000 },
+  '30d': { duration: 30 * 24 * 3600000, bucket: 6 * 3600000 }
+};
+
+// Health levels from best to worst; a bucket shows the worst level sampled in it
+const HEALTH_LEVELS = ['good', 'degraded', 'poor', 'failed'];
+
+// Anything but running or stopped counts as down, but a stream needs a few seconds
+// to start, so shorter gaps aren't reported as outages
+const MIN_OUTAGE_DURATION = 30000;
+
+// How often samples past the retention period are deleted
+const PRUNE_INTERVAL = 3600000;
+
+// Most errors returned for one range
+const MAX_ERRORS = 100;
+
+// Records stream status, health, bitrate and errors in SQLite (data/history.db) so
+// uptime and outages can be charted long after the in-memory stats have moved on.
+// Status, health and error events are stored as they happen; the numeric figures
+// are sampled every history.sampleInterval seconds while a stream is running.
+class HistoryManager {
+  constructor(streamManager, viewerManager) {
+    this.streamManager = streamManager;
+    this.viewerManager = viewerManager;
+    this.dataDir = path.join(process.cwd(), 'data');
+    this.dbPath = path.join(this.dataDir, 'history.db');
+
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS samples (
+        stream_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        health TEXT,
+        bitrate INTEGER,
+        segment_age INTEGER,
+        viewers INTEGER,
+        active_source INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS samples_stream_time ON samples (stream_id, timestamp);
+      CREATE TABLE IF NOT EXISTS events (
+        stream_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT,
+        message TEXT
+      );
+      CREATE INDEX IF NOT EXISTS events_stream_time ON events (stream_id, timestamp);
+    `);
+
+    this.statements = {
+      insertSample: this.db.prepare(`INSERT INTO samples
+        (stream_id, timestamp, status, health, bitrate, segment_age, viewers, active_source)
+        VALUES (@streamId, @timestamp, @status, @health, @bitrate, @segmentAge, @viewers, @activeSource)`),
+      insertEvent: this.db.prepare(`INSERT INTO events (stream_id, timestamp, type, value, message)
+        VALUES (?, ?, ?, ?, ?)`)
+    };
+
+    this._closeOpenSessions();
+
+    this.streamManager.on('status', ({ id, status, previous }) => {
+      this._recordEvent(id, 'status', status, previous);
+    });
+    this.streamManager.on('health', ({ id, health, previous }) => {
+      this._recordEvent(id, 'health', health, previous);
+    });
+    this.streamManager.on('streamError', ({ id, type, message }) => {
+      this._recordEvent(id, 'error', type, message);
+    });
+    this.streamManager.on('deleted', ({ id }) => this.removeStream(id));
+
+    this._scheduleSample();
+    this.prune();
+    this.pruneIntervalId = setInterval(() => this.prune(), PRUNE_INTERVAL);
+
+    this.log('info', 'History Manager initialized');
+  }
+
+  getSettings() {
+    return this.streamManager.getSettings().history;
+  }
+
+  shutdown() {
+    clearTimeout(this.sampleTimeoutId);
+    clearInterval(this.pruneIntervalId);
+    this.db.close();
+  }
+
+  // A stream that was up when the server last went away has no closing status event.
+  // Mark it stopped as of the last sample so the downtime isn't counted as uptime.
+  _closeOpenSessions() {
+    const lastStatuses = this.db.prepare(`SELECT stream_id, value, MAX(timestamp) AS timestamp
+      FROM events WHERE type = 'status' GROUP BY stream_id`).all();
+    const lastSample = this.db.prepare('SELECT MAX(timestamp) AS timestamp FROM samples WHERE stream_id = ?');
+
+    for (const row of lastStatuses) {
+      if (row.value === 'stopped') continue;
+      const sampled = lastSample.get(row.stream_id).timestamp;
+      this.statements.insertEvent.run(row.stream_id, Math.max(row.timestamp, sampled || 0), 'status', 'stopped', 'server stopped');
+    }
+  }
+
+  _recordEvent(id, type, value, message) {
+    if (!this.db.open) return;
+    try {
+      this.statements.insertEvent.run(id, Date.now(), type, value || null, message || null);
+    } catch (error) {
+      this.log('error', `Failed to record ${type} event for stream ${id}: ${error.message}`);
+    }
+  }
+
+  // Re-read the interval every time so a settings change applies without a restart
+  _scheduleSample() {
+    this.sampleTimeoutId = setTimeout(() => {
+      this.sample();
+      this._scheduleSample();
+    }, this.getSettings().sampleInterval * 1000);
+  }
+
+  sample() {
+    const timestamp = Date.now();
+    const running = this.streamManager.getStreams().filter(stream => stream.status !== 'stopped');
+
+    try {
+      this.db.transaction(() => {
+        for (const stream of running) {
+          const diagnostics = stream.diagnostics || {};
+          this.statements.insertSample.run({
+            streamId: stream.id,
+            timestamp,
+            status: stream.status,
+            health: stream.health || null,
+            bitrate: stream.status === 'running' && stream.streamInfo ? stream.streamInfo.bitrate || null : null,
+            segmentAge: stream.status === 'running' && Number.isFinite(diagnostics.latestSegmentAge) ? diagnostics.latestSegmentAge : null,
+            viewers: this.viewerManager.getViewerCount(stream.id),
+            activeSource: stream.activeSourceIndex || 0
+          });
+        }
+      })();
+    } catch (error) {
+      this.log('error', `Failed to record history samples: ${error.message}`);
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.getSettings().retentionDays * 24 * 3600000;
+
+    try {
+      const samples = this.db.prepare('DELETE FROM samples WHERE timestamp < ?').run(cutoff).changes;
+      const events = this.db.prepare('DELETE FROM events WHERE timestamp < ?').run(cutoff).changes;
+      if (samples > 0 || events > 0) {
+        this.log('info', `Pruned ${samples} samples and ${events} events older than ${this.getSettings().retentionDays} days`);
+      }
+    } catch (error) {
+      this.log('error', `Failed to prune history: ${error.message}`);
+    }
+  }
+
+  removeStream(id) {
+    if (!this.db.open) return;
+    this.db.prepare('DELETE FROM samples WHERE stream_id = ?').run(id);
+    this.db.prepare('DELETE FROM events WHERE stream_id = ?').run(id);
+  }
+
+  // Uptime, outages, errors and chart buckets for one stream over a range ('24h', '7d' or '30d')
+  getHistory(id, range = '24h') {
+    if (!RANGES[range]) {
+      throw new Error(`Range must be one of: ${Object.keys(RANGES).join(', ')}`);
+    }
+
+    const { duration, bucket } = RANGES[range];
+    const to = Date.now();
+    const from = to - duration;
+
+    const periods = this._getStatusPeriods(id, from, to);
+    const outages = this._getOutages(id, periods);
+
+    let upTime = 0;
+    let monitoredTime = 0;
+    for (const period of periods) {
+      if (period.status === 'stopped') continue;
+      monitoredTime += period.end - period.start;
+      if (period.status === 'running') upTime += period.end - period.start;
+    }
+
+    const errors = this.db.prepare(`SELECT timestamp, value AS type, message FROM events
+      WHERE stream_id = ? AND type = 'error' AND timestamp >= ?
+      ORDER BY timestamp DESC LIMIT ?`).all(id, from, MAX_ERRORS);
+    const errorCounts = this.db.prepare(`SELECT value AS type, COUNT(*) AS count FROM events
+      WHERE stream_id = ? AND type = 'error' AND timestamp >= ? GROUP BY value`).all(id, from);
+
+    return {
+      range,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucketSize: bucket / 1000,
+      // null when the stream wasn't meant to be running at any point in the range
+      uptimePercent: monitoredTime > 0 ? Math.round((upTime / monitoredTime) * 10000) / 100 : null,
+      downtimeSeconds: Math.round(outages.reduce((total, outage) => total + outage.duration, 0)),
+      outages,
+      errorCounts: errorCounts.reduce((counts, row) => ({ ...counts, [row.type || 'unknown']: row.count }), {}),
+      errors: errors.map(error => ({ ...error, timestamp: new Date(error.timestamp).toISOString() })),
+      buckets: this._getBuckets(id, from, to, bucket, periods)
+    };
+  }
+
+  // Contiguous { status, start, end } periods covering the range, from the status events.
+  // Time before the first recorded event is left out rather than guessed.
+  _getStatusPeriods(id, from, to) {
+    const before = this.db.prepare(`SELECT value FROM events
+      WHERE stream_id = ? AND type = 'status' AND timestamp < ?
+      ORDER BY timestamp DESC LIMIT 1`).get(id, from);
+    const changes = this.db.prepare(`SELECT timestamp, value FROM events
+      WHERE stream_id = ? AND type = 'status' AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp`).all(id, from, to);
+
+    const periods = [];
+    let current = before ? { status: before.value, start: from } : null;
+
+    for (const change of changes) {
+      if (current) {
+        periods.push({ ...current, end: change.timestamp });
+      }
+      current = { status: change.value, start: change.timestamp };
+    }
+    if (current) {
+      periods.push({ ...current, end: to });
+    }
+
+    return periods.filter(period => period.end > period.start);
+  }
+
+  // Merge consecutive down periods (e.g. error, then starting while reconnecting) into outages
+  _getOutages(id, periods) {
+    const outages = [];
+    let outage = null;
+
+    for (const period of periods) {
+      const down = period.status !== 'running' && period.status !== 'stopped';
+      if (down) {
+        if (outage && outage.end === period.start) {
+          outage.end = period.end;
+        } else {
+          outage = { start: period.start, end: period.end };
+          outages.push(outage);
+        }
+      } else {
+        outage = null;
+      }
+    }
+
+    const lastError = this.db.prepare(`SELECT message FROM events
+      WHERE stream_id = ? AND type = 'error' AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp DESC LIMIT 1`);
+
+    return outages
+      .filter(({ start, end }) => end - start >= MIN_OUTAGE_DURATION)
+      .map(({ start, end }) => {
+        // The outage is still going on if its last period runs to the end of the range
+        const ongoing = periods[periods.length - 1].end === end && periods[periods.length - 1].status !== 'running';
+        const error = lastError.get(id, start - MIN_OUTAGE_DURATION, end);
+        return {
+          start: new Date(start).toISOString(),
+          end: ongoing ? null : new Date(end).toISOString(),
+          duration: Math.round((end - start) / 1000),
+          reason: error ? error.message : null
+        };
+      });
+  }
+
+  _getBuckets(id, from, to, bucketSize, periods) {
+    const first = Math.floor(from / bucketSize);
+    const buckets = [];
+    for (let index = first; index * bucketSize < to; index++) {
+      buckets.push({
+        start: index * bucketSize,
+        upTime: 0,
+        monitoredTime: 0,
+        health: null,
+        bitrate: null,
+        segmentAge: null,
+        viewers: null
+      });
+    }
+
+    // Uptime per bucket, from the same status periods as the overall figure
+    for (const period of periods) {
+      if (period.status === 'stopped') continue;
+      for (let index = Math.floor(period.start / bucketSize) - first; index < buckets.length; index++) {
+        const start = Math.max(period.start, buckets[index].start);
+        const end = Math.min(period.end, buckets[index].start + bucketSize);
+        if (end <= start) break;
+        buckets[index].monitoredTime += end - start;
+        if (period.status === 'running') buckets[index].upTime += end - start;
+      }
+    }
+
+    const rows = this.db.prepare(`SELECT timestamp / CAST(? AS INTEGER) AS bucket,
+        AVG(bitrate) AS bitrate, MAX(segment_age) AS segmentAge, MAX(viewers) AS viewers,
+        MAX(CASE health WHEN 'failed' THEN 3 WHEN 'poor' THEN 2 WHEN 'degraded' THEN 1 WHEN 'good' THEN 0 END) AS health
+      FROM samples WHERE stream_id = ? AND timestamp >= ?
+      GROUP BY bucket`).all(bucketSize, id, from);
+
+    for (const row of rows) {
+      const bucket = buckets[row.bucket - first];
+      if (!bucket) continue;
+      bucket.bitrate = row.bitrate !== null ? Math.round(row.bitrate) : null;
+      bucket.segmentAge = row.segmentAge;
+      bucket.viewers = row.viewers;
+      bucket.health = row.health !== null ? HEALTH_LEVELS[row.health] : null;
+    }
+
+    return buckets.map(({ start, upTime, monitoredTime, ...values }) => ({
+      start: new Date(start).toISOString(),
+      uptimePercent: monitoredTime > 0 ? Math.round((upTime / monitoredTime) * 1000) / 10 : null,
+      ...values
+    }));
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [HistoryManager] ${message}`);
+  }
+}
+
+module.exports = HistoryManager;
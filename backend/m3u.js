@@ -0,0 +1,127 @@
+// Helpers for reading extended M3U playlists as handed out by IPTV providers
+
+// Parse attributes such as tvg-id="..." group-title="..." from an #EXTINF line
+const parseAttributes = (text) => {
+  const attributes = {};
+  const attributePattern = /([\w-]+)="([^"]*)"/g;
+  let match;
+
+  while ((match = attributePattern.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2].trim();
+  }
+
+  return attributes;
+};
+
+// Split an #EXTINF line into its attribute section and display name.
+// The name follows the first comma that is not inside a quoted attribute.
+const splitExtinf = (line) => {
+  const body = line.substring(line.indexOf(':') + 1);
+  let inQuotes = false;
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (body[i] === ',' && !inQuotes) {
+      return {
+        info: body.substring(0, i),
+        name: body.substring(i + 1).trim()
+      };
+    }
+  }
+
+  return { info: body, name: '' };
+};
+
+// Parse an extended M3U playlist into a list of channels
+const parseM3u = (content) => {
+  if (typeof content !== 'string') {
+    throw new Error('Playlist content must be a string');
+  }
+
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const channels = [];
+  let current = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      continue;
+    }
+
+    if (line.startsWith('#EXTINF')) {
+      const { info, name } = splitExtinf(line);
+      const attributes = parseAttributes(info);
+
+      current = {
+        name: name || attributes['tvg-name'] || '',
+        tvgId: attributes['tvg-id'] || null,
+        tvgName: attributes['tvg-name'] || null,
+        logo: attributes['tvg-logo'] || null,
+        group: attributes['group-title'] || null,
+        channelNumber: attributes['tvg-chno'] ? parseInt(attributes['tvg-chno']) || null : null
+      };
+    } else if (line.startsWith('#EXTGRP:')) {
+      // Some playlists put the group on a separate line
+      if (current && !current.group) {
+        current.group = line.substring('#EXTGRP:'.length).trim() || null;
+      }
+    } else if (line.startsWith('#')) {
+      // Ignore the header and player specific directives (#EXTVLCOPT etc.)
+      continue;
+    } else {
+      // Any non-comment line is the URL for the preceding #EXTINF entry
+      const channel = current || {
+        name: '',
+        tvgId: null,
+        tvgName: null,
+        logo: null,
+        group: null,
+        channelNumber: null
+      };
+
+      channel.url = line;
+      if (!channel.name) {
+        channel.name = line.substring(line.lastIndexOf('/') + 1) || line;
+      }
+
+      channels.push(channel);
+      current = null;
+    }
+  }
+
+  return channels;
+};
+
+// Attribute values cannot contain double quotes or line breaks
+const cleanAttribute = (value) => String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ').trim();
+
+// Generate an extended M3U playlist from a list of channels
+// Each entry: { name, url, tvgId, tvgName, logo, group, channelNumber }
+const generateM3u = (channels, options = {}) => {
+  const header = options.tvgUrl ? `#EXTM3U url-tvg="${cleanAttribute(options.tvgUrl)}"` : '#EXTM3U';
+  const lines = [header];
+
+  for (const channel of channels) {
+    const attributes = [
+      ['tvg-id', channel.tvgId],
+      ['tvg-name', channel.tvgName || channel.name],
+      ['tvg-logo', channel.logo],
+      ['tvg-chno', channel.channelNumber],
+      ['group-title', channel.group]
+    ]
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}="${cleanAttribute(value)}"`);
+
+    lines.push(`#EXTINF:-1 ${attributes.join(' ')},${String(channel.name).replace(/[\r\n]+/g, ' ').trim()}`);
+    lines.push(channel.url);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  parseM3u,
+  generateM3u
+};
@@ -0,0 +1,104 @@
+// Prometheus text exposition of stream state, for scraping into Grafana and friends.
+// Every value is derived from the stream manager when /metrics is requested.
+
+const STATUSES = ['running', 'starting', 'stopped', 'error'];
+const HEALTHS = ['good', 'degraded', 'poor', 'failed', 'unknown'];
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Collects samples per metric so each metric's HELP and TYPE are written once
+class MetricsBuilder {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  define(name, type, help) {
+    this.metrics.set(name, { type, help, samples: [] });
+  }
+
+  add(name, labels, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+    this.metrics.get(name).samples.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+
+  toString() {
+    const lines = [];
+    for (const [name, { type, help, samples }] of this.metrics) {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(...samples);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const buildMetrics = (streamManager, viewerManager) => {
+  const metrics = new MetricsBuilder();
+
+  metrics.define('restream_streams', 'gauge', 'Number of configured streams');
+  metrics.define('restream_stream_status', 'gauge', 'Current stream status (1 for the active status)');
+  metrics.define('restream_stream_health', 'gauge', 'Current stream health (1 for the active health)');
+  metrics.define('restream_stream_uptime_seconds', 'gauge', 'Seconds since the stream was last (re)started, 0 when not running');
+  metrics.define('restream_stream_restarts_total', 'counter', 'Automatic restarts (reconnects and source failovers); reset by a manual restart');
+  metrics.define('restream_stream_reconnect_attempt', 'gauge', 'Attempt number of the pending reconnect, 0 when none is scheduled');
+  metrics.define('restream_stream_errors_total', 'counter', 'Errors recorded for the stream by type');
+  metrics.define('restream_stream_segment_age_seconds', 'gauge', 'Age of the newest HLS segment at the last segment health check');
+  metrics.define('restream_stream_segments', 'gauge', 'Segments in the HLS playlist at the last segment health check');
+  metrics.define('restream_stream_bitrate_bits_per_second', 'gauge', 'Detected or estimated stream bitrate');
+  metrics.define('restream_stream_viewers', 'gauge', 'Current viewer sessions (HLS and MPEG-TS)');
+  metrics.define('restream_stream_active_source', 'gauge', 'Index of the source in use (0 is the primary URL)');
+
+  const streams = streamManager.getStreams();
+  metrics.add('restream_streams', {}, streams.length);
+
+  for (const stream of streams) {
+    const labels = { id: stream.id, name: stream.name, group: stream.group || '' };
+    const running = stream.status === 'running';
+    const diagnostics = stream.diagnostics || {};
+    const stats = stream.stats || {};
+
+    for (const status of STATUSES) {
+      metrics.add('restream_stream_status', { ...labels, status }, stream.status === status ? 1 : 0);
+    }
+    for (const health of HEALTHS) {
+      metrics.add('restream_stream_health', { ...labels, health }, stream.health === health ? 1 : 0);
+    }
+
+    const uptime = running && stats.lastRestart
+      ? Math.max(0, Math.round((Date.now() - new Date(stats.lastRestart).getTime()) / 1000))
+      : 0;
+    metrics.add('restream_stream_uptime_seconds', labels, uptime);
+    metrics.add('restream_stream_restarts_total', labels, stats.restarts || 0);
+    metrics.add('restream_stream_reconnect_attempt', labels,
+      streamManager.reconnectTimers[stream.id] ? diagnostics.reconnectAttempt || 0 : 0);
+
+    const byType = (stream.errors && stream.errors.byType) || {};
+    for (const type in byType) {
+      metrics.add('restream_stream_errors_total', { ...labels, type }, byType[type]);
+    }
+
+    // Segment figures are stale once the stream stops, so only report them while running
+    if (running) {
+      metrics.add('restream_stream_segment_age_seconds', labels, diagnostics.latestSegmentAge);
+      metrics.add('restream_stream_segments', labels, diagnostics.segmentCount);
+      metrics.add('restream_stream_bitrate_bits_per_second', labels, stream.streamInfo ? stream.streamInfo.bitrate : null);
+    }
+
+    metrics.add('restream_stream_viewers', labels, viewerManager.getViewerCount(stream.id));
+    metrics.add('restream_stream_active_source', labels, stream.activeSourceIndex || 0);
+  }
+
+  return metrics.toString();
+};
+
+module.exports = {
+  buildMetrics
+};
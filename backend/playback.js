@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Signed URLs look like "<expiry in ms>.<user id>.<hex hmac>" (the user id is absent in
+// URLs signed by older versions); issued tokens are plain hex
+const SIGNED_TOKEN_PATTERN = /^(\d+)\.(?:([0-9a-f-]{36})\.)?([0-9a-f]{64})$/;
+
+// Split a stream output URL into its path and playback token. The token may be given
+// as a query parameter (?token=...) or, for clients that can only be handed a base URL
+// such as HDHomeRun tuners, as a path prefix (/token/<token>/...).
+const parsePlaybackUrl = (url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const match = pathname.match(/^\/token\/([^/]+)(\/.*)?$/);
+
+  if (match) {
+    return { pathname: match[2] || '/', token: decodeURIComponent(match[1]), prefix: `/token/${match[1]}` };
+  }
+
+  return { pathname, token: searchParams.get('token'), prefix: '' };
+};
+
+// Append a token to every URI in an HLS playlist, so players carry it on to variant
+// playlists, segments and keys
+const addTokenToPlaylist = (content, token) => {
+  const withToken = (uri) => `${uri}${uri.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+
+  return content.split('\n').map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${withToken(uri)}"`);
+    }
+    return withToken(trimmed);
+  }).join('\n');
+};
+
+class PlaybackManager {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.configPath = path.join(process.cwd(), 'data', 'playback.json');
+    this.signedUrlTtl = parseInt(process.env.PLAYBACK_URL_TTL || '12') * 60 * 60 * 1000; // Default: 12 hours
+
+    this.tokens = {};
+    this.secret = null;
+    this.dirty = false;
+
+    this.loadConfig();
+
+    // lastUsed changes on every segment request, so it is written out in batches
+    this.saveIntervalId = setInterval(() => {
+      if (this.dirty) {
+        this.saveConfig();
+      }
+    }, 60000);
+
+    this.log('info', 'Playback Manager initialized');
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configPath)) {
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.tokens = config.tokens || {};
+        this.secret = config.secret || null;
+        this.log('info', `Loaded ${Object.keys(this.tokens).length} playback tokens from configuration`);
+      }
+    } catch (error) {
+      this.log('error', `Failed to load playback configuration: ${error.message}`);
+      this.tokens = {};
+    }
+
+    // Key for signed URLs; replacing it invalidates every signed URL handed out so far
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      this.saveConfig();
+    }
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configPath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      const config = {
+        secret: this.secret,
+        tokens: this.tokens,
+        updatedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), { encoding: 'utf8', mode: 0o600 });
+      this.dirty = false;
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save playback configuration: ${error.message}`);
+      return false;
+    }
+  }
+
+  shutdown() {
+    clearInterval(this.saveIntervalId);
+    if (this.dirty) {
+      this.saveConfig();
+    }
+  }
+
+  // Whether stream outputs are only served to requests with a valid token
+  isRequired() {
+    return this.streamManager.getSettings().playback.requireToken;
+  }
+
+  getTokens() {
+    return Object.values(this.tokens);
+  }
+
+  // Issue a token for one client. streamIds limits it to those streams (all streams when empty),
+  // expiresAt is an optional ISO date.
+  createToken({ name, streamIds, expiresAt }, createdBy = null) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Token name is required');
+    }
+
+    if (streamIds !== undefined && streamIds !== null && !Array.isArray(streamIds)) {
+      throw new Error('Streams must be a list of stream IDs');
+    }
+    const unknown = (streamIds || []).filter(id => !this.streamManager.getStream(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown streams: ${unknown.join(', ')}`);
+    }
+
+    let expires = null;
+    if (expiresAt) {
+      expires = new Date(expiresAt);
+      if (isNaN(expires.getTime()) || expires.getTime() <= Date.now()) {
+        throw new Error('Expiry must be a date in the future');
+      }
+    }
+
+    const id = uuidv4();
+    this.tokens[id] = {
+      id,
+      name: String(name).trim(),
+      token: crypto.randomBytes(24).toString('hex'),
+      streamIds: streamIds && streamIds.length > 0 ? streamIds : null,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: expires ? expires.toISOString() : null,
+      lastUsed: null
+    };
+
+    this.saveConfig();
+    return this.tokens[id];
+  }
+
+  revokeToken(id) {
+    if (!this.tokens[id]) {
+      return false;
+    }
+
+    delete this.tokens[id];
+    this.saveConfig();
+    return true;
+  }
+
+  // Forget a deleted stream in tokens that were limited to it
+  removeStream(streamId) {
+    for (const id in this.tokens) {
+      const record = this.tokens[id];
+      if (record.streamIds && record.streamIds.includes(streamId)) {
+        record.streamIds = record.streamIds.filter(other => other !== streamId);
+        this.dirty = true;
+      }
+    }
+  }
+
+  // Token that expires after signedUrlTtl and only plays the given stream. The id of the
+  // user it was signed for is part of the token, so their viewer sessions can be named.
+  signStream(streamId, userId = null) {
+    const expires = Date.now() + this.signedUrlTtl;
+    const user = userId ? `${userId}.` : '';
+    return {
+      token: `${expires}.${user}${this._sign(streamId, expires, userId)}`,
+      expiresAt: new Date(expires).toISOString()
+    };
+  }
+
+  _sign(streamId, expires, userId = null) {
+    const payload = userId ? `${streamId}:${expires}:${userId}` : `${streamId}:${expires}`;
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  // Issued token record for a token string, or null if unknown or expired
+  _findToken(token) {
+    const record = Object.values(this.tokens).find(candidate => candidate.token === token);
+    if (!record || (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now())) {
+      return null;
+    }
+    return record;
+  }
+
+  // Whether a request with this token may play the stream. A null streamId asks about the
+  // lineup as a whole (playlist.m3u, HDHomeRun), which signed URLs never grant.
+  authorize(token, streamId = null) {
+    if (!this.isRequired()) {
+      return true;
+    }
+    if (!token) {
+      return false;
+    }
+
+    const signed = token.match(SIGNED_TOKEN_PATTERN);
+    if (signed) {
+      const [, expires, userId, signature] = signed;
+      if (!streamId || parseInt(expires) <= Date.now()) {
+        return false;
+      }
+      const expected = this._sign(streamId, expires, userId);
+      return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+    }
+
+    const record = this._findToken(token);
+    if (!record || (streamId && !this.allowsStream(record, streamId))) {
+      return false;
+    }
+
+    record.lastUsed = new Date().toISOString();
+    this.dirty = true;
+    return true;
+  }
+
+  // Who a token belongs to, for viewer sessions: { tokenId, tokenName } for issued tokens,
+  // { userId } for signed URLs, or null for no or unknown tokens
+  describeToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const signed = token.match(SIGNED_TOKEN_PATTERN);
+    if (signed) {
+      return signed[2] ? { userId: signed[2] } : null;
+    }
+
+    const record = this._findToken(token);
+    return record ? { tokenId: record.id, tokenName: record.name } : null;
+  }
+
+  allowsStream(record, streamId) {
+    return !record.streamIds || record.streamIds.includes(streamId);
+  }
+
+  // Streams a token may see in the channel lineup
+  filterLineup(lineup, token) {
+    const record = this.isRequired() && token ? this._findToken(token) : null;
+    if (!record) {
+      return lineup;
+    }
+    return lineup.filter(({ stream }) => this.allowsStream(record, stream.id));
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [PlaybackManager] ${message}`);
+  }
+}
+
+module.exports = PlaybackManager;
+module.exports.parsePlaybackUrl = parsePlaybackUrl;
+module.exports.addTokenToPlaylist = addTokenToPlaylist;
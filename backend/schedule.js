@@ -0,0 +1,150 @@
+// Helpers for stream schedules: weekly time windows, in a time zone, during which a
+// stream should be running. Windows whose end is before their start run past midnight.
+//
+//   { enabled: true, timezone: 'Europe/London',
+//     windows: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '23:30' }] }
+//
+// Days are numbered like Date#getDay: 0 is Sunday.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const MAX_WINDOWS = 20;
+const DST_SEARCH_MINUTES = 120;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = {};
+
+const getFormatter = (timezone) => {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  return formatters[timezone];
+};
+
+const parseTime = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Minutes since Sunday 00:00 in the given time zone
+const getWeekMinute = (date, timezone) => {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return WEEKDAYS.indexOf(parts.weekday) * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute);
+};
+
+// Each window as [start, end) ranges of week minutes. Ranges may run past the end of
+// the week, which isActiveAt allows for.
+const getRanges = (schedule) => {
+  const ranges = [];
+  for (const window of schedule.windows) {
+    const start = parseTime(window.start);
+    let end = parseTime(window.end);
+    if (end <= start) end += MINUTES_PER_DAY;
+
+    for (const day of window.days) {
+      ranges.push([day * MINUTES_PER_DAY + start, day * MINUTES_PER_DAY + end]);
+    }
+  }
+  return ranges;
+};
+
+const isActiveAt = (ranges, minute) => ranges.some(([start, end]) => (
+  (minute >= start && minute < end) || (minute + MINUTES_PER_WEEK >= start && minute + MINUTES_PER_WEEK < end)
+));
+
+// Check a schedule from the API. Returns null for "no schedule".
+const validateSchedule = (schedule) => {
+  if (schedule === undefined || schedule === null) {
+    return null;
+  }
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new Error('Schedule must be an object');
+  }
+
+  const timezone = schedule.timezone || 'UTC';
+  try {
+    getFormatter(timezone);
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timezone}`);
+  }
+
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    throw new Error('A schedule needs at least one time window');
+  }
+  if (schedule.windows.length > MAX_WINDOWS) {
+    throw new Error(`A schedule can have at most ${MAX_WINDOWS} time windows`);
+  }
+
+  const windows = schedule.windows.map(window => {
+    if (!window || typeof window !== 'object') {
+      throw new Error('Each time window must be an object');
+    }
+
+    const days = [...new Set((Array.isArray(window.days) ? window.days : []).map(Number))].sort();
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Each time window needs one or more days (0 = Sunday to 6 = Saturday)');
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new Error('Time window start and end must be HH:MM');
+    }
+    if (window.start === window.end) {
+      throw new Error('Time window start and end must differ');
+    }
+    return { days, start: window.start, end: window.end };
+  });
+
+  return { enabled: schedule.enabled !== false, timezone, windows };
+};
+
+// Whether the stream should be running at the given time
+const isScheduleActive = (schedule, date = new Date()) => (
+  isActiveAt(getRanges(schedule), getWeekMinute(date, schedule.timezone))
+);
+
+// The next time the schedule starts or stops the stream, as { action, at }, or null if
+// it never changes (e.g. windows that cover the whole week)
+const getNextTransition = (schedule, date = new Date()) => {
+  const ranges = getRanges(schedule);
+  const now = getWeekMinute(date, schedule.timezone);
+  const active = isActiveAt(ranges, now);
+
+  // Only window edges can change the state; take the nearest one that does
+  const deltas = [...new Set(ranges.flat().map(minute => (
+    ((minute - now) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK
+  )))].sort((a, b) => a - b);
+  const delta = deltas.find(value => isActiveAt(ranges, (now + value) % MINUTES_PER_WEEK) !== active);
+  if (delta === undefined) {
+    return null;
+  }
+
+  // A daylight saving change in between moves the edge by up to an hour (and one in a
+  // skipped hour never comes), so look around it for the first minute the state flips
+  const startOfMinute = Math.floor(date.getTime() / 60000) * 60000;
+  const estimate = startOfMinute + delta * 60000;
+  let at = new Date(estimate);
+  for (let time = Math.max(startOfMinute + 60000, estimate - DST_SEARCH_MINUTES * 60000);
+    time <= estimate + DST_SEARCH_MINUTES * 60000; time += 60000) {
+    if (isActiveAt(ranges, getWeekMinute(new Date(time), schedule.timezone)) !== active) {
+      at = new Date(time);
+      break;
+    }
+  }
+
+  return { action: active ? 'stop' : 'start', at: at.toISOString() };
+};
+
+module.exports = {
+  validateSchedule,
+  isScheduleActive,
+  getNextTransition
+};
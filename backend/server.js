@@ -9,17 +9,55 @@ const morgan = require('morgan');
 
 // Stream manager
 const StreamManager = require('./streamManager');
+const EpgManager = require('./epgManager');
+const UserManager = require('./userManager');
+const PlaybackManager = require('./playback');
+const AlertManager = require('./alertManager');
+const HistoryManager = require('./historyManager');
+const ViewerManager = require('./viewerManager');
+const XtreamManager = require('./xtreamManager');
+const { parsePlaybackUrl, addTokenToPlaylist } = PlaybackManager;
+const { getSessionToken, setSessionCookie, clearSessionCookie, createAuthMiddleware, createRoleMiddleware } = require('./auth');
+const { createEventStream } = require('./events');
+const { buildMetrics } = require('./metrics');
+const { parseM3u, generateM3u } = require('./m3u');
+const { redactSourceUrl, redactSourceText } = require('./xtream');
+const hdhomerun = require('./hdhomerun');
 
 // Load environment variables
 const PORT = process.env.PORT || 8080;
 const STREAMS_PORT = process.env.STREAMS_PORT || 8088;
+// Provider playlists and backups easily exceed the default 100kb body limit
+const MAX_UPLOAD_SIZE = process.env.MAX_UPLOAD_SIZE || '50mb';
+// Origins allowed to call the API from another site (comma separated). Unset: same origin only.
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Bearer token Prometheus must send to read /metrics. Unset: metrics are public.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// API paths reachable without logging in
+const PUBLIC_API_PATHS = ['/health', '/auth/status', '/auth/setup', '/auth/login', '/auth/logout'];
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: MAX_UPLOAD_SIZE }));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(cors());
+if (CORS_ORIGINS.length > 0) {
+  app.use('/api', cors({ origin: CORS_ORIGINS, credentials: true }));
+}
 app.use(morgan('dev'));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: MAX_UPLOAD_SIZE }));
+
+// Initialize user manager
+const userManager = new UserManager();
+const requireAuth = createAuthMiddleware(userManager);
+const requireRole = createRoleMiddleware(userManager);
+
+// Everything under /api needs a session, apart from login itself and the health check
+app.use('/api', (req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_API_PATHS.includes(req.path)) {
+    return next();
+  }
+  requireAuth(req, res, next);
+});
 
 // Serve HLS streams
 app.use('/hls', (req, res, next) => {
@@ -35,8 +73,9 @@ app.use('/hls', (req, res, next) => {
     return res.status(200).end();
   }
   
-  next();
-}, express.static(path.join(process.cwd(), 'data', 'hls')));
+  const { pathname, token, prefix } = parsePlaybackUrl(req.originalUrl);
+  sendHlsFile(req, res, pathname, token, prefix);
+});
 
 // Serve screenshots
 app.use('/api/screenshots', (req, res, next) => {
@@ -64,6 +103,242 @@ const server = http.createServer(app);
 // Initialize stream manager
 const streamManager = new StreamManager();
 
+// Initialize EPG manager
+const epgManager = new EpgManager(streamManager);
+
+// Initialize Xtream Codes provider sync
+const xtreamManager = new XtreamManager(streamManager);
+
+// Initialize playback token manager
+const playbackManager = new PlaybackManager(streamManager);
+
+// Initialize alert manager
+const alertManager = new AlertManager(streamManager);
+
+// Initialize viewer session tracking
+const viewerManager = new ViewerManager(streamManager, playbackManager, userManager);
+
+// Initialize stream history (uptime, outages and bitrate over time)
+const historyManager = new HistoryManager(streamManager, viewerManager);
+
+// Push stream events to the web UI
+const streamEvents = createEventStream(streamManager, userManager, viewerManager);
+
+const HLS_DIR = path.join(process.cwd(), 'data', 'hls');
+
+// Base URL clients used to reach this server (honours a reverse proxy's protocol)
+const getBaseUrl = (req) => {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers.host}`;
+};
+
+// Send an extended M3U playlist of all re-streamed channels.
+// Shared by the web server and the streaming server, so only the plain Node response API is used.
+// Optional query parameters: group (comma separated) and status (e.g. running)
+const sendChannelPlaylist = (req, res) => {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  const { token, prefix } = parsePlaybackUrl(req.url);
+  const baseUrl = `${getBaseUrl(req)}${prefix}`;
+
+  if (!playbackManager.authorize(token)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Playback token required');
+    return;
+  }
+
+  const lineup = playbackManager.filterLineup(streamManager.getChannelLineup({
+    group: searchParams.get('group'),
+    status: searchParams.get('status')
+  }), token);
+
+  // Hand the token on to every channel URL (a path prefix is already part of baseUrl)
+  const tokenQuery = token && !prefix ? `?token=${encodeURIComponent(token)}` : '';
+
+  const playlist = generateM3u(lineup.map(({ stream, channelNumber }) => ({
+    name: stream.name,
+    url: `${baseUrl}/hls/${stream.id}/playlist.m3u8${tokenQuery}`,
+    tvgId: stream.tvgId,
+    tvgName: stream.tvgName,
+    logo: stream.logo,
+    group: stream.group,
+    channelNumber
+  })), {
+    // Point clients at our combined guide when one is configured
+    tvgUrl: epgManager.getSources().length > 0 ? `${baseUrl}/epg.xml${tokenQuery}` : null
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'audio/x-mpegurl; charset=utf-8',
+    'Content-Disposition': 'inline; filename="playlist.m3u"',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(playlist);
+};
+
+// Send the combined XMLTV guide for the mapped channels (shared by both servers). It needs
+// the same token as the playlist and only lists the channels that token may play.
+const sendEpg = (req, res) => {
+  const { token } = parsePlaybackUrl(req.url);
+
+  if (!playbackManager.authorize(token)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Playback token required');
+    return;
+  }
+
+  const streams = playbackManager.filterLineup(streamManager.getStreams().map(stream => ({ stream })), token)
+    .map(({ stream }) => stream);
+
+  res.writeHead(200, {
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(epgManager.generateXmltv(streams));
+};
+
+// Send an HLS playlist or segment (/hls/{streamId}/{file}) to a player allowed to watch the
+// stream (shared by both servers). Playlists requested with ?token= are rewritten so the
+// token follows onto every variant playlist and segment.
+const sendHlsFile = (req, res, pathname, token, prefix) => {
+  const streamId = pathname.split('/')[2];
+
+  if (!pathname.startsWith('/hls/') || !streamId || !streamManager.getStream(streamId)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Stream not found');
+    return;
+  }
+
+  if (!playbackManager.authorize(token, streamId)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Playback token required');
+    return;
+  }
+
+  const rejection = viewerManager.admit(streamId, 'hls', req, res, token);
+  if (rejection) {
+    sendRejection(res, rejection);
+    return;
+  }
+
+  viewerManager.trackHlsRequest(streamId, req, res, token);
+
+  // On-demand streams are started by their first viewer, who waits for the first segments
+  if (streamManager.getStream(streamId).onDemand) {
+    streamManager.requestStream(streamId).then((ready) => {
+      if (!ready) {
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+        res.end('Stream could not be started');
+        return;
+      }
+      serveHlsFile(res, pathname, token, prefix);
+    }).catch((error) => {
+      console.error(`Error starting on-demand stream ${streamId}:`, error);
+      if (!res.headersSent) {
+        res.writeHead(503, { 'Content-Type': 'text/plain' });
+      }
+      res.end('Stream could not be started');
+    });
+    return;
+  }
+
+  serveHlsFile(res, pathname, token, prefix);
+};
+
+const serveHlsFile = (res, pathname, token, prefix) => {
+  const filePath = path.join(HLS_DIR, path.normalize(pathname.substring('/hls'.length)));
+  const isPlaylist = filePath.endsWith('.m3u8');
+
+  if (!filePath.startsWith(HLS_DIR + path.sep) || !(isPlaylist || filePath.endsWith('.ts')) || !fs.existsSync(filePath)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('File not found');
+    return;
+  }
+
+  const headers = {
+    'Content-Type': isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/MP2T',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Access-Control-Allow-Origin': '*'
+  };
+
+  if (isPlaylist && token && !prefix) {
+    try {
+      const playlist = addTokenToPlaylist(fs.readFileSync(filePath, 'utf8'), token);
+      res.writeHead(200, headers);
+      res.end(playlist);
+    } catch (error) {
+      // Segments and playlists are rotated constantly; the file may have just gone
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('File not found');
+    }
+    return;
+  }
+
+  res.writeHead(200, { ...headers, 'Connection': 'keep-alive' });
+
+  const fileStream = fs.createReadStream(filePath);
+  fileStream.pipe(res);
+
+  fileStream.on('error', (error) => {
+    console.error(`Error streaming file: ${error.message}`);
+    res.end();
+  });
+};
+
+// Turn away a viewer over a viewer limit. Full streams may have room again shortly.
+const sendRejection = (res, { status, message }) => {
+  res.writeHead(status, { 'Content-Type': 'text/plain', 'Retry-After': '30' });
+  res.end(message);
+};
+
+// Answer HDHomeRun discovery requests on the streaming server.
+// Returns false when the request is not an HDHomeRun endpoint or emulation is disabled.
+const handleHdHomeRun = (req, res) => {
+  const settings = streamManager.getSettings().hdhomerun;
+  const { pathname, token, prefix } = parsePlaybackUrl(req.url);
+  const endpoints = ['/discover.json', '/lineup.json', '/lineup_status.json', '/device.xml', '/lineup.post'];
+
+  if (!settings.enabled || !endpoints.includes(pathname)) {
+    return false;
+  }
+
+  // Tuners are added by base URL, so they carry their token as a path prefix
+  if (!playbackManager.authorize(token)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Playback token required');
+    return true;
+  }
+
+  const baseUrl = `${getBaseUrl(req)}${prefix}`;
+  const sendJson = (data) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  switch (pathname) {
+    case '/discover.json':
+      sendJson(hdhomerun.buildDiscover(settings, baseUrl));
+      break;
+    case '/lineup.json':
+      sendJson(hdhomerun.buildLineup(settings, playbackManager.filterLineup(streamManager.getChannelLineup(), token), baseUrl));
+      break;
+    case '/lineup_status.json':
+      sendJson(hdhomerun.buildLineupStatus());
+      break;
+    case '/device.xml':
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(hdhomerun.buildDeviceXml(settings, baseUrl));
+      break;
+    default:
+      // Channel scan requests (lineup.post?scan=start) - the lineup is always current
+      res.writeHead(200);
+      res.end();
+  }
+
+  return true;
+};
+
 // Set up HTTP server for streaming output
 const streamingServer = http.createServer((req, res) => {
   // Add CORS headers
@@ -78,12 +353,37 @@ const streamingServer = http.createServer((req, res) => {
     return;
   }
   
+  const { pathname, token, prefix } = parsePlaybackUrl(req.url);
+  
+  // Aggregated channel playlist
+  if (pathname === '/playlist.m3u') {
+    sendChannelPlaylist(req, res);
+    return;
+  }
+  
+  // Combined programme guide
+  if (pathname === '/epg.xml') {
+    sendEpg(req, res);
+    return;
+  }
+  
+  // HDHomeRun tuner emulation
+  if (handleHdHomeRun(req, res)) {
+    return;
+  }
+  
+  // HLS playlists and segments: /hls/{streamId}/playlist.m3u8
+  if (pathname.endsWith('.m3u8') || pathname.endsWith('.ts')) {
+    sendHlsFile(req, res, pathname, token, prefix);
+    return;
+  }
+  
   // Parse the URL path to get stream ID
-  const urlPath = req.url.split('/');
+  const urlPath = pathname.split('/');
   let streamId = '';
   
-  if (urlPath.length > 1 && urlPath[1] === 'hls' && urlPath.length > 2) {
-    // Format: /hls/{streamId}/playlist.m3u8
+  if (urlPath.length > 2 && urlPath[1] === 'hls') {
+    // Format: /hls/{streamId}
     streamId = urlPath[2];
   } else if (urlPath.length > 1) {
     // Legacy format: /{streamId}
@@ -96,32 +396,41 @@ const streamingServer = http.createServer((req, res) => {
     return;
   }
   
-  // Check if this is an HLS request
-  if (req.url.includes('.m3u8') || req.url.includes('.ts')) {
-    // For HLS segments and playlists, serve the file directly
-    const filePath = path.join(process.cwd(), 'data', req.url);
-    
-    if (fs.existsSync(filePath)) {
-      const contentType = req.url.includes('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/MP2T';
-      
-      res.writeHead(200, {
-        'Content-Type': contentType,
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
-      });
-      
-      const fileStream = fs.createReadStream(filePath);
-      fileStream.pipe(res);
-      
-      fileStream.on('error', (error) => {
-        console.error(`Error streaming file: ${error.message}`);
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Internal Server Error');
+  if (!playbackManager.authorize(token, streamId)) {
+    res.writeHead(401, { 'Content-Type': 'text/plain' });
+    res.end('Playback token required');
+    return;
+  }
+  
+  const rejection = viewerManager.admit(streamId, 'ts', req, res, token);
+  if (rejection) {
+    sendRejection(res, rejection);
+    return;
+  }
+  
+  // Raw MPEG-TS output, fanned out from the stream's ffmpeg process
+  if (streamManager.getStream(streamId).onDemand) {
+    streamManager.requestStream(streamId)
+      .then(() => sendTsOutput(req, res, streamId, token))
+      .catch((error) => {
+        console.error(`Error starting on-demand stream ${streamId}:`, error);
+        if (!res.headersSent) {
+          res.writeHead(503, { 'Content-Type': 'text/plain' });
+        }
+        res.end('Stream could not be started');
       });
-      
-      return;
-    }
+    return;
+  }
+  
+  sendTsOutput(req, res, streamId, token);
+});
+
+const sendTsOutput = (req, res, streamId, token) => {
+  const stream = streamManager.getStream(streamId);
+  if (!stream || stream.status !== 'running') {
+    res.writeHead(503, { 'Content-Type': 'text/plain' });
+    res.end('Stream is not running');
+    return;
   }
   
   // Set appropriate headers for streaming
@@ -132,32 +441,217 @@ const streamingServer = http.createServer((req, res) => {
     'Access-Control-Allow-Origin': '*'
   });
   
-  // Stream is handled by ffmpeg directly to this port
-  req.on('close', () => {
-    console.log(`Client disconnected from stream ${streamId}`);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  
+  if (!streamManager.addTsClient(streamId, res)) {
+    res.end();
+    return;
+  }
+  viewerManager.trackTsClient(res);
+};
+
+// API Routes
+// Authentication
+const startSession = (req, res, user) => {
+  const token = userManager.createSession(user.id);
+  setSessionCookie(req, res, token, userManager.sessionTtl);
+  res.json({ user: userManager.toPublicUser(user), token });
+};
+
+app.get('/api/auth/status', (req, res) => {
+  const user = userManager.getSessionUser(getSessionToken(req));
+  res.json({
+    setupRequired: userManager.needsSetup(),
+    user: user ? userManager.toPublicUser(user) : null
   });
 });
 
-// API Routes
+// Create the first account. Only possible while no users exist.
+app.post('/api/auth/setup', (req, res) => {
+  if (!userManager.needsSetup()) {
+    return res.status(403).json({ error: 'Setup has already been completed' });
+  }
+
+  try {
+    const { username, password } = req.body;
+    const user = userManager.createUser(username, password, 'admin');
+    console.log(`Initial user ${user.username} created`);
+    startSession(req, res, user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  try {
+    const user = userManager.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    startSession(req, res, user);
+  } catch (error) {
+    res.status(429).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  userManager.destroySession(getSessionToken(req));
+  clearSessionCookie(req, res);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(userManager.toPublicUser(req.user));
+});
+
+app.put('/api/auth/password', (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    userManager.changePassword(req.user.id, currentPassword, newPassword);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(userManager.getUsers());
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const { username, password, role } = req.body;
+
+  try {
+    const user = userManager.createUser(username, password, role);
+    res.status(201).json(userManager.toPublicUser(user));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  const { role, password } = req.body;
+
+  try {
+    const user = userManager.updateUser(req.params.id, { role, password });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(userManager.toPublicUser(user));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!userManager.deleteUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Live stream events (Server-Sent Events)
+app.get('/api/events', streamEvents);
+
+// Source URLs often carry the provider login, so only admins (who edit them) see them whole
+const toStreamResponse = (stream, user) => {
+  if (userManager.hasRole(user, 'admin')) {
+    return stream;
+  }
+
+  return {
+    ...stream,
+    url: redactSourceUrl(stream.url),
+    backupUrls: (stream.backupUrls || []).map(redactSourceUrl),
+    resolvedUrl: redactSourceUrl(stream.resolvedUrl),
+    variantInfo: stream.variantInfo ? { ...stream.variantInfo, url: redactSourceUrl(stream.variantInfo.url) } : stream.variantInfo
+  };
+};
+
 app.get('/api/streams', (req, res) => {
-  res.json(streamManager.getStreams());
+  res.json(streamManager.getStreams().map(stream => toStreamResponse(stream, req.user)));
 });
 
-app.post('/api/streams', (req, res) => {
-  const { name, url } = req.body;
+app.post('/api/streams', requireRole('admin'), (req, res) => {
+  const { name, url, channelNumber, group, tags, logo, outputProfile, variantPolicy, backupUrls, schedule, onDemand, maxViewers, providerId } = req.body;
   
   if (!name || !url) {
     return res.status(400).json({ error: 'Name and URL are required' });
   }
   
   try {
-    const stream = streamManager.addStream(name, url);
+    const stream = streamManager.addStream(name, url, {
+      channelNumber,
+      group,
+      logo,
+      tags,
+      outputProfile,
+      variantPolicy,
+      backupUrls,
+      schedule,
+      onDemand,
+      maxViewers,
+      providerId
+    });
     res.status(201).json(stream);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Set the group and add or remove tags on the selected streams
+app.post('/api/streams/assign', requireRole('admin'), (req, res) => {
+  const { ids, group, addTags, removeTags } = req.body;
+
+  try {
+    res.json(streamManager.assignStreams(ids, { group, addTags, removeTags }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start, stop, restart, delete, regroup or re-profile many streams at once. Streams are
+// picked by ids or by group/tag; each one gets its own result.
+const OPERATOR_BULK_ACTIONS = ['start', 'stop', 'restart'];
+
+app.post('/api/streams/bulk', requireRole('operator'), async (req, res) => {
+  const { action, ids, group, tag, params } = req.body;
+
+  if (!OPERATOR_BULK_ACTIONS.includes(action) && !userManager.hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'This action requires the admin role' });
+  }
+
+  let results;
+  try {
+    const streamIds = streamManager.selectStreamIds({ ids, group, tag });
+    results = await streamManager.bulkAction(action, streamIds, params);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (action === 'delete') {
+    results.filter(result => result.success).forEach(result => playbackManager.removeStream(result.id));
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  res.json({ action, total: results.length, succeeded, failed: results.length - succeeded, results });
+});
+
 app.get('/api/streams/:id', (req, res) => {
   const stream = streamManager.getStream(req.params.id);
   
@@ -165,18 +659,18 @@ app.get('/api/streams/:id', (req, res) => {
     return res.status(404).json({ error: 'Stream not found' });
   }
   
-  res.json(stream);
+  res.json(toStreamResponse(stream, req.user));
 });
 
-app.put('/api/streams/:id', (req, res) => {
-  const { name, url } = req.body;
+app.put('/api/streams/:id', requireRole('admin'), (req, res) => {
+  const { name, url, channelNumber, group, tags, logo, outputProfile, variantPolicy, backupUrls, schedule, onDemand, maxViewers, providerId } = req.body;
   
   if (!name || !url) {
     return res.status(400).json({ error: 'Name and URL are required' });
   }
   
   try {
-    const stream = streamManager.updateStream(req.params.id, { name, url });
+    const stream = streamManager.updateStream(req.params.id, { name, url, channelNumber, group, tags, logo, outputProfile, variantPolicy, backupUrls, schedule, onDemand, maxViewers, providerId });
     
     if (!stream) {
       return res.status(404).json({ error: 'Stream not found' });
@@ -188,17 +682,18 @@ app.put('/api/streams/:id', (req, res) => {
   }
 });
 
-app.delete('/api/streams/:id', (req, res) => {
+app.delete('/api/streams/:id', requireRole('admin'), (req, res) => {
   const success = streamManager.deleteStream(req.params.id);
   
   if (!success) {
     return res.status(404).json({ error: 'Stream not found' });
   }
   
+  playbackManager.removeStream(req.params.id);
   res.status(204).end();
 });
 
-app.post('/api/streams/:id/start', async (req, res) => {
+app.post('/api/streams/:id/start', requireRole('operator'), async (req, res) => {
   try {
     // Since startStream is now asynchronous due to HLS playlist analysis
     // we need to handle it properly with await
@@ -210,6 +705,11 @@ app.post('/api/streams/:id/start', async (req, res) => {
     
     if (stream && (stream.status === 'running' || stream.status === 'starting')) {
       return res.json({ success: true });
+    } else if (stream && stream.providerWait) {
+      // Started once the provider has a free connection
+      return res.status(202).json({ success: true, queued: true, reason: stream.providerWait.reason });
+    } else if (stream && streamManager.getProviderBlock(stream.id)) {
+      return res.status(409).json({ error: streamManager.getProviderBlock(stream.id).reason });
     } else {
       return res.status(404).json({ error: 'Stream not found or could not be started' });
     }
@@ -219,7 +719,7 @@ app.post('/api/streams/:id/start', async (req, res) => {
   }
 });
 
-app.post('/api/streams/:id/stop', (req, res) => {
+app.post('/api/streams/:id/stop', requireRole('operator'), (req, res) => {
   const success = streamManager.stopStream(req.params.id);
   
   if (!success) {
@@ -229,7 +729,7 @@ app.post('/api/streams/:id/stop', (req, res) => {
   res.json({ success: true });
 });
 
-app.post('/api/streams/:id/restart', (req, res) => {
+app.post('/api/streams/:id/restart', requireRole('operator'), (req, res) => {
   const success = streamManager.restartStream(req.params.id);
   
   if (!success) {
@@ -239,14 +739,149 @@ app.post('/api/streams/:id/restart', (req, res) => {
   res.json({ success: true });
 });
 
+// Whether the stream's schedule has it running now, and its next scheduled start or stop
+app.get('/api/streams/:id/schedule', (req, res) => {
+  const status = streamManager.getScheduleStatus(req.params.id);
+
+  if (!status) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.json(status);
+});
+
+// Who is watching the stream, with client addresses and user agents, so operators only
+app.get('/api/streams/:id/viewers', requireRole('operator'), (req, res) => {
+  if (!streamManager.getStream(req.params.id)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const sessions = viewerManager.getSessions(req.params.id);
+  res.json({ count: sessions.length, sessions });
+});
+
+// Provider accounts and how many of their connections are in use
+app.get('/api/providers', (req, res) => {
+  res.json(streamManager.getProviders());
+});
+
+app.post('/api/providers', requireRole('admin'), async (req, res) => {
+  const { name, maxConnections, whenFull, xtream } = req.body;
+
+  try {
+    const provider = streamManager.addProvider({ name, maxConnections, whenFull, xtream });
+
+    // Check an Xtream Codes login straight away; a failed one shows on the provider
+    if (provider.xtream) {
+      await xtreamManager.syncProvider(provider.id);
+    }
+
+    res.status(201).json(streamManager.getProvider(provider.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/providers/:id', requireRole('admin'), async (req, res) => {
+  const { name, maxConnections, whenFull, xtream } = req.body;
+
+  try {
+    const previousAccount = streamManager.getProviderAccount(req.params.id);
+    const provider = streamManager.updateProvider(req.params.id, { name, maxConnections, whenFull, xtream });
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+
+    // A changed login, server or format changes every stream URL
+    const account = streamManager.getProviderAccount(provider.id);
+    if (account && JSON.stringify(account) !== JSON.stringify(previousAccount)) {
+      await xtreamManager.syncProvider(provider.id);
+    }
+
+    res.json(streamManager.getProvider(provider.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/providers/:id', requireRole('admin'), (req, res) => {
+  if (!streamManager.deleteProvider(req.params.id)) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Xtream Codes panels: browse live channels, import them as streams and re-sync their URLs
+const requireXtreamProvider = (req, res, next) => {
+  const provider = streamManager.getProvider(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  if (!provider.xtream) {
+    return res.status(400).json({ error: 'This provider has no Xtream Codes login' });
+  }
+  next();
+};
+
+app.get('/api/providers/:id/xtream/categories', requireRole('admin'), requireXtreamProvider, async (req, res) => {
+  try {
+    res.json(await xtreamManager.getCategories(req.params.id));
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.get('/api/providers/:id/xtream/channels', requireRole('admin'), requireXtreamProvider, async (req, res) => {
+  try {
+    res.json(await xtreamManager.getChannels(req.params.id, req.query.category || null));
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.post('/api/providers/:id/xtream/import', requireRole('admin'), requireXtreamProvider, async (req, res) => {
+  const { streamIds } = req.body;
+
+  if (!Array.isArray(streamIds) || streamIds.length === 0) {
+    return res.status(400).json({ error: 'No channels selected for import' });
+  }
+
+  try {
+    const { streams, skipped } = await xtreamManager.importChannels(req.params.id, streamIds);
+    res.status(201).json({
+      success: true,
+      streamsCount: streams.length,
+      skipped,
+      streams
+    });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.post('/api/providers/:id/xtream/sync', requireRole('admin'), requireXtreamProvider, async (req, res) => {
+  const lastSync = await xtreamManager.syncProvider(req.params.id);
+
+  if (lastSync.error) {
+    return res.status(502).json({ error: lastSync.error });
+  }
+
+  res.json(lastSync);
+});
+
+// Viewer counts of all streams
+app.get('/api/viewers', (req, res) => {
+  const streams = viewerManager.getViewerCounts();
+  const total = Object.values(streams).reduce((sum, count) => sum + count, 0);
+  res.json({ total, streams });
+});
+
 app.get('/api/streams/:id/diagnostics', async (req, res) => {
   try {
     const id = req.params.id;
-    logger.info(`[API] Fetching diagnostics for stream ${id}`);
-    
     const stream = streamManager.getStream(id);
     if (!stream) {
-      logger.warn(`[API] Stream ${id} not found for diagnostics request`);
       return res.status(404).json({ error: 'Stream not found' });
     }
     
@@ -257,7 +892,9 @@ app.get('/api/streams/:id/diagnostics', async (req, res) => {
       health: stream.health || 'good', // Default to good if not set
       diagnostics: stream.diagnostics || {},
       stats: stream.stats || {},
-      streamInfo: stream.streamInfo || {}
+      streamInfo: stream.streamInfo || {},
+      activeSourceIndex: stream.activeSourceIndex || 0,
+      lastFailover: stream.lastFailover || null
     };
     
     // If stream is running, trigger a health check update
@@ -269,19 +906,18 @@ app.get('/api/streams/:id/diagnostics', async (req, res) => {
       if (!stream.diagnostics?.lastHealthCheck || 
           (new Date() - new Date(stream.diagnostics.lastHealthCheck)) > (2 * 60 * 1000)) {
         streamManager.analyzeHlsStreamInfo(id)
-          .catch(err => logger.error(`[API] Error analyzing stream for diagnostics: ${err.message}`));
+          .catch(err => console.error(`Error analyzing stream ${id} for diagnostics: ${err.message}`));
       }
     }
     
-    logger.info(`[API] Successfully fetched diagnostics for stream ${id}`);
     return res.json(diagnosticsData);
   } catch (error) {
-    logger.error(`[API] Error fetching stream diagnostics: ${error.message}`);
+    console.error(`Error fetching diagnostics for stream ${req.params.id}: ${error.message}`);
     return res.status(500).json({ error: 'Failed to fetch stream diagnostics' });
   }
 });
 
-app.post('/api/streams/:id/analyze', async (req, res) => {
+app.post('/api/streams/:id/analyze', requireRole('operator'), async (req, res) => {
   const id = req.params.id;
   console.log(`[Server] Analyzing stream ${id}`);
   
@@ -322,7 +958,7 @@ app.post('/api/streams/:id/analyze', async (req, res) => {
   }
 });
 
-app.post('/api/streams/:id/screenshot', (req, res) => {
+app.post('/api/streams/:id/screenshot', requireRole('operator'), (req, res) => {
   const success = streamManager.takeScreenshot(req.params.id);
   
   if (!success) {
@@ -338,7 +974,7 @@ app.post('/api/streams/:id/screenshot', (req, res) => {
 });
 
 // Test a stream URL
-app.post('/api/test-stream', async (req, res) => {
+app.post('/api/test-stream', requireRole('operator'), async (req, res) => {
   const { url } = req.body;
   
   if (!url) {
@@ -465,13 +1101,27 @@ app.get('/api/system', (req, res) => {
   res.json(stats);
 });
 
+// Server settings
+app.get('/api/settings', (req, res) => {
+  res.json(streamManager.getSettings());
+});
+
+app.put('/api/settings', requireRole('admin'), (req, res) => {
+  try {
+    const settings = streamManager.updateSettings(req.body);
+    res.json(settings);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Backup and restore
-app.get('/api/backup', (req, res) => {
+app.get('/api/backup', requireRole('admin'), (req, res) => {
   const backup = streamManager.exportConfig();
   res.json(backup);
 });
 
-app.post('/api/restore', (req, res) => {
+app.post('/api/restore', requireRole('admin'), (req, res) => {
   const { config, mode } = req.body;
   
   if (!config || !config.streams) {
@@ -505,6 +1155,290 @@ app.post('/api/restore', (req, res) => {
   }
 });
 
+// M3U playlist import
+app.post('/api/import/m3u/preview', requireRole('admin'), (req, res) => {
+  const { content } = req.body;
+
+  if (!content || typeof content !== 'string') {
+    return res.status(400).json({ error: 'Playlist content is required' });
+  }
+
+  try {
+    const existingUrls = new Set(streamManager.getStreams().map(stream => stream.url));
+    const channels = parseM3u(content).map(channel => ({
+      ...channel,
+      exists: existingUrls.has(channel.url)
+    }));
+
+    if (channels.length === 0) {
+      return res.status(400).json({ error: 'No channels found in playlist' });
+    }
+
+    res.json({ channels });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/import/m3u', requireRole('admin'), (req, res) => {
+  const { channels } = req.body;
+
+  if (!Array.isArray(channels) || channels.length === 0) {
+    return res.status(400).json({ error: 'No channels selected for import' });
+  }
+
+  const isValid = channels.every(channel =>
+    channel &&
+    typeof channel === 'object' &&
+    channel.name &&
+    channel.url
+  );
+
+  if (!isValid) {
+    return res.status(400).json({ error: 'Every channel needs a name and URL' });
+  }
+
+  try {
+    const streams = streamManager.addStreams(channels);
+    res.status(201).json({
+      success: true,
+      mode: 'append',
+      streamsCount: streams.length,
+      streams
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// EPG API routes
+// Playback tokens
+app.get('/api/playback/tokens', requireRole('admin'), (req, res) => {
+  res.json(playbackManager.getTokens());
+});
+
+app.post('/api/playback/tokens', requireRole('admin'), (req, res) => {
+  const { name, streamIds, expiresAt } = req.body;
+
+  try {
+    const token = playbackManager.createToken({ name, streamIds, expiresAt }, req.user.username);
+    res.status(201).json(token);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/playback/tokens/:id', requireRole('admin'), (req, res) => {
+  if (!playbackManager.revokeToken(req.params.id)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true });
+});
+
+// Alerts
+app.get('/api/alerts', requireRole('admin'), (req, res) => {
+  res.json({
+    rules: alertManager.getRules(),
+    channels: alertManager.getChannels(),
+    active: alertManager.getActiveAlerts()
+  });
+});
+
+app.post('/api/alerts/rules', requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(alertManager.createRule(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/alerts/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    const rule = alertManager.updateRule(req.params.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/rules/:id', requireRole('admin'), (req, res) => {
+  if (!alertManager.deleteRule(req.params.id)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.json({ success: true });
+});
+
+app.post('/api/alerts/channels', requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(alertManager.createChannel(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/alerts/channels/:id', requireRole('admin'), (req, res) => {
+  try {
+    const channel = alertManager.updateChannel(req.params.id, req.body);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    res.json(channel);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/channels/:id', requireRole('admin'), (req, res) => {
+  if (!alertManager.deleteChannel(req.params.id)) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  res.json({ success: true });
+});
+
+// Send a test notification through a channel
+app.post('/api/alerts/channels/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    await alertManager.testChannel(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.message === 'Channel not found' ? 404 : 502).json({ error: error.message });
+  }
+});
+
+// Short-lived token for the signed-in user to play one stream
+app.get('/api/streams/:id/playback', (req, res) => {
+  if (!streamManager.getStream(req.params.id)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  if (!playbackManager.isRequired()) {
+    return res.json({ token: null, expiresAt: null });
+  }
+
+  res.json(playbackManager.signStream(req.params.id, req.user.id));
+});
+
+// Guide URLs carry the provider login too (Xtream Codes xmltv.php links), and a source
+// without a name is named after its URL
+const toEpgSourceResponse = (source, user) => {
+  if (userManager.hasRole(user, 'admin')) {
+    return source;
+  }
+
+  return {
+    ...source,
+    name: redactSourceText(source.name, [source.url]),
+    url: redactSourceUrl(source.url),
+    lastError: redactSourceText(source.lastError, [source.url])
+  };
+};
+
+app.get('/api/epg/sources', (req, res) => {
+  res.json(epgManager.getSources().map(source => toEpgSourceResponse(source, req.user)));
+});
+
+app.post('/api/epg/sources', requireRole('admin'), async (req, res) => {
+  const { name, url, content } = req.body;
+
+  if (!url && !content) {
+    return res.status(400).json({ error: 'An XMLTV URL or file content is required' });
+  }
+
+  try {
+    const source = await epgManager.addSource({ name, url, content });
+    res.status(201).json(source);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/epg/sources/:id', requireRole('admin'), (req, res) => {
+  const success = epgManager.removeSource(req.params.id);
+
+  if (!success) {
+    return res.status(404).json({ error: 'EPG source not found' });
+  }
+
+  res.json({ success: true });
+});
+
+app.post('/api/epg/sources/:id/refresh', requireRole('operator'), async (req, res) => {
+  const source = epgManager.sources[req.params.id];
+
+  if (!source) {
+    return res.status(404).json({ error: 'EPG source not found' });
+  }
+
+  const success = await epgManager.refreshSource(req.params.id);
+
+  if (!success) {
+    return res.status(502).json({ error: redactSourceText(source.lastError, [source.url]) || 'Failed to refresh EPG source' });
+  }
+
+  res.json(toEpgSourceResponse(source, req.user));
+});
+
+app.get('/api/epg/channels', (req, res) => {
+  res.json(epgManager.getChannels());
+});
+
+app.post('/api/epg/automap', requireRole('admin'), (req, res) => {
+  const mapped = epgManager.autoMapStreams();
+  res.json({ success: true, mapped });
+});
+
+app.put('/api/streams/:id/epg', requireRole('admin'), (req, res) => {
+  const { tvgId } = req.body;
+  const stream = streamManager.setEpgChannel(req.params.id, tvgId || null);
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.json(stream);
+});
+
+app.get('/api/streams/:id/epg', (req, res) => {
+  const stream = streamManager.getStream(req.params.id);
+
+  if (!stream) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.json({
+    channelId: stream.tvgId || null,
+    ...epgManager.getNowNext(stream.tvgId)
+  });
+});
+
+app.get('/api/streams/:id/history', (req, res) => {
+  if (!streamManager.getStream(req.params.id)) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  try {
+    res.json(historyManager.getHistory(req.params.id, req.query.range || '24h'));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Aggregated channel playlist and guide for IPTV clients
+app.get('/playlist.m3u', sendChannelPlaylist);
+app.get('/epg.xml', sendEpg);
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).type('text/plain').send('Unauthorized');
+  }
+
+  res.type('text/plain; version=0.0.4').send(buildMetrics(streamManager, viewerManager));
+});
+
 // SPA fallback
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -535,6 +1469,9 @@ streamingServer.listen(STREAMS_PORT, () => {
 const gracefulShutdown = () => {
   console.log('Received shutdown signal, closing servers...');
   
+  // Open event feeds would otherwise keep the web server from closing
+  streamEvents.close();
+  
   // Close web server first
   server.close(() => {
     console.log('Web server closed');
@@ -545,6 +1482,13 @@ const gracefulShutdown = () => {
       
       // Finally shut down all streams
       streamManager.shutdown();
+      epgManager.shutdown();
+      xtreamManager.shutdown();
+      playbackManager.shutdown();
+      alertManager.shutdown();
+      // Closed last so the streams stopping above are still recorded
+      historyManager.shutdown();
+      viewerManager.shutdown();
       console.log('All streams shut down');
       
       process.exit(0);
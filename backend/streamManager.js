@@ -1,10 +1,150 @@
 const { spawn, spawnSync } = require('child_process');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const StreamStore = require('./streamStore');
+const { validateSchedule, isScheduleActive, getNextTransition } = require('./schedule');
+const { validateXtreamAccount, redactSourceText } = require('./xtream');
 
-class StreamManager {
+// Channel attributes carried over from M3U playlists (tvg-id, tvg-logo, group-title...)
+const CHANNEL_ATTRIBUTES = ['tvgId', 'tvgName', 'logo', 'group', 'channelNumber'];
+
+// MPEG-TS packets are always 188 bytes
+const TS_PACKET_SIZE = 188;
+
+// Output profiles: how ffmpeg treats the source before packaging it
+// - copy: pass audio and video through untouched
+// - transcode: H.264/AAC software transcode, optionally scaled and deinterlaced
+// - audio: copy video, transcode audio to AAC (for AC-3/E-AC-3 sources)
+// - abr: H.264/AAC ladder of renditions behind an HLS master playlist
+const OUTPUT_MODES = ['copy', 'transcode', 'audio', 'abr'];
+const DEFAULT_ABR_LADDER = [
+  { height: 1080, videoBitrate: 5000 },
+  { height: 720, videoBitrate: 2800 },
+  { height: 480, videoBitrate: 1200 }
+];
+const MAX_ABR_RENDITIONS = 5;
+const DEFAULT_OUTPUT_PROFILE = {
+  mode: 'copy',
+  height: null, // Output height in pixels, null keeps the source resolution
+  videoBitrate: 3000, // kbit/s
+  audioBitrate: 128, // kbit/s
+  deinterlace: false,
+  renditions: DEFAULT_ABR_LADDER // Only used by the abr mode
+};
+
+// Playlist fetches when resolving HLS variants. Anything that is not a playlist (a live
+// MPEG-TS feed) is dropped after the headers.
+const PLAYLIST_FETCH_TIMEOUT = 10000;
+const MAX_PLAYLIST_SIZE = 1024 * 1024;
+const PLAYLIST_CONTENT_TYPE = /mpegurl/i;
+const SEGMENT_EXTENSION = /\.(ts|mts|m2ts|mp4|mkv|flv|aac|mp3)$/i;
+
+const isPlaylistUrl = (url) => {
+  try {
+    return /\.m3u8?$/i.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Variant policies: which variant of an HLS master playlist a stream pulls
+// - highest / lowest: by bandwidth
+// - closest: nearest to targetHeight
+// - maxBandwidth: highest variant at or below maxBandwidth (kbit/s), lowest if none fit
+const VARIANT_POLICY_MODES = ['highest', 'lowest', 'closest', 'maxBandwidth'];
+const DEFAULT_VARIANT_POLICY = {
+  mode: 'highest',
+  targetHeight: null, // Only used by the closest mode
+  maxBandwidth: null // kbit/s, only used by the maxBandwidth mode
+};
+
+// Limits for the free-form organisation fields
+const MAX_GROUP_LENGTH = 100;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 20;
+
+// Highest viewer limit that can be set on a stream or server-wide
+const MAX_VIEWER_LIMIT = 10000;
+
+// Actions available to bulk operations, and how many streams are worked on at once
+const BULK_ACTIONS = ['start', 'stop', 'restart', 'delete', 'setGroup', 'setProfile'];
+const BULK_CONCURRENCY = 4;
+
+// Run worker over items with at most limit calls in flight, keeping results in order
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+// How often stream schedules are checked
+const SCHEDULE_CHECK_INTERVAL = 30000;
+
+// How often idle on-demand streams are looked for, and how often a viewer waiting for
+// one to start checks for its first segments
+const ON_DEMAND_CHECK_INTERVAL = 10000;
+const ON_DEMAND_POLL_INTERVAL = 500;
+
+// What happens to a start request when a provider's connections are all in use
+const PROVIDER_WHEN_FULL = ['queue', 'refuse'];
+
+// How often queued starts are retried. Stopping a stream retries them straight away; this
+// catches connections freed in other ways, e.g. a stream that failed to start.
+const PROVIDER_QUEUE_INTERVAL = 10000;
+
+// How often changed runtime state (stats, errors, diagnostics) is written to the database
+const STATE_FLUSH_INTERVAL = 10000;
+
+// Server-wide settings persisted alongside the streams
+const DEFAULT_SETTINGS = {
+  hdhomerun: {
+    enabled: true,
+    friendlyName: 'RestreamStream',
+    deviceId: null, // Generated on first start
+    tunerCount: 4,
+    output: 'hls' // Which per-stream output lineup entries point at: hls or ts
+  },
+  playback: {
+    requireToken: false // Only serve stream outputs to requests carrying a playback token
+  },
+  history: {
+    retentionDays: 30, // Samples and events older than this are deleted
+    sampleInterval: 60 // Seconds between bitrate, segment age and viewer samples
+  },
+  onDemand: {
+    idleTimeout: 60, // Seconds without viewers before an on-demand stream is stopped
+    startTimeout: 30 // Seconds a viewer waits for an on-demand stream's first segments
+  },
+  limits: {
+    maxViewers: 0, // Concurrent viewers across all streams, 0 for no limit
+    maxViewersPerClient: 0 // Concurrent viewer sessions per user or playback token, 0 for no limit
+  }
+};
+
+// Emits, with the stream id in every payload:
+//   status      - { id, status, previous }
+//   health      - { id, health, previous }
+//   streamError - { id, type, message, timestamp }
+//   reconnect   - { id, attempt, maxAttempts, nextAttempt }
+//   screenshot  - { id, screenshotPath, screenshotTimestamp }
+//   diagnostics - { id } after each segment health check
+//   queue       - { id, queued, reason } when a start waits for, or gets, a provider connection
+//   added, updated, deleted - { id } when the stream configuration changes
+class StreamManager extends EventEmitter {
   constructor() {
+    super();
+
     // Get configuration from environment variables
     this.outputPort = process.env.STREAMS_PORT || 8088;
     this.maxReconnectAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS || '10');
@@ -14,13 +154,17 @@ class StreamManager {
     this.hlsSegmentTime = parseInt(process.env.HLS_SEGMENT_TIME || '4'); // Segment length in seconds
     this.hlsListSize = parseInt(process.env.HLS_LIST_SIZE || '15'); // Number of segments to keep in playlist
     this.hlsDir = path.join(process.cwd(), 'data', 'hls');
-    this.configPath = path.join(process.cwd(), 'data', 'streams.json');
+    this.legacyConfigPath = path.join(process.cwd(), 'data', 'streams.json'); // Imported into the database on first start
+    this.store = new StreamStore(path.join(process.cwd(), 'data', 'restream.db'));
     this.cleanupInterval = parseInt(process.env.CLEANUP_INTERVAL || '60') * 60 * 1000; // Default: 60 minutes
     this.screenshotsDir = path.join(process.cwd(), 'data', 'screenshots');
     this.screenshotInterval = parseInt(process.env.SCREENSHOT_INTERVAL || '60') * 1000; // Default: 60 seconds
     this.maxBackoffDelay = parseInt(process.env.MAX_BACKOFF_DELAY || '60') * 1000; // Maximum backoff delay (default: 60 seconds)
     this.segmentHealthCheckInterval = parseInt(process.env.SEGMENT_HEALTH_CHECK_INTERVAL || '15') * 1000; // Default: 15 seconds
     this.maxSegmentAge = parseInt(process.env.MAX_SEGMENT_AGE || '3') * this.hlsSegmentTime * 1000; // Default: 3x segment time
+    this.tsClientBufferLimit = parseInt(process.env.TS_CLIENT_BUFFER || '8') * 1024 * 1024; // Drop TS clients that fall this far behind (default: 8 MB)
+    this.failoverThreshold = parseInt(process.env.FAILOVER_THRESHOLD || '3'); // Failed segment health checks before switching source
+    this.failbackInterval = parseInt(process.env.FAILBACK_INTERVAL || '60') * 1000; // How often a failed primary is re-tested (default: 60 seconds)
     
     // Create HLS directory if it doesn't exist
     if (!fs.existsSync(this.hlsDir)) {
@@ -33,22 +177,45 @@ class StreamManager {
     }
     
     this.streams = {};
+    this.providers = {}; // Provider accounts streams belong to, with their connection limits
+    this.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
     this.processes = {};
     this.reconnectAttempts = {};
     this.reconnectTimers = {};
+    this.restartTimers = {}; // Pending starts of manually restarted streams
+    this.probeConnections = {}; // ffprobe runs against a stream's source, per stream
+    this.startAttempts = {}; // The latest start of each stream, so a superseded one can tell
     this.screenshotTimers = {};
     this.segmentHealthChecks = {};
     this.monitors = {}; // Add monitors object to track monitoring intervals
+    this.tsClients = {}; // HTTP responses pulling the raw MPEG-TS output, per stream
+    this.tsRemainders = {}; // Partial TS packets left over from the last stdout chunk
+    this.segmentFailures = {}; // Consecutive failed segment health checks, per stream
+    this.dirtyStates = new Set(); // Streams whose runtime state changed since the last flush
+    this.scheduleStates = {}; // Whether each scheduled stream was last inside a time window
+    this.lastViewed = {}; // When each stream's output was last requested, for on-demand streams
+    this.onDemandStarts = {}; // Pending on-demand starts that viewers are waiting on
     
     // Initialize
     this.initialize();
     
+    this.stateFlushIntervalId = setInterval(() => this.flushState(), STATE_FLUSH_INTERVAL);
+    
     // Start health check
     this.startHealthCheck();
     
     // Start cleanup interval
     this.startCleanupInterval();
     
+    // Start following stream schedules
+    this.startScheduler();
+    
+    // Stop on-demand streams nobody is watching
+    this.onDemandIntervalId = setInterval(() => this.stopIdleStreams(), ON_DEMAND_CHECK_INTERVAL);
+    
+    // Start queued streams once their provider has a free connection
+    this.providerQueueIntervalId = setInterval(() => this.startQueuedStreams(), PROVIDER_QUEUE_INTERVAL);
+    
     this.log('info', 'Stream Manager initialized');
   }
 
@@ -59,41 +226,59 @@ class StreamManager {
 
   loadConfig() {
     try {
-      if (fs.existsSync(this.configPath)) {
-        const data = fs.readFileSync(this.configPath, 'utf8');
-        const config = JSON.parse(data);
-        
-        if (config && config.streams) {
-          this.streams = config.streams;
-          this.log('info', `Loaded ${Object.keys(this.streams).length} streams from configuration`);
-        }
-      } else {
-        this.log('info', 'No existing configuration found, starting with empty streams');
-        this.saveConfig(); // Create initial empty config
+      if (this.store.isNew && fs.existsSync(this.legacyConfigPath)) {
+        this._importLegacyConfig();
+      }
+
+      for (const provider of this.store.loadProviders()) {
+        this.providers[provider.id] = provider;
+      }
+
+      for (const stream of this.store.loadStreams()) {
+        // Nothing is running yet, whatever was saved last
+        this.streams[stream.id] = {
+          ...this._defaultRuntimeState(),
+          ...stream,
+          status: 'stopped',
+          activeSourceIndex: 0
+        };
+      }
+      this._mergeSettings(this.store.loadSettings());
+      this.log('info', `Loaded ${Object.keys(this.streams).length} streams from the database`);
+
+      const numbered = this._numberUnnumberedStreams();
+      if (numbered.length > 0) {
+        this.saveStreams(numbered);
       }
     } catch (error) {
       this.log('error', `Failed to load configuration: ${error.message}`);
       // Start with empty streams object
       this.streams = {};
     }
+
+    // Every emulated tuner needs a stable, unique device id
+    if (!this.settings.hdhomerun.deviceId) {
+      this.settings.hdhomerun.deviceId = uuidv4().replace(/-/g, '').substring(0, 8).toUpperCase();
+      this.saveSettings();
+    }
   }
 
+  // Move the streams.json used before the database into it. The file is kept, renamed,
+  // in case the import needs checking.
+  _importLegacyConfig() {
+    const config = JSON.parse(fs.readFileSync(this.legacyConfigPath, 'utf8'));
+    const streams = Object.entries(config.streams || {}).map(([id, stream]) => ({ ...stream, id }));
+
+    this.store.saveAll(streams, config.settings || {});
+    fs.renameSync(this.legacyConfigPath, `${this.legacyConfigPath}.imported`);
+    this.log('info', `Imported ${streams.length} streams from ${path.basename(this.legacyConfigPath)}`);
+  }
+
+  // Write every stream and the settings in one transaction, e.g. after a restore
   saveConfig() {
     try {
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(this.configPath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      
-      // Prepare config object
-      const config = {
-        streams: this.streams,
-        updatedAt: new Date().toISOString()
-      };
-      
-      // Write to file
-      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), 'utf8');
+      this.store.saveAll(Object.values(this.streams), this.settings, Object.values(this.providers));
+      this.dirtyStates.clear();
       this.log('info', 'Configuration saved successfully');
       return true;
     } catch (error) {
@@ -102,19 +287,104 @@ class StreamManager {
     }
   }
 
+  // Save the configuration of some streams (all by default) in one transaction
+  saveStreams(ids = Object.keys(this.streams)) {
+    try {
+      this.store.saveStreams(ids.filter(id => this.streams[id]).map(id => this.streams[id]));
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save streams: ${error.message}`);
+      return false;
+    }
+  }
+
+  saveStream(id) {
+    return this.saveStreams([id]);
+  }
+
+  _deleteStoredStream(id) {
+    this.dirtyStates.delete(id);
+    try {
+      this.store.deleteStream(id);
+    } catch (error) {
+      this.log('error', `Failed to delete stream ${id} from the database: ${error.message}`);
+    }
+  }
+
+  saveSettings() {
+    try {
+      this.store.saveSettings(this.settings);
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save settings: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Runtime state changes all the time, so it is only marked here and written in batches
+  saveState(id) {
+    this.dirtyStates.add(id);
+  }
+
+  flushState() {
+    if (this.dirtyStates.size === 0) return;
+
+    const streams = [...this.dirtyStates].filter(id => this.streams[id]).map(id => this.streams[id]);
+    this.dirtyStates.clear();
+
+    try {
+      this.store.saveStates(streams);
+    } catch (error) {
+      this.log('error', `Failed to save stream state: ${error.message}`);
+    }
+  }
+
   exportConfig() {
     return {
-      streams: this.streams
+      streams: this.streams,
+      providers: this.providers,
+      settings: this.settings
     };
   }
 
   importConfig(config, startStreams = true, append = false) {
+    // Check everything first, so an invalid backup is refused before anything is replaced
+    const { settings, channels } = this._validateBackup(config, append);
+
     if (!append) {
       // Stop all existing streams if in overwrite mode
       this._stopAllStreams();
       
       // Clear existing streams if in overwrite mode
+      const previousIds = Object.keys(this.streams);
       this.streams = {};
+      previousIds.forEach(id => this.emit('deleted', { id }));
+
+      // Restore settings from the backup, keeping our own device id if it has none
+      if (settings) {
+        this._mergeSettings(settings);
+      }
+
+      this.providers = {};
+    }
+
+    // Import providers before the streams that belong to them
+    for (const id in config.providers || {}) {
+      if (append && this.providers[id]) {
+        continue;
+      }
+      try {
+        const provider = config.providers[id];
+        this.providers[id] = {
+          id,
+          ...this._validateProvider(provider),
+          lastSync: provider.lastSync || null,
+          createdAt: provider.createdAt || new Date().toISOString(),
+          updatedAt: provider.updatedAt || null
+        };
+      } catch (error) {
+        this.log('warn', `Skipping invalid provider ${id}: ${error.message}`);
+      }
     }
 
     // Import streams
@@ -130,31 +400,72 @@ class StreamManager {
         id,
         name: stream.name,
         url: stream.url,
-        status: 'stopped',
-        health: 'unknown',
-        stats: {
-          uptime: 0,
-          restarts: 0,
-          lastError: null,
-          lastRestart: null
-        },
-        errorHistory: [], // Add error history tracking
-        diagnostics: {    // Add diagnostics object
-          lastErrorType: null,
-          errorCount: 0,
-          networkErrors: 0,
-          sourceErrors: 0,
-          ffmpegErrors: 0,
-          segmentGaps: 0,
-          lastHealthCheck: null,
-          healthCheckStatus: null
-        },
+        ...this._defaultRuntimeState(),
         createdAt: stream.createdAt || new Date().toISOString(),
         // Handle screenshot-related fields
         screenshotPath: null,
         screenshotTimestamp: null
       };
 
+      // Import channel attributes if available
+      this._applyChannelAttributes(this.streams[id], { ...stream, ...channels[id] });
+
+      // Import tags, dropping them if the backup has invalid ones
+      try {
+        this.streams[id].tags = this.validateTags(stream.tags);
+      } catch (error) {
+        this.log('warn', `Invalid tags for stream ${id}, dropping them: ${error.message}`);
+        this.streams[id].tags = [];
+      }
+
+      // Import the schedule, dropping it if it is invalid
+      try {
+        this.streams[id].schedule = validateSchedule(stream.schedule);
+      } catch (error) {
+        this.log('warn', `Invalid schedule for stream ${id}, dropping it: ${error.message}`);
+        this.streams[id].schedule = null;
+      }
+
+      this.streams[id].onDemand = Boolean(stream.onDemand);
+
+      // Import the viewer limit, dropping it if it is invalid
+      try {
+        this.streams[id].maxViewers = this.validateMaxViewers(stream.maxViewers);
+      } catch (error) {
+        this.log('warn', `Invalid viewer limit for stream ${id}, dropping it: ${error.message}`);
+        this.streams[id].maxViewers = null;
+      }
+
+      // Keep the provider if it came along (or already exists)
+      if (stream.providerId && this.providers[stream.providerId]) {
+        this.streams[id].providerId = stream.providerId;
+        if (stream.xtreamStreamId) {
+          this.streams[id].xtreamStreamId = stream.xtreamStreamId;
+        }
+      }
+
+      // Import backup sources
+      this.streams[id].backupUrls = Array.isArray(stream.backupUrls)
+        ? stream.backupUrls.filter(backupUrl => typeof backupUrl === 'string' && backupUrl.trim())
+        : [];
+      this.streams[id].activeSourceIndex = 0;
+
+      // Import output profile, falling back to copy if the backup has an invalid one
+      try {
+        this.streams[id].outputProfile = this.validateOutputProfile(stream.outputProfile);
+      } catch (error) {
+        this.log('warn', `Invalid output profile for stream ${id}, using copy: ${error.message}`);
+        this.streams[id].outputProfile = this.validateOutputProfile(null);
+      }
+
+      // Import variant policy, falling back to the highest variant
+      try {
+        this.streams[id].variantPolicy = this.validateVariantPolicy(stream.variantPolicy);
+      } catch (error) {
+        this.log('warn', `Invalid variant policy for stream ${id}, using highest: ${error.message}`);
+        this.streams[id].variantPolicy = this.validateVariantPolicy(null);
+      }
+
       // Import stream info if available
       if (stream.streamInfo) {
         this.streams[id].streamInfo = stream.streamInfo;
@@ -165,28 +476,328 @@ class StreamManager {
         this.streams[id].resolutionCheckCount = stream.resolutionCheckCount;
       }
 
-      if (startStreams) {
-        this.startStream(id);
+      this.emit('added', { id });
+
+      // On-demand streams wait for a viewer and scheduled ones for their window
+      if (startStreams && !this.streams[id].onDemand) {
+        if (this.streams[id].schedule && this.streams[id].schedule.enabled) {
+          delete this.scheduleStates[id];
+          this.checkSchedules([id]);
+        } else {
+          this.startStream(id);
+        }
       }
     }
 
+    this._numberUnnumberedStreams();
     this.saveConfig();
   }
 
+  // Validate the settings and the channel number, group and logo of each stream of a
+  // backup the way the API does, also checking that no two streams share a number (nor
+  // share one with a stream that is kept, when appending). Throws if any is invalid.
+  _validateBackup(config, append) {
+    // Appending keeps the current settings
+    const settings = config.settings && !append
+      ? this._validateSettings(JSON.parse(JSON.stringify(config.settings)))
+      : null;
+    const numbered = append ? Object.values(this.streams) : [];
+    const channels = {};
+
+    for (const id in config.streams) {
+      if (append && this.streams[id]) {
+        continue;
+      }
+
+      const stream = config.streams[id];
+      try {
+        channels[id] = {
+          channelNumber: this.validateChannelNumber(stream.channelNumber, id, numbered),
+          group: this.validateGroup(stream.group),
+          logo: this.validateLogo(stream.logo)
+        };
+      } catch (error) {
+        throw new Error(`Stream ${stream.name}: ${error.message}`);
+      }
+      numbered.push({ id, name: stream.name, channelNumber: channels[id].channelNumber });
+    }
+
+    return { settings, channels };
+  }
+
   getStreams() {
     return Object.values(this.streams);
   }
 
+  getSettings() {
+    return this.settings;
+  }
+
+  // Validate and apply a partial settings update
+  updateSettings(changes = {}) {
+    this._validateSettings(changes);
+    this._mergeSettings(changes);
+    this.saveSettings();
+    return this.settings;
+  }
+
+  // Check settings changes, normalizing the values in place. Throws on the first invalid one.
+  _validateSettings(changes) {
+    const hdhomerun = changes.hdhomerun;
+
+    if (hdhomerun) {
+      if (hdhomerun.tunerCount !== undefined) {
+        const tunerCount = parseInt(hdhomerun.tunerCount);
+        if (isNaN(tunerCount) || tunerCount < 1 || tunerCount > 32) {
+          throw new Error('Tuner count must be between 1 and 32');
+        }
+        hdhomerun.tunerCount = tunerCount;
+      }
+
+      if (hdhomerun.output !== undefined && !['hls', 'ts'].includes(hdhomerun.output)) {
+        throw new Error('Output must be either hls or ts');
+      }
+
+      if (hdhomerun.friendlyName !== undefined && !String(hdhomerun.friendlyName).trim()) {
+        throw new Error('Friendly name cannot be empty');
+      }
+      if (hdhomerun.friendlyName !== undefined) {
+        hdhomerun.friendlyName = String(hdhomerun.friendlyName).trim();
+      }
+
+      if (hdhomerun.deviceId !== undefined && !/^[0-9A-F]{8}$/i.test(hdhomerun.deviceId)) {
+        throw new Error('Device ID must be 8 hexadecimal characters');
+      }
+      if (hdhomerun.deviceId !== undefined) {
+        hdhomerun.deviceId = hdhomerun.deviceId.toUpperCase();
+      }
+
+      if (hdhomerun.enabled !== undefined) {
+        hdhomerun.enabled = Boolean(hdhomerun.enabled);
+      }
+    }
+
+    if (changes.playback && changes.playback.requireToken !== undefined) {
+      changes.playback.requireToken = Boolean(changes.playback.requireToken);
+    }
+
+    const history = changes.history;
+
+    if (history) {
+      if (history.retentionDays !== undefined) {
+        const retentionDays = parseInt(history.retentionDays);
+        if (isNaN(retentionDays) || retentionDays < 1 || retentionDays > 365) {
+          throw new Error('History retention must be between 1 and 365 days');
+        }
+        history.retentionDays = retentionDays;
+      }
+
+      if (history.sampleInterval !== undefined) {
+        const sampleInterval = parseInt(history.sampleInterval);
+        if (isNaN(sampleInterval) || sampleInterval < 10 || sampleInterval > 3600) {
+          throw new Error('History sample interval must be between 10 and 3600 seconds');
+        }
+        history.sampleInterval = sampleInterval;
+      }
+    }
+
+    const onDemand = changes.onDemand;
+
+    if (onDemand) {
+      if (onDemand.idleTimeout !== undefined) {
+        const idleTimeout = parseInt(onDemand.idleTimeout);
+        if (isNaN(idleTimeout) || idleTimeout < 10 || idleTimeout > 3600) {
+          throw new Error('On-demand idle timeout must be between 10 and 3600 seconds');
+        }
+        onDemand.idleTimeout = idleTimeout;
+      }
+
+      if (onDemand.startTimeout !== undefined) {
+        const startTimeout = parseInt(onDemand.startTimeout);
+        if (isNaN(startTimeout) || startTimeout < 5 || startTimeout > 120) {
+          throw new Error('On-demand start timeout must be between 5 and 120 seconds');
+        }
+        onDemand.startTimeout = startTimeout;
+      }
+    }
+
+    const limits = changes.limits;
+
+    if (limits) {
+      for (const [key, label] of [['maxViewers', 'Viewer limit'], ['maxViewersPerClient', 'Viewer limit per client']]) {
+        if (limits[key] !== undefined) {
+          const value = limits[key] === null || limits[key] === '' ? 0 : parseInt(limits[key]);
+          if (isNaN(value) || value < 0 || value > MAX_VIEWER_LIMIT) {
+            throw new Error(`${label} must be between 0 (no limit) and ${MAX_VIEWER_LIMIT}`);
+          }
+          limits[key] = value;
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  // Merge known settings sections over the current ones
+  _mergeSettings(settings) {
+    for (const section in DEFAULT_SETTINGS) {
+      if (settings[section] && typeof settings[section] === 'object') {
+        for (const key in DEFAULT_SETTINGS[section]) {
+          if (settings[section][key] !== undefined && settings[section][key] !== null) {
+            this.settings[section][key] = settings[section][key];
+          }
+        }
+      }
+    }
+  }
+
   getStream(id) {
     return this.streams[id] || null;
   }
 
-  addStream(name, url) {
+  // Get streams ordered as a channel lineup, with every stream assigned a channel number.
+  // Streams are numbered when they are created; one that somehow has no number gets the
+  // next free number after the highest one in use.
+  getChannelLineup({ group = null, status = null } = {}) {
+    const streams = Object.values(this.streams).sort((a, b) => {
+      const aNumber = a.channelNumber || Infinity;
+      const bNumber = b.channelNumber || Infinity;
+      if (aNumber !== bNumber) {
+        return aNumber - bNumber;
+      }
+      return (a.name || '').localeCompare(b.name || '');
+    });
+
+    const usedNumbers = new Set(streams.filter(s => s.channelNumber).map(s => Number(s.channelNumber)));
+    let nextNumber = usedNumbers.size > 0 ? Math.max(...usedNumbers) + 1 : 1;
+
+    const lineup = streams.map(stream => {
+      let channelNumber = stream.channelNumber ? Number(stream.channelNumber) : null;
+      if (!channelNumber) {
+        channelNumber = nextNumber++;
+      }
+      return { stream, channelNumber };
+    });
+
+    // Filters are applied after numbering so a channel keeps its number in every filtered view
+    const groups = group ? group.split(',').map(g => g.trim().toLowerCase()).filter(Boolean) : [];
+
+    return lineup.filter(({ stream }) => {
+      if (groups.length > 0 && !groups.includes((stream.group || '').toLowerCase())) {
+        return false;
+      }
+      if (status && stream.status !== status) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  addStream(name, url, attributes = {}) {
+    const stream = this._createStream(name, url, attributes);
+    this.saveStream(stream.id);
+    this.emit('added', { id: stream.id });
+    this.checkSchedules([stream.id]);
+    return stream;
+  }
+
+  // Add several streams at once (e.g. from an M3U playlist) with a single config save.
+  // All or nothing: if one channel is invalid, those created before it are taken out again.
+  addStreams(channels) {
+    const added = [];
+    try {
+      for (const channel of channels) {
+        added.push(this._createStream(channel.name, channel.url, this._importableAttributes(channel)));
+      }
+    } catch (error) {
+      added.forEach(stream => delete this.streams[stream.id]);
+      throw error;
+    }
+
+    this.saveStreams(added.map(stream => stream.id));
+    added.forEach(stream => this.emit('added', { id: stream.id }));
+    return added;
+  }
+
+  // Channel attributes of an imported channel that pass validation. A bad logo or group
+  // leaves that attribute off rather than failing the whole import, and a channel number
+  // that is already taken (also by an earlier channel of the same import) is dropped.
+  _importableAttributes(channel) {
+    const attributes = { ...channel };
+    const validators = {
+      channelNumber: value => this.validateChannelNumber(value),
+      group: value => this.validateGroup(value),
+      logo: value => this.validateLogo(value)
+    };
+
+    for (const [key, validate] of Object.entries(validators)) {
+      try {
+        attributes[key] = validate(attributes[key]);
+      } catch (error) {
+        this.log('warn', `[${channel.name}] Ignoring imported ${key}: ${error.message}`);
+        attributes[key] = null;
+      }
+    }
+    return attributes;
+  }
+
+  _createStream(name, url, attributes = {}) {
     const id = uuidv4();
     const stream = {
       id,
       name,
       url,
+      ...this._defaultRuntimeState(),
+      outputProfile: this.validateOutputProfile(attributes.outputProfile),
+      variantPolicy: this.validateVariantPolicy(attributes.variantPolicy),
+      backupUrls: this.validateBackupUrls(attributes.backupUrls),
+      tags: this.validateTags(attributes.tags),
+      schedule: validateSchedule(attributes.schedule),
+      onDemand: Boolean(attributes.onDemand),
+      maxViewers: this.validateMaxViewers(attributes.maxViewers),
+      providerId: this.validateProviderId(attributes.providerId),
+      xtreamStreamId: attributes.xtreamStreamId || null,
+      activeSourceIndex: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    this._applyChannelAttributes(stream, {
+      ...attributes,
+      // Numbered straight away, so adding or renaming other streams never renumbers it
+      channelNumber: this.validateChannelNumber(attributes.channelNumber) || this._nextChannelNumber(),
+      group: this.validateGroup(attributes.group),
+      logo: this.validateLogo(attributes.logo)
+    });
+
+    this.streams[id] = stream;
+    return stream;
+  }
+
+  // The next channel number after the highest one in use
+  _nextChannelNumber() {
+    const numbers = Object.values(this.streams).map(stream => Number(stream.channelNumber) || 0);
+    return Math.max(0, ...numbers) + 1;
+  }
+
+  // Store a number on streams from before every stream had one, keeping the numbers the
+  // lineup gave them (after the highest number, in name order) so tuners keep their mapping
+  _numberUnnumberedStreams() {
+    const numbered = this.getChannelLineup()
+      .filter(({ stream }) => !stream.channelNumber)
+      .map(({ stream, channelNumber }) => {
+        stream.channelNumber = channelNumber;
+        return stream.id;
+      });
+
+    if (numbered.length > 0) {
+      this.log('info', `Assigned channel numbers to ${numbered.length} streams`);
+    }
+    return numbered;
+  }
+
+  // Runtime fields a new (or newly loaded) stream starts with
+  _defaultRuntimeState() {
+    return {
       status: 'stopped',
       health: 'unknown',
       stats: {
@@ -205,20 +816,359 @@ class StreamManager {
         segmentGaps: 0,
         lastHealthCheck: null,
         healthCheckStatus: null
-      },
-      createdAt: new Date().toISOString()
+      }
     };
+  }
 
-    this.streams[id] = stream;
-    this.saveConfig();
+  // Copy known channel attributes onto a stream, ignoring empty values
+  _applyChannelAttributes(stream, attributes = {}) {
+    for (const key of CHANNEL_ATTRIBUTES) {
+      if (attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '') {
+        stream[key] = attributes[key];
+      }
+    }
     return stream;
   }
 
-  updateStream(id, { name, url }) {
+  // Map a stream onto an EPG channel id (tvg-id). Pass null to clear the mapping.
+  setEpgChannel(id, channelId, save = true) {
+    if (!this.streams[id]) {
+      return null;
+    }
+
+    if (channelId) {
+      this.streams[id].tvgId = channelId;
+    } else {
+      delete this.streams[id].tvgId;
+    }
+    this.streams[id].updatedAt = new Date().toISOString();
+    this.emit('updated', { id });
+
+    if (save) {
+      this.saveStream(id);
+    }
+    return this.streams[id];
+  }
+
+  // Validate a channel number for a stream. Returns null when the number is cleared.
+  validateChannelNumber(channelNumber, id = null, streams = Object.values(this.streams)) {
+    if (channelNumber === undefined || channelNumber === null || channelNumber === '') {
+      return null;
+    }
+
+    const number = Number(channelNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error('Channel number must be a positive whole number');
+    }
+
+    const taken = streams.find(stream => stream.id !== id && stream.channelNumber === number);
+    if (taken) {
+      throw new Error(`Channel number ${number} is already used by ${taken.name}`);
+    }
+
+    return number;
+  }
+
+  // Validate an output profile, filling in defaults. Throws on invalid values.
+  validateOutputProfile(profile) {
+    const result = { ...DEFAULT_OUTPUT_PROFILE, ...(profile || {}) };
+
+    if (!OUTPUT_MODES.includes(result.mode)) {
+      throw new Error(`Output mode must be one of: ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    if (result.height === '' || result.height === undefined) {
+      result.height = null;
+    }
+    if (result.height !== null) {
+      result.height = Number(result.height);
+      if (!Number.isInteger(result.height) || result.height < 144 || result.height > 2160) {
+        throw new Error('Output height must be between 144 and 2160 pixels');
+      }
+    }
+
+    result.videoBitrate = Number(result.videoBitrate);
+    if (!Number.isInteger(result.videoBitrate) || result.videoBitrate < 100 || result.videoBitrate > 50000) {
+      throw new Error('Video bitrate must be between 100 and 50000 kbit/s');
+    }
+
+    result.audioBitrate = Number(result.audioBitrate);
+    if (!Number.isInteger(result.audioBitrate) || result.audioBitrate < 32 || result.audioBitrate > 512) {
+      throw new Error('Audio bitrate must be between 32 and 512 kbit/s');
+    }
+
+    result.deinterlace = Boolean(result.deinterlace);
+
+    // Scaling and deinterlacing both need the video to be re-encoded
+    if (!['transcode', 'abr'].includes(result.mode) && (result.height !== null || result.deinterlace)) {
+      throw new Error('Scaling and deinterlacing require the transcode output mode');
+    }
+
+    if (result.mode === 'abr' && result.height !== null) {
+      throw new Error('Set the height of each rendition instead of the output height for ABR output');
+    }
+
+    return {
+      mode: result.mode,
+      height: result.height,
+      videoBitrate: result.videoBitrate,
+      audioBitrate: result.audioBitrate,
+      deinterlace: result.deinterlace,
+      renditions: result.mode === 'abr' ? this._validateRenditions(result.renditions) : this._keepRenditions(result.renditions)
+    };
+  }
+
+  // Other modes don't use the ladder, but keep a valid one for when the stream is switched
+  // back to ABR. Anything else is replaced by the default ladder.
+  _keepRenditions(renditions) {
+    try {
+      return this._validateRenditions(renditions);
+    } catch (error) {
+      return DEFAULT_ABR_LADDER;
+    }
+  }
+
+  // Validate an ABR ladder, returning it ordered from the highest rendition down
+  _validateRenditions(renditions) {
+    if (!Array.isArray(renditions) || renditions.length === 0) {
+      throw new Error('The ABR ladder needs at least one rendition');
+    }
+
+    if (renditions.length > MAX_ABR_RENDITIONS) {
+      throw new Error(`The ABR ladder can have at most ${MAX_ABR_RENDITIONS} renditions`);
+    }
+
+    const ladder = renditions.map(rendition => {
+      const height = Number(rendition && rendition.height);
+      const videoBitrate = Number(rendition && rendition.videoBitrate);
+
+      if (!Number.isInteger(height) || height < 144 || height > 2160) {
+        throw new Error('Rendition height must be between 144 and 2160 pixels');
+      }
+      if (!Number.isInteger(videoBitrate) || videoBitrate < 100 || videoBitrate > 50000) {
+        throw new Error('Rendition bitrate must be between 100 and 50000 kbit/s');
+      }
+
+      return { height, videoBitrate };
+    });
+
+    if (new Set(ladder.map(rendition => rendition.height)).size !== ladder.length) {
+      throw new Error('Each rendition in the ABR ladder needs a different height');
+    }
+
+    return ladder.sort((a, b) => b.height - a.height);
+  }
+
+  // Validate a variant policy, filling in defaults for missing fields
+  validateVariantPolicy(policy) {
+    const merged = { ...DEFAULT_VARIANT_POLICY, ...(policy || {}) };
+
+    if (!VARIANT_POLICY_MODES.includes(merged.mode)) {
+      throw new Error(`Variant policy must be one of: ${VARIANT_POLICY_MODES.join(', ')}`);
+    }
+
+    const result = { ...DEFAULT_VARIANT_POLICY, mode: merged.mode };
+
+    if (merged.mode === 'closest') {
+      const targetHeight = parseInt(merged.targetHeight);
+      if (!Number.isInteger(targetHeight) || targetHeight < 144 || targetHeight > 4320) {
+        throw new Error('Target resolution must be between 144 and 4320 pixels high');
+      }
+      result.targetHeight = targetHeight;
+    }
+
+    if (merged.mode === 'maxBandwidth') {
+      const maxBandwidth = parseInt(merged.maxBandwidth);
+      if (!Number.isInteger(maxBandwidth) || maxBandwidth < 100) {
+        throw new Error('Maximum bandwidth must be at least 100 kbit/s');
+      }
+      result.maxBandwidth = maxBandwidth;
+    }
+
+    return result;
+  }
+
+  // Group (category) a stream is listed under. Empty means no group.
+  validateGroup(group) {
+    if (group === undefined || group === null || String(group).trim() === '') {
+      return null;
+    }
+
+    const value = String(group).trim();
+    if (value.length > MAX_GROUP_LENGTH) {
+      throw new Error(`Group must be at most ${MAX_GROUP_LENGTH} characters`);
+    }
+    return value;
+  }
+
+  // Channel logo shown in the UI and handed to IPTV clients. Empty means no logo.
+  validateLogo(logo) {
+    if (logo === undefined || logo === null || String(logo).trim() === '') {
+      return null;
+    }
+
+    const value = String(logo).trim();
+    if (!/^https?:\/\/\S+$/i.test(value)) {
+      throw new Error('Logo must be an http or https URL');
+    }
+    return value;
+  }
+
+  // Most concurrent viewers the stream is served to. Empty or 0 means no limit.
+  validateMaxViewers(maxViewers) {
+    if (maxViewers === undefined || maxViewers === null || maxViewers === '' || Number(maxViewers) === 0) {
+      return null;
+    }
+
+    const value = Number(maxViewers);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_VIEWER_LIMIT) {
+      throw new Error(`Viewer limit must be a whole number between 1 and ${MAX_VIEWER_LIMIT}`);
+    }
+    return value;
+  }
+
+  // Free-form tags, as an array or a comma separated string. Duplicates are dropped.
+  validateTags(tags) {
+    if (tags === undefined || tags === null || tags === '') {
+      return [];
+    }
+
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+      throw new Error('Tags must be a list of strings');
+    }
+
+    const result = [];
+    for (const tag of list.map(value => value.trim()).filter(Boolean)) {
+      if (tag.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters`);
+      }
+      if (!result.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        result.push(tag);
+      }
+    }
+
+    if (result.length > MAX_TAGS) {
+      throw new Error(`A stream can have at most ${MAX_TAGS} tags`);
+    }
+    return result;
+  }
+
+  // Validate a list of backup source URLs
+  validateBackupUrls(backupUrls) {
+    if (backupUrls === undefined || backupUrls === null) {
+      return [];
+    }
+
+    if (!Array.isArray(backupUrls) || backupUrls.some(backupUrl => typeof backupUrl !== 'string')) {
+      throw new Error('Backup URLs must be a list of URLs');
+    }
+
+    return backupUrls.map(backupUrl => backupUrl.trim()).filter(Boolean);
+  }
+
+  // Primary URL followed by the backups, in failover order
+  _getSourceUrls(stream) {
+    return [stream.url, ...(stream.backupUrls || [])];
+  }
+
+  // Error text quotes ffmpeg and ffprobe output, which can hold a source URL with the
+  // provider's password in it. Scrubbed before it is stored, so no API, history entry or
+  // alert can leak it.
+  _redactErrorText(id, text) {
+    const stream = this.streams[id];
+    const urls = stream
+      ? [...this._getSourceUrls(stream), stream.resolvedUrl, stream.variantInfo && stream.variantInfo.url]
+      : [];
+    return redactSourceText(text, urls);
+  }
+
+  _getActiveSourceUrl(stream) {
+    const sources = this._getSourceUrls(stream);
+    return sources[stream.activeSourceIndex || 0] || stream.url;
+  }
+
+  updateStream(id, { name, url, channelNumber, group, tags, logo, outputProfile, variantPolicy, backupUrls, schedule, onDemand, maxViewers, providerId, xtreamStreamId }) {
     if (!this.streams[id]) {
       return null;
     }
 
+    // Validate before touching the running stream
+    const number = channelNumber !== undefined ? this.validateChannelNumber(channelNumber, id) : undefined;
+    const profile = outputProfile !== undefined ? this.validateOutputProfile(outputProfile) : undefined;
+    const policy = variantPolicy !== undefined ? this.validateVariantPolicy(variantPolicy) : undefined;
+    const backups = backupUrls !== undefined ? this.validateBackupUrls(backupUrls) : undefined;
+    const groupName = group !== undefined ? this.validateGroup(group) : undefined;
+    const logoUrl = logo !== undefined ? this.validateLogo(logo) : undefined;
+    const tagList = tags !== undefined ? this.validateTags(tags) : undefined;
+    const streamSchedule = schedule !== undefined ? validateSchedule(schedule) : undefined;
+    const viewerLimit = maxViewers !== undefined ? this.validateMaxViewers(maxViewers) : undefined;
+    const provider = providerId !== undefined ? this.validateProviderId(providerId) : undefined;
+
+    if (number !== undefined) {
+      // Every stream keeps a number, so clearing it leaves the current one
+      this.streams[id].channelNumber = number || this.streams[id].channelNumber || this._nextChannelNumber();
+    }
+
+    if (groupName !== undefined) {
+      if (groupName) {
+        this.streams[id].group = groupName;
+      } else {
+        delete this.streams[id].group;
+      }
+    }
+
+    if (logoUrl !== undefined) {
+      if (logoUrl) {
+        this.streams[id].logo = logoUrl;
+      } else {
+        delete this.streams[id].logo;
+      }
+    }
+
+    if (tagList) {
+      this.streams[id].tags = tagList;
+    }
+
+    if (streamSchedule !== undefined) {
+      this.streams[id].schedule = streamSchedule;
+    }
+
+    if (onDemand !== undefined) {
+      this.streams[id].onDemand = Boolean(onDemand);
+    }
+
+    if (viewerLimit !== undefined) {
+      this.streams[id].maxViewers = viewerLimit;
+    }
+
+    if (provider !== undefined && provider !== (this.streams[id].providerId || null)) {
+      this.streams[id].providerId = provider;
+      // The panel channel it was imported as belongs to the old provider
+      this.streams[id].xtreamStreamId = null;
+      // A queued start may now fit, under the new provider or none at all
+      setImmediate(() => this.startQueuedStreams());
+    }
+
+    if (xtreamStreamId !== undefined) {
+      this.streams[id].xtreamStreamId = xtreamStreamId;
+    }
+
+    if (profile) {
+      this.streams[id].outputProfile = profile;
+    }
+
+    if (policy) {
+      this.streams[id].variantPolicy = policy;
+    }
+
+    if (backups) {
+      this.streams[id].backupUrls = backups;
+    }
+
+    // Edited streams always start again from the primary source
+    this.streams[id].activeSourceIndex = 0;
+
     // Stop stream if running
     const wasRunning = this.streams[id].status === 'running';
     if (wasRunning) {
@@ -230,15 +1180,162 @@ class StreamManager {
     this.streams[id].url = url;
     this.streams[id].updatedAt = new Date().toISOString();
 
-    // Restart if it was running
-    if (wasRunning) {
+    // Restart if it was running. A changed schedule takes effect straight away instead.
+    let restart = wasRunning;
+    if (streamSchedule !== undefined) {
+      delete this.scheduleStates[id];
+      if (streamSchedule && streamSchedule.enabled) {
+        restart = isScheduleActive(streamSchedule);
+        this.scheduleStates[id] = restart;
+      }
+    }
+
+    if (restart) {
       this.startStream(id);
     }
 
-    this.saveConfig();
+    this.saveStream(id);
+    this.emit('updated', { id });
     return this.streams[id];
   }
 
+  // Set the group and add or remove tags on several streams at once. Unlike updateStream
+  // this leaves running streams alone, since none of these fields affect playback.
+  assignStreams(ids, { group, addTags, removeTags } = {}) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('Select at least one stream');
+    }
+
+    const missing = ids.find(id => !this.streams[id]);
+    if (missing) {
+      throw new Error(`Stream ${missing} not found`);
+    }
+
+    const groupName = group !== undefined ? this.validateGroup(group) : undefined;
+    const added = this.validateTags(addTags);
+    const removed = this.validateTags(removeTags).map(tag => tag.toLowerCase());
+    const now = new Date().toISOString();
+
+    for (const id of ids) {
+      const stream = this.streams[id];
+
+      if (groupName) {
+        stream.group = groupName;
+      } else if (groupName === null) {
+        delete stream.group;
+      }
+
+      const tags = (stream.tags || []).filter(tag => !removed.includes(tag.toLowerCase()));
+      stream.tags = this.validateTags([...tags, ...added]);
+      stream.updatedAt = now;
+    }
+
+    this.saveStreams(ids);
+    ids.forEach(id => this.emit('updated', { id }));
+    return ids.map(id => this.streams[id]);
+  }
+
+  // Ids of the streams a bulk operation targets: explicit ids, or every stream in a
+  // group and/or with a tag
+  selectStreamIds({ ids, group, tag } = {}) {
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('Select at least one stream');
+      }
+      return [...new Set(ids)];
+    }
+
+    if (!group && !tag) {
+      throw new Error('Select streams by ids, group or tag');
+    }
+
+    return Object.values(this.streams)
+      .filter(stream => !group || stream.group === group)
+      .filter(stream => !tag || (stream.tags || []).some(value => value.toLowerCase() === String(tag).toLowerCase()))
+      .map(stream => stream.id);
+  }
+
+  // Run one action over many streams, a few at a time. Parameters are validated up
+  // front; after that a failing stream is reported in its result and the rest carry on.
+  async bulkAction(action, ids, params = {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+
+    if (action === 'setProfile' && !params.outputProfile) {
+      throw new Error('An output profile is required');
+    }
+    const group = action === 'setGroup' ? this.validateGroup(params.group) : undefined;
+    const profile = action === 'setProfile' ? this.validateOutputProfile(params.outputProfile) : undefined;
+
+    const results = await mapWithConcurrency(ids, BULK_CONCURRENCY, async (id) => {
+      const stream = this.streams[id];
+      if (!stream) {
+        return { id, success: false, error: 'Stream not found' };
+      }
+
+      const result = { id, name: stream.name };
+      try {
+        switch (action) {
+          case 'start': {
+            await this.startStream(id);
+            const current = this.streams[id];
+            result.queued = Boolean(current && current.providerWait);
+            result.success = result.queued || ['running', 'starting'].includes(current?.status);
+            if (!result.success) {
+              const block = current && this.getProviderBlock(id);
+              result.error = block ? block.reason : 'Stream could not be started';
+            }
+            break;
+          }
+          case 'stop':
+            result.success = this.stopStream(id);
+            if (!result.success) result.error = 'Stream could not be stopped';
+            break;
+          case 'restart':
+            result.success = this.restartStream(id);
+            if (!result.success) result.error = 'Stream could not be restarted';
+            break;
+          case 'delete':
+            result.success = this.deleteStream(id);
+            break;
+          case 'setGroup':
+            this.assignStreams([id], { group });
+            result.success = true;
+            break;
+          case 'setProfile':
+            this._setOutputProfile(id, profile);
+            result.success = true;
+            break;
+        }
+      } catch (error) {
+        result.success = false;
+        result.error = error.message;
+      }
+      return result;
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    this.log('info', `Bulk ${action} on ${ids.length} streams: ${ids.length - failed} succeeded, ${failed} failed`);
+    return results;
+  }
+
+  // Switch a stream to another output profile, restarting it if it is running
+  _setOutputProfile(id, profile) {
+    // A starting stream may already have spawned ffmpeg with the old profile. Streams waiting
+    // to reconnect or restart read the new one when they start.
+    const active = ['running', 'starting'].includes(this.streams[id].status);
+
+    this.streams[id].outputProfile = profile;
+    this.streams[id].updatedAt = new Date().toISOString();
+    this.saveStream(id);
+    this.emit('updated', { id });
+
+    if (active) {
+      this.restartStream(id);
+    }
+  }
+
   removeStream(id) {
     if (!this.streams[id]) {
       return false;
@@ -249,7 +1346,11 @@ class StreamManager {
 
     // Remove stream
     delete this.streams[id];
-    this.saveConfig();
+    delete this.scheduleStates[id];
+    delete this.lastViewed[id];
+    delete this.startAttempts[id];
+    this._deleteStoredStream(id);
+    this.emit('deleted', { id });
     return true;
   }
 
@@ -288,12 +1389,20 @@ class StreamManager {
     }
 
     // Clear any timers
+    clearTimeout(this.restartTimers[id]);
+    delete this.restartTimers[id];
+    clearTimeout(this.reconnectTimers[id]);
+    delete this.reconnectTimers[id];
     this._clearScreenshotTimer(id);
     this._clearSegmentHealthCheck(id);
     this._clearMonitoring(id);
+    this._closeTsClients(id);
 
     // Delete stream from streams object
     delete this.streams[id];
+    delete this.scheduleStates[id];
+    delete this.lastViewed[id];
+    delete this.startAttempts[id];
     
     // Delete process reference if it exists
     if (this.processes[id]) {
@@ -301,10 +1410,242 @@ class StreamManager {
     }
 
     this.log('info', `Stream ${id} deleted with all associated files`);
-    this.saveConfig();
+    this._deleteStoredStream(id);
+    this.emit('deleted', { id });
+    this.startQueuedStreams();
+    return true;
+  }
+
+  // Providers, with how many of their connections are in use and how many starts are queued
+  getProviders() {
+    return Object.values(this.providers).map(provider => this._withProviderUsage(provider));
+  }
+
+  getProvider(id) {
+    return this.providers[id] ? this._withProviderUsage(this.providers[id]) : null;
+  }
+
+  _withProviderUsage(provider) {
+    const streams = Object.values(this.streams).filter(stream => stream.providerId === provider.id);
+    return {
+      ...provider,
+      // The password stays on the server; leave it out of an update to keep it
+      xtream: provider.xtream
+        ? { serverUrl: provider.xtream.serverUrl, username: provider.xtream.username, outputFormat: provider.xtream.outputFormat }
+        : null,
+      streamCount: streams.length,
+      connections: streams.reduce((sum, stream) => sum + this._connectionCount(stream.id), 0),
+      queued: streams.filter(stream => stream.providerWait).length
+    };
+  }
+
+  // Check a provider's name, connection limit (empty or 0 for none), what to do with
+  // starts while it is full and its Xtream Codes login, if any
+  _validateProvider({ name, maxConnections, whenFull, xtream }, current = {}) {
+    const providerName = name !== undefined ? String(name || '').trim() : current.name;
+    if (!providerName) {
+      throw new Error('Provider name is required');
+    }
+    if (providerName.length > MAX_GROUP_LENGTH) {
+      throw new Error(`Provider name must be at most ${MAX_GROUP_LENGTH} characters`);
+    }
+
+    let limit = current.maxConnections || null;
+    if (maxConnections !== undefined) {
+      limit = maxConnections === null || maxConnections === '' || Number(maxConnections) === 0 ? null : Number(maxConnections);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 1000)) {
+        throw new Error('Maximum connections must be a whole number between 1 and 1000');
+      }
+    }
+
+    const mode = whenFull !== undefined ? whenFull : current.whenFull || 'queue';
+    if (!PROVIDER_WHEN_FULL.includes(mode)) {
+      throw new Error(`When full must be one of: ${PROVIDER_WHEN_FULL.join(', ')}`);
+    }
+
+    return {
+      name: providerName,
+      maxConnections: limit,
+      whenFull: mode,
+      xtream: validateXtreamAccount(xtream, current.xtream || null)
+    };
+  }
+
+  // Provider a stream belongs to. Empty means none.
+  validateProviderId(providerId) {
+    if (providerId === undefined || providerId === null || providerId === '') {
+      return null;
+    }
+    if (!this.providers[providerId]) {
+      throw new Error('Unknown provider');
+    }
+    return providerId;
+  }
+
+  addProvider(attributes) {
+    const id = uuidv4();
+    this.providers[id] = {
+      id,
+      ...this._validateProvider(attributes),
+      lastSync: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+
+    this._saveProvider(id);
+    return this.getProvider(id);
+  }
+
+  updateProvider(id, attributes) {
+    if (!this.providers[id]) {
+      return null;
+    }
+
+    const provider = {
+      ...this.providers[id],
+      ...this._validateProvider(attributes, this.providers[id]),
+      updatedAt: new Date().toISOString()
+    };
+    if (!provider.xtream) {
+      provider.lastSync = null;
+    }
+    this.providers[id] = provider;
+
+    this._saveProvider(id);
+    // A raised limit may make room for queued starts
+    this.startQueuedStreams();
+    return this.getProvider(id);
+  }
+
+  // Delete a provider. Its streams are kept, without a provider (and so without a limit).
+  deleteProvider(id) {
+    if (!this.providers[id]) {
+      return false;
+    }
+
+    delete this.providers[id];
+    try {
+      this.store.deleteProvider(id);
+    } catch (error) {
+      this.log('error', `Failed to delete provider ${id} from the database: ${error.message}`);
+    }
+
+    const orphaned = Object.values(this.streams).filter(stream => stream.providerId === id);
+    for (const stream of orphaned) {
+      delete stream.providerId;
+      stream.xtreamStreamId = null;
+      this.emit('updated', { id: stream.id });
+    }
+    this.saveStreams(orphaned.map(stream => stream.id));
+
+    this.startQueuedStreams();
     return true;
   }
 
+  // Xtream Codes login of a provider, password included, or null if it has none
+  getProviderAccount(id) {
+    return this.providers[id] ? this.providers[id].xtream || null : null;
+  }
+
+  // Remember the outcome of the last Xtream Codes sync of a provider
+  recordProviderSync(id, lastSync) {
+    if (!this.providers[id]) {
+      return;
+    }
+    this.providers[id].lastSync = lastSync;
+    this._saveProvider(id);
+  }
+
+  _saveProvider(id) {
+    try {
+      this.store.saveProvider(this.providers[id]);
+    } catch (error) {
+      this.log('error', `Failed to save provider ${id}: ${error.message}`);
+    }
+  }
+
+  // Whether a stream is using one of its provider's connections. Streams that are starting,
+  // waiting to reconnect or being restarted keep theirs, so no queued stream takes it meanwhile.
+  _holdsConnection(id) {
+    return Boolean(this.processes[id] || this.reconnectTimers[id] || this.restartTimers[id])
+      || this.streams[id].status === 'starting';
+  }
+
+  // Connections a stream has open to its provider: its ffmpeg process and any probes of its
+  // source. A probe of a stream that is starting or reconnecting uses the connection it holds.
+  _connectionCount(id, extraProbes = 0) {
+    const held = this._holdsConnection(id) ? 1 : 0;
+    const open = (this.processes[id] ? 1 : 0) + (this.probeConnections[id] || 0) + extraProbes;
+    return Math.max(held, open);
+  }
+
+  // Run a probe of a stream's source as one of its provider connections. Resolves to
+  // `fallback` without probing when the provider has no connection to spare for it.
+  async _withProbeConnection(id, probe, fallback) {
+    const stream = this.streams[id];
+    const provider = stream && this.providers[stream.providerId];
+
+    if (provider && provider.maxConnections) {
+      const inUse = Object.values(this.streams)
+        .filter(other => other.providerId === provider.id)
+        .reduce((sum, other) => sum + this._connectionCount(other.id, other.id === id ? 1 : 0), 0);
+      if (inUse > provider.maxConnections) {
+        return fallback;
+      }
+    }
+
+    this.probeConnections[id] = (this.probeConnections[id] || 0) + 1;
+    try {
+      return await probe();
+    } finally {
+      if (--this.probeConnections[id] <= 0) {
+        delete this.probeConnections[id];
+      }
+    }
+  }
+
+  // Why a stream can't open another connection to its provider right now, or null if it can
+  getProviderBlock(id) {
+    const provider = this.providers[this.streams[id].providerId];
+    if (!provider || !provider.maxConnections) {
+      return null;
+    }
+
+    const inUse = Object.values(this.streams)
+      .filter(stream => stream.id !== id && stream.providerId === provider.id)
+      .reduce((sum, stream) => sum + this._connectionCount(stream.id), 0);
+    if (inUse < provider.maxConnections) {
+      return null;
+    }
+
+    return {
+      provider,
+      reason: `${provider.name} allows ${provider.maxConnections} connection${provider.maxConnections === 1 ? '' : 's'} and all are in use`
+    };
+  }
+
+  // Start queued streams, longest waiting first, while their providers have room
+  startQueuedStreams() {
+    const queued = Object.values(this.streams)
+      .filter(stream => stream.providerWait)
+      .sort((a, b) => a.providerWait.since.localeCompare(b.providerWait.since));
+
+    for (const stream of queued) {
+      if (!this.getProviderBlock(stream.id)) {
+        this.log('info', `[${stream.name}] Provider connection free, starting queued stream`);
+        this._clearProviderWait(stream.id);
+        this.startStream(stream.id);
+      }
+    }
+  }
+
+  _clearProviderWait(id) {
+    if (this.streams[id] && this.streams[id].providerWait) {
+      this.streams[id].providerWait = null;
+      this.emit('queue', { id, queued: false, reason: null });
+    }
+  }
+
   startStream(id) {
     const stream = this.streams[id];
     if (!stream) {
@@ -317,9 +1658,23 @@ class StreamManager {
       return Promise.resolve(true);
     }
 
+    // Wait for, or give up on, a connection when the provider has none to spare
+    const block = this.getProviderBlock(id);
+    if (block) {
+      if (block.provider.whenFull === 'refuse') {
+        this._recordError(id, 'provider', `Not started: ${block.reason}`);
+      } else if (!stream.providerWait) {
+        stream.providerWait = { since: new Date().toISOString(), reason: block.reason };
+        this.log('info', `[${stream.name}] Queued until a connection is free: ${block.reason}`);
+        this.emit('queue', { id, queued: true, reason: block.reason });
+      }
+      return Promise.resolve(false);
+    }
+    this._clearProviderWait(id);
+
     // Set stream as starting
-    stream.status = 'starting';
-    this.saveConfig();
+    this._setStatus(id, 'starting');
+    this.saveState(id);
 
     // Create HLS directory if it doesn't exist
     const hlsPath = path.join(this.hlsDir, id);
@@ -358,53 +1713,62 @@ class StreamManager {
 
     // Return a Promise that resolves when the stream is started
     return new Promise((resolve) => {
-      // Analyze HLS playlist to select the highest quality variant
-      this.analyzeHlsPlaylist(stream.url).then((selectedUrl) => {
-        if (selectedUrl) {
-          stream.url = selectedUrl;
-          // Store the selected resolution
-          if (this.selectedVariantInfo && this.selectedVariantInfo.resolution) {
-            stream.selectedResolution = this.selectedVariantInfo.resolution;
-            
-            // Initialize streamInfo if it doesn't exist
-            if (!stream.streamInfo) {
-              stream.streamInfo = {};
-            }
-            
-            const resolution = this.selectedVariantInfo.resolution;
-            const height = parseInt(resolution.split('x')[1]);
-            
-            // Convert to standard format (e.g., 720p)
-            let formattedResolution;
-            if (height >= 1080) formattedResolution = "1080p";
-            else if (height >= 720) formattedResolution = "720p";
-            else if (height >= 480) formattedResolution = "480p";
-            else if (height >= 360) formattedResolution = "360p";
-            else formattedResolution = `${height}p`;
-            
-            stream.streamInfo.resolution = formattedResolution;
-            this.log('info', `[${stream.name}] Selected resolution: ${formattedResolution} (${resolution})`);
-            this.saveConfig();
+      // Start from the active source (the primary unless we have failed over)
+      const sourceUrl = this._getActiveSourceUrl(stream);
+      if (stream.activeSourceIndex > 0) {
+        this.log('info', `[${stream.name}] Starting on backup source ${stream.activeSourceIndex}: ${sourceUrl}`);
+      }
+
+      // Resolve the variant on every start: the configured URL is never overwritten, so
+      // master playlists and tokenized provider URLs are re-read each time
+      // Anything can happen to the stream while its source is analyzed: stopped, deleted,
+      // or stopped and started again. Only the latest start of a stream still starting goes on.
+      const attempt = {};
+      this.startAttempts[id] = attempt;
+      const superseded = () => !this.streams[id] || this.streams[id].status !== 'starting'
+        || this.startAttempts[id] !== attempt;
+
+      this.analyzeHlsPlaylist(sourceUrl, stream.variantPolicy).then(async ({ url: inputUrl, variant }) => {
+        if (superseded()) {
+          resolve(false);
+          return;
+        }
+
+        stream.resolvedUrl = inputUrl !== sourceUrl ? inputUrl : null;
+        stream.variantInfo = variant;
+        stream.selectedResolution = variant && variant.resolution ? variant.resolution : null;
+
+        if (stream.selectedResolution) {
+          // Initialize streamInfo if it doesn't exist
+          if (!stream.streamInfo) {
+            stream.streamInfo = {};
           }
+          
+          const height = parseInt(stream.selectedResolution.split('x')[1]);
+          
+          // Convert to standard format (e.g., 720p)
+          let formattedResolution;
+          if (height >= 1080) formattedResolution = "1080p";
+          else if (height >= 720) formattedResolution = "720p";
+          else if (height >= 480) formattedResolution = "480p";
+          else if (height >= 360) formattedResolution = "360p";
+          else formattedResolution = `${height}p`;
+          
+          stream.streamInfo.resolution = formattedResolution;
+          this.log('info', `[${stream.name}] Selected resolution: ${formattedResolution} (${stream.selectedResolution})`);
         }
-        
-        // Build FFmpeg command with improved HLS settings
-        const ffmpegArgs = [
-          // Add protocol options to select the highest bandwidth variant
-          '-protocol_whitelist', 'file,http,https,tcp,tls',
-          // Use user_agent to mimic a browser
-          '-user_agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          '-i', stream.url,
-          '-c:v', 'copy',
-          '-c:a', 'copy',
-          '-f', 'hls',
-          '-hls_time', '2',
-          '-hls_list_size', '10',
-          // Use delete_segments flag
-          '-hls_flags', 'delete_segments',
-          '-hls_segment_filename', path.join(hlsPath, 'segment_%03d.ts'),
-          path.join(hlsPath, 'playlist.m3u8')
-        ];
+        this.saveState(id);
+
+        // ABR output lists an audio track for every rendition, so check the source has one
+        const isAbr = stream.outputProfile && stream.outputProfile.mode === 'abr';
+        const hasAudio = isAbr ? await this._withProbeConnection(id, () => this._probeHasAudio(inputUrl), true) : true;
+        if (superseded()) {
+          resolve(false);
+          return;
+        }
+        delete this.startAttempts[id];
+
+        const ffmpegArgs = this._buildFfmpegArgs(stream, hlsPath, inputUrl, hasAudio);
 
         this.log('info', `Starting stream ${id} with command: ffmpeg ${ffmpegArgs.join(' ')}`);
 
@@ -417,9 +1781,20 @@ class StreamManager {
 
           // Store process reference
           this.processes[id] = process;
+          this.tsRemainders[id] = null;
+          this.segmentFailures[id] = 0;
+
+          // Always drain stdout so ffmpeg never blocks, and hand the TS output to connected clients
+          process.stdout.on('data', (chunk) => {
+            // A process being replaced on failover may still flush output; ignore it
+            if (this.processes[id] === process) {
+              this._broadcastTs(id, chunk);
+            }
+          });
 
           // Set stream as running
-          stream.status = 'running';
+          stream.stats.lastRestart = new Date().toISOString();
+          this._setStatus(id, 'running');
           
           // Start monitoring
           this._setupMonitoring(id);
@@ -438,13 +1813,14 @@ class StreamManager {
           process.on('exit', (code, signal) => {
             this.log('warn', `Stream ${id} process exited with code ${code} and signal ${signal}`);
             
-            // Only handle if the stream is still in our list and marked as running
-            if (this.streams[id] && this.streams[id].status === 'running') {
+            // Only handle if the stream is still in our list and marked as running,
+            // and this is not a process we replaced ourselves (e.g. on failover)
+            if (this.streams[id] && this.streams[id].status === 'running' && this.processes[id] === process) {
               // Record error
               this._recordError(id, 'ffmpeg', `Process exited with code ${code} and signal ${signal}`);
               
               // Mark as stopped
-              this.streams[id].status = 'error';
+              this._setStatus(id, 'error');
               
               // Clean up process reference
               delete this.processes[id];
@@ -486,7 +1862,7 @@ class StreamManager {
               }
               this.streams[id].streamInfo.resolution = resolution;
               this.log('info', `[${this.streams[id].name}] Detected resolution: ${resolution}`);
-              this.saveConfig();
+              this.saveState(id);
             }
             
             // Analyze detailed stream information
@@ -495,47 +1871,262 @@ class StreamManager {
             }, 5000);
           }, 10000);
 
-          this.saveConfig();
+          this.saveState(id);
           resolve(true);
         } catch (error) {
           this.log('error', `Failed to start stream ${id}: ${error.message}`);
-          stream.status = 'error';
+          this._setStatus(id, 'error');
           this._recordError(id, 'system', `Failed to start: ${error.message}`);
-          this.saveConfig();
+          this.saveState(id);
           resolve(false);
         }
       }).catch(error => {
+        if (superseded()) {
+          resolve(false);
+          return;
+        }
+        delete this.startAttempts[id];
         this.log('error', `Failed to analyze HLS playlist for stream ${id}: ${error.message}`);
-        stream.status = 'error';
+        this._setStatus(id, 'error');
         this._recordError(id, 'system', `Failed to analyze HLS playlist: ${error.message}`);
-        this.saveConfig();
+        this.saveState(id);
         resolve(false);
       });
     });
   }
 
+  // Build the ffmpeg arguments for a stream. A tee output writes the HLS playlist to disk
+  // and the same packets as raw MPEG-TS to stdout, so the streaming port can serve both
+  // from a single upstream connection.
+  _buildFfmpegArgs(stream, hlsPath, inputUrl = stream.url, hasAudio = true) {
+    if (stream.outputProfile && stream.outputProfile.mode === 'abr') {
+      return this._buildAbrFfmpegArgs(stream, hlsPath, inputUrl, hasAudio);
+    }
+
+    const hlsOutput = [
+      'f=hls',
+      'hls_time=2',
+      'hls_list_size=10',
+      // Use delete_segments flag
+      'hls_flags=delete_segments',
+      `hls_segment_filename=${path.join(hlsPath, 'segment_%03d.ts')}`
+    ].join(':');
+
+    return [
+      // Add protocol options to select the highest bandwidth variant
+      '-protocol_whitelist', 'file,http,https,tcp,tls',
+      // Use user_agent to mimic a browser
+      '-user_agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      '-i', inputUrl,
+      // The tee muxer needs explicit stream selection
+      '-map', '0:v:0?',
+      '-map', '0:a:0?',
+      ...this._buildCodecArgs(stream.outputProfile),
+      '-f', 'tee',
+      // Keep the HLS output going even if the TS pipe fails
+      `[${hlsOutput}]${path.join(hlsPath, 'playlist.m3u8')}|[f=mpegts:onfail=ignore]pipe:1`
+    ];
+  }
+
+  // ABR output: playlist.m3u8 becomes a master playlist over stream_N.m3u8 renditions
+  // (stream_0 is the highest). The tee muxer can't carry a multi-variant HLS output, so the
+  // TS pipe is a second output with the source copied, which costs no extra encoding.
+  // Sources without audio get video-only renditions.
+  _buildAbrFfmpegArgs(stream, hlsPath, inputUrl = stream.url, hasAudio = true) {
+    const profile = stream.outputProfile;
+    const renditions = profile.renditions;
+
+    // Decode once, optionally deinterlace, then split into one scaled branch per rendition
+    const filters = [
+      `[0:v:0]${profile.deinterlace ? 'yadif,' : ''}split=${renditions.length}${renditions.map((r, i) => `[v${i}]`).join('')}`,
+      ...renditions.map((rendition, i) => `[v${i}]scale=-2:'min(${rendition.height},ih)'[v${i}out]`)
+    ];
+
+    const renditionArgs = [];
+    renditions.forEach((rendition, i) => {
+      renditionArgs.push(
+        '-map', `[v${i}out]`,
+        ...(hasAudio ? ['-map', '0:a:0?'] : []),
+        `-b:v:${i}`, `${rendition.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${rendition.videoBitrate}k`,
+        `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+      );
+    });
+
+    return [
+      '-protocol_whitelist', 'file,http,https,tcp,tls',
+      '-user_agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      '-i', inputUrl,
+      '-filter_complex', filters.join(';'),
+      ...renditionArgs,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'high',
+      '-pix_fmt', 'yuv420p',
+      '-force_key_frames', 'expr:gte(t,n_forced*2)',
+      '-sc_threshold', '0',
+      ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${profile.audioBitrate}k`, '-ac', '2'] : []),
+      '-f', 'hls',
+      '-hls_time', '2',
+      '-hls_list_size', '10',
+      '-hls_flags', 'delete_segments+independent_segments',
+      '-master_pl_name', 'playlist.m3u8',
+      '-var_stream_map', renditions.map((r, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' '),
+      '-hls_segment_filename', path.join(hlsPath, 'stream_%v_%03d.ts'),
+      path.join(hlsPath, 'stream_%v.m3u8'),
+      // Raw MPEG-TS output for the streaming port
+      '-map', '0:v:0?',
+      '-map', '0:a:0?',
+      '-c:v', 'copy',
+      '-c:a', 'copy',
+      '-f', 'mpegts',
+      'pipe:1'
+    ];
+  }
+
+  // Playlist listing the stream's segments. With ABR output playlist.m3u8 is the master
+  // playlist, so use the highest rendition instead.
+  _getMediaPlaylistPath(id) {
+    const stream = this.streams[id];
+    const file = stream.outputProfile && stream.outputProfile.mode === 'abr' ? 'stream_0.m3u8' : 'playlist.m3u8';
+    return path.join(stream.hlsPath, file);
+  }
+
+  // Codec arguments for a stream's output profile
+  _buildCodecArgs(outputProfile) {
+    const profile = { ...DEFAULT_OUTPUT_PROFILE, ...(outputProfile || {}) };
+    const audioArgs = ['-c:a', 'aac', '-b:a', `${profile.audioBitrate}k`, '-ac', '2'];
+
+    if (profile.mode === 'audio') {
+      return ['-c:v', 'copy', ...audioArgs];
+    }
+
+    if (profile.mode !== 'transcode') {
+      return ['-c:v', 'copy', '-c:a', 'copy'];
+    }
+
+    const filters = [];
+    if (profile.deinterlace) {
+      filters.push('yadif');
+    }
+    if (profile.height) {
+      // Keep the aspect ratio with an even width, and never upscale
+      filters.push(`scale=-2:'min(${profile.height},ih)'`);
+    }
+
+    return [
+      ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'high',
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${profile.videoBitrate}k`,
+      '-maxrate', `${profile.videoBitrate}k`,
+      '-bufsize', `${profile.videoBitrate * 2}k`,
+      // Keyframe every segment so HLS segments can be cut cleanly
+      '-force_key_frames', 'expr:gte(t,n_forced*2)',
+      '-sc_threshold', '0',
+      ...audioArgs
+    ];
+  }
+
+  // Register an HTTP response as a client of the stream's MPEG-TS output
+  addTsClient(id, res) {
+    const stream = this.streams[id];
+    if (!stream || stream.status !== 'running' || !this.processes[id]) {
+      return false;
+    }
+
+    if (!this.tsClients[id]) {
+      this.tsClients[id] = new Set();
+    }
+    this.tsClients[id].add(res);
+
+    // Viewers are logged by the viewer manager
+    res.on('close', () => {
+      if (this.tsClients[id]) {
+        this.tsClients[id].delete(res);
+      }
+    });
+
+    return true;
+  }
+
+  getTsClientCount(id) {
+    return this.tsClients[id] ? this.tsClients[id].size : 0;
+  }
+
+  // Forward ffmpeg's MPEG-TS output to every connected client
+  _broadcastTs(id, chunk) {
+    // Only forward whole packets so clients joining mid-stream start on a packet boundary
+    let data = this.tsRemainders[id] ? Buffer.concat([this.tsRemainders[id], chunk]) : chunk;
+    const usable = data.length - (data.length % TS_PACKET_SIZE);
+    this.tsRemainders[id] = usable < data.length ? data.subarray(usable) : null;
+
+    const clients = this.tsClients[id];
+    if (!clients || clients.size === 0 || usable === 0) {
+      return;
+    }
+
+    data = data.subarray(0, usable);
+    for (const res of clients) {
+      // A client that cannot keep up is dropped rather than buffering without limit
+      if (res.writableLength > this.tsClientBufferLimit) {
+        this.log('warn', `[${this.streams[id]?.name || id}] Dropping TS client that fell behind`);
+        clients.delete(res);
+        res.destroy();
+        continue;
+      }
+      res.write(data);
+    }
+  }
+
+  // Disconnect all TS clients of a stream
+  _closeTsClients(id) {
+    const clients = this.tsClients[id];
+    if (clients) {
+      for (const res of clients) {
+        res.end();
+      }
+      delete this.tsClients[id];
+    }
+    delete this.tsRemainders[id];
+  }
+
   stopStream(id) {
     if (!this.streams[id]) {
       return false;
     }
 
+    // Stopping a queued stream takes it out of the queue
+    this._clearProviderWait(id);
+
+    // A pending restart or reconnect would undo the stop, and holds a provider connection
+    // until it fires. Streams waiting on one are already marked stopped.
+    const pending = Boolean(this.restartTimers[id] || this.reconnectTimers[id]);
+    clearTimeout(this.restartTimers[id]);
+    delete this.restartTimers[id];
+    clearTimeout(this.reconnectTimers[id]);
+    delete this.reconnectTimers[id];
+
     // If already stopped, don't stop again
     if (this.streams[id].status === 'stopped') {
+      if (pending) {
+        setImmediate(() => this.startQueuedStreams());
+      }
       return true;
     }
 
+    // The connection is free for a queued stream, unless this stream is started again
+    // straight away (e.g. with a new output profile)
+    setImmediate(() => this.startQueuedStreams());
+
     try {
       // Kill FFmpeg process
       if (this.processes[id]) {
         this.processes[id].kill('SIGTERM');
         delete this.processes[id];
       }
-
-      // Clear reconnect timer
-      if (this.reconnectTimers[id]) {
-        clearTimeout(this.reconnectTimers[id]);
-        delete this.reconnectTimers[id];
-      }
       
       // Clear screenshot timer
       this._clearScreenshotTimer(id);
@@ -546,10 +2137,14 @@ class StreamManager {
       // Clear monitoring
       this._clearMonitoring(id);
 
+      // Disconnect TS clients
+      this._closeTsClients(id);
+
       // Update stream status
-      this.streams[id].status = 'stopped';
-      this.streams[id].health = 'unknown';
-      this.saveConfig();
+      this.streams[id].activeSourceIndex = 0;
+      this._setStatus(id, 'stopped');
+      this._setHealth(id, 'unknown');
+      this.saveState(id);
       return true;
     } catch (error) {
       this.log('error', `Failed to stop stream ${id}: ${error.message}`);
@@ -573,7 +2168,9 @@ class StreamManager {
     }
 
     // Small delay to ensure process is fully stopped
-    setTimeout(() => {
+    clearTimeout(this.restartTimers[id]);
+    this.restartTimers[id] = setTimeout(() => {
+      delete this.restartTimers[id];
       this.startStream(id);
     }, 1000);
 
@@ -631,9 +2228,9 @@ class StreamManager {
           }
           this.streams[id].stats.uptime += 1;
           
-          // Save config periodically (every 5 minutes) to persist uptime
+          // Save state periodically (every 5 minutes) to persist uptime
           if (this.streams[id].stats.uptime % 300 === 0) {
-            this.saveConfig();
+            this.saveState(id);
           }
         }
       }, 1000) // Update every second
@@ -671,6 +2268,11 @@ class StreamManager {
   shutdown() {
     this._stopAllStreams();
     
+    // Write what the streams looked like when they stopped
+    clearInterval(this.stateFlushIntervalId);
+    this.flushState();
+    this.store.close();
+    
     // Clear intervals
     if (this.healthCheckIntervalId) {
       clearInterval(this.healthCheckIntervalId);
@@ -679,6 +2281,164 @@ class StreamManager {
     if (this.cleanupIntervalId) {
       clearInterval(this.cleanupIntervalId);
     }
+
+    clearInterval(this.scheduleIntervalId);
+    clearInterval(this.onDemandIntervalId);
+    clearInterval(this.providerQueueIntervalId);
+  }
+
+  startScheduler() {
+    // The first check runs once the server has attached its listeners, and starts
+    // the streams that are due to be running now
+    this.scheduleIntervalId = setInterval(() => this.checkSchedules(), SCHEDULE_CHECK_INTERVAL);
+    setImmediate(() => this.checkSchedules());
+  }
+
+  // Start streams whose schedule window has opened and stop those whose window has
+  // closed. Only the moment a window opens or closes counts, so a stream started or
+  // stopped by hand stays that way until the next one.
+  checkSchedules(ids = Object.keys(this.streams)) {
+    const now = new Date();
+
+    for (const id of ids) {
+      const stream = this.streams[id];
+      if (!stream || !stream.schedule || !stream.schedule.enabled) {
+        delete this.scheduleStates[id];
+        continue;
+      }
+
+      const active = isScheduleActive(stream.schedule, now);
+      if (this.scheduleStates[id] === active) {
+        continue;
+      }
+      this.scheduleStates[id] = active;
+
+      if (active && ['stopped', 'error'].includes(stream.status)) {
+        this.log('info', `Schedule: starting stream ${id}`);
+        this.startStream(id);
+      } else if (!active && stream.status !== 'stopped') {
+        this.log('info', `Schedule: stopping stream ${id}`);
+        this.stopStream(id);
+      } else if (!active && stream.providerWait) {
+        // Still queued for a provider connection: don't let it start outside the window
+        this.log('info', `Schedule: dropping queued start of stream ${id}`);
+        this._clearProviderWait(id);
+      }
+    }
+  }
+
+  // Where a stream is in its schedule: whether a window is open now and what happens next
+  getScheduleStatus(id) {
+    const stream = this.streams[id];
+    if (!stream) {
+      return null;
+    }
+
+    if (!stream.schedule || !stream.schedule.enabled) {
+      return { schedule: stream.schedule || null, active: null, next: null };
+    }
+
+    return {
+      schedule: stream.schedule,
+      active: isScheduleActive(stream.schedule),
+      next: getNextTransition(stream.schedule)
+    };
+  }
+
+  // Note that someone is watching a stream. Keeps on-demand streams running.
+  markViewed(id) {
+    this.lastViewed[id] = Date.now();
+  }
+
+  // Called for each request to an on-demand stream's output. Starts the stream if it
+  // is not running and resolves once there are segments to serve, or false if it did
+  // not get that far within the start timeout. Viewers arriving meanwhile share the wait.
+  requestStream(id) {
+    const stream = this.streams[id];
+    if (!stream) {
+      return Promise.resolve(false);
+    }
+
+    this.markViewed(id);
+    if (stream.status === 'running' && !this.onDemandStarts[id]) {
+      return Promise.resolve(true);
+    }
+
+    if (!this.onDemandStarts[id]) {
+      this.onDemandStarts[id] = this._startOnDemand(id).finally(() => {
+        delete this.onDemandStarts[id];
+      });
+    }
+    return this.onDemandStarts[id];
+  }
+
+  async _startOnDemand(id) {
+    const requestedAt = Date.now();
+    const deadline = requestedAt + this.settings.onDemand.startTimeout * 1000;
+
+    if (!['running', 'starting'].includes(this.streams[id].status)) {
+      const wasQueued = Boolean(this.streams[id].providerWait);
+      this.log('info', `[${this.streams[id].name}] Starting on demand for a viewer`);
+      this.startStream(id);
+
+      // The viewer is turned away now, so don't leave a start queued for nobody to watch
+      if (!wasQueued && this.streams[id].providerWait) {
+        this.log('info', `[${this.streams[id].name}] Not started on demand: ${this.streams[id].providerWait.reason}`);
+        this._clearProviderWait(id);
+        return false;
+      }
+    }
+
+    while (Date.now() < deadline) {
+      const stream = this.streams[id];
+      if (!stream || stream.status === 'stopped') {
+        return false;
+      }
+      if (stream.status === 'running' && this._hasSegmentsSince(id, requestedAt)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, ON_DEMAND_POLL_INTERVAL));
+    }
+
+    if (this.streams[id]) {
+      this.log('warn', `[${this.streams[id].name}] No segments ${this.settings.onDemand.startTimeout}s after starting on demand`);
+    }
+    return false;
+  }
+
+  // Whether the stream's media playlist lists segments and was written after the given
+  // time (so a playlist left over from the last run doesn't count)
+  _hasSegmentsSince(id, since) {
+    try {
+      const playlistPath = this._getMediaPlaylistPath(id);
+      return fs.statSync(playlistPath).mtimeMs >= since && fs.readFileSync(playlistPath, 'utf8').includes('#EXTINF');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Stop on-demand streams that have had no viewers for the idle timeout. Streams
+  // started some other way (by hand, by a schedule) get the same grace period first.
+  stopIdleStreams() {
+    const idleTimeout = this.settings.onDemand.idleTimeout * 1000;
+
+    for (const id in this.streams) {
+      const stream = this.streams[id];
+      if (!stream.onDemand || stream.status === 'stopped' || this.onDemandStarts[id]) {
+        continue;
+      }
+
+      if (this.getTsClientCount(id) > 0 || this.lastViewed[id] === undefined) {
+        this.markViewed(id);
+        continue;
+      }
+
+      if (Date.now() - this.lastViewed[id] >= idleTimeout) {
+        this.log('info', `[${stream.name}] Stopping on-demand stream after ${this.settings.onDemand.idleTimeout}s without viewers`);
+        this.stopStream(id);
+        delete this.lastViewed[id];
+      }
+    }
   }
 
   startHealthCheck() {
@@ -702,6 +2462,9 @@ class StreamManager {
             this._analyzeStreamResolution(id);
           }
           
+          // Fail back to the primary source once it is available again
+          this._checkFailback(id);
+
           // Check if we need to test the source URL
           if (stream.health === 'degraded' && stream.diagnostics && 
               stream.diagnostics.lastErrorType === 'network' && 
@@ -875,10 +2638,13 @@ class StreamManager {
     // Check if reconnect attempts have exceeded the maximum
     if (this.reconnectAttempts[id] >= this.maxReconnectAttempts) {
       this.log('error', `Stream ${id} failed to reconnect after ${this.maxReconnectAttempts} attempts, giving up`);
-      this.streams[id].status = 'error';
-      this.streams[id].health = 'failed';
+      this._setStatus(id, 'error');
+      this._setHealth(id, 'failed');
       this.streams[id].diagnostics.healthCheckStatus = 'max_reconnect_exceeded';
-      this.saveConfig();
+      this._closeTsClients(id);
+      delete this.reconnectTimers[id];
+      this.saveState(id);
+      this.startQueuedStreams();
       return;
     }
 
@@ -894,15 +2660,32 @@ class StreamManager {
       this.streams[id].diagnostics.nextReconnectTime = new Date(Date.now() + delay).toISOString();
       this.streams[id].diagnostics.reconnectAttempt = attempt + 1;
       this.streams[id].diagnostics.maxReconnectAttempts = this.maxReconnectAttempts;
-      this.saveConfig();
+      this.saveState(id);
     }
 
+    this.emit('reconnect', {
+      id,
+      attempt: attempt + 1,
+      maxAttempts: this.maxReconnectAttempts,
+      nextAttempt: new Date(Date.now() + delay).toISOString()
+    });
+
     // Schedule reconnect
     this.reconnectAttempts[id]++;
-    this.reconnectTimers[id] = setTimeout(() => {
+    const timer = setTimeout(() => {
       // Before reconnecting, test if the source is available
       this.testSourceUrl(id).then(isValid => {
+        // The stream may have been deleted or stopped while we waited
+        if (!this.streams[id] || this.reconnectTimers[id] !== timer) {
+          return;
+        }
+
         if (isValid) {
+          this.streams[id].stats.restarts++;
+          this.startStream(id);
+        } else if (this._failoverSource(id, 'Source unavailable')) {
+          // Try the next source straight away
+          this.streams[id].stats.restarts++;
           this.startStream(id);
         } else {
           // Source is still unavailable, try again later
@@ -911,6 +2694,102 @@ class StreamManager {
         }
       });
     }, delay);
+    this.reconnectTimers[id] = timer;
+  }
+
+  // Move a stream on to its next source. Returns false if it has no backups.
+  _failoverSource(id, reason) {
+    const stream = this.streams[id];
+    if (!stream) return false;
+
+    const sources = this._getSourceUrls(stream);
+    if (sources.length < 2) return false;
+
+    const previousIndex = stream.activeSourceIndex || 0;
+    stream.activeSourceIndex = (previousIndex + 1) % sources.length;
+    stream.lastFailover = {
+      from: previousIndex,
+      to: stream.activeSourceIndex,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+
+    this.log('warn', `[${stream.name}] Failing over from source ${previousIndex} to source ${stream.activeSourceIndex}: ${reason}`);
+    this._recordError(id, 'source', `Failed over to source ${stream.activeSourceIndex}: ${reason}`);
+    this.saveState(id);
+    return true;
+  }
+
+  // Replace the running ffmpeg process with one on the active source.
+  // Unlike restartStream this keeps TS clients connected.
+  _restartOnActiveSource(id) {
+    const stream = this.streams[id];
+    if (!stream) return;
+
+    const oldProcess = this.processes[id];
+    delete this.processes[id];
+    stream.stats.restarts++;
+    this._setStatus(id, 'starting');
+
+    this._clearScreenshotTimer(id);
+    this._clearSegmentHealthCheck(id);
+    this._clearMonitoring(id);
+
+    if (oldProcess) {
+      oldProcess.kill('SIGTERM');
+    }
+
+    this.startStream(id);
+  }
+
+  // Called after every segment health check: fail over once the output has been
+  // unhealthy for several checks in a row
+  _checkSegmentFailover(id) {
+    const stream = this.streams[id];
+    if (!stream || stream.status !== 'running') return;
+
+    if (stream.diagnostics && stream.diagnostics.healthCheckStatus === 'Healthy') {
+      this.segmentFailures[id] = 0;
+      return;
+    }
+
+    this.segmentFailures[id] = (this.segmentFailures[id] || 0) + 1;
+    if (this.segmentFailures[id] >= this.failoverThreshold &&
+        this._failoverSource(id, `Segment health check failed ${this.segmentFailures[id]} times`)) {
+      this._restartOnActiveSource(id);
+    }
+  }
+
+  // While running on a backup, periodically re-test the primary and switch back once it works
+  async _checkFailback(id) {
+    const stream = this.streams[id];
+    if (!stream || stream.status !== 'running' || !stream.activeSourceIndex) return;
+
+    const now = Date.now();
+    if (stream.lastPrimaryCheck && now - new Date(stream.lastPrimaryCheck).getTime() < this.failbackInterval) {
+      return;
+    }
+    stream.lastPrimaryCheck = new Date(now).toISOString();
+
+    // The backup stays connected while the primary is probed, so that takes a second
+    // connection when both are from the same provider
+    const probe = await this._withProbeConnection(id, () => this._probeSource(stream.url), null);
+
+    // The stream may have been stopped or moved while we were probing
+    if (!probe || !probe.available || !this.streams[id] || this.streams[id].status !== 'running' || !stream.activeSourceIndex) {
+      return;
+    }
+
+    this.log('info', `[${stream.name}] Primary source has recovered, failing back`);
+    stream.activeSourceIndex = 0;
+    stream.lastFailover = {
+      from: stream.lastFailover ? stream.lastFailover.to : null,
+      to: 0,
+      reason: 'Primary source recovered',
+      timestamp: new Date().toISOString()
+    };
+    this.saveState(id);
+    this._restartOnActiveSource(id);
   }
 
   handleProcessExit(id, code, signal) {
@@ -930,11 +2809,11 @@ class StreamManager {
     this.log('info', `Stream ${id} process exited with code ${code}, signal ${signal}`);
     
     // Update stream status
-    this.streams[id].status = 'stopped';
+    this._setStatus(id, 'stopped');
     
     // If the exit was not clean (non-zero exit code or signal), attempt to reconnect
     if (code !== 0 || signal) {
-      this.streams[id].health = 'degraded';
+      this._setHealth(id, 'degraded');
       const errorMessage = `Process exited with code ${code}, signal ${signal}`;
       this.streams[id].stats.lastError = errorMessage;
       
@@ -945,14 +2824,14 @@ class StreamManager {
       }
       this.trackStreamError(id, errorType, errorMessage);
       
-      this.saveConfig();
+      this.saveState(id);
       
       // Attempt to reconnect
       this.handleReconnect(id);
     } else {
       // Clean exit
-      this.streams[id].health = 'unknown';
-      this.saveConfig();
+      this._setHealth(id, 'unknown');
+      this.saveState(id);
     }
   }
 
@@ -961,6 +2840,7 @@ class StreamManager {
   // Track stream errors with categorization
   trackStreamError(id, errorType, message) {
     if (!this.streams[id]) return;
+    message = this._redactErrorText(id, String(message));
     
     // Initialize error tracking if not already done
     if (!this.streams[id].errors) {
@@ -998,6 +2878,10 @@ class StreamManager {
       this.streams[id].errors.recent = this.streams[id].errors.recent.slice(-10);
     }
     
+    // Running totals (the history above only keeps the latest errors)
+    this.streams[id].errors.total = (this.streams[id].errors.total || 0) + 1;
+    this.streams[id].errors.byType[errorType] = (this.streams[id].errors.byType[errorType] || 0) + 1;
+    
     // Update diagnostics
     this.streams[id].diagnostics.lastErrorType = errorType;
     this.streams[id].diagnostics.errorCount++;
@@ -1026,8 +2910,35 @@ class StreamManager {
     
     // Log the error
     this.log('warn', `[${this.streams[id].name}] ${errorType} error: ${message}`);
+    this.emit('streamError', { id, ...this.streams[id].errors.recent[this.streams[id].errors.recent.length - 1] });
     
-    this.saveConfig();
+    this.saveState(id);
+  }
+
+  // Change a stream's status, telling listeners only when it actually changes. Every
+  // switch of source restarts the stream, so the source it runs on comes along.
+  _setStatus(id, status) {
+    const stream = this.streams[id];
+    if (!stream || stream.status === status) return;
+
+    const previous = stream.status;
+    stream.status = status;
+    this.emit('status', {
+      id,
+      status,
+      previous,
+      activeSourceIndex: stream.activeSourceIndex || 0,
+      lastFailover: stream.lastFailover || null
+    });
+  }
+
+  _setHealth(id, health) {
+    const stream = this.streams[id];
+    if (!stream || stream.health === health) return;
+
+    const previous = stream.health;
+    stream.health = health;
+    this.emit('health', { id, health, previous });
   }
 
   // Update stream health status based on errors
@@ -1036,7 +2947,7 @@ class StreamManager {
     
     // If health is explicitly provided, use it
     if (health) {
-      this.streams[id].health = health;
+      this._setHealth(id, health);
       return;
     }
     
@@ -1055,16 +2966,16 @@ class StreamManager {
     // Calculate health based on error frequency and types
     if (stream.status !== 'running') {
       // If stream is not running, health is based on last known state
-      this.streams[id].health = stream.health === 'unknown' ? 'good' : stream.health;
+      this._setHealth(id, stream.health === 'unknown' ? 'good' : stream.health);
     } else if (recentErrors.length === 0) {
       // No recent errors = good health
-      this.streams[id].health = 'good';
+      this._setHealth(id, 'good');
     } else if (recentErrors.length <= 2) {
       // 1-2 recent errors = degraded
-      this.streams[id].health = 'degraded';
+      this._setHealth(id, 'degraded');
     } else {
       // More than 2 recent errors = poor
-      this.streams[id].health = 'poor';
+      this._setHealth(id, 'poor');
     }
     
     // Log health update
@@ -1137,6 +3048,11 @@ class StreamManager {
       
       // Stream details
       source: stream.url,
+      activeSource: this._getActiveSourceUrl(stream),
+      resolvedUrl: stream.resolvedUrl || null,
+      variantInfo: stream.variantInfo || null,
+      activeSourceIndex: stream.activeSourceIndex || 0,
+      lastFailover: stream.lastFailover || null,
       sourceStatus: stream.sourceStatus || 'unknown',
       sourceLastChecked: stream.sourceLastChecked || null,
       
@@ -1166,6 +3082,25 @@ class StreamManager {
     };
   }
 
+  // Last segment listed in the stream's media playlist, or null before the first one is written
+  _getNewestSegmentPath(id) {
+    const playlistPath = this._getMediaPlaylistPath(id);
+    if (!fs.existsSync(playlistPath)) {
+      return null;
+    }
+
+    const segments = fs.readFileSync(playlistPath, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    if (segments.length === 0) {
+      return null;
+    }
+
+    const segmentPath = path.resolve(path.dirname(playlistPath), segments[segments.length - 1]);
+    return fs.existsSync(segmentPath) ? segmentPath : null;
+  }
+
   // Take a screenshot of the stream
   takeScreenshot(id) {
     if (!this.streams[id] || this.streams[id].status !== 'running') {
@@ -1173,11 +3108,17 @@ class StreamManager {
     }
 
     const screenshotPath = path.join(this.screenshotsDir, `${id}.jpg`);
-    
+
     try {
+      // Grab the frame from our own newest segment. Reading the source again would open a
+      // second connection to it, which providers count against the account's limit.
+      const segment = this._getNewestSegmentPath(id);
+      if (!segment) {
+        return false;
+      }
+
       const ffmpegArgs = [
-        '-i', this.streams[id].url,
-        '-ss', '00:00:01', // Skip to 1 second to avoid black frames
+        '-i', segment,
         '-vframes', '1',
         '-q:v', '2', // High quality
         '-y', // Overwrite existing file
@@ -1187,7 +3128,14 @@ class StreamManager {
       const result = spawnSync('ffmpeg', ffmpegArgs, { timeout: 10000 });
       
       if (result.status === 0) {
+        this.streams[id].screenshotPath = `/api/screenshots/${id}.jpg`;
+        this.streams[id].screenshotTimestamp = Date.now();
         this.log('info', `[${this.streams[id].name}] Screenshot taken successfully`);
+        this.emit('screenshot', {
+          id,
+          screenshotPath: this.streams[id].screenshotPath,
+          screenshotTimestamp: this.streams[id].screenshotTimestamp
+        });
         return true;
       } else {
         this.log('error', `[${this.streams[id].name}] Failed to take screenshot: ${result.stderr.toString()}`);
@@ -1413,13 +3361,13 @@ class StreamManager {
         }
         
         // Save the updated stream information
-        this.saveConfig();
+        this.saveState(id);
         this.log('info', `[${this.streams[id].name}] Stream analysis complete`);
         resolve(true);
       } catch (error) {
         this.log('error', `[${this.streams[id].name}] Error analyzing stream: ${error.message}`);
         // Even if there's an error, we might have partial results
-        this.saveConfig();
+        this.saveState(id);
         resolve(false);
       }
     });
@@ -1557,14 +3505,42 @@ class StreamManager {
     }
   }
 
-  // Analyze an HLS playlist to find the highest quality variant
-  async analyzeHlsPlaylist(url) {
+  // Pick a variant from a master playlist according to a stream's variant policy
+  _selectVariant(variants, policy) {
+    const { mode, targetHeight, maxBandwidth } = policy || DEFAULT_VARIANT_POLICY;
+    const byBandwidth = [...variants].sort((a, b) => b.bandwidth - a.bandwidth);
+
+    if (mode === 'lowest') {
+      return byBandwidth[byBandwidth.length - 1];
+    }
+
+    if (mode === 'closest') {
+      // Variants without a RESOLUTION attribute can't be compared
+      const withHeight = byBandwidth.filter(variant => variant.height);
+      if (withHeight.length === 0) return byBandwidth[0];
+      return withHeight.reduce((best, variant) =>
+        Math.abs(variant.height - targetHeight) < Math.abs(best.height - targetHeight) ? variant : best);
+    }
+
+    if (mode === 'maxBandwidth') {
+      const fitting = byBandwidth.find(variant => variant.bandwidth <= maxBandwidth * 1000);
+      return fitting || byBandwidth[byBandwidth.length - 1];
+    }
+
+    return byBandwidth[0];
+  }
+
+  // Analyze an HLS playlist and pick a variant with the given policy.
+  // Resolves to { url, variant }: the URL to hand to ffmpeg and the chosen variant (null if
+  // the source is not a master playlist).
+  async analyzeHlsPlaylist(url, policy = DEFAULT_VARIANT_POLICY) {
     try {
       const { spawn } = require('child_process');
       const https = require('https');
       const http = require('http');
 
-      // Function to fetch the content of a URL with redirect support
+      // Fetch a playlist with redirect support. Resolves to null, without reading the body,
+      // when the answer is not a playlist: live MPEG-TS sources never end.
       const fetchUrl = (url, maxRedirects = 5) => {
         return new Promise((resolve, reject) => {
           const protocol = url.startsWith('https') ? https : http;
@@ -1575,22 +3551,17 @@ class StreamManager {
             }
           };
           
-          protocol.get(url, options, (res) => {
+          const request = protocol.get(url, options, (res) => {
             // Handle redirects
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+              res.resume();
               if (maxRedirects <= 0) {
                 reject(new Error('Too many redirects'));
                 return;
               }
               
-              // Get the redirect URL
-              let redirectUrl = res.headers.location;
-              
-              // Handle relative redirects
-              if (!redirectUrl.startsWith('http')) {
-                const urlObj = new URL(url);
-                redirectUrl = `${urlObj.protocol}//${urlObj.host}${redirectUrl}`;
-              }
+              // Get the redirect URL, relative ones included
+              const redirectUrl = new URL(res.headers.location, url).toString();
               
               this.log('info', `Following redirect from ${url} to ${redirectUrl}`);
               
@@ -1601,30 +3572,52 @@ class StreamManager {
             }
             
             if (res.statusCode !== 200) {
+              res.resume();
               reject(new Error(`Request failed with status code ${res.statusCode}`));
               return;
             }
+
+            if (!isPlaylistUrl(url) && !PLAYLIST_CONTENT_TYPE.test(res.headers['content-type'] || '')) {
+              request.destroy();
+              resolve(null);
+              return;
+            }
             
             let data = '';
+            res.setEncoding('utf8');
             res.on('data', (chunk) => {
               data += chunk;
+              if (data.length > MAX_PLAYLIST_SIZE) {
+                request.destroy();
+                reject(new Error('Playlist is too large'));
+              }
             });
             
             res.on('end', () => {
               resolve(data);
             });
-          }).on('error', (err) => {
+          });
+
+          request.setTimeout(PLAYLIST_FETCH_TIMEOUT, () => {
+            request.destroy(new Error('Timed out fetching the playlist'));
+          });
+          request.on('error', (err) => {
             reject(err);
           });
         });
       };
 
+      // A source with a .ts (or other media) extension is played as it is
+      if (!isPlaylistUrl(url) && SEGMENT_EXTENSION.test(new URL(url).pathname)) {
+        return { url, variant: null };
+      }
+
       try {
         // Fetch the main playlist
         const content = await fetchUrl(url);
         
         // Check if this is a master playlist with variants
-        if (content.includes('#EXT-X-STREAM-INF')) {
+        if (content && content.includes('#EXT-X-STREAM-INF')) {
           this.log('info', 'Found HLS master playlist with multiple variants');
           
           // Parse the playlist to find variants
@@ -1645,11 +3638,7 @@ class StreamManager {
               
               if (variantUrl && !variantUrl.startsWith('#')) {
                 // Construct full URL if it's relative
-                let fullUrl = variantUrl;
-                if (!variantUrl.startsWith('http')) {
-                  const baseUrl = url.substring(0, url.lastIndexOf('/') + 1);
-                  fullUrl = baseUrl + variantUrl;
-                }
+                const fullUrl = new URL(variantUrl.trim(), url).href;
                 
                 // Add to variants list
                 variants.push({
@@ -1664,22 +3653,19 @@ class StreamManager {
             }
           }
           
-          // Sort variants by bandwidth (highest first)
-          variants.sort((a, b) => b.bandwidth - a.bandwidth);
-          
           if (variants.length > 0) {
-            const selectedVariant = variants[0];
-            this.log('info', `Found ${variants.length} variants, selecting highest quality: ${selectedVariant.resolution || 'Unknown'} (${selectedVariant.bandwidth} bps)`);
+            const selectedVariant = this._selectVariant(variants, policy);
+            this.log('info', `Found ${variants.length} variants, selecting ${selectedVariant.resolution || 'Unknown'} (${selectedVariant.bandwidth} bps) with policy ${(policy || DEFAULT_VARIANT_POLICY).mode}`);
             
-            // Store the selected resolution information for the stream
-            // This will be used later to update the stream object
-            this.selectedVariantInfo = {
-              resolution: selectedVariant.resolution,
-              bandwidth: selectedVariant.bandwidth,
-              height: selectedVariant.height
+            return {
+              url: selectedVariant.url,
+              variant: {
+                resolution: selectedVariant.resolution,
+                bandwidth: selectedVariant.bandwidth,
+                height: selectedVariant.height,
+                count: variants.length
+              }
             };
-            
-            return selectedVariant.url;
           }
         }
       } catch (error) {
@@ -1688,16 +3674,17 @@ class StreamManager {
       }
       
       // If no variants found or not a master playlist, return the original URL
-      return url;
+      return { url, variant: null };
     } catch (error) {
       this.log('error', `Error analyzing HLS playlist: ${error.message}`);
-      return url; // Return original URL on error
+      return { url, variant: null }; // Return original URL on error
     }
   }
 
   // Record an error for a stream
   _recordError(id, errorType, message) {
     if (!this.streams[id]) return;
+    message = this._redactErrorText(id, String(message));
     
     // Initialize error tracking if not already done
     if (!this.streams[id].errors) {
@@ -1734,6 +3721,10 @@ class StreamManager {
       this.streams[id].errors.recent = this.streams[id].errors.recent.slice(-10);
     }
     
+    // Running totals (the history above only keeps the latest errors)
+    this.streams[id].errors.total = (this.streams[id].errors.total || 0) + 1;
+    this.streams[id].errors.byType[errorType] = (this.streams[id].errors.byType[errorType] || 0) + 1;
+    
     // Update diagnostics
     this.streams[id].diagnostics.lastErrorType = errorType;
     this.streams[id].diagnostics.errorCount++;
@@ -1762,8 +3753,9 @@ class StreamManager {
     
     // Log the error
     this.log('warn', `[${this.streams[id].name}] ${errorType} error: ${message}`);
+    this.emit('streamError', { id, ...this.streams[id].errors.recent[this.streams[id].errors.recent.length - 1] });
     
-    this.saveConfig();
+    this.saveState(id);
   }
 
   // Analyze error patterns to adjust reconnection strategy
@@ -1796,74 +3788,43 @@ class StreamManager {
     if (!stream) return false;
     
     try {
-      this.log('info', `Testing source URL for stream ${id}: ${stream.url}`);
+      const sourceUrl = this._getActiveSourceUrl(stream);
+      this.log('info', `Testing source URL for stream ${id}: ${sourceUrl}`);
       
       // Update diagnostics
       if (stream.diagnostics) {
         stream.diagnostics.lastSourceCheck = new Date().toISOString();
         stream.diagnostics.sourceCheckInProgress = true;
       }
-      this.saveConfig();
+      this.saveState(id);
       
-      return new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-          if (ffprobeProcess && !ffprobeProcess.killed) {
-            ffprobeProcess.kill('SIGKILL');
-          }
-          this.log('warning', `Source URL test for stream ${id} timed out`);
-          
-          // Update diagnostics
-          if (stream.diagnostics) {
-            stream.diagnostics.sourceCheckInProgress = false;
-            stream.diagnostics.sourceAvailable = false;
-            stream.diagnostics.sourceCheckResult = 'timeout';
-          }
-          this.saveConfig();
-          
-          resolve(false);
-        }, 10000); // 10 second timeout
-        
-        const ffprobeProcess = spawn('ffprobe', [
-          '-v', 'error',
-          '-i', stream.url,
-          '-show_entries', 'format=duration',
-          '-of', 'json'
-        ]);
-        
-        let output = '';
-        let errorOutput = '';
-        
-        ffprobeProcess.stdout.on('data', (data) => {
-          output += data.toString();
-        });
-        
-        ffprobeProcess.stderr.on('data', (data) => {
-          errorOutput += data.toString();
-        });
-        
-        ffprobeProcess.on('close', (code) => {
-          clearTimeout(timeout);
-          
-          // Update diagnostics
-          if (stream.diagnostics) {
-            stream.diagnostics.sourceCheckInProgress = false;
-            stream.diagnostics.sourceAvailable = code === 0;
-            stream.diagnostics.sourceCheckResult = code === 0 ? 'success' : 'failed';
-            if (code !== 0 && errorOutput) {
-              stream.diagnostics.sourceCheckError = errorOutput.substring(0, 200);
-            }
-          }
-          this.saveConfig();
-          
-          if (code === 0) {
-            this.log('info', `Source URL for stream ${id} is valid`);
-            resolve(true);
-          } else {
-            this.log('warning', `Source URL for stream ${id} appears invalid, code: ${code}, error: ${errorOutput}`);
-            resolve(false);
-          }
-        });
-      });
+      const result = await this._withProbeConnection(id, () => this._probeSource(sourceUrl), null);
+      if (!result) {
+        this.log('info', `Skipped testing the source of stream ${id}: no provider connection to spare`);
+        if (stream.diagnostics) {
+          stream.diagnostics.sourceCheckInProgress = false;
+        }
+        this.saveState(id);
+        return null;
+      }
+      
+      // Update diagnostics
+      if (stream.diagnostics) {
+        stream.diagnostics.sourceCheckInProgress = false;
+        stream.diagnostics.sourceAvailable = result.available;
+        stream.diagnostics.sourceCheckResult = result.status;
+        if (result.error) {
+          stream.diagnostics.sourceCheckError = this._redactErrorText(id, result.error).substring(0, 200);
+        }
+      }
+      this.saveState(id);
+      
+      if (result.available) {
+        this.log('info', `Source URL for stream ${id} is valid`);
+      } else {
+        this.log('warning', `Source URL for stream ${id} appears invalid: ${result.status} ${result.error || ''}`);
+      }
+      return result.available;
     } catch (error) {
       this.log('error', `Error testing source URL for stream ${id}: ${error.message}`);
       
@@ -1872,14 +3833,92 @@ class StreamManager {
         stream.diagnostics.sourceCheckInProgress = false;
         stream.diagnostics.sourceAvailable = false;
         stream.diagnostics.sourceCheckResult = 'error';
-        stream.diagnostics.sourceCheckError = error.message;
+        stream.diagnostics.sourceCheckError = this._redactErrorText(id, error.message);
       }
-      this.saveConfig();
+      this.saveState(id);
       
       return false;
     }
   }
 
+  // Probe a source URL with ffprobe. Resolves to { available, status, error }, never rejects.
+  _probeSource(url) {
+    return new Promise((resolve) => {
+      const ffprobeProcess = spawn('ffprobe', [
+        '-v', 'error',
+        '-i', url,
+        '-show_entries', 'format=duration',
+        '-of', 'json'
+      ]);
+      
+      const timeout = setTimeout(() => {
+        if (!ffprobeProcess.killed) {
+          ffprobeProcess.kill('SIGKILL');
+        }
+        resolve({ available: false, status: 'timeout', error: null });
+      }, 10000); // 10 second timeout
+      
+      let errorOutput = '';
+      
+      ffprobeProcess.stdout.on('data', () => {});
+      ffprobeProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+      
+      ffprobeProcess.on('error', (error) => {
+        clearTimeout(timeout);
+        resolve({ available: false, status: 'error', error: error.message });
+      });
+      
+      ffprobeProcess.on('close', (code) => {
+        clearTimeout(timeout);
+        resolve({
+          available: code === 0,
+          status: code === 0 ? 'success' : 'failed',
+          error: code !== 0 ? errorOutput || `ffprobe exited with code ${code}` : null
+        });
+      });
+    });
+  }
+
+  // Whether a source has an audio stream. Resolves to true when the probe fails, so ffmpeg
+  // reports the actual problem with the source.
+  _probeHasAudio(url) {
+    return new Promise((resolve) => {
+      const ffprobeProcess = spawn('ffprobe', [
+        '-v', 'error',
+        '-select_streams', 'a',
+        '-show_entries', 'stream=index',
+        '-of', 'csv=p=0',
+        '-i', url
+      ]);
+
+      const timeout = setTimeout(() => {
+        if (!ffprobeProcess.killed) {
+          ffprobeProcess.kill('SIGKILL');
+        }
+        resolve(true);
+      }, 10000); // 10 second timeout
+
+      let output = '';
+
+      ffprobeProcess.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      ffprobeProcess.stderr.on('data', () => {});
+
+      ffprobeProcess.on('error', () => {
+        clearTimeout(timeout);
+        resolve(true);
+      });
+
+      ffprobeProcess.on('close', (code) => {
+        clearTimeout(timeout);
+        resolve(code !== 0 || output.trim() !== '');
+      });
+    });
+  }
+
   // Start segment health check for a stream
   startSegmentHealthCheck(id) {
     if (this.segmentHealthChecks[id]) {
@@ -1888,6 +3927,8 @@ class StreamManager {
 
     this.segmentHealthChecks[id] = setInterval(() => {
       this.checkStreamSegmentHealth(id);
+      this._checkSegmentFailover(id);
+      this.emit('diagnostics', { id });
     }, this.segmentHealthCheckInterval);
     
     this.log('info', `Started segment health check for stream ${id} (interval: ${this.segmentHealthCheckInterval / 1000}s)`);
@@ -2017,7 +4058,7 @@ class StreamManager {
       // Update last health check timestamp
       this.streams[id].diagnostics.lastHealthCheck = new Date().toISOString();
 
-      const playlistPath = path.join(hlsPath, 'playlist.m3u8');
+      const playlistPath = this._getMediaPlaylistPath(id);
       if (!fs.existsSync(playlistPath)) {
         this.log('warn', `[${this.streams[id].name}] Playlist file not found during health check`);
         this._recordError(id, 'segment', 'Playlist file not found');
@@ -2090,7 +4131,7 @@ class StreamManager {
           }
           this.streams[id].streamInfo.resolution = resolution;
           this.log('info', `[${this.streams[id].name}] Detected resolution: ${resolution}`);
-          this.saveConfig();
+          this.saveState(id);
         }
       }
     } catch (error) {
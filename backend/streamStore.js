@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order. PRAGMA user_version records how many have run,
+// so add new steps to the end and never edit one that has shipped.
+const MIGRATIONS = [
+  // 1: stream configuration, per-stream runtime state and server settings
+  `CREATE TABLE streams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    backup_urls TEXT NOT NULL DEFAULT '[]',
+    output_profile TEXT,
+    variant_policy TEXT,
+    tvg_id TEXT,
+    tvg_name TEXT,
+    logo TEXT,
+    group_title TEXT,
+    channel_number,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+  CREATE TABLE stream_state (
+    stream_id TEXT PRIMARY KEY REFERENCES streams (id) ON DELETE CASCADE,
+    state TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE settings (
+    section TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );`,
+  // 2: free-form tags
+  `ALTER TABLE streams ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';`,
+  // 3: start/stop schedules
+  `ALTER TABLE streams ADD COLUMN schedule TEXT;`,
+  // 4: on-demand streams
+  `ALTER TABLE streams ADD COLUMN on_demand INTEGER NOT NULL DEFAULT 0;`,
+  // 5: viewer limits
+  `ALTER TABLE streams ADD COLUMN max_viewers INTEGER;`,
+  // 6: provider accounts and their connection limits
+  `CREATE TABLE providers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    max_connections INTEGER,
+    when_full TEXT NOT NULL DEFAULT 'queue',
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+  ALTER TABLE streams ADD COLUMN provider_id TEXT REFERENCES providers (id) ON DELETE SET NULL;`,
+  // 7: Xtream Codes logins for providers, and the panel channel each stream was imported from
+  `ALTER TABLE providers ADD COLUMN xtream TEXT;
+  ALTER TABLE providers ADD COLUMN last_sync TEXT;
+  ALTER TABLE streams ADD COLUMN xtream_stream_id INTEGER;`
+];
+
+// Stream properties stored as configuration, with their column. Everything else on a
+// stream object is runtime state (stats, errors, diagnostics...).
+const CONFIG_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  url: 'url',
+  backupUrls: 'backup_urls',
+  outputProfile: 'output_profile',
+  variantPolicy: 'variant_policy',
+  tvgId: 'tvg_id',
+  tvgName: 'tvg_name',
+  logo: 'logo',
+  group: 'group_title',
+  tags: 'tags',
+  schedule: 'schedule',
+  onDemand: 'on_demand',
+  maxViewers: 'max_viewers',
+  providerId: 'provider_id',
+  xtreamStreamId: 'xtream_stream_id',
+  channelNumber: 'channel_number',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+const JSON_FIELDS = ['backupUrls', 'outputProfile', 'variantPolicy', 'tags', 'schedule'];
+const BOOLEAN_FIELDS = ['onDemand'];
+
+// Runtime properties that only describe the current process and are never restored
+const TRANSIENT_FIELDS = ['status', 'activeSourceIndex', 'lastPrimaryCheck', 'providerWait'];
+
+const PROVIDER_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  maxConnections: 'max_connections',
+  whenFull: 'when_full',
+  xtream: 'xtream',
+  lastSync: 'last_sync',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+const PROVIDER_JSON_FIELDS = ['xtream', 'lastSync'];
+
+const toRow = (stream) => {
+  const row = {};
+  for (const [field, column] of Object.entries(CONFIG_COLUMNS)) {
+    const value = stream[field] === undefined ? null : stream[field];
+    if (BOOLEAN_FIELDS.includes(field)) {
+      row[column] = value ? 1 : 0;
+    } else {
+      row[column] = JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+    }
+  }
+  row.backup_urls = row.backup_urls || '[]';
+  row.tags = row.tags || '[]';
+  row.created_at = row.created_at || new Date().toISOString();
+  return row;
+};
+
+const fromRow = (row) => {
+  const stream = {};
+  for (const [field, column] of Object.entries(CONFIG_COLUMNS)) {
+    if (row[column] === null) continue;
+    if (BOOLEAN_FIELDS.includes(field)) {
+      stream[field] = row[column] === 1;
+    } else {
+      stream[field] = JSON_FIELDS.includes(field) ? JSON.parse(row[column]) : row[column];
+    }
+  }
+  return stream;
+};
+
+const getState = (stream) => {
+  const state = {};
+  for (const key in stream) {
+    if (!CONFIG_COLUMNS[key] && !TRANSIENT_FIELDS.includes(key)) {
+      state[key] = stream[key];
+    }
+  }
+  return state;
+};
+
+// SQLite persistence for streams and settings (data/restream.db). Configuration is
+// written when it changes; runtime state lives in its own table so the stream manager
+// can save it in batches without touching the configuration.
+class StreamStore {
+  constructor(dbPath) {
+    const dataDir = path.dirname(dbPath);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    // True when the database was just created, so legacy files can be imported once
+    this.isNew = this.db.pragma('user_version', { simple: true }) === 0;
+    this.migrate();
+
+    const columns = Object.values(CONFIG_COLUMNS);
+    this.statements = {
+      selectStreams: this.db.prepare(`SELECT streams.*, stream_state.state FROM streams
+        LEFT JOIN stream_state ON stream_state.stream_id = streams.id ORDER BY streams.rowid`),
+      upsertStream: this.db.prepare(`INSERT INTO streams (${columns.join(', ')})
+        VALUES (${columns.map(column => `@${column}`).join(', ')})
+        ON CONFLICT (id) DO UPDATE SET ${columns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')}`),
+      deleteStream: this.db.prepare('DELETE FROM streams WHERE id = ?'),
+      selectStreamIds: this.db.prepare('SELECT id FROM streams'),
+      upsertState: this.db.prepare(`INSERT INTO stream_state (stream_id, state, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (stream_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at`),
+      selectProviders: this.db.prepare('SELECT * FROM providers ORDER BY rowid'),
+      upsertProvider: this.db.prepare(`INSERT INTO providers (${Object.values(PROVIDER_COLUMNS).join(', ')})
+        VALUES (${Object.values(PROVIDER_COLUMNS).map(column => `@${column}`).join(', ')})
+        ON CONFLICT (id) DO UPDATE SET ${Object.values(PROVIDER_COLUMNS).filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')}`),
+      deleteProvider: this.db.prepare('DELETE FROM providers WHERE id = ?'),
+      selectProviderIds: this.db.prepare('SELECT id FROM providers'),
+      selectSettings: this.db.prepare('SELECT section, value FROM settings'),
+      upsertSetting: this.db.prepare(`INSERT INTO settings (section, value) VALUES (?, ?)
+        ON CONFLICT (section) DO UPDATE SET value = excluded.value`)
+    };
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+
+    for (let index = version; index < MIGRATIONS.length; index++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[index]);
+        this.db.pragma(`user_version = ${index + 1}`);
+      })();
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Streams with their saved runtime state merged in, in the order they were added
+  loadStreams() {
+    return this.statements.selectStreams.all().map(row => ({
+      ...(row.state ? JSON.parse(row.state) : {}),
+      ...fromRow(row)
+    }));
+  }
+
+  saveStream(stream) {
+    this.statements.upsertStream.run(toRow(stream));
+  }
+
+  saveStreams(streams) {
+    this.db.transaction(() => streams.forEach(stream => this.saveStream(stream)))();
+  }
+
+  deleteStream(id) {
+    this.statements.deleteStream.run(id);
+  }
+
+  saveStates(streams) {
+    const updatedAt = new Date().toISOString();
+    this.db.transaction(() => {
+      for (const stream of streams) {
+        this.statements.upsertState.run(stream.id, JSON.stringify(getState(stream)), updatedAt);
+      }
+    })();
+  }
+
+  loadProviders() {
+    return this.statements.selectProviders.all().map(row => {
+      const provider = {};
+      for (const [field, column] of Object.entries(PROVIDER_COLUMNS)) {
+        provider[field] = PROVIDER_JSON_FIELDS.includes(field) && row[column] !== null ? JSON.parse(row[column]) : row[column];
+      }
+      return provider;
+    });
+  }
+
+  saveProvider(provider) {
+    const row = {};
+    for (const [field, column] of Object.entries(PROVIDER_COLUMNS)) {
+      const value = provider[field] === undefined ? null : provider[field];
+      row[column] = PROVIDER_JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+    }
+    this.statements.upsertProvider.run(row);
+  }
+
+  // Streams of a deleted provider are left without one (ON DELETE SET NULL)
+  deleteProvider(id) {
+    this.statements.deleteProvider.run(id);
+  }
+
+  loadSettings() {
+    const settings = {};
+    for (const row of this.statements.selectSettings.all()) {
+      settings[row.section] = JSON.parse(row.value);
+    }
+    return settings;
+  }
+
+  saveSettings(settings) {
+    this.db.transaction(() => {
+      for (const section in settings) {
+        this.statements.upsertSetting.run(section, JSON.stringify(settings[section]));
+      }
+    })();
+  }
+
+  // Write the whole configuration at once: every provider and stream, the settings, and
+  // drop those that are gone. Either all of it is saved or none of it.
+  saveAll(streams, settings, providers = []) {
+    this.db.transaction(() => {
+      const providerIds = new Set(providers.map(provider => provider.id));
+      for (const { id } of this.statements.selectProviderIds.all()) {
+        if (!providerIds.has(id)) this.statements.deleteProvider.run(id);
+      }
+      providers.forEach(provider => this.saveProvider(provider));
+
+      const ids = new Set(streams.map(stream => stream.id));
+      for (const { id } of this.statements.selectStreamIds.all()) {
+        if (!ids.has(id)) this.statements.deleteStream.run(id);
+      }
+      this.saveStreams(streams);
+      this.saveStates(streams);
+      this.saveSettings(settings);
+    })();
+  }
+}
+
+module.exports = StreamStore;
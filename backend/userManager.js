@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+// - viewer: read and play streams
+// - operator: also start, stop, restart, screenshot and analyze streams
+// - admin: also create, edit and delete streams, backup/restore, settings and users
+const ROLES = ['viewer', 'operator', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed logins allowed per username before it is locked for a while
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCK_TIME = 5 * 60 * 1000;
+
+// scrypt with a random salt, stored as "scrypt$salt$hash"
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Sessions are stored by the hash of their token, so users.json never holds a usable token
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class UserManager {
+  constructor() {
+    this.configPath = path.join(process.cwd(), 'data', 'users.json');
+    this.sessionTtl = parseInt(process.env.SESSION_TTL || '168') * 60 * 60 * 1000; // Default: 7 days
+
+    this.users = {};
+    this.sessions = {};
+    this.failedLogins = {};
+
+    this.loadConfig();
+    this.bootstrapAdmin();
+
+    this.log('info', 'User Manager initialized');
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(this.configPath)) {
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.users = config.users || {};
+        this.sessions = config.sessions || {};
+
+        // Accounts from before roles existed were all full administrators
+        for (const id in this.users) {
+          if (!ROLES.includes(this.users[id].role)) {
+            this.users[id].role = 'admin';
+          }
+        }
+
+        this.pruneSessions();
+        this.log('info', `Loaded ${Object.keys(this.users).length} users from configuration`);
+      }
+    } catch (error) {
+      this.log('error', `Failed to load user configuration: ${error.message}`);
+      this.users = {};
+      this.sessions = {};
+    }
+  }
+
+  saveConfig() {
+    try {
+      const dataDir = path.dirname(this.configPath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      const config = {
+        users: this.users,
+        sessions: this.sessions,
+        updatedAt: new Date().toISOString()
+      };
+      // Password hashes live here, keep the file private
+      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2), { encoding: 'utf8', mode: 0o600 });
+      return true;
+    } catch (error) {
+      this.log('error', `Failed to save user configuration: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Create the first account from ADMIN_USERNAME / ADMIN_PASSWORD, for unattended installs
+  bootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!this.needsSetup() || !username || !password) {
+      return;
+    }
+
+    try {
+      this.createUser(username, password, 'admin');
+      this.log('info', `Created initial user ${username} from the environment`);
+    } catch (error) {
+      this.log('error', `Failed to create initial user from the environment: ${error.message}`);
+    }
+  }
+
+  // True until the first account has been created
+  needsSetup() {
+    return Object.keys(this.users).length === 0;
+  }
+
+  // User fields that are safe to send to the browser
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin || null
+    };
+  }
+
+  getUsers() {
+    return Object.values(this.users).map(user => this.toPublicUser(user));
+  }
+
+  // True if the user's role is at least the given role
+  hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  _countAdmins() {
+    return Object.values(this.users).filter(user => user.role === 'admin').length;
+  }
+
+  getUser(id) {
+    return this.users[id] || null;
+  }
+
+  findByUsername(username) {
+    const wanted = String(username || '').toLowerCase();
+    return Object.values(this.users).find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  createUser(username, password, role = 'viewer') {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Username must be 3-32 letters, numbers, dots, dashes or underscores');
+    }
+    if (this.findByUsername(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    this.validatePassword(password);
+    this.validateRole(role);
+
+    const user = {
+      id: uuidv4(),
+      username,
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString(),
+      lastLogin: null
+    };
+
+    this.users[user.id] = user;
+    this.saveConfig();
+    return user;
+  }
+
+  // Admin changes to another account: role and/or a new password
+  updateUser(id, { role, password }) {
+    const user = this.users[id];
+    if (!user) {
+      return null;
+    }
+
+    if (role !== undefined) {
+      this.validateRole(role);
+      if (user.role === 'admin' && role !== 'admin' && this._countAdmins() === 1) {
+        throw new Error('Cannot remove the last administrator');
+      }
+    }
+    if (password) {
+      this.validatePassword(password);
+    }
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (password) {
+      user.passwordHash = hashPassword(password);
+      // A reset password logs the user out everywhere
+      this._destroyUserSessions(id);
+    }
+
+    user.updatedAt = new Date().toISOString();
+    this.saveConfig();
+    return user;
+  }
+
+  deleteUser(id) {
+    const user = this.users[id];
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin' && this._countAdmins() === 1) {
+      throw new Error('Cannot delete the last administrator');
+    }
+
+    delete this.users[id];
+    this._destroyUserSessions(id);
+    this.saveConfig();
+    return true;
+  }
+
+  _destroyUserSessions(userId) {
+    for (const key in this.sessions) {
+      if (this.sessions[key].userId === userId) {
+        delete this.sessions[key];
+      }
+    }
+  }
+
+  changePassword(id, currentPassword, newPassword) {
+    const user = this.users[id];
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+      throw new Error('Current password is incorrect');
+    }
+    this.validatePassword(newPassword);
+
+    user.passwordHash = hashPassword(newPassword);
+    user.updatedAt = new Date().toISOString();
+    this.saveConfig();
+    return user;
+  }
+
+  // Check a username and password. Returns the user, or null if they don't match.
+  // Throws when the username is locked after too many failures.
+  authenticate(username, password) {
+    const key = String(username || '').toLowerCase();
+    const failed = this.failedLogins[key];
+
+    if (failed && failed.lockedUntil > Date.now()) {
+      throw new Error('Too many failed logins, try again in a few minutes');
+    }
+
+    const user = this.findByUsername(username);
+    if (user && verifyPassword(String(password || ''), user.passwordHash)) {
+      delete this.failedLogins[key];
+      user.lastLogin = new Date().toISOString();
+      this.saveConfig();
+      return user;
+    }
+
+    // Start counting again once an earlier lock has expired
+    const count = (failed && !failed.lockedUntil ? failed.count : 0) + 1;
+    this.failedLogins[key] = {
+      count,
+      lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOGIN_LOCK_TIME : 0
+    };
+    this.log('warn', `Failed login for ${username}`);
+    return null;
+  }
+
+  // Start a session and return its token
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions[hashToken(token)] = {
+      userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.sessionTtl).toISOString()
+    };
+    this.pruneSessions();
+    this.saveConfig();
+    return token;
+  }
+
+  // User owning a session token, or null if the token is unknown or expired
+  getSessionUser(token) {
+    if (!token) return null;
+
+    const session = this.sessions[hashToken(token)];
+    if (!session || new Date(session.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+
+    return this.users[session.userId] || null;
+  }
+
+  destroySession(token) {
+    if (!token) return;
+
+    const key = hashToken(token);
+    if (this.sessions[key]) {
+      delete this.sessions[key];
+      this.saveConfig();
+    }
+  }
+
+  // Drop expired sessions and sessions of users that no longer exist
+  pruneSessions() {
+    const now = Date.now();
+    for (const key in this.sessions) {
+      const session = this.sessions[key];
+      if (new Date(session.expiresAt).getTime() <= now || !this.users[session.userId]) {
+        delete this.sessions[key];
+      }
+    }
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [UserManager] ${message}`);
+  }
+}
+
+module.exports = UserManager;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,314 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// HLS players have no connection to watch, only requests. One that hasn't fetched a
+// playlist or segment for this long has stopped watching; players reload the playlist
+// every segment or two, well inside it.
+const HLS_SESSION_TIMEOUT = 30000;
+
+// How often ended HLS sessions are looked for
+const SWEEP_INTERVAL = 10000;
+
+// Client address, or the first X-Forwarded-For address when behind a reverse proxy
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress || '';
+  return ip.replace(/^::ffff:/, '');
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Tracks who is watching each stream. Every MPEG-TS connection is a session of its own;
+// HLS requests are grouped into sessions by stream, client address, user agent and token,
+// which end once the player stops requesting playlists and segments. New sessions are
+// only admitted within the stream's and the server's viewer limits, and count towards them
+// from the moment they are admitted, while their first request is still being answered.
+// Emits 'viewers' ({ id, count }) whenever a stream's viewer count changes.
+class ViewerManager extends EventEmitter {
+  constructor(streamManager, playbackManager, userManager) {
+    super();
+    this.streamManager = streamManager;
+    this.playbackManager = playbackManager;
+    this.userManager = userManager;
+
+    this.sessions = new Map(); // Session id -> session
+    this.hlsSessionIds = new Map(); // "<streamId>|<ip>|<user agent>|<token>" -> HLS session id
+    this.tsSessions = new Map(); // MPEG-TS response -> its session
+
+    this.streamManager.on('deleted', ({ id }) => this.removeStream(id));
+    this.sweepIntervalId = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+
+    this.log('info', 'Viewer Manager initialized');
+  }
+
+  shutdown() {
+    clearInterval(this.sweepIntervalId);
+  }
+
+  // Whether a viewer may start watching. Returns null when admitted, otherwise the
+  // response to send: 429 when their user or token already has as many sessions as it may,
+  // 503 when the stream or the server is full. Requests that belong to a current HLS
+  // session are always admitted, so nobody is cut off part way through watching.
+  // An admitted viewer's session is reserved straight away, so requests arriving meanwhile
+  // (or waiting for an on-demand stream to start) count it. It is released again when the
+  // request is not answered with the stream.
+  admit(streamId, protocol, req, res, token) {
+    if (protocol === 'hls' && this.sessions.has(this.hlsSessionIds.get(this._hlsKey(streamId, req, token)))) {
+      return null;
+    }
+
+    const limits = this.streamManager.getSettings().limits;
+    const stream = this.streamManager.getStream(streamId);
+    const owner = this._getOwner(token);
+
+    if (owner.key && limits.maxViewersPerClient > 0) {
+      const sessions = [...this.sessions.values()].filter(session => session.owner === owner.key).length;
+      if (sessions >= limits.maxViewersPerClient) {
+        this.log('warn', `[${stream.name}] Refused ${owner.label}: already watching ${sessions} of ${limits.maxViewersPerClient} allowed streams`);
+        return { status: 429, message: `Too many streams: at most ${limits.maxViewersPerClient} may be watched at once` };
+      }
+    }
+
+    if (stream.maxViewers && this.getViewerCount(streamId) >= stream.maxViewers) {
+      this.log('warn', `[${stream.name}] Refused viewer ${getClientIp(req)}: stream limit of ${stream.maxViewers} viewers reached`);
+      return { status: 503, message: 'This stream has reached its viewer limit' };
+    }
+
+    if (limits.maxViewers > 0 && this.sessions.size >= limits.maxViewers) {
+      this.log('warn', `[${stream.name}] Refused viewer ${getClientIp(req)}: server limit of ${limits.maxViewers} viewers reached`);
+      return { status: 503, message: 'The server has reached its viewer limit' };
+    }
+
+    this._reserveSession(streamId, protocol, req, res, token);
+    return null;
+  }
+
+  _reserveSession(streamId, protocol, req, res, token) {
+    const session = this._startSession(streamId, protocol, req, token, true);
+
+    if (protocol === 'hls') {
+      session.key = this._hlsKey(streamId, req, token);
+      this.hlsSessionIds.set(session.key, session.id);
+      return;
+    }
+
+    // An MPEG-TS session lasts as long as its connection
+    session.socket = req.socket;
+    session.socketBytes = req.socket.bytesWritten;
+    this.tsSessions.set(res, session);
+    res.on('close', () => {
+      this.tsSessions.delete(res);
+      this._updateTsSession(session);
+      this._endSession(session);
+    });
+  }
+
+  // Count an HLS playlist or segment request towards its viewer's session once it has
+  // been answered. Failed requests (missing files, streams that couldn't start) don't count,
+  // and release the session admit() reserved if it has not served anything yet.
+  trackHlsRequest(streamId, req, res, token) {
+    const socket = req.socket;
+    const bytesBefore = socket.bytesWritten;
+
+    res.on('close', () => {
+      const key = this._hlsKey(streamId, req, token);
+      let session = this.sessions.get(this.hlsSessionIds.get(key));
+
+      if (res.statusCode !== 200 || !this.streamManager.getStream(streamId)) {
+        if (session && session.pending) {
+          this._endSession(session);
+        }
+        return;
+      }
+
+      if (session) {
+        this._confirmSession(session);
+      } else {
+        session = this._startSession(streamId, 'hls', req, token);
+        session.key = key;
+        this.hlsSessionIds.set(key, session.id);
+      }
+
+      session.lastActivity = Date.now();
+      session.bytes += socket.bytesWritten - bytesBefore;
+    });
+  }
+
+  // Mark the MPEG-TS connection admit() reserved a session for as watching
+  trackTsClient(res) {
+    const session = this.tsSessions.get(res);
+    if (session) {
+      this._confirmSession(session);
+    }
+  }
+
+  _hlsKey(streamId, req, token) {
+    return [streamId, getClientIp(req), req.headers['user-agent'] || '', token || ''].join('|');
+  }
+
+  // The user or issued token a playback token belongs to. key identifies them for the
+  // per-client limit and is null for anonymous viewers, who aren't subject to it.
+  _getOwner(token) {
+    const description = this.playbackManager.describeToken(token) || {};
+    const user = description.userId ? this.userManager.getUser(description.userId) : null;
+
+    if (user) {
+      return { key: `user:${user.id}`, username: user.username, tokenName: null, label: `user ${user.username}` };
+    }
+    if (description.tokenId) {
+      return { key: `token:${description.tokenId}`, username: null, tokenName: description.tokenName, label: `token ${description.tokenName}` };
+    }
+    return { key: null, username: null, tokenName: null, label: 'anonymous viewer' };
+  }
+
+  // A pending session is admitted but has not been served yet. It counts towards the limits
+  // and viewer counts, but is only logged as a viewer once it is confirmed.
+  _startSession(streamId, protocol, req, token, pending = false) {
+    const owner = this._getOwner(token);
+    const now = Date.now();
+
+    const session = {
+      id: uuidv4(),
+      streamId,
+      protocol,
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      tokenName: owner.tokenName,
+      username: owner.username,
+      owner: owner.key,
+      startedAt: now,
+      lastActivity: now,
+      bytes: 0,
+      pending
+    };
+    this.sessions.set(session.id, session);
+
+    if (!pending) {
+      this._logStart(session);
+    }
+    this._emitCount(streamId);
+    return session;
+  }
+
+  _confirmSession(session) {
+    if (session.pending) {
+      session.pending = false;
+      this._logStart(session);
+    }
+  }
+
+  _logStart(session) {
+    this.log('info', `[${this._streamName(session.streamId)}] ${session.protocol.toUpperCase()} viewer ${this._describeViewer(session)} started watching (${this.getViewerCount(session.streamId)} watching)`);
+  }
+
+  _endSession(session) {
+    if (!this.sessions.delete(session.id)) {
+      return;
+    }
+    if (session.key) {
+      this.hlsSessionIds.delete(session.key);
+    }
+
+    if (session.pending) {
+      this._emitCount(session.streamId);
+      return;
+    }
+
+    const duration = Math.round((session.lastActivity - session.startedAt) / 1000);
+    this.log('info', `[${this._streamName(session.streamId)}] ${session.protocol.toUpperCase()} viewer ${this._describeViewer(session)} stopped watching after ${duration}s, ${formatBytes(session.bytes)} served (${this.getViewerCount(session.streamId)} watching)`);
+    this._emitCount(session.streamId);
+  }
+
+  // Bytes written so far to an open MPEG-TS connection
+  _updateTsSession(session) {
+    session.bytes = session.socket.bytesWritten - session.socketBytes;
+    session.lastActivity = Date.now();
+  }
+
+  // End HLS sessions whose player has gone quiet. Pending ones still have their first
+  // request open (e.g. waiting for an on-demand start), which ends or confirms them.
+  sweep() {
+    const cutoff = Date.now() - HLS_SESSION_TIMEOUT;
+    for (const session of this.sessions.values()) {
+      if (session.protocol === 'hls' && !session.pending && session.lastActivity < cutoff) {
+        this._endSession(session);
+      }
+    }
+  }
+
+  // Forget a deleted stream's sessions. Its MPEG-TS connections are closed by the stream manager.
+  removeStream(streamId) {
+    for (const session of this.sessions.values()) {
+      if (session.streamId === streamId) {
+        this._endSession(session);
+      }
+    }
+  }
+
+  getViewerCount(streamId) {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.streamId === streamId) count++;
+    }
+    return count;
+  }
+
+  // Viewer count per stream, for streams with any viewers
+  getViewerCounts() {
+    const counts = {};
+    for (const session of this.sessions.values()) {
+      counts[session.streamId] = (counts[session.streamId] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Current sessions, oldest first, optionally only those of one stream
+  getSessions(streamId = null) {
+    return [...this.sessions.values()]
+      .filter(session => !streamId || session.streamId === streamId)
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map(session => {
+        if (session.protocol === 'ts') {
+          this._updateTsSession(session);
+        }
+        return {
+          id: session.id,
+          streamId: session.streamId,
+          protocol: session.protocol,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          tokenName: session.tokenName,
+          username: session.username,
+          startedAt: new Date(session.startedAt).toISOString(),
+          lastActivity: new Date(session.lastActivity).toISOString(),
+          bytes: session.bytes
+        };
+      });
+  }
+
+  _emitCount(streamId) {
+    this.emit('viewers', { id: streamId, count: this.getViewerCount(streamId) });
+  }
+
+  _streamName(streamId) {
+    const stream = this.streamManager.getStream(streamId);
+    return stream ? stream.name : streamId;
+  }
+
+  _describeViewer(session) {
+    const owner = session.username || session.tokenName;
+    return owner ? `${owner} (${session.ip})` : session.ip;
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [ViewerManager] ${message}`);
+  }
+}
+
+module.exports = ViewerManager;
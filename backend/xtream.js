@@ -0,0 +1,228 @@
+// Client for Xtream Codes panels, which most IPTV providers run. Everything goes through
+// player_api.php with the account's username and password:
+//
+//   { serverUrl: 'http://panel.example.com:8080', username: 'me', password: 'secret', outputFormat: 'hls' }
+//
+// Live channels are then played from <server>/live/<username>/<password>/<stream id>.m3u8
+// (or .ts for MPEG-TS).
+
+const http = require('http');
+const https = require('https');
+
+const OUTPUT_FORMATS = ['ts', 'hls'];
+const REQUEST_TIMEOUT = 30000;
+
+// Fetch a URL and parse it as JSON, following redirects
+const fetchJson = (url, maxRedirects = 5) => {
+  return new Promise((resolve, reject) => {
+    const protocol = url.startsWith('https') ? https : http;
+
+    const request = protocol.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (maxRedirects <= 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        const redirectUrl = new URL(res.headers.location, url).toString();
+        fetchJson(redirectUrl, maxRedirects - 1).then(resolve).catch(reject);
+        return;
+      }
+
+      // Panels answer a wrong login with 401 or 403 on some versions
+      if (res.statusCode === 401 || res.statusCode === 403) {
+        res.resume();
+        reject(new Error('Login failed, check the username and password'));
+        return;
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Request failed with status code ${res.statusCode}`));
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new Error('The server did not answer like an Xtream Codes panel'));
+        }
+      });
+      res.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.setTimeout(REQUEST_TIMEOUT, () => {
+      request.destroy(new Error('Request timed out'));
+    });
+  });
+};
+
+// Accept the panel address however it was copied: without a scheme, with a trailing
+// slash or as a full player_api.php / get.php link
+const normalizeServerUrl = (serverUrl) => {
+  let value = String(serverUrl || '').trim();
+  if (value && !/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    value = `http://${value}`;
+  }
+  return value.replace(/\/(player_api|get)\.php.*$/i, '').replace(/\/+$/, '');
+};
+
+// Check an account for a provider. current is the saved account, whose password is kept
+// when none is given, so the browser never needs to be sent it. Empty clears the account.
+const validateXtreamAccount = (account, current = null) => {
+  if (account === undefined) {
+    return current;
+  }
+  if (account === null || account === '') {
+    return null;
+  }
+  if (typeof account !== 'object') {
+    throw new Error('Xtream Codes login must be an object');
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(normalizeServerUrl(account.serverUrl));
+  } catch (error) {
+    throw new Error('Xtream Codes server must be an http or https URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+    throw new Error('Xtream Codes server must be an http or https URL');
+  }
+
+  // Lower-cased scheme and host, no query or trailing slash
+  const serverUrl = `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+
+  const username = String(account.username || '').trim();
+  if (!username) {
+    throw new Error('Xtream Codes username is required');
+  }
+
+  const password = account.password ? String(account.password) : current && current.password;
+  if (!password) {
+    throw new Error('Xtream Codes password is required');
+  }
+
+  const outputFormat = account.outputFormat || (current && current.outputFormat) || 'hls';
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Xtream Codes output format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return { serverUrl, username, password, outputFormat };
+};
+
+const apiUrl = (account, params = {}) => {
+  const query = new URLSearchParams({ username: account.username, password: account.password, ...params });
+  return `${account.serverUrl}/player_api.php?${query}`;
+};
+
+// Log in and describe the account. Throws when the login is refused or the account
+// is no longer active.
+const getAccountInfo = async (account) => {
+  const data = await fetchJson(apiUrl(account));
+  const userInfo = data && data.user_info;
+
+  if (!userInfo || Number(userInfo.auth) !== 1) {
+    throw new Error('Login failed, check the username and password');
+  }
+  if (userInfo.status && userInfo.status !== 'Active') {
+    throw new Error(`Account is ${userInfo.status.toLowerCase()}`);
+  }
+
+  const expires = Number(userInfo.exp_date);
+  return {
+    status: userInfo.status || 'Active',
+    expiresAt: expires ? new Date(expires * 1000).toISOString() : null,
+    maxConnections: Number(userInfo.max_connections) || null,
+    activeConnections: Number(userInfo.active_cons) || 0
+  };
+};
+
+const getLiveCategories = async (account) => {
+  const data = await fetchJson(apiUrl(account, { action: 'get_live_categories' }));
+  if (!Array.isArray(data)) {
+    throw new Error('Unexpected answer to the live category list');
+  }
+
+  return data.map(category => ({
+    id: String(category.category_id),
+    name: String(category.category_name || '').trim() || `Category ${category.category_id}`
+  }));
+};
+
+// Live channels, all of them or those of one category
+const getLiveStreams = async (account, categoryId = null) => {
+  const params = { action: 'get_live_streams' };
+  if (categoryId) {
+    params.category_id = categoryId;
+  }
+
+  const data = await fetchJson(apiUrl(account, params));
+  if (!Array.isArray(data)) {
+    throw new Error('Unexpected answer to the live channel list');
+  }
+
+  return data
+    .filter(channel => channel && channel.stream_id)
+    .map(channel => ({
+      streamId: Number(channel.stream_id),
+      name: String(channel.name || '').trim() || `Channel ${channel.stream_id}`,
+      logo: /^https?:\/\/\S+$/i.test(channel.stream_icon || '') ? channel.stream_icon : null,
+      epgChannelId: channel.epg_channel_id ? String(channel.epg_channel_id).trim() || null : null,
+      categoryId: channel.category_id !== undefined && channel.category_id !== null ? String(channel.category_id) : null
+    }));
+};
+
+const buildLiveUrl = (account, streamId) => {
+  const extension = account.outputFormat === 'hls' ? 'm3u8' : 'ts';
+  return `${account.serverUrl}/live/${encodeURIComponent(account.username)}/${encodeURIComponent(account.password)}/${streamId}.${extension}`;
+};
+
+// Mask the password in a source URL: the /live/<username>/<password>/ path of panel
+// channels (also what their M3U playlists list), a password query parameter and the
+// password of user:password@host
+const redactSourceUrl = (url) => {
+  if (typeof url !== 'string') {
+    return url;
+  }
+
+  return url
+    .replace(/\/(live|movie|series|timeshift)\/([^/?#]+)\/([^/?#]+)\//i, '/$1/$2/********/')
+    .replace(/([?&]password=)[^&#]*/i, '$1********')
+    .replace(/^([a-z][a-z0-9+.-]*:\/\/[^/:@]*):[^/@]*@/i, '$1:********@');
+};
+
+// Mask passwords in free text such as ffmpeg's error output: the given source URLs
+// wherever they appear, then any URL of the forms above, also when the text cut one short
+const redactSourceText = (text, urls = []) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const redacted = urls
+    .filter(url => typeof url === 'string' && url)
+    .reduce((result, url) => result.split(url).join(redactSourceUrl(url)), text);
+
+  return redacted
+    .replace(/\/(live|movie|series|timeshift)\/([^/?#\s]+)\/([^/?#\s]+)(?=\/|$)/gi, '/$1/$2/********')
+    .replace(/([?&]password=)[^&#\s]*/gi, '$1********')
+    .replace(/([a-z][a-z0-9+.-]*:\/\/[^/:@\s]*):[^/@\s]*(@|$)/gi, '$1:********$2');
+};
+
+module.exports = {
+  validateXtreamAccount,
+  getAccountInfo,
+  getLiveCategories,
+  getLiveStreams,
+  buildLiveUrl,
+  redactSourceUrl,
+  redactSourceText
+};
@@ -0,0 +1,183 @@
+const { getAccountInfo, getLiveCategories, getLiveStreams, buildLiveUrl } = require('./xtream');
+
+// Browses the live channels of providers with an Xtream Codes login, imports them as
+// streams and keeps those streams' URLs in step with the panel. Panels hand out new
+// addresses when the server moves or the login changes, and now and then re-add a channel
+// under a new id, so every provider is re-synced periodically.
+class XtreamManager {
+  constructor(streamManager) {
+    this.streamManager = streamManager;
+    this.syncInterval = parseInt(process.env.XTREAM_SYNC_INTERVAL || '6') * 60 * 60 * 1000; // Default: 6 hours
+
+    this.syncing = new Map(); // Provider id -> sync in progress
+
+    this.syncIntervalId = setInterval(() => this.syncAll(), this.syncInterval);
+
+    // Sync providers that went stale while we were not running
+    setTimeout(() => this.syncStale(), 5000);
+
+    this.log('info', 'Xtream Manager initialized');
+  }
+
+  shutdown() {
+    clearInterval(this.syncIntervalId);
+  }
+
+  _getAccount(providerId) {
+    const account = this.streamManager.getProviderAccount(providerId);
+    if (!account) {
+      throw new Error('This provider has no Xtream Codes login');
+    }
+    return account;
+  }
+
+  getCategories(providerId) {
+    return getLiveCategories(this._getAccount(providerId));
+  }
+
+  // Live channels of a provider, all or those of one category, with their category name
+  // and the stream each one has already been imported as
+  async getChannels(providerId, categoryId = null) {
+    const account = this._getAccount(providerId);
+    const [categories, channels] = await Promise.all([
+      getLiveCategories(account),
+      getLiveStreams(account, categoryId)
+    ]);
+
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+    const imported = this._getImportedStreams(providerId);
+
+    return channels.map(channel => ({
+      ...channel,
+      category: categoryNames.get(channel.categoryId) || null,
+      importedAs: imported.has(channel.streamId) ? imported.get(channel.streamId).id : null
+    }));
+  }
+
+  // Streams of a provider by the panel channel they were imported from
+  _getImportedStreams(providerId) {
+    return new Map(this.streamManager.getStreams()
+      .filter(stream => stream.providerId === providerId && stream.xtreamStreamId)
+      .map(stream => [stream.xtreamStreamId, stream]));
+  }
+
+  // Add the given panel channels as streams of the provider, named, grouped and mapped to
+  // the guide as the panel lists them. Channels that are already streams are skipped.
+  async importChannels(providerId, streamIds) {
+    if (!Array.isArray(streamIds) || streamIds.length === 0) {
+      throw new Error('Select at least one channel');
+    }
+
+    const account = this._getAccount(providerId);
+    const [categories, channels] = await Promise.all([
+      getLiveCategories(account),
+      getLiveStreams(account)
+    ]);
+
+    const wanted = new Set(streamIds.map(Number));
+    const selected = channels.filter(channel => wanted.has(channel.streamId));
+    if (selected.length === 0) {
+      throw new Error('None of the selected channels are on the panel any more');
+    }
+
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+    const imported = this._getImportedStreams(providerId);
+    const added = this.streamManager.addStreams(selected
+      .filter(channel => !imported.has(channel.streamId))
+      .map(channel => ({
+        name: channel.name,
+        url: buildLiveUrl(account, channel.streamId),
+        tvgName: channel.name,
+        tvgId: channel.epgChannelId,
+        logo: channel.logo,
+        group: categoryNames.get(channel.categoryId) || null,
+        providerId,
+        xtreamStreamId: channel.streamId
+      })));
+
+    const provider = this.streamManager.getProvider(providerId);
+    this.log('info', `[${provider.name}] Imported ${added.length} channels`);
+    return { streams: added, skipped: selected.length - added.length };
+  }
+
+  // Bring the URLs of a provider's imported streams up to date. Resolves to the outcome,
+  // which is also kept on the provider as lastSync; a failed sync has an error.
+  syncProvider(providerId) {
+    if (!this.syncing.has(providerId)) {
+      this.syncing.set(providerId, this._sync(providerId).finally(() => this.syncing.delete(providerId)));
+    }
+    return this.syncing.get(providerId);
+  }
+
+  async _sync(providerId) {
+    const provider = this.streamManager.getProvider(providerId) || { name: providerId };
+    const lastSync = { at: new Date().toISOString(), error: null, updated: 0, missing: 0, account: null };
+
+    try {
+      const account = this._getAccount(providerId);
+      lastSync.account = await getAccountInfo(account);
+      const channels = await getLiveStreams(account);
+      const byStreamId = new Map(channels.map(channel => [channel.streamId, channel]));
+
+      for (const stream of this._getImportedStreams(providerId).values()) {
+        let channel = byStreamId.get(stream.xtreamStreamId);
+
+        // Follow a channel that was re-added under a new id, as long as its name is unique
+        if (!channel) {
+          const sameName = channels.filter(candidate => candidate.name === stream.tvgName);
+          channel = sameName.length === 1 ? sameName[0] : null;
+        }
+
+        if (!channel) {
+          lastSync.missing++;
+          this.log('warn', `[${provider.name}] ${stream.name} is no longer on the panel`);
+          continue;
+        }
+
+        const url = buildLiveUrl(account, channel.streamId);
+        if (url !== stream.url || channel.streamId !== stream.xtreamStreamId) {
+          this.streamManager.updateStream(stream.id, { name: stream.name, url, xtreamStreamId: channel.streamId });
+          lastSync.updated++;
+        }
+      }
+
+      this.log('info', `[${provider.name}] Synced: ${lastSync.updated} stream URLs updated, ${lastSync.missing} channels missing`);
+    } catch (error) {
+      lastSync.error = error.message;
+      this.log('error', `[${provider.name}] Sync failed: ${error.message}`);
+    }
+
+    this.streamManager.recordProviderSync(providerId, lastSync);
+    return lastSync;
+  }
+
+  _getXtreamProviders() {
+    return this.streamManager.getProviders().filter(provider => provider.xtream);
+  }
+
+  async syncAll() {
+    for (const provider of this._getXtreamProviders()) {
+      await this.syncProvider(provider.id);
+    }
+  }
+
+  async syncStale() {
+    const now = Date.now();
+
+    for (const provider of this._getXtreamProviders()) {
+      const lastSynced = provider.lastSync ? new Date(provider.lastSync.at).getTime() : 0;
+      if (now - lastSynced >= this.syncInterval) {
+        await this.syncProvider(provider.id);
+      }
+    }
+  }
+
+  log(level, message) {
+    const timestamp = new Date().toISOString();
+    const validLevels = ['log', 'info', 'warn', 'error', 'debug'];
+    const logMethod = validLevels.includes(level) ? level : 'log';
+    console[logMethod](`[${timestamp}] [XtreamManager] ${message}`);
+  }
+}
+
+module.exports = XtreamManager;
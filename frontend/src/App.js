@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { Box, CssBaseline } from '@mui/material';
+import { Box, CssBaseline, CircularProgress } from '@mui/material';
+import axios from 'axios';
 
 // Components
 import Sidebar from './components/Sidebar';
@@ -8,39 +9,99 @@ import Dashboard from './pages/Dashboard';
 import StreamsList from './pages/StreamsList';
 import StreamPage from './pages/StreamPage';
 import Settings from './pages/Settings';
+import Login from './pages/Login';
+import { AuthContext } from './AuthContext';
 
 function App() {
   const [drawerOpen, setDrawerOpen] = useState(true);
   const drawerWidth = drawerOpen ? 240 : 73;
 
+  // null while we don't know yet, then { setupRequired, user }
+  const [auth, setAuth] = useState(null);
+
+  useEffect(() => {
+    const fetchAuthStatus = async () => {
+      try {
+        const response = await axios.get('/api/auth/status');
+        setAuth(response.data);
+      } catch (error) {
+        console.error('Error fetching login status:', error);
+        setAuth({ setupRequired: false, user: null });
+      }
+    };
+    fetchAuthStatus();
+
+    // Send the user back to the login page when their session expires
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        const url = error.config && error.config.url ? error.config.url : '';
+        if (error.response && error.response.status === 401 && !url.startsWith('/api/auth/')) {
+          setAuth({ setupRequired: false, user: null });
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   const toggleDrawer = () => {
     setDrawerOpen(!drawerOpen);
   };
 
-  return (
-    <Router>
-      <Box sx={{ display: 'flex' }}>
+  const handleLogin = (user) => {
+    setAuth({ setupRequired: false, user });
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setAuth({ setupRequired: false, user: null });
+  };
+
+  if (!auth) {
+    return (
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100vh' }}>
         <CssBaseline />
-        <Sidebar open={drawerOpen} toggleDrawer={toggleDrawer} />
-        <Box
-          component="main"
-          sx={{
-            flexGrow: 1,
-            width: `calc(100% - ${drawerWidth}px)`,
-            background: 'linear-gradient(135deg, #0a1929 0%, #132f4c 100%)',
-            height: '100vh',
-            overflow: 'auto',
-          }}
-        >
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/streams" element={<StreamsList />} />
-            <Route path="/streams/:id" element={<StreamPage />} />
-            <Route path="/settings" element={<Settings />} />
-          </Routes>
-        </Box>
+        <CircularProgress />
       </Box>
-    </Router>
+    );
+  }
+
+  if (!auth.user) {
+    return <Login setupRequired={auth.setupRequired} onLogin={handleLogin} />;
+  }
+
+  return (
+    <AuthContext.Provider value={{ user: auth.user }}>
+      <Router>
+        <Box sx={{ display: 'flex' }}>
+          <CssBaseline />
+          <Sidebar open={drawerOpen} toggleDrawer={toggleDrawer} user={auth.user} onLogout={handleLogout} />
+          <Box
+            component="main"
+            sx={{
+              flexGrow: 1,
+              width: `calc(100% - ${drawerWidth}px)`,
+              background: 'linear-gradient(135deg, #0a1929 0%, #132f4c 100%)',
+              height: '100vh',
+              overflow: 'auto',
+            }}
+          >
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/streams" element={<StreamsList />} />
+              <Route path="/streams/:id" element={<StreamPage />} />
+              <Route path="/settings" element={<Settings />} />
+            </Routes>
+          </Box>
+        </Box>
+      </Router>
+    </AuthContext.Provider>
   );
 }
 
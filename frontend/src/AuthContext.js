@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+
+// Roles from least to most privileged, matching the server
+const ROLES = ['viewer', 'operator', 'admin'];
+
+export const AuthContext = createContext({ user: null });
+
+// True if the user's role is at least the given role
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Current user, plus a shortcut to check what they may do
+export const useAuth = () => {
+  const { user } = useContext(AuthContext);
+  return {
+    user,
+    hasRole: (role) => hasRole(user, role)
+  };
+};
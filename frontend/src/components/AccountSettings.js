@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Change the signed-in user's password
+const AccountSettings = ({ onNotify }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (key, value) => {
+    setForm({ ...form, [key]: value });
+  };
+
+  const handleSave = async () => {
+    if (form.newPassword !== form.confirmPassword) {
+      onNotify('New passwords do not match', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await axios.put('/api/auth/password', {
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword
+      });
+      setForm(EMPTY_FORM);
+      onNotify('Password changed', 'success');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : 'Error changing password';
+      onNotify(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Account
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Current Password"
+            type="password"
+            size="small"
+            value={form.currentPassword}
+            onChange={(e) => handleChange('currentPassword', e.target.value)}
+            autoComplete="current-password"
+            sx={{ ...inputSx, flex: 1, minWidth: 200 }}
+          />
+          <TextField
+            label="New Password"
+            type="password"
+            size="small"
+            value={form.newPassword}
+            onChange={(e) => handleChange('newPassword', e.target.value)}
+            autoComplete="new-password"
+            helperText="At least 8 characters"
+            sx={{ ...inputSx, flex: 1, minWidth: 200 }}
+          />
+          <TextField
+            label="Confirm New Password"
+            type="password"
+            size="small"
+            value={form.confirmPassword}
+            onChange={(e) => handleChange('confirmPassword', e.target.value)}
+            autoComplete="new-password"
+            sx={{ ...inputSx, flex: 1, minWidth: 200 }}
+          />
+        </Box>
+        <Box sx={{ mt: 2 }}>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={saving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+            onClick={handleSave}
+            disabled={saving || !form.currentPassword || !form.newPassword}
+          >
+            Change Password
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AccountSettings;
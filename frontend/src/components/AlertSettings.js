@@ -0,0 +1,708 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Autocomplete,
+  IconButton,
+  Tooltip,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Save as SaveIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import moment from 'moment';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const CHANNEL_TYPES = {
+  webhook: 'Webhook (JSON)',
+  slack: 'Slack',
+  discord: 'Discord',
+  telegram: 'Telegram',
+  email: 'Email (SMTP)'
+};
+
+const RULE_TYPES = {
+  health: 'Health drops',
+  staleSegments: 'Stale segments',
+  streamDown: 'Stream down',
+  diskLow: 'Disk space low'
+};
+
+// Unit and helper text for the numeric threshold of each rule type
+const THRESHOLDS = {
+  staleSegments: { label: 'No new segment for (seconds)', defaultValue: 60 },
+  streamDown: { label: 'Down for (minutes)', defaultValue: 5 },
+  diskLow: { label: 'Free space below (%)', defaultValue: 10 }
+};
+
+const EMPTY_CHANNEL = {
+  name: '',
+  type: 'webhook',
+  config: { url: '', host: '', port: 587, secure: false, username: '', password: '', from: '', to: '', botToken: '', chatId: '' }
+};
+
+const EMPTY_RULE = { name: '', type: 'health', health: 'poor', threshold: '', streams: [], channelIds: [] };
+
+const getErrorMessage = (error, fallback) => (
+  error.response && error.response.data && error.response.data.error
+    ? error.response.data.error
+    : fallback
+);
+
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'health':
+      return `Health is ${rule.health} or worse`;
+    case 'staleSegments':
+      return `No new segment for ${rule.threshold}s`;
+    case 'streamDown':
+      return `Down for ${rule.threshold} min`;
+    default:
+      return `Less than ${rule.threshold}% disk free`;
+  }
+};
+
+// Admin screen for alert rules and the channels their notifications go to
+const AlertSettings = ({ onNotify }) => {
+  const [rules, setRules] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [activeAlerts, setActiveAlerts] = useState([]);
+  const [streams, setStreams] = useState([]);
+  const [channelForm, setChannelForm] = useState(EMPTY_CHANNEL);
+  const [editingChannelId, setEditingChannelId] = useState(null);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [testing, setTesting] = useState(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/alerts');
+      setRules(response.data.rules);
+      setChannels(response.data.channels);
+      setActiveAlerts(response.data.active);
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchStreams = async () => {
+      try {
+        const response = await axios.get('/api/streams');
+        setStreams(response.data);
+      } catch (error) {
+        console.error('Error fetching streams:', error);
+      }
+    };
+    fetchStreams();
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const getStreamName = (id) => (streams.find(stream => stream.id === id) || { name: id }).name;
+  const getChannelName = (id) => (channels.find(channel => channel.id === id) || { name: id }).name;
+
+  // Channels
+
+  const setChannelConfig = (key, value) => {
+    setChannelForm({ ...channelForm, config: { ...channelForm.config, [key]: value } });
+  };
+
+  const resetChannelForm = () => {
+    setChannelForm(EMPTY_CHANNEL);
+    setEditingChannelId(null);
+  };
+
+  const handleEditChannel = (channel) => {
+    setChannelForm({
+      name: channel.name,
+      type: channel.type,
+      config: { ...EMPTY_CHANNEL.config, ...channel.config }
+    });
+    setEditingChannelId(channel.id);
+  };
+
+  const handleSaveChannel = async () => {
+    try {
+      if (editingChannelId) {
+        await axios.put(`/api/alerts/channels/${editingChannelId}`, channelForm);
+        onNotify(`Channel ${channelForm.name} saved`, 'success');
+      } else {
+        await axios.post('/api/alerts/channels', channelForm);
+        onNotify(`Channel ${channelForm.name} added`, 'success');
+      }
+      resetChannelForm();
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error saving notification channel:', error);
+      onNotify(getErrorMessage(error, 'Error saving channel'), 'error');
+    }
+  };
+
+  const handleToggleChannel = async (channel, enabled) => {
+    try {
+      await axios.put(`/api/alerts/channels/${channel.id}`, { enabled });
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error updating notification channel:', error);
+      onNotify(getErrorMessage(error, 'Error updating channel'), 'error');
+    }
+  };
+
+  const handleTestChannel = async (channel) => {
+    setTesting(channel.id);
+    try {
+      await axios.post(`/api/alerts/channels/${channel.id}/test`);
+      onNotify(`Test notification sent through ${channel.name}`, 'success');
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      onNotify(getErrorMessage(error, 'Error sending test notification'), 'error');
+    } finally {
+      setTesting(null);
+      fetchAlerts();
+    }
+  };
+
+  const handleDeleteChannel = async (channel) => {
+    if (!window.confirm(`Delete channel ${channel.name}?`)) return;
+
+    try {
+      await axios.delete(`/api/alerts/channels/${channel.id}`);
+      onNotify(`Channel ${channel.name} deleted`, 'success');
+      if (editingChannelId === channel.id) resetChannelForm();
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error deleting notification channel:', error);
+      onNotify(getErrorMessage(error, 'Error deleting channel'), 'error');
+    }
+  };
+
+  // Rules
+
+  const resetRuleForm = () => {
+    setRuleForm(EMPTY_RULE);
+    setEditingRuleId(null);
+  };
+
+  const handleRuleTypeChange = (type) => {
+    setRuleForm({
+      ...ruleForm,
+      type,
+      threshold: THRESHOLDS[type] ? THRESHOLDS[type].defaultValue : ''
+    });
+  };
+
+  const handleEditRule = (rule) => {
+    setRuleForm({
+      name: rule.name,
+      type: rule.type,
+      health: rule.health || 'poor',
+      threshold: rule.threshold !== null ? rule.threshold : '',
+      streams: streams.filter(stream => rule.streamIds && rule.streamIds.includes(stream.id)),
+      channelIds: rule.channelIds || []
+    });
+    setEditingRuleId(rule.id);
+  };
+
+  const handleSaveRule = async () => {
+    const payload = {
+      name: ruleForm.name,
+      type: ruleForm.type,
+      health: ruleForm.type === 'health' ? ruleForm.health : null,
+      threshold: THRESHOLDS[ruleForm.type] ? ruleForm.threshold : null,
+      streamIds: ruleForm.streams.map(stream => stream.id),
+      channelIds: ruleForm.channelIds
+    };
+
+    try {
+      if (editingRuleId) {
+        await axios.put(`/api/alerts/rules/${editingRuleId}`, payload);
+        onNotify(`Rule ${ruleForm.name} saved`, 'success');
+      } else {
+        await axios.post('/api/alerts/rules', payload);
+        onNotify(`Rule ${ruleForm.name} added`, 'success');
+      }
+      resetRuleForm();
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error saving alert rule:', error);
+      onNotify(getErrorMessage(error, 'Error saving rule'), 'error');
+    }
+  };
+
+  const handleToggleRule = async (rule, enabled) => {
+    try {
+      await axios.put(`/api/alerts/rules/${rule.id}`, { enabled });
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      onNotify(getErrorMessage(error, 'Error updating rule'), 'error');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete rule ${rule.name}?`)) return;
+
+    try {
+      await axios.delete(`/api/alerts/rules/${rule.id}`);
+      onNotify(`Rule ${rule.name} deleted`, 'success');
+      if (editingRuleId === rule.id) resetRuleForm();
+      fetchAlerts();
+    } catch (error) {
+      console.error('Error deleting alert rule:', error);
+      onNotify(getErrorMessage(error, 'Error deleting rule'), 'error');
+    }
+  };
+
+  const renderChannelFields = () => {
+    const { type, config } = channelForm;
+
+    if (type === 'email') {
+      return (
+        <>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            <TextField
+              label="SMTP Host"
+              size="small"
+              value={config.host}
+              onChange={(e) => setChannelConfig('host', e.target.value)}
+              sx={{ ...inputSx, flex: 2, minWidth: 200 }}
+            />
+            <TextField
+              label="Port"
+              size="small"
+              type="number"
+              value={config.port}
+              onChange={(e) => setChannelConfig('port', e.target.value)}
+              sx={{ ...inputSx, width: 110 }}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={!!config.secure}
+                  onChange={(e) => setChannelConfig('secure', e.target.checked)}
+                  color="primary"
+                />
+              }
+              label="TLS (port 465)"
+            />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Username"
+              size="small"
+              value={config.username}
+              onChange={(e) => setChannelConfig('username', e.target.value)}
+              autoComplete="off"
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+            <TextField
+              label="Password"
+              size="small"
+              type="password"
+              value={config.password}
+              onChange={(e) => setChannelConfig('password', e.target.value)}
+              autoComplete="new-password"
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="From"
+              size="small"
+              value={config.from}
+              onChange={(e) => setChannelConfig('from', e.target.value)}
+              placeholder="restream@example.com"
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+            <TextField
+              label="To"
+              size="small"
+              value={config.to}
+              onChange={(e) => setChannelConfig('to', e.target.value)}
+              helperText="Separate several addresses with commas"
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+          </Box>
+        </>
+      );
+    }
+
+    if (type === 'telegram') {
+      return (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="Bot Token"
+            size="small"
+            type="password"
+            value={config.botToken}
+            onChange={(e) => setChannelConfig('botToken', e.target.value)}
+            autoComplete="new-password"
+            sx={{ ...inputSx, flex: 2, minWidth: 200 }}
+          />
+          <TextField
+            label="Chat ID"
+            size="small"
+            value={config.chatId}
+            onChange={(e) => setChannelConfig('chatId', e.target.value)}
+            sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+          />
+        </Box>
+      );
+    }
+
+    return (
+      <TextField
+        label="Webhook URL"
+        size="small"
+        value={config.url}
+        onChange={(e) => setChannelConfig('url', e.target.value)}
+        helperText={type === 'webhook' ? 'Receives a JSON POST for every alert and recovery' : 'Incoming webhook URL from the app'}
+        sx={inputSx}
+      />
+    );
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Alerts
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        {activeAlerts.length > 0 && (
+          <Box sx={{ mb: 3, display: 'flex', flexDirection: 'column', gap: 1 }}>
+            {activeAlerts.map((alert) => (
+              <Alert key={`${alert.ruleId}-${alert.streamId}`} severity="warning">
+                {alert.message} (since {moment(alert.since).fromNow()})
+              </Alert>
+            ))}
+          </Box>
+        )}
+
+        <Typography variant="subtitle1" sx={{ color: '#ffffff', mb: 1 }}>
+          Notification Channels
+        </Typography>
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Name</TableCell>
+              <TableCell sx={cellSx}>Type</TableCell>
+              <TableCell sx={cellSx}>Last Sent</TableCell>
+              <TableCell sx={cellSx}>Enabled</TableCell>
+              <TableCell sx={cellSx} align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {channels.length === 0 && (
+              <TableRow>
+                <TableCell sx={{ ...cellSx, color: 'rgba(255, 255, 255, 0.5)' }} colSpan={5}>
+                  No channels yet. Alerts are only logged until you add one.
+                </TableCell>
+              </TableRow>
+            )}
+            {channels.map((channel) => (
+              <TableRow key={channel.id}>
+                <TableCell sx={cellSx}>{channel.name}</TableCell>
+                <TableCell sx={cellSx}>{CHANNEL_TYPES[channel.type]}</TableCell>
+                <TableCell sx={cellSx}>
+                  {channel.lastError ? (
+                    <Typography variant="body2" sx={{ color: '#f44336' }}>{channel.lastError}</Typography>
+                  ) : (
+                    channel.lastSentAt ? moment(channel.lastSentAt).fromNow() : 'Never'
+                  )}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  <Switch
+                    size="small"
+                    checked={channel.enabled}
+                    onChange={(e) => handleToggleChannel(channel, e.target.checked)}
+                    color="primary"
+                  />
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  <Tooltip title="Send test notification">
+                    <span>
+                      <IconButton
+                        onClick={() => handleTestChannel(channel)}
+                        disabled={testing === channel.id}
+                        sx={{ color: '#64B5F6' }}
+                      >
+                        <SendIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Edit channel">
+                    <IconButton onClick={() => handleEditChannel(channel)} sx={{ color: '#64B5F6' }}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete channel">
+                    <IconButton onClick={() => handleDeleteChannel(channel)} sx={{ color: '#f44336' }}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+          {editingChannelId ? 'Edit Channel' : 'Add Channel'}
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 4 }}>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Name"
+              size="small"
+              value={channelForm.name}
+              onChange={(e) => setChannelForm({ ...channelForm, name: e.target.value })}
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+            <TextField
+              select
+              label="Type"
+              size="small"
+              value={channelForm.type}
+              onChange={(e) => setChannelForm({ ...channelForm, type: e.target.value })}
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            >
+              {Object.entries(CHANNEL_TYPES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          {renderChannelFields()}
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={editingChannelId ? <SaveIcon /> : <AddIcon />}
+              onClick={handleSaveChannel}
+              disabled={!channelForm.name.trim()}
+            >
+              {editingChannelId ? 'Save Channel' : 'Add Channel'}
+            </Button>
+            {editingChannelId && (
+              <Button onClick={resetChannelForm} sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+                Cancel
+              </Button>
+            )}
+          </Box>
+        </Box>
+
+        <Typography variant="subtitle1" sx={{ color: '#ffffff', mb: 1 }}>
+          Alert Rules
+        </Typography>
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Each rule notifies once when its condition starts and again when it clears.
+        </Typography>
+        <Table size="small" sx={{ mb: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Name</TableCell>
+              <TableCell sx={cellSx}>Condition</TableCell>
+              <TableCell sx={cellSx}>Streams</TableCell>
+              <TableCell sx={cellSx}>Channels</TableCell>
+              <TableCell sx={cellSx}>Enabled</TableCell>
+              <TableCell sx={cellSx} align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rules.length === 0 && (
+              <TableRow>
+                <TableCell sx={{ ...cellSx, color: 'rgba(255, 255, 255, 0.5)' }} colSpan={6}>
+                  No alert rules yet
+                </TableCell>
+              </TableRow>
+            )}
+            {rules.map((rule) => (
+              <TableRow key={rule.id}>
+                <TableCell sx={cellSx}>{rule.name}</TableCell>
+                <TableCell sx={cellSx}>{describeRule(rule)}</TableCell>
+                <TableCell sx={cellSx}>
+                  {rule.type === 'diskLow' ? '-' : rule.streamIds ? rule.streamIds.map(getStreamName).join(', ') : 'All streams'}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  {rule.channelIds ? rule.channelIds.map(getChannelName).join(', ') : 'All channels'}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  <Switch
+                    size="small"
+                    checked={rule.enabled}
+                    onChange={(e) => handleToggleRule(rule, e.target.checked)}
+                    color="primary"
+                  />
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  <Tooltip title="Edit rule">
+                    <IconButton onClick={() => handleEditRule(rule)} sx={{ color: '#64B5F6' }}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete rule">
+                    <IconButton onClick={() => handleDeleteRule(rule)} sx={{ color: '#f44336' }}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+          {editingRuleId ? 'Edit Rule' : 'Add Rule'}
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Name"
+              size="small"
+              value={ruleForm.name}
+              onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            />
+            <TextField
+              select
+              label="Condition"
+              size="small"
+              value={ruleForm.type}
+              onChange={(e) => handleRuleTypeChange(e.target.value)}
+              sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+            >
+              {Object.entries(RULE_TYPES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+            {ruleForm.type === 'health' ? (
+              <TextField
+                select
+                label="Health at or below"
+                size="small"
+                value={ruleForm.health}
+                onChange={(e) => setRuleForm({ ...ruleForm, health: e.target.value })}
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              >
+                <MenuItem value="degraded">Degraded</MenuItem>
+                <MenuItem value="poor">Poor</MenuItem>
+                <MenuItem value="failed">Failed (gave up reconnecting)</MenuItem>
+              </TextField>
+            ) : (
+              <TextField
+                label={THRESHOLDS[ruleForm.type].label}
+                size="small"
+                type="number"
+                value={ruleForm.threshold}
+                onChange={(e) => setRuleForm({ ...ruleForm, threshold: e.target.value })}
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            {ruleForm.type !== 'diskLow' && (
+              <Autocomplete
+                multiple
+                size="small"
+                options={streams}
+                value={ruleForm.streams}
+                onChange={(e, value) => setRuleForm({ ...ruleForm, streams: value })}
+                getOptionLabel={(stream) => stream.name}
+                isOptionEqualToValue={(option, value) => option.id === value.id}
+                sx={{ flex: 1, minWidth: 240 }}
+                renderInput={(params) => (
+                  <TextField {...params} label="Streams" helperText="Leave empty for all streams" sx={inputSx} />
+                )}
+              />
+            )}
+            <TextField
+              select
+              label="Notify"
+              size="small"
+              value={ruleForm.channelIds}
+              onChange={(e) => setRuleForm({ ...ruleForm, channelIds: e.target.value })}
+              SelectProps={{
+                multiple: true,
+                displayEmpty: true,
+                renderValue: (selected) => (selected.length > 0 ? selected.map(getChannelName).join(', ') : 'All channels')
+              }}
+              InputLabelProps={{ shrink: true }}
+              sx={{ ...inputSx, flex: 1, minWidth: 240 }}
+            >
+              {channels.map((channel) => (
+                <MenuItem key={channel.id} value={channel.id}>{channel.name}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={editingRuleId ? <SaveIcon /> : <AddIcon />}
+              onClick={handleSaveRule}
+              disabled={!ruleForm.name.trim()}
+            >
+              {editingRuleId ? 'Save Rule' : 'Add Rule'}
+            </Button>
+            {editingRuleId && (
+              <Button onClick={resetRuleForm} sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+                Cancel
+              </Button>
+            )}
+          </Box>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AlertSettings;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Autocomplete,
+  Switch,
+  FormControlLabel,
+  CircularProgress
+} from '@mui/material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const EMPTY_ASSIGNMENT = { group: '', clearGroup: false, addTags: [], removeTags: [] };
+
+// Set the group and add or remove tags on the selected streams in one go
+const AssignStreamsDialog = ({ open, onClose, streamIds, groups, tags, onAssigned, onNotify }) => {
+  const [values, setValues] = useState(EMPTY_ASSIGNMENT);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setValues(EMPTY_ASSIGNMENT);
+    }
+  }, [open]);
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async () => {
+    const payload = { ids: streamIds, addTags: values.addTags, removeTags: values.removeTags };
+    if (values.clearGroup) {
+      payload.group = null;
+    } else if (values.group.trim()) {
+      payload.group = values.group.trim();
+    }
+
+    setSaving(true);
+    try {
+      const response = await axios.post('/api/streams/assign', payload);
+      onNotify(`Updated ${response.data.length} stream${response.data.length === 1 ? '' : 's'}`, 'success');
+      onAssigned(response.data);
+      onClose();
+    } catch (error) {
+      console.error('Error assigning streams:', error);
+      onNotify(`Failed to update streams${error.response?.data?.error ? `: ${error.response.data.error}` : ''}`, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unchanged = !values.clearGroup && !values.group.trim() && values.addTags.length === 0 && values.removeTags.length === 0;
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          borderRadius: '12px',
+        }
+      }}
+    >
+      <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+        Group and Tag {streamIds.length} Stream{streamIds.length === 1 ? '' : 's'}
+      </DialogTitle>
+      <DialogContent sx={{ mt: 2 }}>
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)', mb: 2 }}>
+          Fields left empty are not changed. Running streams keep playing.
+        </Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+            <Autocomplete
+              freeSolo
+              options={groups}
+              inputValue={values.group}
+              onInputChange={(e, value) => handleChange('group', value)}
+              disabled={values.clearGroup}
+              sx={{ flex: 1 }}
+              renderInput={(params) => (
+                <TextField {...params} size="small" label="Move to group" sx={inputSx} />
+              )}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={values.clearGroup}
+                  onChange={(e) => handleChange('clearGroup', e.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Remove from group"
+            />
+          </Box>
+          <Autocomplete
+            multiple
+            freeSolo
+            options={tags}
+            value={values.addTags}
+            onChange={(e, value) => handleChange('addTags', value)}
+            renderInput={(params) => (
+              <TextField {...params} size="small" label="Add tags" helperText="Press Enter after each new tag" sx={inputSx} />
+            )}
+          />
+          <Autocomplete
+            multiple
+            options={tags}
+            value={values.removeTags}
+            onChange={(e, value) => handleChange('removeTags', value)}
+            renderInput={(params) => (
+              <TextField {...params} size="small" label="Remove tags" sx={inputSx} />
+            )}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+        <Button onClick={onClose} sx={{ color: '#aaaaaa' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color="primary"
+          disabled={saving || unchanged}
+          startIcon={saving ? <CircularProgress size={20} color="inherit" /> : null}
+        >
+          Apply
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AssignStreamsDialog;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import {
+  PlayArrow as PlayArrowIcon,
+  Stop as StopIcon,
+  Refresh as RefreshIcon,
+  Delete as DeleteIcon,
+  LocalOffer as TagIcon,
+  Tune as ProfileIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import OutputProfileFields, { DEFAULT_OUTPUT_PROFILE } from './OutputProfileFields';
+
+const ACTION_LABELS = {
+  start: 'Started',
+  stop: 'Stopped',
+  restart: 'Restarted',
+  delete: 'Deleted',
+  setProfile: 'Updated'
+};
+
+const dialogPaperProps = {
+  sx: {
+    backgroundColor: '#1e1e1e',
+    color: '#ffffff',
+    borderRadius: '12px',
+  }
+};
+
+// Actions for the streams ticked in the streams list. Operators may start, stop and
+// restart them; admins may also regroup, re-profile and delete them.
+const BulkActionBar = ({ selectedIds, isAdmin, onSelectAll, onClear, onAssign, onComplete, onNotify }) => {
+  const [runningAction, setRunningAction] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'delete', 'setProfile' or 'results'
+  const [outputProfile, setOutputProfile] = useState(DEFAULT_OUTPUT_PROFILE);
+  const [failures, setFailures] = useState([]);
+
+  const count = selectedIds.length;
+  const streamsLabel = `${count} stream${count === 1 ? '' : 's'}`;
+
+  const runAction = async (action, params) => {
+    setDialog(null);
+    setRunningAction(action);
+    try {
+      const response = await axios.post('/api/streams/bulk', { action, ids: selectedIds, params });
+      const { succeeded, failed, results } = response.data;
+
+      if (failed > 0) {
+        setFailures(results.filter(result => !result.success));
+        setDialog('results');
+        onNotify(`${ACTION_LABELS[action]} ${succeeded} of ${results.length} streams, ${failed} failed`, 'warning');
+      } else {
+        onNotify(`${ACTION_LABELS[action]} ${succeeded} stream${succeeded === 1 ? '' : 's'}`, 'success');
+      }
+      onComplete(action, results);
+    } catch (error) {
+      console.error(`Error running bulk ${action}:`, error);
+      onNotify(`Bulk ${action} failed${error.response?.data?.error ? `: ${error.response.data.error}` : ''}`, 'error');
+    } finally {
+      setRunningAction(null);
+    }
+  };
+
+  const actionButton = (action, label, icon, props = {}) => (
+    <Button
+      size="small"
+      variant="outlined"
+      startIcon={runningAction === action ? <CircularProgress size={16} color="inherit" /> : icon}
+      disabled={Boolean(runningAction)}
+      onClick={() => runAction(action)}
+      {...props}
+    >
+      {label}
+    </Button>
+  );
+
+  return (
+    <>
+      <Paper
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 1.5,
+          p: 1.5,
+          mb: 3,
+          backgroundColor: 'rgba(55, 123, 88, 0.15)',
+          border: '1px solid rgba(55, 123, 88, 0.4)',
+          borderRadius: '12px'
+        }}
+      >
+        <Typography variant="body2" sx={{ color: '#ffffff', fontWeight: 600, mr: 'auto' }}>
+          {count} selected
+        </Typography>
+        {actionButton('start', 'Start', <PlayArrowIcon />, { color: 'success' })}
+        {actionButton('stop', 'Stop', <StopIcon />, { color: 'warning' })}
+        {actionButton('restart', 'Restart', <RefreshIcon />)}
+        {isAdmin && (
+          <>
+            <Button size="small" variant="outlined" startIcon={<TagIcon />} disabled={Boolean(runningAction)} onClick={onAssign}>
+              Group / Tag
+            </Button>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={runningAction === 'setProfile' ? <CircularProgress size={16} color="inherit" /> : <ProfileIcon />}
+              disabled={Boolean(runningAction)}
+              onClick={() => setDialog('setProfile')}
+            >
+              Output Profile
+            </Button>
+            <Button
+              size="small"
+              variant="outlined"
+              color="error"
+              startIcon={runningAction === 'delete' ? <CircularProgress size={16} color="inherit" /> : <DeleteIcon />}
+              disabled={Boolean(runningAction)}
+              onClick={() => setDialog('delete')}
+            >
+              Delete
+            </Button>
+          </>
+        )}
+        <Button size="small" onClick={onSelectAll} sx={{ color: '#aaaaaa' }}>
+          Select All Shown
+        </Button>
+        <Button size="small" onClick={onClear} sx={{ color: '#aaaaaa' }}>
+          Clear
+        </Button>
+      </Paper>
+
+      <Dialog open={dialog === 'delete'} onClose={() => setDialog(null)} PaperProps={dialogPaperProps}>
+        <DialogTitle>Delete {streamsLabel}?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+            The selected streams are stopped and removed with their recordings and screenshots. This cannot be undone.
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={() => setDialog(null)} sx={{ color: '#aaaaaa' }}>
+            Cancel
+          </Button>
+          <Button variant="contained" color="error" onClick={() => runAction('delete')}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === 'setProfile'} onClose={() => setDialog(null)} maxWidth="sm" fullWidth PaperProps={dialogPaperProps}>
+        <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+          Output Profile for {streamsLabel}
+        </DialogTitle>
+        <DialogContent sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)', mb: 2 }}>
+            Running streams restart with the new profile.
+          </Typography>
+          <OutputProfileFields value={outputProfile} onChange={setOutputProfile} />
+        </DialogContent>
+        <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+          <Button onClick={() => setDialog(null)} sx={{ color: '#aaaaaa' }}>
+            Cancel
+          </Button>
+          <Button variant="contained" color="primary" onClick={() => runAction('setProfile', { outputProfile })}>
+            Apply
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === 'results'} onClose={() => setDialog(null)} maxWidth="sm" fullWidth PaperProps={dialogPaperProps}>
+        <DialogTitle>Some Streams Failed</DialogTitle>
+        <DialogContent>
+          <List dense>
+            {failures.map(failure => (
+              <ListItem key={failure.id} disableGutters>
+                <ListItemText
+                  primary={failure.name || failure.id}
+                  secondary={failure.error}
+                  secondaryTypographyProps={{ sx: { color: '#f44336' } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={() => setDialog(null)} color="primary">
+            Close
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default BulkActionBar;
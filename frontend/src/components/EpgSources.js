@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField,
+  IconButton,
+  Tooltip,
+  List,
+  ListItem,
+  ListItemText,
+  Chip
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Upload as UploadIcon,
+  Refresh as RefreshIcon,
+  Delete as DeleteIcon,
+  Link as LinkIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import moment from 'moment';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+};
+
+const EpgSources = ({ onNotify }) => {
+  const [sources, setSources] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busySource, setBusySource] = useState(null);
+  const [newSource, setNewSource] = useState({ name: '', url: '' });
+
+  const fetchSources = async () => {
+    try {
+      const response = await axios.get('/api/epg/sources');
+      setSources(response.data);
+    } catch (error) {
+      console.error('Error fetching EPG sources:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSources();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response && error.response.data && error.response.data.error
+      ? error.response.data.error
+      : fallback;
+  };
+
+  const handleAddUrl = async () => {
+    if (!newSource.url.trim()) return;
+
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/epg/sources', {
+        name: newSource.name.trim() || undefined,
+        url: newSource.url.trim()
+      });
+
+      setNewSource({ name: '', url: '' });
+      if (response.data.lastError) {
+        onNotify(`Source added, but the guide could not be fetched: ${response.data.lastError}`, 'warning');
+      } else {
+        onNotify(`Guide loaded with ${response.data.channelCount} channels`, 'success');
+      }
+      fetchSources();
+    } catch (error) {
+      console.error('Error adding EPG source:', error);
+      onNotify(getErrorMessage(error, 'Error adding EPG source'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      setLoading(true);
+      try {
+        const response = await axios.post('/api/epg/sources', {
+          name: newSource.name.trim() || file.name,
+          content: e.target.result
+        });
+
+        setNewSource({ name: '', url: '' });
+        onNotify(`Guide loaded with ${response.data.channelCount} channels`, 'success');
+        fetchSources();
+      } catch (error) {
+        console.error('Error uploading EPG file:', error);
+        onNotify(getErrorMessage(error, 'Error uploading EPG file'), 'error');
+      } finally {
+        setLoading(false);
+      }
+    };
+    reader.readAsText(file);
+
+    // Allow the same file to be picked again
+    event.target.value = '';
+  };
+
+  const handleRefresh = async (id) => {
+    setBusySource(id);
+    try {
+      await axios.post(`/api/epg/sources/${id}/refresh`);
+      onNotify('Guide refreshed', 'success');
+    } catch (error) {
+      console.error('Error refreshing EPG source:', error);
+      onNotify(getErrorMessage(error, 'Error refreshing EPG source'), 'error');
+    } finally {
+      setBusySource(null);
+      fetchSources();
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to remove this EPG source?')) return;
+
+    setBusySource(id);
+    try {
+      await axios.delete(`/api/epg/sources/${id}`);
+      onNotify('EPG source removed', 'success');
+      fetchSources();
+    } catch (error) {
+      console.error('Error removing EPG source:', error);
+      onNotify(getErrorMessage(error, 'Error removing EPG source'), 'error');
+    } finally {
+      setBusySource(null);
+    }
+  };
+
+  const handleAutoMap = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/epg/automap');
+      onNotify(`Mapped ${response.data.mapped} streams to guide channels by name`, 'success');
+    } catch (error) {
+      console.error('Error mapping EPG channels:', error);
+      onNotify(getErrorMessage(error, 'Error mapping EPG channels'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Programme Guide (EPG)
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Add XMLTV guides by URL or file upload. Streams are matched to guide channels by their EPG channel id,
+          and the combined guide for your channels is published at <code>/epg.xml</code>.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="Name"
+            size="small"
+            value={newSource.name}
+            onChange={(e) => setNewSource({ ...newSource, name: e.target.value })}
+            sx={{ ...inputSx, minWidth: 180 }}
+          />
+          <TextField
+            label="XMLTV URL"
+            size="small"
+            placeholder="http://example.com/guide.xml.gz"
+            value={newSource.url}
+            onChange={(e) => setNewSource({ ...newSource, url: e.target.value })}
+            sx={{ ...inputSx, flexGrow: 1, minWidth: 260 }}
+          />
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <AddIcon />}
+            onClick={handleAddUrl}
+            disabled={loading || !newSource.url.trim()}
+          >
+            Add URL
+          </Button>
+          <Button
+            variant="outlined"
+            component="label"
+            startIcon={<UploadIcon />}
+            disabled={loading}
+            sx={{
+              borderColor: '#377b58',
+              color: '#377b58',
+              '&:hover': {
+                borderColor: '#5fa980',
+                backgroundColor: 'rgba(55, 123, 88, 0.1)',
+              }
+            }}
+          >
+            Upload File
+            <input
+              type="file"
+              accept=".xml,.xmltv"
+              hidden
+              onChange={handleFileUpload}
+            />
+          </Button>
+        </Box>
+
+        {sources.length > 0 ? (
+          <List sx={{ mt: 2 }}>
+            {sources.map((source) => (
+              <ListItem
+                key={source.id}
+                divider
+                sx={{ borderColor: 'rgba(255, 255, 255, 0.1)' }}
+                secondaryAction={
+                  <Box>
+                    {source.type === 'url' && (
+                      <Tooltip title="Refresh guide">
+                        <span>
+                          <IconButton
+                            onClick={() => handleRefresh(source.id)}
+                            disabled={busySource === source.id}
+                            sx={{ color: '#377b58' }}
+                          >
+                            {busySource === source.id ? <CircularProgress size={20} color="inherit" /> : <RefreshIcon />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    )}
+                    <Tooltip title="Remove source">
+                      <span>
+                        <IconButton
+                          onClick={() => handleDelete(source.id)}
+                          disabled={busySource === source.id}
+                          sx={{ color: '#f44336' }}
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Box>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {source.type === 'url' ? <LinkIcon fontSize="small" /> : <UploadIcon fontSize="small" />}
+                      <span>{source.name}</span>
+                      {source.lastError && (
+                        <Chip label="Fetch failed" size="small" color="error" />
+                      )}
+                    </Box>
+                  }
+                  secondary={
+                    `${source.channelCount} channels, ${source.programmeCount} programmes` +
+                    (source.lastUpdated ? ` · updated ${moment(source.lastUpdated).fromNow()}` : ' · not loaded yet') +
+                    (source.lastError ? ` · ${source.lastError}` : '')
+                  }
+                  secondaryTypographyProps={{ sx: { color: 'rgba(255, 255, 255, 0.6)' } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)', mt: 2 }}>
+            No EPG sources configured.
+          </Typography>
+        )}
+
+        <Button
+          variant="outlined"
+          onClick={handleAutoMap}
+          disabled={loading || sources.length === 0}
+          sx={{
+            mt: 2,
+            borderColor: '#377b58',
+            color: '#377b58',
+            '&:hover': {
+              borderColor: '#5fa980',
+              backgroundColor: 'rgba(55, 123, 88, 0.1)',
+            }
+          }}
+        >
+          Auto-map Streams by Name
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EpgSources;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField,
+  Switch,
+  FormControlLabel,
+  MenuItem
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const HdHomeRunSettings = ({ onNotify }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/api/settings');
+        setSettings(response.data.hdhomerun);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setSettings({ ...settings, [key]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/api/settings', { hdhomerun: settings });
+      setSettings(response.data.hdhomerun);
+      onNotify('Tuner settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving tuner settings:', error);
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : 'Error saving tuner settings';
+      onNotify(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tunerAddress = `${window.location.hostname}:8088`;
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          HDHomeRun Tuner Emulation
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Plex, Jellyfin and Emby can add this server as a network tuner. When setting up Live TV,
+          enter <code>{tunerAddress}</code> as the device address.
+        </Typography>
+
+        {settings ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.enabled}
+                  onChange={(e) => handleChange('enabled', e.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Enable tuner emulation"
+            />
+            <TextField
+              label="Friendly Name"
+              size="small"
+              value={settings.friendlyName}
+              onChange={(e) => handleChange('friendlyName', e.target.value)}
+              sx={inputSx}
+            />
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Tuner Count"
+                size="small"
+                type="number"
+                value={settings.tunerCount}
+                onChange={(e) => handleChange('tunerCount', e.target.value)}
+                inputProps={{ min: 1, max: 32 }}
+                helperText="Simultaneous channels clients may open"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+              <TextField
+                select
+                label="Channel Output"
+                size="small"
+                value={settings.output}
+                onChange={(e) => handleChange('output', e.target.value)}
+                helperText="Stream format handed to clients"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              >
+                <MenuItem value="hls">HLS playlist</MenuItem>
+                <MenuItem value="ts">MPEG-TS</MenuItem>
+              </TextField>
+              <TextField
+                label="Device ID"
+                size="small"
+                value={settings.deviceId}
+                onChange={(e) => handleChange('deviceId', e.target.value)}
+                helperText="8 hexadecimal characters"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+            </Box>
+            <Box>
+              <Button
+                variant="contained"
+                color="primary"
+                startIcon={saving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                onClick={handleSave}
+                disabled={saving}
+              >
+                Save Tuner Settings
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <CircularProgress size={24} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default HdHomeRunSettings;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const HistorySettings = ({ onNotify }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/api/settings');
+        setSettings(response.data.history);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setSettings({ ...settings, [key]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/api/settings', { history: settings });
+      setSettings(response.data.history);
+      onNotify('History settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving history settings:', error);
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : 'Error saving history settings';
+      onNotify(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Stream History
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Status changes and errors are recorded as they happen; bitrate, segment age and viewers
+          are sampled while a stream runs. Each stream page charts the last 24 hours, 7 or 30 days.
+        </Typography>
+
+        {settings ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Keep History (days)"
+                size="small"
+                type="number"
+                value={settings.retentionDays}
+                onChange={(e) => handleChange('retentionDays', e.target.value)}
+                inputProps={{ min: 1, max: 365 }}
+                helperText="Older records are deleted every hour"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+              <TextField
+                label="Sample Interval (seconds)"
+                size="small"
+                type="number"
+                value={settings.sampleInterval}
+                onChange={(e) => handleChange('sampleInterval', e.target.value)}
+                inputProps={{ min: 10, max: 3600 }}
+                helperText="Between 10 and 3600"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+            </Box>
+            <Box>
+              <Button
+                variant="contained"
+                color="primary"
+                startIcon={saving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                onClick={handleSave}
+                disabled={saving}
+              >
+                Save History Settings
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <CircularProgress size={24} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default HistorySettings;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -14,18 +14,81 @@ import {
   FormLabel,
   Alert,
   Box,
-  CircularProgress
+  CircularProgress,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip
 } from '@mui/material';
 import UploadIcon from '@mui/icons-material/Upload';
+import LiveTvIcon from '@mui/icons-material/LiveTv';
 import axios from 'axios';
 
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+};
+
+const radioSx = { color: 'rgba(255, 255, 255, 0.7)', '&.Mui-checked': { color: '#377b58' } };
+
 const ImportStreams = ({ open, onClose, onSuccess }) => {
+  const [format, setFormat] = useState('json'); // 'json' or 'm3u'
   const [jsonData, setJsonData] = useState('');
   const [importMode, setImportMode] = useState('overwrite');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [fileContent, setFileContent] = useState(null);
   const [fileName, setFileName] = useState('');
+  // M3U preview state
+  const [channels, setChannels] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [channelFilter, setChannelFilter] = useState('');
+
+  const filteredChannels = useMemo(() => {
+    if (!channels) return [];
+    const filter = channelFilter.trim().toLowerCase();
+    return channels
+      .map((channel, index) => ({ ...channel, index }))
+      .filter(channel => !filter ||
+        channel.name.toLowerCase().includes(filter) ||
+        (channel.group && channel.group.toLowerCase().includes(filter)));
+  }, [channels, channelFilter]);
+
+  const resetPreview = () => {
+    setChannels(null);
+    setSelected([]);
+    setChannelFilter('');
+  };
+
+  const handleFormatChange = (e) => {
+    setFormat(e.target.value);
+    setJsonData('');
+    setFileContent(null);
+    setFileName('');
+    setError('');
+    resetPreview();
+  };
 
   const handleTextChange = (e) => {
     setJsonData(e.target.value);
@@ -34,6 +97,7 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
       setFileContent(null);
       setFileName('');
     }
+    resetPreview();
   };
 
   const handleFileUpload = (e) => {
@@ -48,6 +112,7 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
       setFileContent(content);
       // Also show the content in the text area
       setJsonData(content);
+      resetPreview();
     };
     reader.readAsText(file);
   };
@@ -75,7 +140,66 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
     }
   };
 
+  const handlePreviewM3u = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/api/import/m3u/preview', {
+        content: fileContent || jsonData
+      });
+
+      const previewChannels = response.data.channels;
+      setChannels(previewChannels);
+      // Pre-select everything that is not already configured
+      setSelected(previewChannels
+        .map((channel, index) => (channel.exists ? null : index))
+        .filter(index => index !== null));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to parse playlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleChannel = (index) => {
+    setSelected(prev => (prev.includes(index)
+      ? prev.filter(i => i !== index)
+      : [...prev, index]));
+  };
+
+  const handleToggleAll = () => {
+    const visible = filteredChannels.map(channel => channel.index);
+    const allSelected = visible.every(index => selected.includes(index));
+
+    setSelected(prev => (allSelected
+      ? prev.filter(index => !visible.includes(index))
+      : [...new Set([...prev, ...visible])]));
+  };
+
+  const handleImportM3u = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/api/import/m3u', {
+        channels: selected.map(index => channels[index])
+      });
+
+      setLoading(false);
+      onSuccess(response.data);
+      handleClose();
+    } catch (err) {
+      setLoading(false);
+      setError(err.response?.data?.error || 'Failed to import channels');
+    }
+  };
+
   const handleImport = async () => {
+    if (format === 'm3u') {
+      return channels ? handleImportM3u() : handlePreviewM3u();
+    }
+
     // Use file content if available, otherwise use text input
     const dataToImport = fileContent || jsonData;
     
@@ -111,10 +235,15 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
     setLoading(false);
     setFileContent(null);
     setFileName('');
+    setFormat('json');
+    resetPreview();
     
     onClose();
   };
 
+  const isM3u = format === 'm3u';
+  const visibleSelectedCount = filteredChannels.filter(channel => selected.includes(channel.index)).length;
+
   return (
     <Dialog 
       open={open} 
@@ -137,8 +266,33 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
           </Alert>
         )}
 
+        <FormControl component="fieldset" sx={{ mb: 2 }}>
+          <FormLabel component="legend" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>Format</FormLabel>
+          <RadioGroup
+            row
+            name="importFormat"
+            value={format}
+            onChange={handleFormatChange}
+          >
+            <FormControlLabel
+              value="json"
+              control={<Radio sx={radioSx} />}
+              label="Backup JSON"
+              sx={{ color: '#ffffff' }}
+            />
+            <FormControlLabel
+              value="m3u"
+              control={<Radio sx={radioSx} />}
+              label="M3U Playlist"
+              sx={{ color: '#ffffff' }}
+            />
+          </RadioGroup>
+        </FormControl>
+
         <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)', mb: 2 }}>
-          Import streams from a JSON file or paste JSON data directly.
+          {isM3u
+            ? 'Upload or paste an extended M3U playlist from your provider, then choose which channels to add.'
+            : 'Import streams from a JSON file or paste JSON data directly.'}
         </Typography>
 
         <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
@@ -155,10 +309,10 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
               }
             }}
           >
-            Upload JSON File
+            {isM3u ? 'Upload M3U File' : 'Upload JSON File'}
             <input
               type="file"
-              accept=".json"
+              accept={isM3u ? '.m3u,.m3u8,audio/x-mpegurl,application/vnd.apple.mpegurl' : '.json'}
               hidden
               onChange={handleFileUpload}
             />
@@ -170,74 +324,118 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
           )}
         </Box>
 
-        <TextField
-          label="Paste JSON data"
-          multiline
-          rows={10}
-          value={jsonData}
-          onChange={handleTextChange}
-          fullWidth
-          variant="outlined"
-          placeholder='{"streams": {...}}'
-          sx={{ 
-            mb: 3,
-            '& .MuiOutlinedInput-root': {
-              backgroundColor: 'rgba(30, 30, 30, 0.8)',
-              '& fieldset': {
-                borderColor: 'rgba(255, 255, 255, 0.23)',
-              },
-              '&:hover fieldset': {
-                borderColor: '#377b58',
-              },
-              '&.Mui-focused fieldset': {
-                borderColor: '#377b58',
-              },
-            },
-            '& .MuiInputLabel-root': {
-              color: 'rgba(255, 255, 255, 0.7)',
-            },
-            '& .MuiInputBase-input': {
-              color: '#ffffff',
-            },
-          }}
-        />
+        {!channels && (
+          <TextField
+            label={isM3u ? 'Paste M3U playlist' : 'Paste JSON data'}
+            multiline
+            rows={10}
+            value={jsonData}
+            onChange={handleTextChange}
+            fullWidth
+            variant="outlined"
+            placeholder={isM3u ? '#EXTM3U\n#EXTINF:-1 tvg-id="..." group-title="...",Channel Name\nhttp://...' : '{"streams": {...}}'}
+            sx={{ mb: 3, ...inputSx }}
+          />
+        )}
 
-        <FormControl component="fieldset" sx={{ mb: 2 }}>
-          <FormLabel component="legend" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>Import Mode</FormLabel>
-          <RadioGroup
-            row
-            name="importMode"
-            value={importMode}
-            onChange={handleModeChange}
-          >
-            <FormControlLabel 
-              value="overwrite" 
-              control={<Radio sx={{ color: 'rgba(255, 255, 255, 0.7)', '&.Mui-checked': { color: '#377b58' } }} />} 
-              label={
-                <Box>
-                  <Typography variant="body1">Overwrite</Typography>
-                  <Typography variant="body2" color="textSecondary">
-                    Replace all existing streams with imported ones
-                  </Typography>
-                </Box>
-              } 
-              sx={{ color: '#ffffff' }}
-            />
-            <FormControlLabel 
-              value="append" 
-              control={<Radio sx={{ color: 'rgba(255, 255, 255, 0.7)', '&.Mui-checked': { color: '#377b58' } }} />} 
-              label={
-                <Box>
-                  <Typography variant="body1">Append</Typography>
-                  <Typography variant="body2" color="textSecondary">
-                    Add to existing streams (skips duplicates)
-                  </Typography>
-                </Box>
-              } 
-              sx={{ color: '#ffffff' }}
-            />
-          </RadioGroup>
-        </FormControl>
+        {isM3u && channels && (
+          <Box sx={{ mb: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+              <TextField
+                size="small"
+                label="Filter channels"
+                value={channelFilter}
+                onChange={(e) => setChannelFilter(e.target.value)}
+                sx={{ flex: 1, ...inputSx }}
+              />
+              <Button size="small" onClick={handleToggleAll} sx={{ color: '#377b58' }}>
+                {visibleSelectedCount === filteredChannels.length && filteredChannels.length > 0 ? 'Select None' : 'Select All'}
+              </Button>
+              <Button size="small" onClick={resetPreview} sx={{ color: '#aaaaaa' }}>
+                Edit Playlist
+              </Button>
+            </Box>
+            <Typography variant="caption" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+              {selected.length} of {channels.length} channels selected
+            </Typography>
+            <List dense sx={{ maxHeight: 360, overflow: 'auto', mt: 1, backgroundColor: 'rgba(30, 30, 30, 0.8)', borderRadius: '8px' }}>
+              {filteredChannels.map((channel) => (
+                <ListItem key={channel.index} disablePadding>
+                  <ListItemButton onClick={() => handleToggleChannel(channel.index)}>
+                    <ListItemIcon sx={{ minWidth: 36 }}>
+                      <Checkbox
+                        edge="start"
+                        size="small"
+                        checked={selected.includes(channel.index)}
+                        tabIndex={-1}
+                        disableRipple
+                        sx={radioSx}
+                      />
+                    </ListItemIcon>
+                    <ListItemAvatar sx={{ minWidth: 48 }}>
+                      <Avatar src={channel.logo || undefined} variant="rounded" sx={{ width: 32, height: 32, bgcolor: '#2c3e50' }}>
+                        <LiveTvIcon fontSize="small" />
+                      </Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                      primary={channel.name}
+                      secondary={channel.url}
+                      primaryTypographyProps={{ sx: { color: '#ffffff' } }}
+                      secondaryTypographyProps={{ noWrap: true, sx: { color: '#777777' } }}
+                    />
+                    <Box sx={{ display: 'flex', gap: 1, ml: 1 }}>
+                      {channel.group && (
+                        <Chip label={channel.group} size="small" sx={{ backgroundColor: '#2c3e50', color: '#ecf0f1' }} />
+                      )}
+                      {channel.exists && (
+                        <Chip label="Already added" size="small" color="warning" variant="outlined" />
+                      )}
+                    </Box>
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+
+        {!isM3u && (
+          <FormControl component="fieldset" sx={{ mb: 2 }}>
+            <FormLabel component="legend" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>Import Mode</FormLabel>
+            <RadioGroup
+              row
+              name="importMode"
+              value={importMode}
+              onChange={handleModeChange}
+            >
+              <FormControlLabel 
+                value="overwrite" 
+                control={<Radio sx={radioSx} />} 
+                label={
+                  <Box>
+                    <Typography variant="body1">Overwrite</Typography>
+                    <Typography variant="body2" color="textSecondary">
+                      Replace all existing streams with imported ones
+                    </Typography>
+                  </Box>
+                } 
+                sx={{ color: '#ffffff' }}
+              />
+              <FormControlLabel 
+                value="append" 
+                control={<Radio sx={radioSx} />} 
+                label={
+                  <Box>
+                    <Typography variant="body1">Append</Typography>
+                    <Typography variant="body2" color="textSecondary">
+                      Add to existing streams (skips duplicates)
+                    </Typography>
+                  </Box>
+                } 
+                sx={{ color: '#ffffff' }}
+              />
+            </RadioGroup>
+          </FormControl>
+        )}
       </DialogContent>
       <DialogActions>
         <Button onClick={handleClose} disabled={loading}>
@@ -247,9 +445,11 @@ const ImportStreams = ({ open, onClose, onSuccess }) => {
           onClick={handleImport}
           color="primary"
           variant="contained"
-          disabled={loading || !jsonData.trim()}
+          disabled={loading || !jsonData.trim() || (isM3u && channels && selected.length === 0)}
         >
-          {loading ? <CircularProgress size={24} /> : 'Import'}
+          {loading ? <CircularProgress size={24} /> : isM3u
+            ? (channels ? `Import ${selected.length} Channels` : 'Preview Channels')
+            : 'Import'}
         </Button>
       </DialogActions>
     </Dialog>
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Paper,
+  LinearProgress,
+  Autocomplete,
+  TextField,
+  Divider
+} from '@mui/material';
+import { LiveTv as GuideIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { useAuth } from '../AuthContext';
+
+// How often the current programme is re-checked
+const REFRESH_INTERVAL = 60000;
+
+const formatTimeRange = (programme) => {
+  const start = moment(programme.start).format('HH:mm');
+  return programme.stop ? `${start} - ${moment(programme.stop).format('HH:mm')}` : start;
+};
+
+const getProgress = (programme) => {
+  if (!programme || !programme.stop) return 0;
+  const start = new Date(programme.start).getTime();
+  const stop = new Date(programme.stop).getTime();
+  return Math.min(100, Math.max(0, ((Date.now() - start) / (stop - start)) * 100));
+};
+
+const NowNextPanel = ({ streamId, onNotify }) => {
+  const [guide, setGuide] = useState({ channelId: null, now: null, next: null });
+  const [channels, setChannels] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const { hasRole } = useAuth();
+
+  const fetchGuide = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/streams/${streamId}/epg`);
+      setGuide(response.data);
+    } catch (error) {
+      console.error('Error fetching programme guide:', error);
+    }
+  }, [streamId]);
+
+  useEffect(() => {
+    fetchGuide();
+    const interval = setInterval(fetchGuide, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchGuide]);
+
+  useEffect(() => {
+    const fetchChannels = async () => {
+      try {
+        const response = await axios.get('/api/epg/channels');
+        setChannels(response.data);
+      } catch (error) {
+        console.error('Error fetching EPG channels:', error);
+      }
+    };
+    fetchChannels();
+  }, []);
+
+  const handleChannelChange = async (event, channel) => {
+    setSaving(true);
+    try {
+      await axios.put(`/api/streams/${streamId}/epg`, { tvgId: channel ? channel.id : null });
+      onNotify(channel ? `Mapped to guide channel ${channel.displayName}` : 'Guide mapping removed', 'success');
+      fetchGuide();
+    } catch (error) {
+      console.error('Error updating guide mapping:', error);
+      onNotify('Failed to update guide mapping', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectedChannel = channels.find(channel => channel.id === guide.channelId) ||
+    (guide.channelId ? { id: guide.channelId, displayName: guide.channelId } : null);
+
+  const renderProgramme = (label, programme, showProgress) => (
+    <Box sx={{ flex: 1, minWidth: 220 }}>
+      <Typography variant="caption" sx={{ color: '#aaaaaa', textTransform: 'uppercase' }}>
+        {label}
+      </Typography>
+      {programme ? (
+        <>
+          <Typography variant="subtitle1" sx={{ color: '#ffffff', fontWeight: 600 }}>
+            {programme.title || 'Untitled'}
+          </Typography>
+          <Typography variant="body2" sx={{ color: '#64B5F6' }}>
+            {formatTimeRange(programme)}
+            {programme.subTitle ? ` · ${programme.subTitle}` : ''}
+          </Typography>
+          {showProgress && (
+            <LinearProgress
+              variant="determinate"
+              value={getProgress(programme)}
+              sx={{ mt: 1, mb: 1, height: 6, borderRadius: 3, backgroundColor: 'rgba(255, 255, 255, 0.1)' }}
+            />
+          )}
+          {programme.description && (
+            <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+              {programme.description}
+            </Typography>
+          )}
+        </>
+      ) : (
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+          No programme information
+        </Typography>
+      )}
+    </Box>
+  );
+
+  return (
+    <Paper
+      sx={{
+        p: 3,
+        mb: 3,
+        backgroundColor: 'rgba(15, 25, 35, 0.8)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <GuideIcon sx={{ mr: 1, color: '#64B5F6' }} />
+          <Typography variant="h6" sx={{ color: '#64B5F6' }}>
+            Now &amp; Next
+          </Typography>
+        </Box>
+        <Autocomplete
+          size="small"
+          options={channels}
+          value={selectedChannel}
+          onChange={handleChannelChange}
+          disabled={saving || !hasRole('admin')}
+          getOptionLabel={(channel) => `${channel.displayName} (${channel.id})`}
+          isOptionEqualToValue={(option, value) => option.id === value.id}
+          sx={{ minWidth: 300 }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Guide channel"
+              sx={{
+                '& .MuiInputBase-root': { color: '#ffffff', backgroundColor: 'rgba(0, 0, 0, 0.2)' },
+                '& .MuiInputLabel-root': { color: 'rgba(255, 255, 255, 0.7)' },
+                '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255, 255, 255, 0.23)' }
+              }}
+            />
+          )}
+        />
+      </Box>
+
+      <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+      {guide.channelId ? (
+        <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+          {renderProgramme('Now', guide.now, true)}
+          {renderProgramme('Next', guide.next, false)}
+        </Box>
+      ) : (
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+          {channels.length > 0
+            ? 'This stream is not mapped to a guide channel yet.'
+            : 'No programme guide available. Add an XMLTV source in Settings.'}
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default NowNextPanel;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const OnDemandSettings = ({ onNotify }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/api/settings');
+        setSettings(response.data.onDemand);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setSettings({ ...settings, [key]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/api/settings', { onDemand: settings });
+      setSettings(response.data.onDemand);
+      onNotify('On-demand settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving on-demand settings:', error);
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : 'Error saving on-demand settings';
+      onNotify(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          On-Demand Streams
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Streams set to start on demand stay stopped until a player requests them. The first
+          request waits for the stream's first segments; the stream stops again once nobody has
+          watched it for the idle timeout.
+        </Typography>
+
+        {settings ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Idle Timeout (seconds)"
+                size="small"
+                type="number"
+                value={settings.idleTimeout}
+                onChange={(e) => handleChange('idleTimeout', e.target.value)}
+                inputProps={{ min: 10, max: 3600 }}
+                helperText="Stop after this long without viewers"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+              <TextField
+                label="Start Timeout (seconds)"
+                size="small"
+                type="number"
+                value={settings.startTimeout}
+                onChange={(e) => handleChange('startTimeout', e.target.value)}
+                inputProps={{ min: 5, max: 120 }}
+                helperText="How long the first viewer waits for the stream"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+            </Box>
+            <Box>
+              <Button
+                variant="contained"
+                color="primary"
+                startIcon={saving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                onClick={handleSave}
+                disabled={saving}
+              >
+                Save On-Demand Settings
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <CircularProgress size={24} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OnDemandSettings;
@@ -0,0 +1,242 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  IconButton,
+  Button,
+  Tooltip
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+
+export const DEFAULT_OUTPUT_PROFILE = {
+  mode: 'copy',
+  height: null,
+  videoBitrate: 3000,
+  audioBitrate: 128,
+  deinterlace: false,
+  renditions: [
+    { height: 1080, videoBitrate: 5000 },
+    { height: 720, videoBitrate: 2800 },
+    { height: 480, videoBitrate: 1200 }
+  ]
+};
+
+const RESOLUTIONS = [2160, 1080, 720, 576, 480, 360];
+const MAX_RENDITIONS = 5;
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+// Short description of an output profile, e.g. "H.264 720p 2500k"
+export const describeOutputProfile = (profile) => {
+  if (!profile || profile.mode === 'copy') return 'Copy';
+  if (profile.mode === 'audio') return `AAC ${profile.audioBitrate}k`;
+  if (profile.mode === 'abr') return `ABR ${(profile.renditions || []).map(r => `${r.height}p`).join('/')}`;
+  return `H.264 ${profile.height ? `${profile.height}p ` : ''}${profile.videoBitrate}k`;
+};
+
+// Form fields for editing a stream's output profile
+const OutputProfileFields = ({ value, onChange }) => {
+  const profile = { ...DEFAULT_OUTPUT_PROFILE, ...(value || {}) };
+
+  const handleChange = (key, fieldValue) => {
+    const next = { ...profile, [key]: fieldValue };
+
+    // Scaling and deinterlacing only apply when the video is re-encoded
+    if (key === 'mode' && fieldValue !== 'transcode') {
+      next.height = null;
+      if (fieldValue !== 'abr') {
+        next.deinterlace = false;
+      }
+    }
+
+    onChange(next);
+  };
+
+  const handleRenditionChange = (index, key, fieldValue) => {
+    const renditions = profile.renditions.map((rendition, i) =>
+      i === index ? { ...rendition, [key]: fieldValue } : rendition);
+    onChange({ ...profile, renditions });
+  };
+
+  const handleAddRendition = () => {
+    const usedHeights = profile.renditions.map(rendition => Number(rendition.height));
+    const height = RESOLUTIONS.find(h => !usedHeights.includes(h)) || 360;
+    onChange({ ...profile, renditions: [...profile.renditions, { height, videoBitrate: 800 }] });
+  };
+
+  const handleRemoveRendition = (index) => {
+    onChange({ ...profile, renditions: profile.renditions.filter((rendition, i) => i !== index) });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+        Output Profile
+      </Typography>
+      <TextField
+        select
+        fullWidth
+        margin="dense"
+        label="Mode"
+        value={profile.mode}
+        onChange={(e) => handleChange('mode', e.target.value)}
+        helperText={
+          profile.mode === 'copy'
+            ? 'Pass audio and video through untouched (lowest CPU usage)'
+            : profile.mode === 'audio'
+              ? 'Keep the video, convert audio to AAC (for AC-3 sources)'
+              : profile.mode === 'abr'
+                ? 'Encode several renditions so players can switch quality (highest CPU usage)'
+                : 'Re-encode to H.264/AAC for HEVC, MPEG-2 or interlaced sources'
+        }
+        sx={{ ...inputSx, mb: 1 }}
+      >
+        <MenuItem value="copy">Copy</MenuItem>
+        <MenuItem value="audio">Transcode audio only</MenuItem>
+        <MenuItem value="transcode">Transcode to H.264/AAC</MenuItem>
+        <MenuItem value="abr">Adaptive bitrate ladder</MenuItem>
+      </TextField>
+
+      {profile.mode === 'abr' && (
+        <Box>
+          {profile.renditions.map((rendition, index) => (
+            <Box key={index} sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                select
+                fullWidth
+                margin="dense"
+                label="Resolution"
+                value={rendition.height}
+                onChange={(e) => handleRenditionChange(index, 'height', e.target.value)}
+                sx={inputSx}
+              >
+                {RESOLUTIONS.map((height) => (
+                  <MenuItem key={height} value={height}>{height}p</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                fullWidth
+                margin="dense"
+                type="number"
+                label="Video Bitrate (kbit/s)"
+                value={rendition.videoBitrate}
+                onChange={(e) => handleRenditionChange(index, 'videoBitrate', e.target.value)}
+                inputProps={{ min: 100, max: 50000 }}
+                sx={inputSx}
+              />
+              <Tooltip title="Remove rendition">
+                <span>
+                  <IconButton
+                    onClick={() => handleRemoveRendition(index)}
+                    disabled={profile.renditions.length <= 1}
+                    sx={{ color: '#f44336' }}
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={handleAddRendition}
+            disabled={profile.renditions.length >= MAX_RENDITIONS}
+            sx={{ color: '#377b58', mt: 0.5 }}
+          >
+            Add Rendition
+          </Button>
+        </Box>
+      )}
+
+      {profile.mode === 'transcode' && (
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Resolution"
+            value={profile.height || ''}
+            onChange={(e) => handleChange('height', e.target.value || null)}
+            SelectProps={{ displayEmpty: true }}
+            InputLabelProps={{ shrink: true }}
+            sx={inputSx}
+          >
+            <MenuItem value="">Source</MenuItem>
+            {RESOLUTIONS.map((height) => (
+              <MenuItem key={height} value={height}>{height}p</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Video Bitrate (kbit/s)"
+            value={profile.videoBitrate}
+            onChange={(e) => handleChange('videoBitrate', e.target.value)}
+            inputProps={{ min: 100, max: 50000 }}
+            sx={inputSx}
+          />
+        </Box>
+      )}
+
+      {profile.mode !== 'copy' && (
+        <TextField
+          fullWidth
+          margin="dense"
+          type="number"
+          label="Audio Bitrate (kbit/s)"
+          value={profile.audioBitrate}
+          onChange={(e) => handleChange('audioBitrate', e.target.value)}
+          inputProps={{ min: 32, max: 512 }}
+          sx={inputSx}
+        />
+      )}
+
+      {(profile.mode === 'transcode' || profile.mode === 'abr') && (
+        <FormControlLabel
+          control={
+            <Switch
+              checked={profile.deinterlace}
+              onChange={(e) => handleChange('deinterlace', e.target.checked)}
+              color="primary"
+            />
+          }
+          label="Deinterlace"
+          sx={{ color: 'rgba(255, 255, 255, 0.7)' }}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default OutputProfileFields;
@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  TextField,
+  Switch,
+  FormControlLabel,
+  Autocomplete,
+  IconButton,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  PlaylistPlay as PlaylistIcon,
+  Router as RouterIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import moment from 'moment';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const EMPTY_TOKEN = { name: '', streams: [], expiresAt: '' };
+
+const getErrorMessage = (error, fallback) => (
+  error.response && error.response.data && error.response.data.error
+    ? error.response.data.error
+    : fallback
+);
+
+// Admin screen for the tokens IPTV clients and tuners use to reach stream outputs
+const PlaybackTokens = ({ onNotify }) => {
+  const [requireToken, setRequireToken] = useState(false);
+  const [tokens, setTokens] = useState([]);
+  const [streams, setStreams] = useState([]);
+  const [newToken, setNewToken] = useState(EMPTY_TOKEN);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/playback/tokens');
+      setTokens(response.data);
+    } catch (error) {
+      console.error('Error fetching playback tokens:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [settingsResponse, streamsResponse] = await Promise.all([
+          axios.get('/api/settings'),
+          axios.get('/api/streams')
+        ]);
+        setRequireToken(settingsResponse.data.playback.requireToken);
+        setStreams(streamsResponse.data);
+      } catch (error) {
+        console.error('Error fetching playback settings:', error);
+      }
+    };
+    fetchData();
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const handleRequireTokenChange = async (enabled) => {
+    try {
+      const response = await axios.put('/api/settings', { playback: { requireToken: enabled } });
+      setRequireToken(response.data.playback.requireToken);
+      onNotify(enabled ? 'Stream outputs now require a token' : 'Stream outputs are open to everyone', 'success');
+    } catch (error) {
+      console.error('Error saving playback settings:', error);
+      onNotify(getErrorMessage(error, 'Error saving playback settings'), 'error');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      await axios.post('/api/playback/tokens', {
+        name: newToken.name,
+        streamIds: newToken.streams.map(stream => stream.id),
+        expiresAt: newToken.expiresAt ? new Date(newToken.expiresAt).toISOString() : null
+      });
+      onNotify(`Token ${newToken.name} created`, 'success');
+      setNewToken(EMPTY_TOKEN);
+      fetchTokens();
+    } catch (error) {
+      console.error('Error creating playback token:', error);
+      onNotify(getErrorMessage(error, 'Error creating token'), 'error');
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke token ${token.name}? Clients using it will stop playing.`)) return;
+
+    try {
+      await axios.delete(`/api/playback/tokens/${token.id}`);
+      onNotify(`Token ${token.name} revoked`, 'success');
+      fetchTokens();
+    } catch (error) {
+      console.error('Error revoking playback token:', error);
+      onNotify(getErrorMessage(error, 'Error revoking token'), 'error');
+    }
+  };
+
+  const handleCopy = async (url, label) => {
+    try {
+      // The Clipboard API is only available in secure contexts
+      await navigator.clipboard.writeText(url);
+      onNotify(`${label} copied to clipboard`, 'success');
+    } catch (error) {
+      onNotify(`Copy this URL manually: ${url}`, 'info');
+    }
+  };
+
+  const outputAddress = `http://${window.location.hostname}:8088`;
+
+  const describeStreams = (token) => {
+    if (!token.streamIds) return 'All streams';
+    return token.streamIds
+      .map(id => (streams.find(stream => stream.id === id) || { name: id }).name)
+      .join(', ') || 'No streams';
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Playback Tokens
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          When required, HLS, MPEG-TS, playlist and tuner requests on port 8088 are only answered
+          for a valid token. Give each client its own token so it can be revoked on its own.
+          The web player signs its own short-lived URLs.
+        </Typography>
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={requireToken}
+              onChange={(e) => handleRequireTokenChange(e.target.checked)}
+              color="primary"
+            />
+          }
+          label="Require a token for stream outputs"
+          sx={{ mb: 2 }}
+        />
+
+        <Table size="small" sx={{ mb: 3 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Name</TableCell>
+              <TableCell sx={cellSx}>Streams</TableCell>
+              <TableCell sx={cellSx}>Created</TableCell>
+              <TableCell sx={cellSx}>Expires</TableCell>
+              <TableCell sx={cellSx}>Last Used</TableCell>
+              <TableCell sx={cellSx} align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {tokens.length === 0 && (
+              <TableRow>
+                <TableCell sx={{ ...cellSx, color: 'rgba(255, 255, 255, 0.5)' }} colSpan={6}>
+                  No tokens issued yet
+                </TableCell>
+              </TableRow>
+            )}
+            {tokens.map((token) => (
+              <TableRow key={token.id}>
+                <TableCell sx={cellSx}>{token.name}</TableCell>
+                <TableCell sx={cellSx}>{describeStreams(token)}</TableCell>
+                <TableCell sx={cellSx}>
+                  {moment(token.createdAt).format('YYYY-MM-DD')}
+                  {token.createdBy ? ` by ${token.createdBy}` : ''}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  {token.expiresAt ? moment(token.expiresAt).format('YYYY-MM-DD HH:mm') : 'Never'}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  {token.lastUsed ? moment(token.lastUsed).fromNow() : 'Never'}
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  <Tooltip title="Copy playlist URL">
+                    <IconButton
+                      onClick={() => handleCopy(`${outputAddress}/playlist.m3u?token=${token.token}`, 'Playlist URL')}
+                      sx={{ color: '#64B5F6' }}
+                    >
+                      <PlaylistIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Copy tuner address (HDHomeRun)">
+                    <IconButton
+                      onClick={() => handleCopy(`${outputAddress}/token/${token.token}`, 'Tuner address')}
+                      sx={{ color: '#64B5F6' }}
+                    >
+                      <RouterIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Revoke token">
+                    <IconButton onClick={() => handleRevoke(token)} sx={{ color: '#f44336' }}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+          Issue Token
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <TextField
+            label="Client Name"
+            size="small"
+            value={newToken.name}
+            onChange={(e) => setNewToken({ ...newToken, name: e.target.value })}
+            helperText="e.g. Living room TV"
+            sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+          />
+          <Autocomplete
+            multiple
+            size="small"
+            options={streams}
+            value={newToken.streams}
+            onChange={(e, value) => setNewToken({ ...newToken, streams: value })}
+            getOptionLabel={(stream) => stream.name}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            sx={{ flex: 2, minWidth: 240 }}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Streams"
+                helperText="Leave empty for all streams"
+                sx={inputSx}
+              />
+            )}
+          />
+          <TextField
+            label="Expires"
+            type="datetime-local"
+            size="small"
+            value={newToken.expiresAt}
+            onChange={(e) => setNewToken({ ...newToken, expiresAt: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            helperText="Optional"
+            sx={{ ...inputSx, flex: 1, minWidth: 200 }}
+          />
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={handleCreate}
+            disabled={!newToken.name.trim()}
+          >
+            Issue Token
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PlaybackTokens;
@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  LiveTv as LiveTvIcon,
+  Sync as SyncIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import moment from 'moment';
+import XtreamBrowser from './XtreamBrowser';
+import { useStreamEvents } from '../useStreamEvents';
+
+const WHEN_FULL_LABELS = {
+  queue: 'Queue starts',
+  refuse: 'Refuse starts'
+};
+
+const OUTPUT_FORMAT_LABELS = {
+  ts: 'MPEG-TS (.ts)',
+  hls: 'HLS (.m3u8)'
+};
+
+const EMPTY_PROVIDER = {
+  name: '',
+  maxConnections: '',
+  whenFull: 'queue',
+  serverUrl: '',
+  username: '',
+  password: '',
+  outputFormat: 'hls'
+};
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const getErrorMessage = (error, fallback) => (
+  error.response && error.response.data && error.response.data.error
+    ? error.response.data.error
+    : fallback
+);
+
+// One line on how the last Xtream Codes sync went
+const describeSync = (lastSync) => {
+  if (!lastSync) {
+    return 'Not synced yet';
+  }
+  if (lastSync.error) {
+    return `Sync failed ${moment(lastSync.at).fromNow()}: ${lastSync.error}`;
+  }
+
+  const parts = [`Synced ${moment(lastSync.at).fromNow()}`];
+  if (lastSync.updated > 0) parts.push(`${lastSync.updated} URLs updated`);
+  if (lastSync.missing > 0) parts.push(`${lastSync.missing} channels gone from the panel`);
+  if (lastSync.account && lastSync.account.maxConnections) parts.push(`account allows ${lastSync.account.maxConnections} connections`);
+  if (lastSync.account && lastSync.account.expiresAt) parts.push(`expires ${moment(lastSync.account.expiresAt).format('D MMM YYYY')}`);
+  return parts.join(' · ');
+};
+
+// Admin list of upstream provider accounts, their connection limits and Xtream Codes logins
+const ProviderSettings = ({ onNotify }) => {
+  const [providers, setProviders] = useState([]);
+  const [editing, setEditing] = useState(null); // null, 'new' or the provider being edited
+  const [values, setValues] = useState(EMPTY_PROVIDER);
+  const [saving, setSaving] = useState(false);
+  const [syncingId, setSyncingId] = useState(null);
+  const [browsing, setBrowsing] = useState(null);
+
+  const fetchProviders = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/providers');
+      setProviders(response.data);
+    } catch (error) {
+      console.error('Error fetching providers:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  // Connections in use change as streams start, stop and queue
+  useStreamEvents((type) => {
+    if (['status', 'queue', 'added', 'updated', 'deleted', 'reconnected'].includes(type)) {
+      fetchProviders();
+    }
+  });
+
+  const handleOpenDialog = (provider = null) => {
+    setEditing(provider || 'new');
+    setValues(provider
+      ? {
+        name: provider.name,
+        maxConnections: provider.maxConnections || '',
+        whenFull: provider.whenFull,
+        serverUrl: provider.xtream ? provider.xtream.serverUrl : '',
+        username: provider.xtream ? provider.xtream.username : '',
+        password: '',
+        outputFormat: provider.xtream ? provider.xtream.outputFormat : 'hls'
+      }
+      : EMPTY_PROVIDER);
+  };
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    const isNew = editing === 'new';
+    const payload = {
+      name: values.name,
+      maxConnections: values.maxConnections,
+      whenFull: values.whenFull,
+      // An empty server removes the login; an empty password keeps the saved one
+      xtream: values.serverUrl.trim()
+        ? { serverUrl: values.serverUrl, username: values.username, password: values.password, outputFormat: values.outputFormat }
+        : null
+    };
+
+    setSaving(true);
+    try {
+      const response = isNew
+        ? await axios.post('/api/providers', payload)
+        : await axios.put(`/api/providers/${editing.id}`, payload);
+
+      const lastSync = response.data.lastSync;
+      if (lastSync && lastSync.error) {
+        onNotify(`Provider ${response.data.name} saved, but its Xtream Codes login failed: ${lastSync.error}`, 'warning');
+      } else {
+        onNotify(`Provider ${response.data.name} ${isNew ? 'added' : 'updated'}`, 'success');
+      }
+      setEditing(null);
+      fetchProviders();
+    } catch (error) {
+      console.error('Error saving provider:', error);
+      onNotify(getErrorMessage(error, 'Error saving provider'), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSync = async (provider) => {
+    setSyncingId(provider.id);
+    try {
+      const response = await axios.post(`/api/providers/${provider.id}/xtream/sync`);
+      onNotify(`${provider.name} synced: ${response.data.updated} stream URLs updated`, 'success');
+    } catch (error) {
+      console.error('Error syncing provider:', error);
+      onNotify(getErrorMessage(error, 'Error syncing provider'), 'error');
+    } finally {
+      setSyncingId(null);
+      fetchProviders();
+    }
+  };
+
+  const handleImported = (result) => {
+    onNotify(
+      `Added ${result.streamsCount} streams${result.skipped > 0 ? `, ${result.skipped} were already added` : ''}`,
+      'success'
+    );
+    fetchProviders();
+  };
+
+  const handleDelete = async (provider) => {
+    const message = provider.streamCount > 0
+      ? `Delete provider ${provider.name}? Its ${provider.streamCount} streams will no longer belong to a provider.`
+      : `Delete provider ${provider.name}?`;
+    if (!window.confirm(message)) return;
+
+    try {
+      await axios.delete(`/api/providers/${provider.id}`);
+      onNotify(`Provider ${provider.name} deleted`, 'success');
+      fetchProviders();
+    } catch (error) {
+      console.error('Error deleting provider:', error);
+      onNotify(getErrorMessage(error, 'Error deleting provider'), 'error');
+    }
+  };
+
+  const hasLogin = Boolean(values.serverUrl.trim());
+  const needsPassword = hasLogin && !values.password && !(editing && editing !== 'new' && editing.xtream);
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Providers
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          Upstream accounts that streams belong to. A stream started while its provider's connections are all
+          in use either waits in a queue until one is free, or is refused. Providers with an Xtream Codes login
+          can have their channels browsed and added as streams, whose URLs are then kept up to date.
+        </Typography>
+
+        {providers.length > 0 ? (
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell sx={cellSx}>Name</TableCell>
+                <TableCell sx={cellSx}>Connections</TableCell>
+                <TableCell sx={cellSx}>Queued</TableCell>
+                <TableCell sx={cellSx}>Streams</TableCell>
+                <TableCell sx={cellSx}>When Full</TableCell>
+                <TableCell sx={cellSx} align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {providers.map((provider) => (
+                <TableRow key={provider.id}>
+                  <TableCell sx={cellSx}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <span>{provider.name}</span>
+                      {provider.xtream && (
+                        <Chip
+                          label="Xtream Codes"
+                          size="small"
+                          color={provider.lastSync && provider.lastSync.error ? 'error' : 'default'}
+                          variant="outlined"
+                        />
+                      )}
+                    </Box>
+                    {provider.xtream && (
+                      <Typography variant="caption" component="div" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+                        {describeSync(provider.lastSync)}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    {provider.connections} / {provider.maxConnections || 'unlimited'}
+                  </TableCell>
+                  <TableCell sx={cellSx}>{provider.queued}</TableCell>
+                  <TableCell sx={cellSx}>{provider.streamCount}</TableCell>
+                  <TableCell sx={cellSx}>{WHEN_FULL_LABELS[provider.whenFull]}</TableCell>
+                  <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }} align="right">
+                    {provider.xtream && (
+                      <>
+                        <Tooltip title="Browse channels">
+                          <IconButton onClick={() => setBrowsing(provider)} sx={{ color: '#377b58' }}>
+                            <LiveTvIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Sync stream URLs now">
+                          <span>
+                            <IconButton
+                              onClick={() => handleSync(provider)}
+                              disabled={syncingId === provider.id}
+                              sx={{ color: '#377b58' }}
+                            >
+                              {syncingId === provider.id ? <CircularProgress size={20} color="inherit" /> : <SyncIcon />}
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </>
+                    )}
+                    <Tooltip title="Edit provider">
+                      <IconButton onClick={() => handleOpenDialog(provider)} sx={{ color: '#64B5F6' }}>
+                        <EditIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete provider">
+                      <IconButton onClick={() => handleDelete(provider)} sx={{ color: '#f44336' }}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        ) : (
+          <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)', mb: 2 }}>
+            No providers configured.
+          </Typography>
+        )}
+
+        <Button
+          variant="contained"
+          color="primary"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Provider
+        </Button>
+      </CardContent>
+
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={{
+          sx: {
+            backgroundColor: '#1e1e1e',
+            color: '#ffffff',
+            borderRadius: '12px',
+          }
+        }}
+      >
+        <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+          {editing === 'new' ? 'Add Provider' : 'Edit Provider'}
+        </DialogTitle>
+        <DialogContent sx={{ mt: 2 }}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              label="Name"
+              size="small"
+              value={values.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              sx={inputSx}
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Max Connections"
+                type="number"
+                size="small"
+                value={values.maxConnections}
+                onChange={(e) => handleChange('maxConnections', e.target.value)}
+                inputProps={{ min: 1, max: 1000 }}
+                helperText="Empty for no limit"
+                sx={{ ...inputSx, flex: 1 }}
+              />
+              <TextField
+                select
+                label="When Full"
+                size="small"
+                value={values.whenFull}
+                onChange={(e) => handleChange('whenFull', e.target.value)}
+                sx={{ ...inputSx, flex: 1 }}
+              >
+                {Object.keys(WHEN_FULL_LABELS).map((whenFull) => (
+                  <MenuItem key={whenFull} value={whenFull}>{WHEN_FULL_LABELS[whenFull]}</MenuItem>
+                ))}
+              </TextField>
+            </Box>
+
+            <Typography variant="subtitle2" sx={{ color: '#ffffff', mt: 1 }}>
+              Xtream Codes Login (optional)
+            </Typography>
+            <TextField
+              label="Server URL"
+              size="small"
+              placeholder="http://panel.example.com:8080"
+              value={values.serverUrl}
+              onChange={(e) => handleChange('serverUrl', e.target.value)}
+              helperText="Leave empty for a provider without a panel login"
+              sx={inputSx}
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Username"
+                size="small"
+                value={values.username}
+                onChange={(e) => handleChange('username', e.target.value)}
+                disabled={!hasLogin}
+                sx={{ ...inputSx, flex: 1 }}
+              />
+              <TextField
+                label="Password"
+                type="password"
+                size="small"
+                value={values.password}
+                onChange={(e) => handleChange('password', e.target.value)}
+                disabled={!hasLogin}
+                autoComplete="new-password"
+                helperText={editing && editing !== 'new' && editing.xtream ? 'Leave empty to keep the current password' : ''}
+                sx={{ ...inputSx, flex: 1 }}
+              />
+            </Box>
+            <TextField
+              select
+              label="Stream Format"
+              size="small"
+              value={values.outputFormat}
+              onChange={(e) => handleChange('outputFormat', e.target.value)}
+              disabled={!hasLogin}
+              helperText="How imported channels are pulled from the panel"
+              sx={inputSx}
+            >
+              {Object.keys(OUTPUT_FORMAT_LABELS).map((format) => (
+                <MenuItem key={format} value={format}>{OUTPUT_FORMAT_LABELS[format]}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+          <Button onClick={() => setEditing(null)} sx={{ color: '#aaaaaa' }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            color="primary"
+            disabled={saving || !values.name.trim() || (hasLogin && !values.username.trim()) || needsPassword}
+            startIcon={saving ? <CircularProgress size={20} color="inherit" /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <XtreamBrowser
+        open={Boolean(browsing)}
+        provider={browsing}
+        onClose={() => setBrowsing(null)}
+        onImported={handleImported}
+      />
+    </Card>
+  );
+};
+
+export default ProviderSettings;
@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Autocomplete,
+  Button,
+  IconButton,
+  Switch,
+  FormControlLabel,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_WINDOW = { days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' };
+
+// Time zones the browser knows about, with the local one first
+const localTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? [localTimezone, ...Intl.supportedValuesOf('timeZone').filter(timezone => timezone !== localTimezone)]
+  : [localTimezone, 'UTC'];
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+// Short description of a schedule window, e.g. "Mon-Fri 18:00-23:00"
+export const describeScheduleWindow = ({ days, start, end }) => {
+  const isRun = days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+  const dayText = days.length === 7
+    ? 'Every day'
+    : isRun ? `${DAY_NAMES[days[0]]}-${DAY_NAMES[days[days.length - 1]]}` : days.map(day => DAY_NAMES[day]).join(', ');
+  return `${dayText} ${start}-${end}`;
+};
+
+// Form fields for the weekly time windows a stream is started and stopped by.
+// The value is null when the stream has no schedule.
+const ScheduleFields = ({ value, onChange }) => {
+  const enabled = Boolean(value && value.enabled);
+
+  const handleToggle = (checked) => {
+    if (checked) {
+      onChange({ timezone: localTimezone, windows: [DEFAULT_WINDOW], ...(value || {}), enabled: true });
+    } else {
+      onChange(value ? { ...value, enabled: false } : null);
+    }
+  };
+
+  const updateWindow = (index, changes) => {
+    onChange({
+      ...value,
+      windows: value.windows.map((window, i) => (i === index ? { ...window, ...changes } : window))
+    });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="subtitle2" sx={{ color: '#ffffff' }}>
+          Schedule
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={enabled} onChange={(e) => handleToggle(e.target.checked)} color="primary" />}
+          label={enabled ? 'On' : 'Off'}
+        />
+      </Box>
+      <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)', mb: 1 }}>
+        Start the stream when a time window opens and stop it when it closes. Windows that end before they start run past midnight.
+      </Typography>
+
+      {enabled && (
+        <>
+          <Autocomplete
+            options={TIMEZONES}
+            value={value.timezone}
+            disableClearable
+            onChange={(e, timezone) => onChange({ ...value, timezone })}
+            renderInput={(params) => (
+              <TextField {...params} margin="dense" label="Time Zone" sx={inputSx} />
+            )}
+          />
+
+          {value.windows.map((window, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+              <ToggleButtonGroup
+                size="small"
+                value={window.days}
+                onChange={(e, days) => days.length > 0 && updateWindow(index, { days: days.sort() })}
+                sx={{ '& .MuiToggleButton-root': { color: 'rgba(255, 255, 255, 0.7)', borderColor: 'rgba(255, 255, 255, 0.23)', px: 1.2 } }}
+              >
+                {DAY_LABELS.map((label, day) => (
+                  <ToggleButton key={day} value={day} aria-label={DAY_NAMES[day]}>
+                    {label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <TextField
+                type="time"
+                size="small"
+                label="Start"
+                value={window.start}
+                onChange={(e) => updateWindow(index, { start: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                sx={{ ...inputSx, width: 120 }}
+              />
+              <TextField
+                type="time"
+                size="small"
+                label="End"
+                value={window.end}
+                onChange={(e) => updateWindow(index, { end: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                sx={{ ...inputSx, width: 120 }}
+              />
+              <IconButton
+                size="small"
+                onClick={() => onChange({ ...value, windows: value.windows.filter((_, i) => i !== index) })}
+                disabled={value.windows.length === 1}
+                sx={{ color: '#aaaaaa' }}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => onChange({ ...value, windows: [...value.windows, DEFAULT_WINDOW] })}
+            sx={{ mt: 1 }}
+          >
+            Add Time Window
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ScheduleFields;
@@ -0,0 +1,77 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Box, Typography, Paper, Divider, Chip } from '@mui/material';
+import { Schedule as ScheduleIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { describeScheduleWindow } from './ScheduleFields';
+
+// How often the next scheduled action is re-fetched
+const REFRESH_INTERVAL = 60000;
+
+// The stream's schedule and its next scheduled start or stop. `updatedAt` re-fetches it
+// after the stream is edited.
+const SchedulePanel = ({ streamId, updatedAt }) => {
+  const [status, setStatus] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/streams/${streamId}/schedule`);
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching stream schedule:', error);
+    }
+  }, [streamId]);
+
+  useEffect(() => {
+    fetchStatus();
+    const interval = setInterval(fetchStatus, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchStatus, updatedAt]);
+
+  if (!status || !status.schedule || !status.schedule.enabled) {
+    return null;
+  }
+
+  const { schedule, active, next } = status;
+
+  return (
+    <Paper
+      sx={{
+        p: 3,
+        mb: 3,
+        backgroundColor: 'rgba(15, 25, 35, 0.8)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <ScheduleIcon sx={{ mr: 1, color: '#64B5F6' }} />
+          <Typography variant="h6" sx={{ color: '#64B5F6' }}>
+            Schedule
+          </Typography>
+        </Box>
+        <Chip
+          label={active ? 'In a time window' : 'Outside time windows'}
+          color={active ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+      <Typography variant="body1" sx={{ color: '#ffffff', mb: 1 }}>
+        {next
+          ? `${next.action === 'start' ? 'Starts' : 'Stops'} ${moment(next.at).calendar()} (${moment(next.at).fromNow()})`
+          : 'The time windows cover the whole week, so the stream is never stopped by its schedule'}
+      </Typography>
+      <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+        {schedule.windows.map(describeScheduleWindow).join(', ')} ({schedule.timezone})
+      </Typography>
+    </Paper>
+  );
+};
+
+export default SchedulePanel;
@@ -18,7 +18,9 @@ import {
   LiveTv as LiveTvIcon,
   Settings as SettingsIcon,
   Menu as MenuIcon,
-  ChevronLeft as ChevronLeftIcon
+  ChevronLeft as ChevronLeftIcon,
+  AccountCircle as AccountIcon,
+  Logout as LogoutIcon
 } from '@mui/icons-material';
 
 const menuItems = [
@@ -27,7 +29,7 @@ const menuItems = [
   { text: 'Settings', path: '/settings', icon: <SettingsIcon /> }
 ];
 
-const Sidebar = ({ open, toggleDrawer }) => {
+const Sidebar = ({ open, toggleDrawer, user, onLogout }) => {
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -95,6 +97,36 @@ const Sidebar = ({ open, toggleDrawer }) => {
           </ListItem>
         ))}
       </List>
+      {user && (
+        <Box sx={{ mt: 'auto' }}>
+          <Divider />
+          <Box sx={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: open ? 'space-between' : 'center',
+            p: 2
+          }}>
+            {open && (
+              <Box sx={{ display: 'flex', alignItems: 'center', minWidth: 0 }}>
+                <AccountIcon sx={{ mr: 1, color: 'text.secondary' }} />
+                <Box sx={{ minWidth: 0 }}>
+                  <Typography variant="body2" noWrap title={user.username}>
+                    {user.username}
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary', textTransform: 'capitalize' }}>
+                    {user.role}
+                  </Typography>
+                </Box>
+              </Box>
+            )}
+            <Tooltip title="Log out" placement="right">
+              <IconButton onClick={onLogout} size="small">
+                <LogoutIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+      )}
     </>
   );
 
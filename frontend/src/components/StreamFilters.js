@@ -0,0 +1,163 @@
+import React from 'react';
+import { Box, TextField, MenuItem, InputAdornment } from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+
+export const DEFAULT_FILTERS = { search: '', group: '', tag: '', status: '', sortBy: 'added' };
+
+// Shown for streams without a group
+export const UNGROUPED = '(No group)';
+
+const SORT_OPTIONS = {
+  added: 'Date added',
+  name: 'Name',
+  channelNumber: 'Channel number',
+  group: 'Group'
+};
+
+const filterSx = {
+  minWidth: 160,
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Sorted list of the groups in use
+export const getGroups = (streams) => (
+  [...new Set(streams.map(stream => stream.group).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+);
+
+// Sorted list of the tags in use
+export const getTags = (streams) => (
+  [...new Set(streams.flatMap(stream => stream.tags || []))].sort((a, b) => a.localeCompare(b))
+);
+
+export const filterStreams = (streams, { search, group, tag, status, sortBy }) => {
+  const query = search.trim().toLowerCase();
+
+  const result = streams.filter(stream => {
+    if (query && ![stream.name, stream.url, stream.group, String(stream.channelNumber || '')]
+      .some(value => value && value.toLowerCase().includes(query))) {
+      return false;
+    }
+    if (group && (group === UNGROUPED ? stream.group : stream.group !== group)) return false;
+    if (tag && !(stream.tags || []).includes(tag)) return false;
+    if (status && stream.status !== status) return false;
+    return true;
+  });
+
+  switch (sortBy) {
+    case 'name':
+      return result.sort(byName);
+    case 'channelNumber':
+      // Numbered channels first, in order
+      return result.sort((a, b) => (Number(a.channelNumber) || Infinity) - (Number(b.channelNumber) || Infinity) || byName(a, b));
+    case 'group':
+      // Ungrouped streams last
+      return result.sort((a, b) => (
+        (a.group ? 0 : 1) - (b.group ? 0 : 1) || (a.group || '').localeCompare(b.group || '') || byName(a, b)
+      ));
+    default:
+      return result;
+  }
+};
+
+// Search, filter and sort controls for a list of streams
+const StreamFilters = ({ streams, filters, onChange }) => {
+  const groups = getGroups(streams);
+  const tags = getTags(streams);
+
+  const handleChange = (key, value) => {
+    onChange({ ...filters, [key]: value });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+      <TextField
+        size="small"
+        placeholder="Search name, URL, group or number"
+        value={filters.search}
+        onChange={(e) => handleChange('search', e.target.value)}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <SearchIcon sx={{ color: 'rgba(255, 255, 255, 0.5)' }} />
+            </InputAdornment>
+          )
+        }}
+        sx={{ ...filterSx, flex: 1, minWidth: 240 }}
+      />
+      <TextField
+        select
+        size="small"
+        label="Group"
+        value={filters.group}
+        onChange={(e) => handleChange('group', e.target.value)}
+        sx={filterSx}
+      >
+        <MenuItem value="">All groups</MenuItem>
+        {groups.map(group => (
+          <MenuItem key={group} value={group}>{group}</MenuItem>
+        ))}
+        <MenuItem value={UNGROUPED}>{UNGROUPED}</MenuItem>
+      </TextField>
+      <TextField
+        select
+        size="small"
+        label="Tag"
+        value={filters.tag}
+        onChange={(e) => handleChange('tag', e.target.value)}
+        sx={filterSx}
+      >
+        <MenuItem value="">All tags</MenuItem>
+        {tags.map(tag => (
+          <MenuItem key={tag} value={tag}>{tag}</MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        select
+        size="small"
+        label="Status"
+        value={filters.status}
+        onChange={(e) => handleChange('status', e.target.value)}
+        sx={{ ...filterSx, minWidth: 130 }}
+      >
+        <MenuItem value="">Any status</MenuItem>
+        <MenuItem value="running">Running</MenuItem>
+        <MenuItem value="starting">Starting</MenuItem>
+        <MenuItem value="stopped">Stopped</MenuItem>
+        <MenuItem value="error">Error</MenuItem>
+      </TextField>
+      <TextField
+        select
+        size="small"
+        label="Sort by"
+        value={filters.sortBy}
+        onChange={(e) => handleChange('sortBy', e.target.value)}
+        sx={filterSx}
+      >
+        {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+          <MenuItem key={value} value={value}>{label}</MenuItem>
+        ))}
+      </TextField>
+    </Box>
+  );
+};
+
+export default StreamFilters;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Paper,
+  Divider,
+  Grid,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { Timeline as HistoryIcon } from '@mui/icons-material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'chart.js';
+import moment from 'moment';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, ChartTooltip, Legend);
+
+// How often the open range is re-fetched
+const REFRESH_INTERVAL = 60000;
+
+const HEALTH_COLORS = {
+  good: '#4caf50',
+  degraded: '#ff9800',
+  poor: '#f44336',
+  failed: '#b71c1c'
+};
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  const duration = moment.duration(seconds, 'seconds');
+  const hours = Math.floor(duration.asHours());
+  return hours > 0 ? `${hours}h ${duration.minutes()}m` : `${duration.minutes()}m ${duration.seconds()}s`;
+};
+
+const StreamHistory = ({ streamId }) => {
+  const [range, setRange] = useState('24h');
+  const [history, setHistory] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/streams/${streamId}/history`, { params: { range } });
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error fetching stream history:', error);
+    }
+  }, [streamId, range]);
+
+  useEffect(() => {
+    fetchHistory();
+    const interval = setInterval(fetchHistory, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchHistory]);
+
+  const labelFormat = range === '24h' ? 'HH:mm' : 'DD MMM HH:mm';
+  const totalErrors = history ? Object.values(history.errorCounts).reduce((total, count) => total + count, 0) : 0;
+
+  const chartData = history && {
+    labels: history.buckets.map(bucket => moment(bucket.start).format(labelFormat)),
+    datasets: [
+      {
+        label: 'Uptime (%)',
+        data: history.buckets.map(bucket => bucket.uptimePercent),
+        borderColor: '#4caf50',
+        backgroundColor: '#4caf50',
+        yAxisID: 'uptime',
+        pointRadius: 0,
+        spanGaps: false
+      },
+      {
+        label: 'Bitrate (Mbit/s)',
+        data: history.buckets.map(bucket => (bucket.bitrate !== null ? bucket.bitrate / 1000000 : null)),
+        borderColor: '#64B5F6',
+        backgroundColor: '#64B5F6',
+        yAxisID: 'bitrate',
+        pointRadius: 0,
+        spanGaps: false
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { labels: { color: 'rgba(255, 255, 255, 0.7)', usePointStyle: true, pointStyle: 'circle' } }
+    },
+    scales: {
+      x: {
+        ticks: { color: 'rgba(255, 255, 255, 0.5)', maxTicksLimit: 8, maxRotation: 0 },
+        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+      },
+      uptime: {
+        position: 'left',
+        min: 0,
+        max: 100,
+        ticks: { color: '#4caf50' },
+        grid: { color: 'rgba(255, 255, 255, 0.05)' }
+      },
+      bitrate: {
+        position: 'right',
+        min: 0,
+        ticks: { color: '#64B5F6' },
+        grid: { drawOnChartArea: false }
+      }
+    }
+  };
+
+  const renderStat = (label, value, color = '#ffffff') => (
+    <Grid item xs={6} sm={3}>
+      <Typography variant="body2" sx={{ color: '#aaaaaa' }}>{label}</Typography>
+      <Typography variant="h6" sx={{ color }}>{value}</Typography>
+    </Grid>
+  );
+
+  return (
+    <Paper
+      sx={{
+        p: 3,
+        mb: 3,
+        backgroundColor: 'rgba(15, 25, 35, 0.8)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <HistoryIcon sx={{ mr: 1, color: '#64B5F6' }} />
+          <Typography variant="h6" sx={{ color: '#64B5F6' }}>
+            History
+          </Typography>
+        </Box>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={range}
+          onChange={(e, value) => value && setRange(value)}
+          sx={{ '& .MuiToggleButton-root': { color: 'rgba(255, 255, 255, 0.7)', borderColor: 'rgba(255, 255, 255, 0.23)' } }}
+        >
+          <ToggleButton value="24h">24h</ToggleButton>
+          <ToggleButton value="7d">7 days</ToggleButton>
+          <ToggleButton value="30d">30 days</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+      {history && (
+        <>
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            {renderStat(
+              'Uptime',
+              history.uptimePercent !== null ? `${history.uptimePercent}%` : 'N/A',
+              history.uptimePercent === null || history.uptimePercent >= 99 ? '#4caf50' : '#ff9800'
+            )}
+            {renderStat('Outages', history.outages.length, history.outages.length > 0 ? '#ff9800' : '#ffffff')}
+            {renderStat('Downtime', formatDuration(history.downtimeSeconds))}
+            {renderStat('Errors', totalErrors, totalErrors > 0 ? '#f44336' : '#ffffff')}
+          </Grid>
+
+          <Typography variant="body2" sx={{ color: '#aaaaaa', mb: 0.5 }}>Health</Typography>
+          <Box sx={{ display: 'flex', height: 16, borderRadius: '4px', overflow: 'hidden', mb: 2 }}>
+            {history.buckets.map(bucket => (
+              <Tooltip
+                key={bucket.start}
+                title={`${moment(bucket.start).format(labelFormat)}: ${bucket.health || 'not running'}`}
+              >
+                <Box sx={{ flex: 1, backgroundColor: HEALTH_COLORS[bucket.health] || 'rgba(255, 255, 255, 0.08)' }} />
+              </Tooltip>
+            ))}
+          </Box>
+
+          <Box sx={{ height: 240, mb: 2 }}>
+            <Line data={chartData} options={chartOptions} />
+          </Box>
+
+          {history.outages.length > 0 ? (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={cellSx}>Outage Started</TableCell>
+                  <TableCell sx={cellSx}>Duration</TableCell>
+                  <TableCell sx={cellSx}>Last Error</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {history.outages.slice().reverse().slice(0, 10).map(outage => (
+                  <TableRow key={outage.start}>
+                    <TableCell sx={cellSx}>{moment(outage.start).format('DD MMM HH:mm')}</TableCell>
+                    <TableCell sx={cellSx}>
+                      {formatDuration(outage.duration)}{outage.end ? '' : ' (ongoing)'}
+                    </TableCell>
+                    <TableCell sx={{ ...cellSx, color: 'rgba(255, 255, 255, 0.7)' }}>{outage.reason || '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          ) : (
+            <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+              No outages in this period
+            </Typography>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default StreamHistory;
@@ -1,6 +1,6 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import Hls from 'hls.js';
-import { Box, Typography, CircularProgress, Alert } from '@mui/material';
+import { Box, Typography, CircularProgress, Alert, Select, MenuItem } from '@mui/material';
 
 const StreamViewer = ({ streamId, hlsUrl }) => {
   const videoRef = useRef(null);
@@ -9,6 +9,10 @@ const StreamViewer = ({ streamId, hlsUrl }) => {
   const [error, setError] = useState(null);
   const [loadingTimeout, setLoadingTimeout] = useState(false);
   const timeoutRef = useRef(null);
+  // Quality levels offered by an adaptive (multi-rendition) stream
+  const [levels, setLevels] = useState([]);
+  const [selectedLevel, setSelectedLevel] = useState(-1); // -1 = automatic
+  const [activeLevel, setActiveLevel] = useState(-1);
   
   // Clean up function to destroy HLS instance and clear timeouts
   const cleanup = useCallback(() => {
@@ -28,8 +32,26 @@ const StreamViewer = ({ streamId, hlsUrl }) => {
       video.removeAttribute('src');
       video.load();
     }
+    
+    setLevels([]);
+    setSelectedLevel(-1);
+    setActiveLevel(-1);
   }, []);
   
+  // Switch quality level (-1 lets hls.js pick based on bandwidth)
+  const handleLevelChange = (event) => {
+    const level = event.target.value;
+    setSelectedLevel(level);
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = level;
+    }
+  };
+  
+  const getLevelLabel = (level) => {
+    if (!level) return '';
+    return level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`;
+  };
+  
   // Initialize HLS player
   const loadStream = useCallback(() => {
     console.log('StreamViewer: Loading stream', { streamId, hlsUrl });
@@ -90,8 +112,9 @@ const StreamViewer = ({ streamId, hlsUrl }) => {
           hls.loadSource(hlsUrl);
         });
         
-        hls.on(Hls.Events.MANIFEST_PARSED, () => {
+        hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
           console.log('StreamViewer: Manifest parsed, playing video');
+          setLevels(data.levels || []);
           video.play()
             .then(() => {
               console.log('StreamViewer: Playback started successfully');
@@ -108,6 +131,10 @@ const StreamViewer = ({ streamId, hlsUrl }) => {
             });
         });
         
+        hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+          setActiveLevel(data.level);
+        });
+        
         hls.on(Hls.Events.ERROR, (event, data) => {
           console.error('StreamViewer: HLS error', { event, data });
           if (data.fatal) {
@@ -243,6 +270,38 @@ const StreamViewer = ({ streamId, hlsUrl }) => {
         playsInline
       />
       
+      {levels.length > 1 && !loading && !error && (
+        <Select
+          size="small"
+          value={selectedLevel}
+          onChange={handleLevelChange}
+          sx={{
+            position: 'absolute',
+            top: 12,
+            right: 12,
+            minWidth: 120,
+            color: '#ffffff',
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+            fontSize: '0.8rem',
+            '& .MuiOutlinedInput-notchedOutline': {
+              borderColor: 'rgba(255, 255, 255, 0.3)'
+            },
+            '& .MuiSvgIcon-root': {
+              color: '#ffffff'
+            }
+          }}
+        >
+          <MenuItem value={-1}>
+            {selectedLevel === -1 && activeLevel >= 0 ? `Auto (${getLevelLabel(levels[activeLevel])})` : 'Auto'}
+          </MenuItem>
+          {levels.map((level, index) => (
+            <MenuItem key={index} value={index}>
+              {getLevelLabel(level)}
+            </MenuItem>
+          ))}
+        </Select>
+      )}
+      
       {loading && (
         <Box sx={{ 
           position: 'absolute',
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Paper,
+  Divider,
+  Chip,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { Visibility as ViewersIcon } from '@mui/icons-material';
+import moment from 'moment';
+import { useStreamEvents } from '../useStreamEvents';
+
+// Bytes served and last activity keep changing, so the table is re-fetched this often
+const REFRESH_INTERVAL = 10000;
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+// Who is watching the stream right now, one row per viewer session
+const StreamViewers = ({ streamId }) => {
+  const [sessions, setSessions] = useState(null);
+
+  const fetchViewers = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/streams/${streamId}/viewers`);
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching stream viewers:', error);
+    }
+  }, [streamId]);
+
+  useEffect(() => {
+    fetchViewers();
+    const interval = setInterval(fetchViewers, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchViewers]);
+
+  useStreamEvents((type) => {
+    if (type === 'viewers' || type === 'reconnected') {
+      fetchViewers();
+    }
+  }, streamId);
+
+  if (!sessions) {
+    return null;
+  }
+
+  return (
+    <Paper
+      sx={{
+        p: 3,
+        mb: 3,
+        backgroundColor: 'rgba(15, 25, 35, 0.8)',
+        backdropFilter: 'blur(10px)',
+        borderRadius: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.2)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <ViewersIcon sx={{ mr: 1, color: '#64B5F6' }} />
+          <Typography variant="h6" sx={{ color: '#64B5F6' }}>
+            Viewers
+          </Typography>
+        </Box>
+        <Chip
+          label={`${sessions.length} watching`}
+          color={sessions.length > 0 ? 'info' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+      {sessions.length > 0 ? (
+        <Box sx={{ overflowX: 'auto' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={cellSx}>Client</TableCell>
+                <TableCell sx={cellSx}>Viewer</TableCell>
+                <TableCell sx={cellSx}>Output</TableCell>
+                <TableCell sx={cellSx}>Watching Since</TableCell>
+                <TableCell sx={cellSx}>Data Served</TableCell>
+                <TableCell sx={cellSx}>Last Activity</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sessions.map(session => (
+                <TableRow key={session.id}>
+                  <TableCell sx={cellSx}>
+                    {session.ip}
+                    <Tooltip title={session.userAgent || ''}>
+                      <Typography
+                        variant="caption"
+                        component="div"
+                        noWrap
+                        sx={{ color: 'rgba(255, 255, 255, 0.5)', maxWidth: 240 }}
+                      >
+                        {session.userAgent || 'Unknown player'}
+                      </Typography>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={cellSx}>
+                    {session.username || (session.tokenName ? `Token: ${session.tokenName}` : '-')}
+                  </TableCell>
+                  <TableCell sx={cellSx}>{session.protocol === 'hls' ? 'HLS' : 'MPEG-TS'}</TableCell>
+                  <TableCell sx={cellSx}>
+                    <Tooltip title={moment(session.startedAt).format('DD MMM HH:mm:ss')}>
+                      <span>{moment(session.startedAt).fromNow(true)}</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={cellSx}>{formatBytes(session.bytes)}</TableCell>
+                  <TableCell sx={{ ...cellSx, color: 'rgba(255, 255, 255, 0.7)' }}>
+                    {moment(session.lastActivity).fromNow()}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      ) : (
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+          Nobody is watching this stream.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default StreamViewers;
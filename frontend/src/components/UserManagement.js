@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  PersonAdd as PersonAddIcon,
+  Delete as DeleteIcon,
+  LockReset as LockResetIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import moment from 'moment';
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Watch streams and view status',
+  operator: 'Also start, stop, restart and analyze streams',
+  admin: 'Full access, including settings and users'
+};
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const cellSx = { color: '#ffffff', borderColor: 'rgba(255, 255, 255, 0.1)' };
+
+const getErrorMessage = (error, fallback) => (
+  error.response && error.response.data && error.response.data.error
+    ? error.response.data.error
+    : fallback
+);
+
+// Admin list of accounts with their roles
+const UserManagement = ({ currentUser, onNotify }) => {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'viewer' });
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleAddUser = async () => {
+    try {
+      await axios.post('/api/users', newUser);
+      onNotify(`User ${newUser.username} added`, 'success');
+      setNewUser({ username: '', password: '', role: 'viewer' });
+      fetchUsers();
+    } catch (error) {
+      console.error('Error adding user:', error);
+      onNotify(getErrorMessage(error, 'Error adding user'), 'error');
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await axios.put(`/api/users/${user.id}`, { role });
+      onNotify(`${user.username} is now ${role}`, 'success');
+      fetchUsers();
+    } catch (error) {
+      console.error('Error changing role:', error);
+      onNotify(getErrorMessage(error, 'Error changing role'), 'error');
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.username}`);
+    if (!password) return;
+
+    try {
+      await axios.put(`/api/users/${user.id}`, { password });
+      onNotify(`Password for ${user.username} reset`, 'success');
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      onNotify(getErrorMessage(error, 'Error resetting password'), 'error');
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete user ${user.username}?`)) return;
+
+    try {
+      await axios.delete(`/api/users/${user.id}`);
+      onNotify(`User ${user.username} deleted`, 'success');
+      fetchUsers();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      onNotify(getErrorMessage(error, 'Error deleting user'), 'error');
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Users
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Table size="small" sx={{ mb: 3 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={cellSx}>Username</TableCell>
+              <TableCell sx={cellSx}>Role</TableCell>
+              <TableCell sx={cellSx}>Last Login</TableCell>
+              <TableCell sx={cellSx} align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.map((user) => (
+              <TableRow key={user.id}>
+                <TableCell sx={cellSx}>
+                  {user.username}
+                  {currentUser && currentUser.id === user.id ? ' (you)' : ''}
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  <TextField
+                    select
+                    size="small"
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    sx={{ ...inputSx, minWidth: 130 }}
+                  >
+                    {Object.keys(ROLE_DESCRIPTIONS).map((role) => (
+                      <MenuItem key={role} value={role} sx={{ textTransform: 'capitalize' }}>{role}</MenuItem>
+                    ))}
+                  </TextField>
+                </TableCell>
+                <TableCell sx={cellSx}>
+                  {user.lastLogin ? moment(user.lastLogin).fromNow() : 'Never'}
+                </TableCell>
+                <TableCell sx={cellSx} align="right">
+                  <Tooltip title="Reset password">
+                    <IconButton onClick={() => handleResetPassword(user)} sx={{ color: '#64B5F6' }}>
+                      <LockResetIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete user">
+                    <IconButton onClick={() => handleDelete(user)} sx={{ color: '#f44336' }}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+          Add User
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+          <TextField
+            label="Username"
+            size="small"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            autoComplete="new-password"
+            helperText="At least 8 characters"
+            sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+          />
+          <TextField
+            select
+            label="Role"
+            size="small"
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            helperText={ROLE_DESCRIPTIONS[newUser.role]}
+            sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+          >
+            {Object.keys(ROLE_DESCRIPTIONS).map((role) => (
+              <MenuItem key={role} value={role} sx={{ textTransform: 'capitalize' }}>{role}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<PersonAddIcon />}
+            onClick={handleAddUser}
+            disabled={!newUser.username || !newUser.password}
+          >
+            Add User
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem
+} from '@mui/material';
+
+export const DEFAULT_VARIANT_POLICY = {
+  mode: 'highest',
+  targetHeight: null,
+  maxBandwidth: null
+};
+
+const RESOLUTIONS = [2160, 1080, 720, 576, 480, 360];
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+// Short description of a variant policy, e.g. "Closest to 720p"
+export const describeVariantPolicy = (policy) => {
+  if (!policy || policy.mode === 'highest') return 'Highest quality';
+  if (policy.mode === 'lowest') return 'Lowest quality';
+  if (policy.mode === 'closest') return `Closest to ${policy.targetHeight}p`;
+  return `Up to ${policy.maxBandwidth} kbit/s`;
+};
+
+// Form fields for choosing which variant of an HLS master playlist a stream pulls
+const VariantPolicyFields = ({ value, onChange }) => {
+  const policy = { ...DEFAULT_VARIANT_POLICY, ...(value || {}) };
+
+  const handleModeChange = (mode) => {
+    onChange({
+      mode,
+      targetHeight: mode === 'closest' ? policy.targetHeight || 720 : null,
+      maxBandwidth: mode === 'maxBandwidth' ? policy.maxBandwidth || 4000 : null
+    });
+  };
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Typography variant="subtitle2" sx={{ color: '#ffffff', mb: 1 }}>
+        Source Variant
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <TextField
+          select
+          fullWidth
+          margin="dense"
+          label="Variant Selection"
+          value={policy.mode}
+          onChange={(e) => handleModeChange(e.target.value)}
+          helperText="Which quality to pull when the source is an HLS master playlist"
+          sx={inputSx}
+        >
+          <MenuItem value="highest">Highest quality</MenuItem>
+          <MenuItem value="lowest">Lowest quality</MenuItem>
+          <MenuItem value="closest">Closest to a resolution</MenuItem>
+          <MenuItem value="maxBandwidth">Bandwidth cap</MenuItem>
+        </TextField>
+
+        {policy.mode === 'closest' && (
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Target Resolution"
+            value={policy.targetHeight}
+            onChange={(e) => onChange({ ...policy, targetHeight: e.target.value })}
+            sx={inputSx}
+          >
+            {RESOLUTIONS.map((height) => (
+              <MenuItem key={height} value={height}>{height}p</MenuItem>
+            ))}
+          </TextField>
+        )}
+
+        {policy.mode === 'maxBandwidth' && (
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Maximum Bandwidth (kbit/s)"
+            value={policy.maxBandwidth}
+            onChange={(e) => onChange({ ...policy, maxBandwidth: e.target.value })}
+            inputProps={{ min: 100 }}
+            sx={inputSx}
+          />
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default VariantPolicyFields;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Divider,
+  Button,
+  CircularProgress,
+  TextField
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const ViewerLimitSettings = ({ onNotify }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/api/settings');
+        setSettings(response.data.limits);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleChange = (key, value) => {
+    setSettings({ ...settings, [key]: value });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/api/settings', { limits: settings });
+      setSettings(response.data.limits);
+      onNotify('Viewer limits saved', 'success');
+    } catch (error) {
+      console.error('Error saving viewer limits:', error);
+      const message = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error
+        : 'Error saving viewer limits';
+      onNotify(message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{
+      backgroundColor: '#1e1e1e',
+      color: '#ffffff',
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+    }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+          Viewer Limits
+        </Typography>
+        <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+
+        <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+          New viewers are turned away once the server is serving this many viewers, or once the
+          user or playback token they play with is already watching this many streams. Each stream
+          can also have its own limit. Viewers already watching are never cut off. Use 0 for no limit.
+        </Typography>
+
+        {settings ? (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+              <TextField
+                label="Total Viewers"
+                size="small"
+                type="number"
+                value={settings.maxViewers}
+                onChange={(e) => handleChange('maxViewers', e.target.value)}
+                inputProps={{ min: 0, max: 10000 }}
+                helperText="Across all streams"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+              <TextField
+                label="Streams per User or Token"
+                size="small"
+                type="number"
+                value={settings.maxViewersPerClient}
+                onChange={(e) => handleChange('maxViewersPerClient', e.target.value)}
+                inputProps={{ min: 0, max: 10000 }}
+                helperText="Viewers without a token aren't limited"
+                sx={{ ...inputSx, flex: 1, minWidth: 160 }}
+              />
+            </Box>
+            <Box>
+              <Button
+                variant="contained"
+                color="primary"
+                startIcon={saving ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                onClick={handleSave}
+                disabled={saving}
+              >
+                Save Viewer Limits
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          <CircularProgress size={24} />
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ViewerLimitSettings;
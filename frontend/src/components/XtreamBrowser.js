@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+  Box,
+  CircularProgress,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip
+} from '@mui/material';
+import LiveTvIcon from '@mui/icons-material/LiveTv';
+import axios from 'axios';
+
+const inputSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+};
+
+const checkboxSx = { color: 'rgba(255, 255, 255, 0.7)', '&.Mui-checked': { color: '#377b58' } };
+
+// Browse the live categories and channels of a provider's Xtream Codes panel and add the
+// chosen channels as streams
+const XtreamBrowser = ({ open, provider, onClose, onImported }) => {
+  const [categories, setCategories] = useState([]);
+  const [category, setCategory] = useState('');
+  const [channels, setChannels] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [channelFilter, setChannelFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const providerId = provider ? provider.id : null;
+
+  useEffect(() => {
+    if (!open || !providerId) return;
+
+    setCategory('');
+    setChannels(null);
+    setSelected([]);
+    setChannelFilter('');
+    setError('');
+    axios.get(`/api/providers/${providerId}/xtream/categories`)
+      .then(response => setCategories(response.data))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load categories'));
+  }, [open, providerId]);
+
+  const fetchChannels = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`/api/providers/${providerId}/xtream/channels`, {
+        params: { category: category || undefined }
+      });
+      setChannels(response.data);
+    } catch (err) {
+      setChannels([]);
+      setError(err.response?.data?.error || 'Failed to load channels');
+    } finally {
+      setLoading(false);
+    }
+  }, [providerId, category]);
+
+  useEffect(() => {
+    if (open && providerId) {
+      fetchChannels();
+    }
+  }, [open, providerId, fetchChannels]);
+
+  const filteredChannels = useMemo(() => {
+    if (!channels) return [];
+    const filter = channelFilter.trim().toLowerCase();
+    return channels.filter(channel => !filter ||
+      channel.name.toLowerCase().includes(filter) ||
+      (channel.category && channel.category.toLowerCase().includes(filter)));
+  }, [channels, channelFilter]);
+
+  // Channels that are already streams can't be picked again
+  const selectable = filteredChannels.filter(channel => !channel.importedAs);
+  const allSelected = selectable.length > 0 && selectable.every(channel => selected.includes(channel.streamId));
+
+  const handleToggleChannel = (streamId) => {
+    setSelected(prev => (prev.includes(streamId)
+      ? prev.filter(id => id !== streamId)
+      : [...prev, streamId]));
+  };
+
+  const handleToggleAll = () => {
+    const visible = selectable.map(channel => channel.streamId);
+    setSelected(prev => (allSelected
+      ? prev.filter(id => !visible.includes(id))
+      : [...new Set([...prev, ...visible])]));
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await axios.post(`/api/providers/${providerId}/xtream/import`, { streamIds: selected });
+      setLoading(false);
+      onImported(response.data);
+      onClose();
+    } catch (err) {
+      setLoading(false);
+      setError(err.response?.data?.error || 'Failed to import channels');
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="md"
+      fullWidth
+      PaperProps={{
+        sx: {
+          backgroundColor: '#1e1e1e',
+          color: '#ffffff',
+          borderRadius: '12px',
+        }
+      }}
+    >
+      <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
+        Channels of {provider ? provider.name : ''}
+      </DialogTitle>
+      <DialogContent sx={{ mt: 2 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1, mt: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Category"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            sx={{ minWidth: 200, ...inputSx }}
+          >
+            <MenuItem value="">All categories</MenuItem>
+            {categories.map(item => (
+              <MenuItem key={item.id} value={item.id}>{item.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Filter channels"
+            value={channelFilter}
+            onChange={(e) => setChannelFilter(e.target.value)}
+            sx={{ flex: 1, ...inputSx }}
+          />
+          <Button size="small" onClick={handleToggleAll} disabled={selectable.length === 0} sx={{ color: '#377b58' }}>
+            {allSelected ? 'Select None' : 'Select All'}
+          </Button>
+        </Box>
+        <Typography variant="caption" sx={{ color: 'rgba(255, 255, 255, 0.7)' }}>
+          {selected.length} selected, {filteredChannels.length} channels shown
+        </Typography>
+
+        {loading && !channels ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress size={32} />
+          </Box>
+        ) : (
+          <List dense sx={{ maxHeight: 400, overflow: 'auto', mt: 1, backgroundColor: 'rgba(30, 30, 30, 0.8)', borderRadius: '8px' }}>
+            {filteredChannels.map((channel) => (
+              <ListItem key={channel.streamId} disablePadding>
+                <ListItemButton onClick={() => handleToggleChannel(channel.streamId)} disabled={Boolean(channel.importedAs)}>
+                  <ListItemIcon sx={{ minWidth: 36 }}>
+                    <Checkbox
+                      edge="start"
+                      size="small"
+                      checked={Boolean(channel.importedAs) || selected.includes(channel.streamId)}
+                      tabIndex={-1}
+                      disableRipple
+                      sx={checkboxSx}
+                    />
+                  </ListItemIcon>
+                  <ListItemAvatar sx={{ minWidth: 48 }}>
+                    <Avatar src={channel.logo || undefined} variant="rounded" sx={{ width: 32, height: 32, bgcolor: '#2c3e50' }}>
+                      <LiveTvIcon fontSize="small" />
+                    </Avatar>
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={channel.name}
+                    secondary={channel.epgChannelId ? `Guide: ${channel.epgChannelId}` : 'No guide channel'}
+                    primaryTypographyProps={{ sx: { color: '#ffffff' } }}
+                    secondaryTypographyProps={{ noWrap: true, sx: { color: '#777777' } }}
+                  />
+                  <Box sx={{ display: 'flex', gap: 1, ml: 1 }}>
+                    {channel.category && (
+                      <Chip label={channel.category} size="small" sx={{ backgroundColor: '#2c3e50', color: '#ecf0f1' }} />
+                    )}
+                    {channel.importedAs && (
+                      <Chip label="Already added" size="small" color="warning" variant="outlined" />
+                    )}
+                  </Box>
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
+        <Button onClick={onClose} disabled={loading} sx={{ color: '#aaaaaa' }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleImport}
+          variant="contained"
+          color="primary"
+          disabled={loading || selected.length === 0}
+        >
+          {loading && channels ? <CircularProgress size={24} /> : `Import ${selected.length} Channels`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default XtreamBrowser;
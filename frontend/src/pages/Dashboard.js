@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Box, 
   Typography, 
@@ -15,7 +15,9 @@ import {
   LinearProgress,
   Fade,
   Tooltip,
-  Avatar
+  Avatar,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import { 
   PlayArrow as PlayIcon, 
@@ -29,12 +31,15 @@ import {
   Speed as SpeedIcon,
   Refresh as RefreshIcon,
   BarChart as ChartIcon,
-  Videocam as VideocamIcon
+  Videocam as VideocamIcon,
+  Visibility as ViewersIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import { Doughnut } from 'react-chartjs-2';
 import { Chart as ChartJS, ArcElement, Tooltip as ChartTooltip, Legend } from 'chart.js';
 import { motion } from 'framer-motion';
+import { useStreamEvents } from '../useStreamEvents';
+import { UNGROUPED, getGroups } from '../components/StreamFilters';
 
 // Register Chart.js components
 ChartJS.register(ArcElement, ChartTooltip, Legend);
@@ -46,20 +51,24 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [groupFilter, setGroupFilter] = useState('');
+  const [viewerCounts, setViewerCounts] = useState({});
   const theme = useTheme();
 
   const fetchData = async () => {
     try {
       setRefreshing(true);
-      const [healthResponse, systemResponse, streamsResponse] = await Promise.all([
+      const [healthResponse, systemResponse, streamsResponse, viewersResponse] = await Promise.all([
         axios.get('/api/health'),
         axios.get('/api/system'),
-        axios.get('/api/streams')
+        axios.get('/api/streams'),
+        axios.get('/api/viewers')
       ]);
       
       setHealthData(healthResponse.data);
       setSystemData(systemResponse.data);
       setStreamsData(streamsResponse.data);
+      setViewerCounts(viewersResponse.data.streams);
       setError(null);
     } catch (err) {
       setError('Failed to fetch dashboard data');
@@ -70,13 +79,55 @@ const Dashboard = () => {
     }
   };
 
+  // Stream status and health only change when the server says so
+  const fetchStreamData = async () => {
+    try {
+      const [healthResponse, streamsResponse, viewersResponse] = await Promise.all([
+        axios.get('/api/health'),
+        axios.get('/api/streams'),
+        axios.get('/api/viewers')
+      ]);
+      
+      setHealthData(healthResponse.data);
+      setStreamsData(streamsResponse.data);
+      setViewerCounts(viewersResponse.data.streams);
+    } catch (err) {
+      console.error('Dashboard stream data fetch error:', err);
+    }
+  };
+
+  // Several events usually arrive together (status, health, error), so refresh once for all of them
+  const refreshTimerRef = useRef(null);
+  useStreamEvents((type, data) => {
+    if (type === 'diagnostics' || type === 'screenshot') return;
+    
+    // Viewer counts arrive complete, nothing needs fetching
+    if (type === 'viewers') {
+      setViewerCounts(prevCounts => ({ ...prevCounts, [data.id]: data.count }));
+      return;
+    }
+    
+    clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(fetchStreamData, 500);
+  });
+
   useEffect(() => {
     fetchData();
     
-    // Poll data every 10 seconds
-    const interval = setInterval(fetchData, 10000);
+    // System resources (CPU, memory, disk) are not pushed, so keep polling those
+    const interval = setInterval(async () => {
+      try {
+        const response = await axios.get('/api/system');
+        setSystemData(response.data);
+      } catch (err) {
+        console.error('Dashboard system data fetch error:', err);
+      }
+    }, 30000);
     
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(refreshTimerRef.current);
+    };
   }, []);
 
   // Update chart styles when theme changes
@@ -167,19 +218,36 @@ const Dashboard = () => {
     );
   }
 
+  // Counts and charts below cover the selected group only
+  const groups = getGroups(streamsData);
+  const inGroup = (stream, group) => (group === UNGROUPED ? !stream.group : stream.group === group);
+  const filteredStreams = groupFilter ? streamsData.filter(stream => inGroup(stream, groupFilter)) : streamsData;
+
+  // Running and total streams per group, for the group summary
+  const groupCounts = [...groups, ...(streamsData.some(stream => !stream.group) ? [UNGROUPED] : [])].map(group => {
+    const members = streamsData.filter(stream => inGroup(stream, group));
+    return { group, total: members.length, running: members.filter(stream => stream.status === 'running').length };
+  });
+
+  // Viewers of the selected streams, most watched first
+  const watchedStreams = filteredStreams
+    .filter(stream => viewerCounts[stream.id] > 0)
+    .sort((a, b) => viewerCounts[b.id] - viewerCounts[a.id]);
+  const totalViewers = watchedStreams.reduce((sum, stream) => sum + viewerCounts[stream.id], 0);
+
   // Calculate stream status counts
   const streamStatusCounts = {
-    running: streamsData.filter(stream => stream.status === 'running').length,
-    stopped: streamsData.filter(stream => stream.status === 'stopped').length,
-    error: streamsData.filter(stream => stream.status === 'error').length
+    running: filteredStreams.filter(stream => stream.status === 'running').length,
+    stopped: filteredStreams.filter(stream => stream.status === 'stopped').length,
+    error: filteredStreams.filter(stream => stream.status === 'error').length
   };
 
   // Calculate stream health counts
   const streamHealthCounts = {
-    good: streamsData.filter(stream => stream.health === 'good').length,
-    degraded: streamsData.filter(stream => stream.health === 'degraded').length,
-    failed: streamsData.filter(stream => stream.health === 'failed').length,
-    unknown: streamsData.filter(stream => stream.health === 'unknown' || !stream.health).length
+    good: filteredStreams.filter(stream => stream.health === 'good').length,
+    degraded: filteredStreams.filter(stream => stream.health === 'degraded').length,
+    failed: filteredStreams.filter(stream => stream.health === 'failed').length,
+    unknown: filteredStreams.filter(stream => stream.health === 'unknown' || !stream.health).length
   };
 
   // Chart data for stream status
@@ -346,27 +414,44 @@ const Dashboard = () => {
           Stream Dashboard
         </Typography>
         
-        <Tooltip title="Refresh Dashboard">
-          <IconButton 
-            onClick={handleRefresh} 
-            disabled={refreshing}
-            component={motion.button}
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.95 }}
-            sx={{ 
-              color: theme.palette.primary.main,
-              background: `linear-gradient(145deg, ${theme.palette.background.paper}, ${theme.palette.background.default})`,
-              boxShadow: '0 4px 10px rgba(0, 0, 0, 0.15)',
-              p: 1.5,
-              borderRadius: '12px',
-              '&:hover': {
-                background: `linear-gradient(145deg, ${theme.palette.background.default}, ${theme.palette.background.paper})`,
-              }
-            }}
-          >
-            <RefreshIcon />
-          </IconButton>
-        </Tooltip>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {groups.length > 0 && (
+            <TextField
+              select
+              size="small"
+              label="Group"
+              value={groupFilter}
+              onChange={(e) => setGroupFilter(e.target.value)}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">All groups</MenuItem>
+              {groupCounts.map(({ group }) => (
+                <MenuItem key={group} value={group}>{group}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <Tooltip title="Refresh Dashboard">
+            <IconButton 
+              onClick={handleRefresh} 
+              disabled={refreshing}
+              component={motion.button}
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.95 }}
+              sx={{ 
+                color: theme.palette.primary.main,
+                background: `linear-gradient(145deg, ${theme.palette.background.paper}, ${theme.palette.background.default})`,
+                boxShadow: '0 4px 10px rgba(0, 0, 0, 0.15)',
+                p: 1.5,
+                borderRadius: '12px',
+                '&:hover': {
+                  background: `linear-gradient(145deg, ${theme.palette.background.default}, ${theme.palette.background.paper})`,
+                }
+              }}
+            >
+              <RefreshIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
       </Box>
       
       {refreshing && (
@@ -426,7 +511,7 @@ const Dashboard = () => {
               </Typography>
               
               <Grid container spacing={2}>
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={6} md={3}>
                   <Box 
                     sx={{ 
                       p: 2, 
@@ -457,7 +542,7 @@ const Dashboard = () => {
                   </Box>
                 </Grid>
                 
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={6} md={3}>
                   <Box 
                     sx={{ 
                       p: 2, 
@@ -488,7 +573,7 @@ const Dashboard = () => {
                   </Box>
                 </Grid>
                 
-                <Grid item xs={12} sm={4}>
+                <Grid item xs={12} sm={6} md={3}>
                   <Box 
                     sx={{ 
                       p: 2, 
@@ -518,7 +603,76 @@ const Dashboard = () => {
                     </Box>
                   </Box>
                 </Grid>
+                
+                <Grid item xs={12} sm={6} md={3}>
+                  <Box 
+                    sx={{ 
+                      p: 2, 
+                      borderRadius: '12px',
+                      background: `linear-gradient(145deg, ${theme.palette.background.default}, ${theme.palette.background.paper})`,
+                      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: 2
+                    }}
+                  >
+                    <Avatar 
+                      sx={{ 
+                        bgcolor: 'rgba(2, 136, 209, 0.1)', 
+                        color: theme.palette.info.main,
+                        width: 48,
+                        height: 48
+                      }}
+                    >
+                      <ViewersIcon />
+                    </Avatar>
+                    <Box>
+                      <Typography variant="body2" color="textSecondary">Viewers</Typography>
+                      <Typography variant="h5" sx={{ fontWeight: 600 }}>
+                        {totalViewers}
+                      </Typography>
+                    </Box>
+                  </Box>
+                </Grid>
               </Grid>
+
+              {watchedStreams.length > 0 && (
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+                    Watched now
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {watchedStreams.map(stream => (
+                      <Chip
+                        key={stream.id}
+                        icon={<ViewersIcon />}
+                        label={`${stream.name}: ${viewerCounts[stream.id]}`}
+                        color="info"
+                        variant="outlined"
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              )}
+
+              {groups.length > 0 && (
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+                    Running by group
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {groupCounts.map(({ group, running, total }) => (
+                      <Chip
+                        key={group}
+                        label={`${group}: ${running}/${total}`}
+                        onClick={() => setGroupFilter(groupFilter === group ? '' : group)}
+                        color={running === total ? 'success' : running === 0 ? 'default' : 'warning'}
+                        variant={groupFilter === group ? 'filled' : 'outlined'}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -579,7 +733,7 @@ const Dashboard = () => {
                 animate={{ opacity: 1, scale: 1 }}
                 transition={{ duration: 0.5, delay: 0.3 }}
               >
-                {streamsData.length > 0 ? (
+                {filteredStreams.length > 0 ? (
                   <Doughnut 
                     data={streamStatusData} 
                     options={chartOptions} 
@@ -658,7 +812,7 @@ const Dashboard = () => {
                 animate={{ opacity: 1, scale: 1 }}
                 transition={{ duration: 0.5, delay: 0.4 }}
               >
-                {streamsData.length > 0 ? (
+                {filteredStreams.length > 0 ? (
                   <Doughnut 
                     data={streamHealthData} 
                     options={chartOptions}
@@ -18,8 +18,21 @@ import {
   Save as SaveIcon
 } from '@mui/icons-material';
 import axios from 'axios';
+import EpgSources from '../components/EpgSources';
+import HdHomeRunSettings from '../components/HdHomeRunSettings';
+import AccountSettings from '../components/AccountSettings';
+import UserManagement from '../components/UserManagement';
+import PlaybackTokens from '../components/PlaybackTokens';
+import AlertSettings from '../components/AlertSettings';
+import HistorySettings from '../components/HistorySettings';
+import OnDemandSettings from '../components/OnDemandSettings';
+import ViewerLimitSettings from '../components/ViewerLimitSettings';
+import ProviderSettings from '../components/ProviderSettings';
+import { useAuth } from '../AuthContext';
 
 const Settings = () => {
+  const { user, hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [backupData, setBackupData] = useState('');
@@ -134,6 +147,10 @@ const Settings = () => {
     reader.readAsText(file);
   };
 
+  const handleNotify = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
   const handleCloseSnackbar = () => {
     setSnackbar({ ...snackbar, open: false });
   };
@@ -146,46 +163,135 @@ const Settings = () => {
       
       <Grid container spacing={3}>
         {/* Backup Section */}
-        <Grid item xs={12} md={6}>
-          <Card sx={{ 
-            backgroundColor: '#1e1e1e', 
-            color: '#ffffff',
-            borderRadius: '12px',
-            boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
-          }}>
-            <CardContent>
-              <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
-                Backup Configuration
-              </Typography>
-              <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+        {isAdmin && (
+          <Grid item xs={12} md={6}>
+            <Card sx={{ 
+              backgroundColor: '#1e1e1e', 
+              color: '#ffffff',
+              borderRadius: '12px',
+              boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+            }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+                  Backup Configuration
+                </Typography>
+                <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
+              
+                <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+                  Export your current stream configuration as a JSON file for backup purposes.
+                </Typography>
+              
+                <Button
+                  variant="contained"
+                  color="primary"
+                  startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <DownloadIcon />}
+                  onClick={handleExportConfig}
+                  disabled={loading}
+                  sx={{ mt: 1 }}
+                >
+                  Export Configuration
+                </Button>
+              
+                {backupData && (
+                  <Box sx={{ mt: 3 }}>
+                    <Typography variant="subtitle2" gutterBottom sx={{ color: '#ffffff' }}>
+                      Backup Data Preview:
+                    </Typography>
+                    <TextField
+                      multiline
+                      fullWidth
+                      variant="outlined"
+                      value={backupData}
+                      InputProps={{
+                        readOnly: true,
+                        style: { fontFamily: 'monospace', fontSize: '0.75rem' }
+                      }}
+                      minRows={8}
+                      maxRows={12}
+                      sx={{ 
+                        '& .MuiOutlinedInput-root': {
+                          backgroundColor: 'rgba(30, 30, 30, 0.8)',
+                          '& fieldset': {
+                            borderColor: 'rgba(255, 255, 255, 0.23)',
+                          },
+                          '&:hover fieldset': {
+                            borderColor: '#377b58',
+                          },
+                          '&.Mui-focused fieldset': {
+                            borderColor: '#377b58',
+                          },
+                        },
+                        '& .MuiInputBase-input': {
+                          color: '#ffffff',
+                        },
+                      }}
+                    />
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+        
+        {/* Restore Section */}
+        {isAdmin && (
+          <Grid item xs={12} md={6}>
+            <Card sx={{ 
+              backgroundColor: '#1e1e1e', 
+              color: '#ffffff',
+              borderRadius: '12px',
+              boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
+            }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
+                  Restore Configuration
+                </Typography>
+                <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
               
-              <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
-                Export your current stream configuration as a JSON file for backup purposes.
-              </Typography>
+                <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
+                  Import a previously exported configuration. This will replace your current stream configuration.
+                </Typography>
               
-              <Button
-                variant="contained"
-                color="primary"
-                startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <DownloadIcon />}
-                onClick={handleExportConfig}
-                disabled={loading}
-                sx={{ mt: 1 }}
-              >
-                Export Configuration
-              </Button>
+                <Typography variant="body2" color="error" paragraph>
+                  Warning: This will stop all currently running streams and replace your existing configuration.
+                </Typography>
+              
+                <Button
+                  variant="outlined"
+                  color="primary"
+                  component="label"
+                  startIcon={<UploadIcon />}
+                  sx={{ 
+                    mt: 1,
+                    borderColor: '#377b58', 
+                    color: '#377b58',
+                    '&:hover': {
+                      borderColor: '#5fa980',
+                      backgroundColor: 'rgba(55, 123, 88, 0.1)',
+                    }
+                  }}
+                >
+                  Upload Backup File
+                  <input
+                    type="file"
+                    accept=".json"
+                    hidden
+                    onChange={handleFileUpload}
+                  />
+                </Button>
               
-              {backupData && (
                 <Box sx={{ mt: 3 }}>
                   <Typography variant="subtitle2" gutterBottom sx={{ color: '#ffffff' }}>
-                    Backup Data Preview:
+                    Or paste JSON configuration:
                   </Typography>
                   <TextField
                     multiline
                     fullWidth
                     variant="outlined"
-                    value={backupData}
+                    placeholder="Paste your backup JSON here..."
+                    value={importData}
+                    onChange={(e) => setImportData(e.target.value)}
                     InputProps={{
-                      readOnly: true,
                       style: { fontFamily: 'monospace', fontSize: '0.75rem' }
                     }}
                     minRows={8}
@@ -205,113 +311,96 @@ const Settings = () => {
                       },
                       '& .MuiInputBase-input': {
                         color: '#ffffff',
+                        '&::placeholder': {
+                          color: 'rgba(255, 255, 255, 0.5)',
+                          opacity: 1,
+                        },
                       },
                     }}
                   />
+                
+                  <Button
+                    variant="contained"
+                    color="primary"
+                    startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
+                    onClick={handleImportConfig}
+                    disabled={loading || !importData.trim()}
+                    sx={{ mt: 2 }}
+                  >
+                    Import Configuration
+                  </Button>
                 </Box>
-              )}
-            </CardContent>
-          </Card>
-        </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
         
-        {/* Restore Section */}
-        <Grid item xs={12} md={6}>
-          <Card sx={{ 
-            backgroundColor: '#1e1e1e', 
-            color: '#ffffff',
-            borderRadius: '12px',
-            boxShadow: '0 4px 12px 0 rgba(0, 0, 0, 0.15)',
-          }}>
-            <CardContent>
-              <Typography variant="h6" gutterBottom sx={{ color: '#ffffff' }}>
-                Restore Configuration
-              </Typography>
-              <Divider sx={{ mb: 2, backgroundColor: 'rgba(255, 255, 255, 0.1)' }} />
-              
-              <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.7)' }} paragraph>
-                Import a previously exported configuration. This will replace your current stream configuration.
-              </Typography>
-              
-              <Typography variant="body2" color="error" paragraph>
-                Warning: This will stop all currently running streams and replace your existing configuration.
-              </Typography>
-              
-              <Button
-                variant="outlined"
-                color="primary"
-                component="label"
-                startIcon={<UploadIcon />}
-                sx={{ 
-                  mt: 1,
-                  borderColor: '#377b58', 
-                  color: '#377b58',
-                  '&:hover': {
-                    borderColor: '#5fa980',
-                    backgroundColor: 'rgba(55, 123, 88, 0.1)',
-                  }
-                }}
-              >
-                Upload Backup File
-                <input
-                  type="file"
-                  accept=".json"
-                  hidden
-                  onChange={handleFileUpload}
-                />
-              </Button>
-              
-              <Box sx={{ mt: 3 }}>
-                <Typography variant="subtitle2" gutterBottom sx={{ color: '#ffffff' }}>
-                  Or paste JSON configuration:
-                </Typography>
-                <TextField
-                  multiline
-                  fullWidth
-                  variant="outlined"
-                  placeholder="Paste your backup JSON here..."
-                  value={importData}
-                  onChange={(e) => setImportData(e.target.value)}
-                  InputProps={{
-                    style: { fontFamily: 'monospace', fontSize: '0.75rem' }
-                  }}
-                  minRows={8}
-                  maxRows={12}
-                  sx={{ 
-                    '& .MuiOutlinedInput-root': {
-                      backgroundColor: 'rgba(30, 30, 30, 0.8)',
-                      '& fieldset': {
-                        borderColor: 'rgba(255, 255, 255, 0.23)',
-                      },
-                      '&:hover fieldset': {
-                        borderColor: '#377b58',
-                      },
-                      '&.Mui-focused fieldset': {
-                        borderColor: '#377b58',
-                      },
-                    },
-                    '& .MuiInputBase-input': {
-                      color: '#ffffff',
-                      '&::placeholder': {
-                        color: 'rgba(255, 255, 255, 0.5)',
-                        opacity: 1,
-                      },
-                    },
-                  }}
-                />
-                
-                <Button
-                  variant="contained"
-                  color="primary"
-                  startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <SaveIcon />}
-                  onClick={handleImportConfig}
-                  disabled={loading || !importData.trim()}
-                  sx={{ mt: 2 }}
-                >
-                  Import Configuration
-                </Button>
-              </Box>
-            </CardContent>
-          </Card>
+        {/* EPG Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <EpgSources onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* HDHomeRun Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <HdHomeRunSettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* On-Demand Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <OnDemandSettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Viewer Limits Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <ViewerLimitSettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Providers Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <ProviderSettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* History Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <HistorySettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Alerts Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <AlertSettings onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Playback Tokens Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <PlaybackTokens onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Users Section */}
+        {isAdmin && (
+          <Grid item xs={12}>
+            <UserManagement currentUser={user} onNotify={handleNotify} />
+          </Grid>
+        )}
+        
+        {/* Account Section */}
+        <Grid item xs={12}>
+          <AccountSettings onNotify={handleNotify} />
         </Grid>
       </Grid>
       
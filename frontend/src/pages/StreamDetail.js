@@ -30,6 +30,7 @@ import {
 } from '@mui/icons-material';
 import axios from 'axios';
 import moment from 'moment';
+import { useStreamEvents } from '../useStreamEvents';
 
 const StreamDetail = () => {
   const { id } = useParams();
@@ -68,13 +69,17 @@ const StreamDetail = () => {
 
   useEffect(() => {
     fetchStream();
-    
-    // Refresh data every 15 seconds
-    const intervalId = setInterval(fetchStream, 15000);
-    
-    return () => clearInterval(intervalId);
   }, [id]);
 
+  // Refresh when the server reports a change to this stream
+  useStreamEvents((type) => {
+    if (type === 'deleted') {
+      navigate('/streams');
+    } else if (type !== 'diagnostics' && type !== 'viewers') {
+      fetchStream();
+    }
+  }, id);
+
   const handleStartStream = async () => {
     setPerforming('starting');
     try {
@@ -30,9 +30,19 @@ import {
   Assessment as AssessmentIcon
 } from '@mui/icons-material';
 import StreamViewer from '../components/StreamViewer';
+import NowNextPanel from '../components/NowNextPanel';
+import StreamHistory from '../components/StreamHistory';
+import StreamViewers from '../components/StreamViewers';
+import SchedulePanel from '../components/SchedulePanel';
+import { describeVariantPolicy } from '../components/VariantPolicyFields';
+import { useAuth } from '../AuthContext';
+import { useStreamEvents } from '../useStreamEvents';
 import moment from 'moment';
 import { motion } from 'framer-motion';
 
+// Give up on a diagnostics request after this long (ms)
+const DIAGNOSTICS_TIMEOUT = 10000;
+
 // Animation variants
 const containerVariants = {
   hidden: { opacity: 0 },
@@ -56,6 +66,8 @@ const itemVariants = {
 const StreamPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { hasRole } = useAuth();
+  const canOperate = hasRole('operator');
   const [stream, setStream] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -64,10 +76,11 @@ const StreamPage = () => {
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [streamStartTime, setStreamStartTime] = useState(null);
   const [uptime, setUptime] = useState(0);
+  // Signed token appended to output URLs when the server requires playback tokens
+  const [playbackToken, setPlaybackToken] = useState(null);
 
   // State for auto-refresh of diagnostics
   const [autoRefreshDiagnostics, setAutoRefreshDiagnostics] = useState(true);
-  const diagnosticsIntervalRef = useRef(null);
 
   // Calculate and update uptime in real-time
   useEffect(() => {
@@ -119,8 +132,8 @@ const StreamPage = () => {
       console.log('StreamPage: Stream data received:', streamData);
       setStream(streamData);
       
-      // If stream is running, get detailed analysis
-      if (streamData.status === 'running') {
+      // If stream is running, get detailed analysis (viewers can't trigger one)
+      if (streamData.status === 'running' && canOperate) {
         try {
           console.log('StreamPage: Stream is running, getting detailed analysis');
           const analyzeResponse = await axios.post(`/api/streams/${id}/analyze`);
@@ -158,13 +171,20 @@ const StreamPage = () => {
       setLoading(false);
       setRefreshing(false);
     }
-  }, [id]);
+  }, [id, canOperate]);
 
-  // Function to fetch only stream diagnostics data (lightweight)
+  // Function to fetch only stream diagnostics data (lightweight). Events can arrive in bursts,
+  // so only one request runs at a time and a slow one is given up on.
+  const diagnosticsRequest = useRef(null);
   const fetchStreamDiagnostics = useCallback(async () => {
+    if (diagnosticsRequest.current) {
+      return;
+    }
+    diagnosticsRequest.current = id;
+
     try {
       console.log(`StreamPage: Fetching diagnostics for stream ID: ${id}`);
-      const response = await axios.get(`/api/streams/${id}/diagnostics`);
+      const response = await axios.get(`/api/streams/${id}/diagnostics`, { timeout: DIAGNOSTICS_TIMEOUT });
       
       if (response.data) {
         console.log('StreamPage: Diagnostics data received:', response.data);
@@ -180,9 +200,23 @@ const StreamPage = () => {
     } catch (error) {
       console.error('StreamPage: Error fetching diagnostics:', error);
       // Don't set main error state, just log it
+    } finally {
+      diagnosticsRequest.current = null;
     }
   }, [id]);
 
+  useEffect(() => {
+    const fetchPlaybackToken = async () => {
+      try {
+        const response = await axios.get(`/api/streams/${id}/playback`);
+        setPlaybackToken(response.data.token);
+      } catch (error) {
+        console.error('StreamPage: Error fetching playback token:', error);
+      }
+    };
+    fetchPlaybackToken();
+  }, [id]);
+
   useEffect(() => {
     console.log('StreamPage: Initial load, fetching stream data');
     setLoading(true);
@@ -192,41 +226,59 @@ const StreamPage = () => {
     // but adding a manual refresh button instead
   }, [fetchStream]);
 
-  // Setup auto-refresh for diagnostics
-  useEffect(() => {
-    if (autoRefreshDiagnostics && stream && stream.status === 'running') {
-      console.log('StreamPage: Setting up diagnostics auto-refresh');
-      // Clear any existing interval
-      if (diagnosticsIntervalRef.current) {
-        clearInterval(diagnosticsIntervalRef.current);
-      }
-      
-      // Create new interval for auto-refresh
-      diagnosticsIntervalRef.current = setInterval(() => {
-        fetchStreamDiagnostics();
-      }, 5000); // Refresh every 5 seconds
+  // Live updates pushed by the server for this stream. Only the changed fields are applied,
+  // so the player is not reloaded (which would also exit fullscreen).
+  useStreamEvents((type, data) => {
+    switch (type) {
+      case 'deleted':
+        navigate('/streams');
+        return;
+      case 'updated':
+      case 'reconnected':
+        fetchStream();
+        return;
+      case 'status':
+        setStream(prevStream => prevStream && {
+          ...prevStream,
+          status: data.status,
+          activeSourceIndex: data.activeSourceIndex,
+          lastFailover: data.lastFailover
+        });
+        break;
+      case 'health':
+        setStream(prevStream => prevStream && { ...prevStream, health: data.health });
+        break;
+      case 'queue':
+        setStream(prevStream => prevStream && {
+          ...prevStream,
+          providerWait: data.queued ? { since: new Date().toISOString(), reason: data.reason } : null
+        });
+        return;
+      case 'screenshot':
+      case 'viewers':
+        return;
+      default:
+        break;
     }
-    
-    return () => {
-      if (diagnosticsIntervalRef.current) {
-        console.log('StreamPage: Clearing diagnostics auto-refresh interval');
-        clearInterval(diagnosticsIntervalRef.current);
-        diagnosticsIntervalRef.current = null;
-      }
-    };
-  }, [autoRefreshDiagnostics, stream, fetchStreamDiagnostics]);
+
+    if (autoRefreshDiagnostics) {
+      fetchStreamDiagnostics();
+    }
+  }, id);
 
   // Handle stream actions (start, stop, restart)
   const handleStreamAction = async (action) => {
     try {
       setActionLoading(true);
-      await axios.post(`/api/streams/${id}/${action}`);
+      const response = await axios.post(`/api/streams/${id}/${action}`);
       
-      // Show success toast notification
+      // Show success toast notification (a start may wait for a provider connection)
       setSnackbar({
         open: true,
-        message: `Stream ${action === 'start' ? 'started' : action === 'stop' ? 'stopped' : 'restarted'} successfully`,
-        severity: 'success'
+        message: response.data.queued
+          ? `Stream queued: ${response.data.reason}`
+          : `Stream ${action === 'start' ? 'started' : action === 'stop' ? 'stopped' : 'restarted'} successfully`,
+        severity: response.data.queued ? 'info' : 'success'
       });
       
       // Reset stream start time if stopping
@@ -248,7 +300,7 @@ const StreamPage = () => {
       // Show error toast notification
       setSnackbar({
         open: true,
-        message: `Failed to ${action} stream`,
+        message: `Failed to ${action} stream${err.response?.data?.error ? `: ${err.response.data.error}` : ''}`,
         severity: 'error'
       });
     } finally {
@@ -260,24 +312,29 @@ const StreamPage = () => {
   const stopStream = () => handleStreamAction('stop');
   const restartStream = () => handleStreamAction('restart');
 
+  const tokenQuery = playbackToken ? `?token=${encodeURIComponent(playbackToken)}` : '';
+
   // Get HLS URL for the stream
   const getHlsUrl = (streamId) => {
     if (!streamId) return null;
     
     // Make sure we use the correct port and path format
-    return `http://${window.location.hostname}:8088/hls/${streamId}/playlist.m3u8`;
+    return `http://${window.location.hostname}:8088/hls/${streamId}/playlist.m3u8${tokenQuery}`;
   };
 
   // Local Stream URL for sharing/copying
   const getLocalStreamUrl = (streamId) => {
-    return `http://${window.location.hostname}:8088/hls/${streamId}/playlist.m3u8`;
+    return `http://${window.location.hostname}:8088/hls/${streamId}/playlist.m3u8${tokenQuery}`;
+  };
+
+  // Raw MPEG-TS URL for players and tuners that don't speak HLS
+  const getTsStreamUrl = (streamId) => {
+    return `http://${window.location.hostname}:8088/${streamId}${tokenQuery}`;
   };
 
-  // Copy stream URL to clipboard
-  const copyStreamUrl = () => {
+  // Copy a URL to clipboard
+  const copyUrl = (streamUrl) => {
     try {
-      const streamUrl = getLocalStreamUrl(id);
-      
       // Create a temporary textarea element
       const textArea = document.createElement('textarea');
       textArea.value = streamUrl;
@@ -328,6 +385,9 @@ const StreamPage = () => {
     }
   };
 
+  const copyStreamUrl = () => copyUrl(getLocalStreamUrl(id));
+  const copyTsUrl = () => copyUrl(getTsStreamUrl(id));
+
   // Format uptime
   const formatUptime = (seconds) => {
     if (!seconds || seconds <= 0) return '-';
@@ -534,7 +594,7 @@ const StreamPage = () => {
                         color="error"
                         startIcon={actionLoading ? <CircularProgress size={20} color="inherit" /> : <StopIcon />}
                         onClick={stopStream}
-                        disabled={actionLoading}
+                        disabled={actionLoading || !canOperate}
                         sx={{ 
                           boxShadow: '0 2px 5px rgba(244, 67, 54, 0.3)',
                           '&:hover': {
@@ -550,7 +610,7 @@ const StreamPage = () => {
                         color="success"
                         startIcon={actionLoading ? <CircularProgress size={20} color="inherit" /> : <PlayIcon />}
                         onClick={startStream}
-                        disabled={actionLoading}
+                        disabled={actionLoading || !canOperate}
                         sx={{ 
                           boxShadow: '0 2px 5px rgba(76, 175, 80, 0.3)',
                           '&:hover': {
@@ -569,7 +629,7 @@ const StreamPage = () => {
                           color="warning"
                           startIcon={actionLoading ? <CircularProgress size={20} color="inherit" /> : <RefreshIcon />}
                           onClick={restartStream}
-                          disabled={actionLoading}
+                          disabled={actionLoading || !canOperate}
                           sx={{ 
                             borderColor: '#f59f00', 
                             color: '#f59f00',
@@ -641,7 +701,13 @@ const StreamPage = () => {
                       ? 'Stream is currently stopped. Click Start to begin streaming.' 
                       : 'Loading stream information...'}
                   </Typography>
-                  {stream && stream.status === 'stopped' && (
+                  {stream && stream.providerWait && (
+                    <Typography variant="body2" sx={{ color: '#FFB74D', mb: 2, textAlign: 'center', px: 2 }}>
+                      Queued since {moment(stream.providerWait.since).format('HH:mm:ss')}: {stream.providerWait.reason}.
+                      It starts as soon as a connection is free.
+                    </Typography>
+                  )}
+                  {stream && stream.status === 'stopped' && !stream.providerWait && canOperate && (
                     <Button
                       variant="contained"
                       color="success"
@@ -657,6 +723,75 @@ const StreamPage = () => {
             </Box>
           </motion.div>
           
+          {/* Next scheduled start or stop (only for scheduled streams) */}
+          {stream.schedule?.enabled && (
+            <motion.div variants={itemVariants}>
+              <SchedulePanel streamId={id} updatedAt={stream.updatedAt} />
+            </motion.div>
+          )}
+          
+          {/* Programme guide */}
+          <motion.div variants={itemVariants}>
+            <NowNextPanel
+              streamId={id}
+              onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+            />
+          </motion.div>
+          
+          {/* Connected viewers, with their client addresses (operators only) */}
+          {canOperate && (
+            <motion.div variants={itemVariants}>
+              <StreamViewers streamId={id} />
+            </motion.div>
+          )}
+          
+          {/* Uptime, outages and bitrate over time */}
+          <motion.div variants={itemVariants}>
+            <StreamHistory streamId={id} />
+          </motion.div>
+          
+          {/* Active source (only for streams with backup sources) */}
+          {stream.backupUrls && stream.backupUrls.length > 0 && (
+            <motion.div variants={itemVariants}>
+              <Box
+                sx={{
+                  mb: 3,
+                  p: 2,
+                  backgroundColor: stream.activeSourceIndex ? 'rgba(251, 191, 36, 0.1)' : 'rgba(100, 181, 246, 0.1)',
+                  borderRadius: '12px',
+                  border: stream.activeSourceIndex ? '1px solid rgba(251, 191, 36, 0.3)' : '1px solid rgba(100, 181, 246, 0.2)',
+                }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Typography variant="subtitle2" sx={{ color: '#ffffff', fontWeight: 600 }}>
+                    Active Source
+                  </Typography>
+                  <Chip
+                    label={stream.activeSourceIndex ? `Backup ${stream.activeSourceIndex}` : 'Primary'}
+                    size="small"
+                    sx={{
+                      height: '20px',
+                      backgroundColor: stream.activeSourceIndex ? '#b7791f' : '#2c7a7b',
+                      color: '#ffffff',
+                      fontSize: '0.7rem'
+                    }}
+                  />
+                  <Typography variant="caption" sx={{ color: '#aaaaaa' }}>
+                    {stream.backupUrls.length} backup{stream.backupUrls.length === 1 ? '' : 's'} configured
+                  </Typography>
+                </Box>
+                <Typography variant="body2" sx={{ color: '#ffffff', wordBreak: 'break-all' }}>
+                  {stream.activeSourceIndex ? stream.backupUrls[stream.activeSourceIndex - 1] : stream.url}
+                </Typography>
+                {stream.lastFailover && (
+                  <Typography variant="caption" sx={{ color: '#aaaaaa', display: 'block', mt: 1 }}>
+                    Last switch {moment(stream.lastFailover.timestamp).fromNow()}: {stream.lastFailover.reason}
+                  </Typography>
+                )}
+              </Box>
+            </motion.div>
+          )}
+          
           {/* Stream URL (only when stream is running) */}
           {stream.status === 'running' && (
             <motion.div variants={itemVariants}>
@@ -671,51 +806,61 @@ const StreamPage = () => {
                 }}
               >
                 <Typography variant="subtitle2" sx={{ color: '#4ade80', mb: 1, fontWeight: 600 }}>
-                  Local Stream URL
+                  Local Stream URLs
                 </Typography>
-                <TextField
-                  fullWidth
-                  variant="outlined"
-                  value={getLocalStreamUrl(id)}
-                  InputProps={{
-                    readOnly: true,
-                    endAdornment: (
-                      <InputAdornment position="end">
-                        <Tooltip title="Copy URL">
-                          <IconButton 
-                            edge="end" 
-                            onClick={copyStreamUrl} 
-                            size="small"
-                            sx={{
-                              color: '#4ade80',
-                              '&:hover': {
-                                backgroundColor: 'rgba(74, 222, 128, 0.1)'
-                              }
-                            }}
-                          >
-                            <CopyIcon />
-                          </IconButton>
-                        </Tooltip>
-                      </InputAdornment>
-                    ),
-                    sx: {
-                      backgroundColor: 'rgba(0, 0, 0, 0.2)',
-                      color: '#ffffff',
-                      '& .MuiOutlinedInput-notchedOutline': {
-                        borderColor: 'rgba(74, 222, 128, 0.3)'
-                      },
-                      '&:hover .MuiOutlinedInput-notchedOutline': {
-                        borderColor: 'rgba(74, 222, 128, 0.5)'
-                      },
-                      '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                        borderColor: 'rgba(74, 222, 128, 0.8)'
-                      }
-                    }
-                  }}
-                  sx={{ mb: 1 }}
-                />
+                {[
+                  { label: 'HLS', url: getLocalStreamUrl(id), onCopy: copyStreamUrl },
+                  { label: 'MPEG-TS', url: getTsStreamUrl(id), onCopy: copyTsUrl }
+                ].map((output) => (
+                  <Box key={output.label}>
+                    <Typography variant="caption" sx={{ color: '#aaaaaa', display: 'block', mb: 0.5 }}>
+                      {output.label}
+                    </Typography>
+                    <TextField
+                      fullWidth
+                      variant="outlined"
+                      value={output.url}
+                      InputProps={{
+                        readOnly: true,
+                        endAdornment: (
+                          <InputAdornment position="end">
+                            <Tooltip title="Copy URL">
+                              <IconButton 
+                                edge="end" 
+                                onClick={output.onCopy} 
+                                size="small"
+                                sx={{
+                                  color: '#4ade80',
+                                  '&:hover': {
+                                    backgroundColor: 'rgba(74, 222, 128, 0.1)'
+                                  }
+                                }}
+                              >
+                                <CopyIcon />
+                              </IconButton>
+                            </Tooltip>
+                          </InputAdornment>
+                        ),
+                        sx: {
+                          backgroundColor: 'rgba(0, 0, 0, 0.2)',
+                          color: '#ffffff',
+                          '& .MuiOutlinedInput-notchedOutline': {
+                            borderColor: 'rgba(74, 222, 128, 0.3)'
+                          },
+                          '&:hover .MuiOutlinedInput-notchedOutline': {
+                            borderColor: 'rgba(74, 222, 128, 0.5)'
+                          },
+                          '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                            borderColor: 'rgba(74, 222, 128, 0.8)'
+                          }
+                        }
+                      }}
+                      sx={{ mb: 1 }}
+                    />
+                  </Box>
+                ))}
                 <Typography variant="caption" sx={{ color: '#aaaaaa', display: 'block' }}>
-                  Use this URL in VLC, FFPlay, or other media players to view the stream
+                  Use these URLs in VLC, FFPlay, or other media players to view the stream
                 </Typography>
               </Box>
             </motion.div>
@@ -1069,11 +1214,43 @@ const StreamPage = () => {
                   </Typography>
                 </Grid>
                 
+                {stream.resolvedUrl && (
+                  <Grid item xs={12}>
+                    <Typography variant="body2" sx={{ color: '#aaaaaa' }}>Resolved Variant URL</Typography>
+                    <Typography 
+                      variant="body2" 
+                      sx={{ 
+                        color: '#ffffff', 
+                        mt: 0.5, 
+                        p: 1.5, 
+                        backgroundColor: 'rgba(0, 0, 0, 0.2)', 
+                        borderRadius: '4px',
+                        wordBreak: 'break-all'
+                      }}
+                    >
+                      {stream.resolvedUrl}
+                    </Typography>
+                  </Grid>
+                )}
+                
+                <Grid item xs={12} sm={6}>
+                  <Typography variant="body2" sx={{ color: '#aaaaaa' }}>Variant Selection</Typography>
+                  <Typography variant="body2" sx={{ color: '#ffffff', mt: 0.5 }}>
+                    {describeVariantPolicy(stream.variantPolicy)}
+                  </Typography>
+                </Grid>
+                
                 {stream.selectedResolution && (
                   <Grid item xs={12} sm={6}>
                     <Typography variant="body2" sx={{ color: '#aaaaaa' }}>Selected Resolution</Typography>
                     <Typography variant="body2" sx={{ color: '#ffffff', mt: 0.5 }}>
                       {stream.selectedResolution}
+                      {stream.variantInfo && stream.variantInfo.bandwidth
+                        ? ` · ${Math.round(stream.variantInfo.bandwidth / 1000)} kbit/s`
+                        : ''}
+                      {stream.variantInfo && stream.variantInfo.count
+                        ? ` (1 of ${stream.variantInfo.count} variants)`
+                        : ''}
                     </Typography>
                   </Grid>
                 )}
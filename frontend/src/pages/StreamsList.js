@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Box, 
@@ -33,7 +33,11 @@ import {
   AccordionDetails,
   LinearProgress,
   List,
-  ListItem
+  ListItem,
+  Checkbox,
+  Autocomplete,
+  Switch,
+  FormControlLabel
 } from '@mui/material';
 import { 
   Add as AddIcon, 
@@ -55,22 +59,86 @@ import {
   Source,
   Code,
   SystemUpdate,
-  BrokenImage
+  BrokenImage,
+  Upload as UploadIcon,
+  PlaylistPlay as PlaylistIcon,
+  Schedule as ScheduleIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import moment from 'moment';
 import StreamTester from '../components/StreamTester';
 import ImportStreams from '../components/ImportStreams';
+import OutputProfileFields, { DEFAULT_OUTPUT_PROFILE, describeOutputProfile } from '../components/OutputProfileFields';
+import VariantPolicyFields, { DEFAULT_VARIANT_POLICY } from '../components/VariantPolicyFields';
+import StreamFilters, { DEFAULT_FILTERS, filterStreams, getGroups, getTags } from '../components/StreamFilters';
+import AssignStreamsDialog from '../components/AssignStreamsDialog';
+import BulkActionBar from '../components/BulkActionBar';
+import ScheduleFields, { describeScheduleWindow } from '../components/ScheduleFields';
+import { useAuth } from '../AuthContext';
+import { useStreamEvents } from '../useStreamEvents';
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  channelNumber: '',
+  group: '',
+  tags: [],
+  logo: '',
+  backupUrls: '',
+  variantPolicy: DEFAULT_VARIANT_POLICY,
+  outputProfile: DEFAULT_OUTPUT_PROFILE,
+  schedule: null,
+  onDemand: false,
+  maxViewers: '',
+  providerId: ''
+};
+
+const inputSx = {
+  mb: 2,
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+    '& fieldset': {
+      borderColor: 'rgba(255, 255, 255, 0.23)',
+    },
+    '&:hover fieldset': {
+      borderColor: '#377b58',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#377b58',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  '& .MuiInputBase-input': {
+    color: '#ffffff',
+  },
+  '& .MuiFormHelperText-root': {
+    color: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+const smallChipSx = {
+  height: '20px',
+  '& .MuiChip-label': {
+    px: 1,
+    fontSize: '0.7rem'
+  }
+};
 
 const StreamsList = () => {
   const navigate = useNavigate();
   const theme = useTheme();
+  const { hasRole } = useAuth();
+  // Operators may start, stop and screenshot streams; only admins may change them
+  const canOperate = hasRole('operator');
+  const isAdmin = hasRole('admin');
   const [streams, setStreams] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedStream, setSelectedStream] = useState(null);
   const [openDialog, setOpenDialog] = useState(false);
   const [dialogMode, setDialogMode] = useState('add'); // 'add', 'edit', 'delete'
-  const [formValues, setFormValues] = useState({ name: '', url: '' });
+  const [formValues, setFormValues] = useState(EMPTY_FORM);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [streamActions, setStreamActions] = useState({});
   const [openTesterDialog, setOpenTesterDialog] = useState(false);
@@ -79,6 +147,10 @@ const StreamsList = () => {
   const [activeMenuStream, setActiveMenuStream] = useState(null);
   const [expandedStreamId, setExpandedStreamId] = useState(null);
   const [diagnosticsData, setDiagnosticsData] = useState({});
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [openAssignDialog, setOpenAssignDialog] = useState(false);
+  const [providers, setProviders] = useState([]);
 
   // Fetch streams list
   const fetchStreams = useCallback(async () => {
@@ -101,6 +173,13 @@ const StreamsList = () => {
     fetchStreams();
   }, [fetchStreams]);
 
+  // Providers streams can be assigned to, for the stream dialog and the cards
+  useEffect(() => {
+    axios.get('/api/providers')
+      .then(response => setProviders(response.data))
+      .catch(error => console.error('Error fetching providers:', error));
+  }, []);
+
   // Fetch stream diagnostics
   const fetchStreamDiagnostics = useCallback(async (streamId) => {
     try {
@@ -117,7 +196,7 @@ const StreamsList = () => {
   // Handle dialog open/close
   const handleOpenAddDialog = () => {
     setDialogMode('add');
-    setFormValues({ name: '', url: '' });
+    setFormValues(EMPTY_FORM);
     setOpenDialog(true);
   };
 
@@ -126,7 +205,18 @@ const StreamsList = () => {
     setSelectedStream(stream);
     setFormValues({
       name: stream.name,
-      url: stream.url
+      url: stream.url,
+      channelNumber: stream.channelNumber || '',
+      group: stream.group || '',
+      tags: stream.tags || [],
+      logo: stream.logo || '',
+      backupUrls: (stream.backupUrls || []).join('\n'),
+      variantPolicy: stream.variantPolicy || DEFAULT_VARIANT_POLICY,
+      outputProfile: stream.outputProfile || DEFAULT_OUTPUT_PROFILE,
+      schedule: stream.schedule || null,
+      onDemand: Boolean(stream.onDemand),
+      maxViewers: stream.maxViewers || '',
+      providerId: stream.providerId || ''
     });
     setOpenDialog(true);
   };
@@ -153,10 +243,16 @@ const StreamsList = () => {
 
   // Handle form submit
   const handleSubmit = async () => {
+    // Backup URLs are edited as one URL per line
+    const payload = {
+      ...formValues,
+      backupUrls: formValues.backupUrls.split('\n').map(backupUrl => backupUrl.trim()).filter(Boolean)
+    };
+
     try {
       if (dialogMode === 'add') {
         // Add new stream
-        const response = await axios.post('/api/streams', formValues);
+        const response = await axios.post('/api/streams', payload);
         setStreams(prev => [...prev, response.data]);
         setSnackbar({
           open: true,
@@ -165,7 +261,7 @@ const StreamsList = () => {
         });
       } else if (dialogMode === 'edit') {
         // Update existing stream
-        const response = await axios.put(`/api/streams/${selectedStream.id}`, formValues);
+        const response = await axios.put(`/api/streams/${selectedStream.id}`, payload);
         setStreams(prev => prev.map(s => s.id === selectedStream.id ? response.data : s));
         setSnackbar({
           open: true,
@@ -176,6 +272,7 @@ const StreamsList = () => {
         // Delete stream
         await axios.delete(`/api/streams/${selectedStream.id}`);
         setStreams(prev => prev.filter(s => s.id !== selectedStream.id));
+        setSelectedIds(prev => prev.filter(id => id !== selectedStream.id));
         setSnackbar({
           open: true,
           message: 'Stream deleted successfully',
@@ -188,7 +285,7 @@ const StreamsList = () => {
       console.error('Error:', error);
       setSnackbar({
         open: true,
-        message: `Failed to ${dialogMode} stream`,
+        message: `Failed to ${dialogMode} stream${error.response?.data?.error ? `: ${error.response.data.error}` : ''}`,
         severity: 'error'
       });
     }
@@ -205,14 +302,14 @@ const StreamsList = () => {
     }));
 
     try {
-      await axios.post(`/api/streams/${streamId}/${action}`);
+      const response = await axios.post(`/api/streams/${streamId}/${action}`);
       
-      // Show success notification
+      // Show success notification (a start may wait for a provider connection)
       const actionText = action === 'start' ? 'started' : action === 'stop' ? 'stopped' : 'restarted';
       setSnackbar({
         open: true,
-        message: `Stream ${actionText} successfully`,
-        severity: 'success'
+        message: response.data.queued ? `Stream queued: ${response.data.reason}` : `Stream ${actionText} successfully`,
+        severity: response.data.queued ? 'info' : 'success'
       });
       
       // Wait a bit before fetching updated stream status
@@ -250,6 +347,37 @@ const StreamsList = () => {
     }
   }, [fetchStreams, expandedStreamId, fetchStreamDiagnostics]);
 
+  // Keep the list current from server events instead of polling. Status, health and error
+  // events tend to arrive in bursts, so the list is refetched once per burst.
+  const refreshTimerRef = useRef(null);
+  useEffect(() => () => clearTimeout(refreshTimerRef.current), []);
+
+  useStreamEvents((type, data) => {
+    if (type === 'screenshot') {
+      setStreams(prevStreams =>
+        prevStreams.map(stream =>
+          stream.id === data.id
+            ? { ...stream, screenshotPath: data.screenshotPath, screenshotTimestamp: data.screenshotTimestamp }
+            : stream
+        )
+      );
+      return;
+    }
+
+    if (type === 'viewers') {
+      return;
+    }
+
+    if (data.id && data.id === expandedStreamId) {
+      fetchStreamDiagnostics(data.id);
+    }
+
+    if (type !== 'diagnostics') {
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = setTimeout(fetchStreams, 500);
+    }
+  });
+
   // Handle stream expansion for diagnostics
   const handleStreamExpand = (streamId) => {
     if (expandedStreamId === streamId) {
@@ -433,6 +561,27 @@ const StreamsList = () => {
     });
   };
 
+  // Copy the aggregated M3U playlist URL for IPTV clients (Plex, Jellyfin, TiviMate, VLC...)
+  const handleCopyPlaylistUrl = async () => {
+    const playlistUrl = `http://${window.location.hostname}:8088/playlist.m3u`;
+
+    try {
+      // The Clipboard API is only available in secure contexts
+      await navigator.clipboard.writeText(playlistUrl);
+      setSnackbar({
+        open: true,
+        message: 'Playlist URL copied to clipboard',
+        severity: 'success'
+      });
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Copy this URL manually: ${playlistUrl}`,
+        severity: 'info'
+      });
+    }
+  };
+
   // Handle menu open
   const handleMenuOpen = (event, stream) => {
     setMenuAnchorEl(event.currentTarget);
@@ -503,6 +652,31 @@ const StreamsList = () => {
     }
   };
 
+  const visibleStreams = filterStreams(streams, filters);
+
+  // Selection for bulk actions
+  const handleToggleSelected = (streamId) => {
+    setSelectedIds(prev => (prev.includes(streamId) ? prev.filter(id => id !== streamId) : [...prev, streamId]));
+  };
+
+  const handleSelectVisible = () => {
+    setSelectedIds(prev => [...new Set([...prev, ...visibleStreams.map(stream => stream.id)])]);
+  };
+
+  const handleAssigned = (updatedStreams) => {
+    const updated = new Map(updatedStreams.map(stream => [stream.id, stream]));
+    setStreams(prev => prev.map(stream => updated.get(stream.id) || stream));
+    setSelectedIds([]);
+  };
+
+  const handleBulkComplete = (action, results) => {
+    if (action === 'delete') {
+      const deleted = results.filter(result => result.success).map(result => result.id);
+      setSelectedIds(prev => prev.filter(id => !deleted.includes(id)));
+    }
+    fetchStreams();
+  };
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
@@ -537,18 +711,21 @@ const StreamsList = () => {
         </Typography>
         
         <Box sx={{ display: 'flex', gap: 2 }}>
-          <Button
-            variant="contained"
-            color="primary"
-            startIcon={<AddIcon />}
-            onClick={handleOpenAddDialog}
-          >
-            Add Stream
-          </Button>
+          {isAdmin && (
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={<AddIcon />}
+              onClick={handleOpenAddDialog}
+            >
+              Add Stream
+            </Button>
+          )}
           <Button
             variant="outlined"
             startIcon={<EditIcon />}
             onClick={handleOpenTester}
+            disabled={!canOperate}
             sx={{ 
               borderColor: '#f59f00', 
               color: '#f59f00',
@@ -560,6 +737,37 @@ const StreamsList = () => {
           >
             Test Stream
           </Button>
+          {isAdmin && (
+            <Button
+              variant="outlined"
+              startIcon={<UploadIcon />}
+              onClick={handleOpenImport}
+              sx={{ 
+                borderColor: '#377b58', 
+                color: '#377b58',
+                '&:hover': {
+                  borderColor: '#5fa980',
+                  backgroundColor: 'rgba(55, 123, 88, 0.1)',
+                }
+              }}
+            >
+              Import
+            </Button>
+          )}
+          <Tooltip title="Copy M3U Playlist URL">
+            <IconButton 
+              onClick={handleCopyPlaylistUrl}
+              sx={{ 
+                color: theme.palette.primary.main,
+                backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                '&:hover': {
+                  backgroundColor: 'rgba(255, 255, 255, 0.1)',
+                }
+              }}
+            >
+              <PlaylistIcon />
+            </IconButton>
+          </Tooltip>
           <Tooltip title="Refresh Streams">
             <IconButton 
               onClick={fetchStreams}
@@ -577,10 +785,35 @@ const StreamsList = () => {
         </Box>
       </Box>
 
+      {streams.length > 0 && (
+        <StreamFilters streams={streams} filters={filters} onChange={setFilters} />
+      )}
+
+      {canOperate && selectedIds.length > 0 && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          isAdmin={isAdmin}
+          onSelectAll={handleSelectVisible}
+          onClear={() => setSelectedIds([])}
+          onAssign={() => setOpenAssignDialog(true)}
+          onComplete={handleBulkComplete}
+          onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+        />
+      )}
+
       {loading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
           <CircularProgress sx={{ color: '#377b58' }} />
         </Box>
+      ) : visibleStreams.length === 0 && streams.length > 0 ? (
+        <Box sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="body1" sx={{ color: 'rgba(255, 255, 255, 0.7)', mb: 2 }}>
+            No streams match the current filters
+          </Typography>
+          <Button variant="outlined" onClick={() => setFilters(DEFAULT_FILTERS)}>
+            Clear Filters
+          </Button>
+        </Box>
       ) : streams.length === 0 ? (
         <Box 
           sx={{ 
@@ -606,19 +839,21 @@ const StreamsList = () => {
           <Typography variant="h6" sx={{ color: '#ffffff', mb: 2 }}>
             No streams found
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            startIcon={<AddIcon />}
-            onClick={handleOpenAddDialog}
-          >
-            Add Your First Stream
-          </Button>
+          {isAdmin && (
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={<AddIcon />}
+              onClick={handleOpenAddDialog}
+            >
+              Add Your First Stream
+            </Button>
+          )}
         </Box>
       ) : (
         <Grid container spacing={3}>
-          {streams.map((stream) => (
-            <Grid item xs={12} sm={streams.length === 1 ? 10 : 8} md={streams.length === 1 ? 8 : 6} key={stream.id} sx={streams.length === 1 ? { mx: 'auto' } : {}}>
+          {visibleStreams.map((stream) => (
+            <Grid item xs={12} sm={visibleStreams.length === 1 ? 10 : 8} md={visibleStreams.length === 1 ? 8 : 6} key={stream.id} sx={visibleStreams.length === 1 ? { mx: 'auto' } : {}}>
               <Fade in={true} timeout={500}>
                 <Card 
                   sx={{ 
@@ -654,7 +889,16 @@ const StreamsList = () => {
                     alignItems: 'center',
                     gap: 2
                   }}>
+                    {canOperate && (
+                      <Checkbox
+                        checked={selectedIds.includes(stream.id)}
+                        onChange={() => handleToggleSelected(stream.id)}
+                        inputProps={{ 'aria-label': `Select ${stream.name}` }}
+                        sx={{ p: 0.5, mr: -1, color: 'rgba(255, 255, 255, 0.5)' }}
+                      />
+                    )}
                     <Avatar 
+                      src={stream.logo}
                       sx={{ 
                         bgcolor: stream.status === 'running' ? '#4caf50' : 
                                  stream.status === 'stopped' ? '#ff9800' : '#f44336',
@@ -744,7 +988,91 @@ const StreamsList = () => {
                             }}
                           />
                         )}
+                        {stream.outputProfile && stream.outputProfile.mode !== 'copy' && (
+                          <Chip
+                            label={describeOutputProfile(stream.outputProfile)}
+                            size="small"
+                            sx={{ 
+                              height: '20px',
+                              backgroundColor: '#4a3b6b',
+                              color: '#ecf0f1',
+                              '& .MuiChip-label': {
+                                px: 1,
+                                fontSize: '0.7rem'
+                              }
+                            }}
+                          />
+                        )}
                       </Box>
+                      {(stream.channelNumber || stream.group || stream.schedule?.enabled || stream.onDemand || stream.maxViewers || stream.providerId || stream.providerWait || (stream.tags || []).length > 0) && (
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                          {stream.channelNumber && (
+                            <Chip
+                              label={`Ch ${stream.channelNumber}`}
+                              size="small"
+                              sx={{ ...smallChipSx, backgroundColor: '#1b4d3e', color: '#ecf0f1' }}
+                            />
+                          )}
+                          {stream.group && (
+                            <Chip
+                              label={stream.group}
+                              size="small"
+                              onClick={() => setFilters(prev => ({ ...prev, group: stream.group }))}
+                              sx={{ ...smallChipSx, backgroundColor: '#2c3e50', color: '#ecf0f1' }}
+                            />
+                          )}
+                          {stream.schedule?.enabled && (
+                            <Tooltip title={stream.schedule.windows.map(describeScheduleWindow).join(', ')}>
+                              <Chip
+                                icon={<ScheduleIcon />}
+                                label="Scheduled"
+                                size="small"
+                                sx={{ ...smallChipSx, backgroundColor: '#4a3b6b', color: '#ecf0f1', '& .MuiChip-icon': { fontSize: '0.9rem', color: '#ecf0f1' } }}
+                              />
+                            </Tooltip>
+                          )}
+                          {stream.onDemand && (
+                            <Chip
+                              label="On demand"
+                              size="small"
+                              sx={{ ...smallChipSx, backgroundColor: '#4a3b6b', color: '#ecf0f1' }}
+                            />
+                          )}
+                          {stream.maxViewers && (
+                            <Chip
+                              label={`Max ${stream.maxViewers} viewers`}
+                              size="small"
+                              sx={{ ...smallChipSx, backgroundColor: '#4a3b6b', color: '#ecf0f1' }}
+                            />
+                          )}
+                          {stream.providerId && (
+                            <Chip
+                              label={providers.find(provider => provider.id === stream.providerId)?.name || 'Provider'}
+                              size="small"
+                              sx={{ ...smallChipSx, backgroundColor: '#2c3e50', color: '#ecf0f1' }}
+                            />
+                          )}
+                          {stream.providerWait && (
+                            <Tooltip title={`${stream.providerWait.reason}. Starts as soon as a connection is free.`}>
+                              <Chip
+                                label="Queued"
+                                size="small"
+                                sx={{ ...smallChipSx, backgroundColor: '#7a5a12', color: '#ecf0f1' }}
+                              />
+                            </Tooltip>
+                          )}
+                          {(stream.tags || []).map(tag => (
+                            <Chip
+                              key={tag}
+                              label={tag}
+                              size="small"
+                              variant="outlined"
+                              onClick={() => setFilters(prev => ({ ...prev, tag }))}
+                              sx={{ ...smallChipSx, color: '#aaaaaa', borderColor: 'rgba(255, 255, 255, 0.2)' }}
+                            />
+                          ))}
+                        </Box>
+                      )}
                     </Box>
                   </Box>
                   
@@ -796,7 +1124,7 @@ const StreamsList = () => {
                           <Typography variant="body2" sx={{ color: '#777777' }}>
                             No preview available
                           </Typography>
-                          {stream.status === 'running' && (
+                          {stream.status === 'running' && canOperate && (
                             <Button 
                               size="small" 
                               variant="outlined" 
@@ -808,7 +1136,7 @@ const StreamsList = () => {
                           )}
                         </Box>
                       )}
-                      {stream.status === 'running' && stream.screenshotPath && (
+                      {stream.status === 'running' && stream.screenshotPath && canOperate && (
                         <IconButton 
                           size="small" 
                           onClick={() => handleTakeScreenshot(stream.id)}
@@ -884,7 +1212,7 @@ const StreamsList = () => {
                               variant="contained"
                               startIcon={isActionInProgress(stream.id, 'start') ? <CircularProgress size={16} /> : <PlayArrowIcon />}
                               onClick={() => handleStreamAction(stream.id, 'start')}
-                              disabled={isActionInProgress(stream.id, 'start')}
+                              disabled={!canOperate || isActionInProgress(stream.id, 'start')}
                               sx={{ 
                                 mr: 1,
                                 boxShadow: '0 2px 5px rgba(76, 175, 80, 0.3)',
@@ -906,7 +1234,7 @@ const StreamsList = () => {
                               variant="contained"
                               startIcon={isActionInProgress(stream.id, 'stop') ? <CircularProgress size={16} /> : <StopIcon />}
                               onClick={() => handleStreamAction(stream.id, 'stop')}
-                              disabled={isActionInProgress(stream.id, 'stop')}
+                              disabled={!canOperate || isActionInProgress(stream.id, 'stop')}
                               sx={{ 
                                 mr: 1,
                                 boxShadow: '0 2px 5px rgba(244, 67, 54, 0.3)',
@@ -1171,6 +1499,178 @@ const StreamsList = () => {
                   },
                 }}
               />
+              <TextField
+                margin="dense"
+                name="channelNumber"
+                label="Channel Number"
+                type="number"
+                fullWidth
+                value={formValues.channelNumber}
+                onChange={handleFormChange}
+                helperText="Used by the channel playlist and HDHomeRun lineup. Leave empty for the next free number"
+                variant="outlined"
+                inputProps={{ min: 1 }}
+                sx={{ 
+                  mb: 2,
+                  '& .MuiOutlinedInput-root': {
+                    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+                    '& fieldset': {
+                      borderColor: 'rgba(255, 255, 255, 0.23)',
+                    },
+                    '&:hover fieldset': {
+                      borderColor: '#377b58',
+                    },
+                    '&.Mui-focused fieldset': {
+                      borderColor: '#377b58',
+                    },
+                  },
+                  '& .MuiInputLabel-root': {
+                    color: 'rgba(255, 255, 255, 0.7)',
+                  },
+                  '& .MuiInputBase-input': {
+                    color: '#ffffff',
+                  },
+                  '& .MuiFormHelperText-root': {
+                    color: 'rgba(255, 255, 255, 0.5)',
+                  },
+                }}
+              />
+              <Autocomplete
+                freeSolo
+                options={getGroups(streams)}
+                inputValue={formValues.group}
+                onInputChange={(e, value) => setFormValues(prev => ({ ...prev, group: value }))}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    margin="dense"
+                    label="Group"
+                    helperText="Optional. Used as the group-title in playlists"
+                    sx={inputSx}
+                  />
+                )}
+              />
+              <Autocomplete
+                multiple
+                freeSolo
+                options={getTags(streams)}
+                value={formValues.tags}
+                onChange={(e, value) => setFormValues(prev => ({ ...prev, tags: value }))}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    margin="dense"
+                    label="Tags"
+                    helperText="Optional. Press Enter after each new tag"
+                    sx={inputSx}
+                  />
+                )}
+              />
+              <TextField
+                margin="dense"
+                name="logo"
+                label="Logo URL"
+                fullWidth
+                value={formValues.logo}
+                onChange={handleFormChange}
+                helperText="Optional. Shown in the stream list and playlists"
+                variant="outlined"
+                sx={inputSx}
+              />
+              <TextField
+                margin="dense"
+                name="backupUrls"
+                label="Backup URLs (one per line)"
+                fullWidth
+                multiline
+                minRows={2}
+                value={formValues.backupUrls}
+                onChange={handleFormChange}
+                helperText="Optional. Used in order when the stream URL fails; switches back once it recovers"
+                variant="outlined"
+                sx={{ 
+                  mb: 2,
+                  '& .MuiOutlinedInput-root': {
+                    backgroundColor: 'rgba(30, 30, 30, 0.8)',
+                    '& fieldset': {
+                      borderColor: 'rgba(255, 255, 255, 0.23)',
+                    },
+                    '&:hover fieldset': {
+                      borderColor: '#377b58',
+                    },
+                    '&.Mui-focused fieldset': {
+                      borderColor: '#377b58',
+                    },
+                  },
+                  '& .MuiInputLabel-root': {
+                    color: 'rgba(255, 255, 255, 0.7)',
+                  },
+                  '& .MuiInputBase-input': {
+                    color: '#ffffff',
+                  },
+                  '& .MuiFormHelperText-root': {
+                    color: 'rgba(255, 255, 255, 0.5)',
+                  },
+                }}
+              />
+              <VariantPolicyFields
+                value={formValues.variantPolicy}
+                onChange={(variantPolicy) => setFormValues(prev => ({ ...prev, variantPolicy }))}
+              />
+              <OutputProfileFields
+                value={formValues.outputProfile}
+                onChange={(outputProfile) => setFormValues(prev => ({ ...prev, outputProfile }))}
+              />
+              <ScheduleFields
+                value={formValues.schedule}
+                onChange={(schedule) => setFormValues(prev => ({ ...prev, schedule }))}
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formValues.onDemand}
+                    onChange={(e) => setFormValues(prev => ({ ...prev, onDemand: e.target.checked }))}
+                    color="primary"
+                  />
+                }
+                label="Start on demand"
+                sx={{ mt: 1, color: '#ffffff' }}
+              />
+              <Typography variant="body2" sx={{ color: 'rgba(255, 255, 255, 0.5)', mb: 2 }}>
+                Stay stopped until a player requests the stream, and stop again once nobody is watching.
+              </Typography>
+              <TextField
+                margin="dense"
+                name="maxViewers"
+                label="Viewer Limit"
+                type="number"
+                fullWidth
+                value={formValues.maxViewers}
+                onChange={handleFormChange}
+                inputProps={{ min: 0, max: 10000 }}
+                helperText="Optional. Most viewers served at once; further viewers are turned away"
+                variant="outlined"
+                sx={inputSx}
+              />
+              {providers.length > 0 && (
+                <TextField
+                  select
+                  margin="dense"
+                  name="providerId"
+                  label="Provider"
+                  fullWidth
+                  value={formValues.providerId}
+                  onChange={handleFormChange}
+                  helperText="Optional. Starts wait or are refused while the provider's connections are all in use"
+                  variant="outlined"
+                  sx={inputSx}
+                >
+                  <MenuItem value="">None</MenuItem>
+                  {providers.map(provider => (
+                    <MenuItem key={provider.id} value={provider.id}>{provider.name}</MenuItem>
+                  ))}
+                </TextField>
+              )}
               <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
                 <Button
                   variant="outlined"
@@ -1214,32 +1714,23 @@ const StreamsList = () => {
         onSuccess={handleTestSuccess} 
       />
 
+      {/* Bulk Group and Tag Assignment */}
+      <AssignStreamsDialog
+        open={openAssignDialog}
+        onClose={() => setOpenAssignDialog(false)}
+        streamIds={selectedIds}
+        groups={getGroups(streams)}
+        tags={getTags(streams)}
+        onAssigned={handleAssigned}
+        onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+      />
+
       {/* Import Streams Dialog */}
-      <Dialog 
-        open={openImportDialog} 
-        onClose={handleCloseImport} 
-        maxWidth="md" 
-        fullWidth
-        PaperProps={{
-          sx: {
-            backgroundColor: '#1e1e1e',
-            color: '#ffffff',
-            borderRadius: '12px',
-          }
-        }}
-      >
-        <DialogTitle sx={{ borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}>
-          Import Streams
-        </DialogTitle>
-        <DialogContent>
-          <ImportStreams onSuccess={handleImportSuccess} />
-        </DialogContent>
-        <DialogActions sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.1)', p: 2 }}>
-          <Button onClick={handleCloseImport} sx={{ color: '#aaaaaa' }}>
-            Close
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <ImportStreams
+        open={openImportDialog}
+        onClose={handleCloseImport}
+        onSuccess={handleImportSuccess}
+      />
 
       {/* Stream Actions Menu */}
       <Menu
@@ -1273,7 +1764,7 @@ const StreamsList = () => {
         </MenuItem>
         
         {activeMenuStream?.status === 'running' ? (
-          <MenuItem onClick={() => {
+          <MenuItem disabled={!canOperate} onClick={() => {
             handleStreamAction(activeMenuStream?.id, 'stop');
             handleMenuClose();
           }}>
@@ -1283,7 +1774,7 @@ const StreamsList = () => {
             <ListItemText>Stop Stream</ListItemText>
           </MenuItem>
         ) : (
-          <MenuItem onClick={() => {
+          <MenuItem disabled={!canOperate} onClick={() => {
             handleStreamAction(activeMenuStream?.id, 'start');
             handleMenuClose();
           }}>
@@ -1294,7 +1785,7 @@ const StreamsList = () => {
           </MenuItem>
         )}
         
-        <MenuItem onClick={() => {
+        <MenuItem disabled={!isAdmin} onClick={() => {
           handleOpenEditDialog(activeMenuStream);
           handleMenuClose();
         }}>
@@ -1304,7 +1795,7 @@ const StreamsList = () => {
           <ListItemText>Edit Stream</ListItemText>
         </MenuItem>
         
-        <MenuItem onClick={() => {
+        <MenuItem disabled={!isAdmin} onClick={() => {
           handleOpenDeleteDialog(activeMenuStream);
           handleMenuClose();
         }}>
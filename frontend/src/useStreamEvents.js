@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+
+// Events the server pushes on /api/events (see backend/events.js)
+const STREAM_EVENTS = ['status', 'health', 'streamError', 'reconnect', 'screenshot', 'diagnostics', 'queue', 'added', 'updated', 'deleted', 'viewers'];
+
+// A single connection is shared by every component that listens
+let source = null;
+const listeners = new Set();
+
+const notify = (type, data) => {
+  listeners.forEach(listener => listener(type, data));
+};
+
+const connect = () => {
+  let opened = false;
+  source = new EventSource('/api/events');
+
+  source.addEventListener('open', () => {
+    // Events may have been missed while the connection was down, e.g. during a server restart
+    if (opened) {
+      notify('reconnected', {});
+    }
+    opened = true;
+  });
+
+  STREAM_EVENTS.forEach((type) => {
+    source.addEventListener(type, (event) => {
+      notify(type, JSON.parse(event.data));
+    });
+  });
+};
+
+// Call handler(type, data) for every stream event while the component is mounted.
+// Pass a stream id to only hear about that stream. A 'reconnected' event (without an id)
+// means the feed was interrupted and the component should fetch fresh data.
+export const useStreamEvents = (handler, streamId = null) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const listener = (type, data) => {
+      if (!streamId || !data.id || data.id === streamId) {
+        handlerRef.current(type, data);
+      }
+    };
+
+    listeners.add(listener);
+    if (!source) {
+      connect();
+    }
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && source) {
+        source.close();
+        source = null;
+      }
+    };
+  }, [streamId]);
+};